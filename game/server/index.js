@@ -8,7 +8,7 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Full save files can be several MB
 
 // Routes
 app.use('/api/savegame', saveGameRouter);
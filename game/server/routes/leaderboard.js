@@ -1,17 +1,70 @@
 import express from 'express';
+import { createJsonStore } from '../storage/jsonStore.js';
 
 export const leaderboardRouter = express.Router();
 
-// In-memory leaderboard (replace with database in production)
-const leaderboard = [];
+// Leaderboard persisted to server/data/leaderboard.json
+const store = createJsonStore('leaderboard.json', () => ({ entries: [] }));
+
+// Difficulty values from CanvasNewGameSetup
+const DIFFICULTIES = ['story', 'explorer', 'adventurer', 'veteran', 'hardcore', 'nightmare'];
+
+// Entries kept per galaxy seed + difficulty board
+const MAX_ENTRIES_PER_BOARD = 100;
+
+/**
+ * Validate a non-negative integer field with an upper bound
+ */
+function isBoundedInteger(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Parse seed/difficulty filters from the query string.
+ * Returns { filters } or { error }.
+ */
+function parseFilters(query) {
+  const filters = {};
+
+  if (query.seed !== undefined) {
+    const seed = Number(query.seed);
+    if (!Number.isInteger(seed)) {
+      return { error: 'Invalid seed filter: must be an integer' };
+    }
+    filters.galaxySeed = seed;
+  }
+
+  if (query.difficulty !== undefined) {
+    if (!DIFFICULTIES.includes(query.difficulty)) {
+      return { error: `Invalid difficulty filter: must be one of ${DIFFICULTIES.join(', ')}` };
+    }
+    filters.difficulty = query.difficulty;
+  }
+
+  return { filters };
+}
+
+/**
+ * Ranked entries matching the filters (highest score first, earliest wins ties)
+ */
+function rankEntries(entries, filters) {
+  return entries
+    .filter(e => filters.galaxySeed === undefined || e.galaxySeed === filters.galaxySeed)
+    .filter(e => filters.difficulty === undefined || e.difficulty === filters.difficulty)
+    .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+}
 
 // Submit score
-leaderboardRouter.post('/submit', (req, res) => {
+leaderboardRouter.post('/submit', async (req, res) => {
   try {
-    const { playerId, playerName, score, kills } = req.body;
+    const {
+      playerId, playerName, score, kills,
+      galaxySeed, difficulty, systemsExplored = 0, playtime = 0
+    } = req.body || {};
 
     // Validate required fields exist
-    if (!playerId || !playerName || score === undefined || kills === undefined) {
+    if (!playerId || !playerName || score === undefined || kills === undefined ||
+        galaxySeed === undefined || !difficulty) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -26,57 +79,92 @@ leaderboardRouter.post('/submit', (req, res) => {
 
     // Sanitize playerName to prevent XSS
     const sanitizedName = playerName.replace(/[<>\"'&]/g, '');
-    if (sanitizedName.length === 0) {
+    if (sanitizedName.trim().length === 0) {
       return res.status(400).json({ error: 'Invalid playerName: contains only special characters' });
     }
 
-    if (!Number.isInteger(score) || score < 0 || score > 999999999) {
+    if (!isBoundedInteger(score, 999999999)) {
       return res.status(400).json({ error: 'Invalid score: must be a positive integer' });
     }
 
-    if (!Number.isInteger(kills) || kills < 0 || kills > 999999) {
+    if (!isBoundedInteger(kills, 999999)) {
       return res.status(400).json({ error: 'Invalid kills: must be a positive integer' });
     }
 
+    if (!Number.isInteger(galaxySeed)) {
+      return res.status(400).json({ error: 'Invalid galaxySeed: must be an integer' });
+    }
+
+    if (!DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({ error: `Invalid difficulty: must be one of ${DIFFICULTIES.join(', ')}` });
+    }
+
+    if (!isBoundedInteger(systemsExplored, 100000)) {
+      return res.status(400).json({ error: 'Invalid systemsExplored: must be a positive integer' });
+    }
+
+    if (typeof playtime !== 'number' || !Number.isFinite(playtime) || playtime < 0) {
+      return res.status(400).json({ error: 'Invalid playtime: must be a positive number' });
+    }
+
     const entry = {
       playerId: playerId.trim(),
       playerName: sanitizedName.trim(),
       score,
       kills,
+      galaxySeed,
+      difficulty,
+      systemsExplored,
+      playtime: Math.floor(playtime),
       timestamp: Date.now()
     };
 
-    // Add or update entry
-    const existingIndex = leaderboard.findIndex(e => e.playerId === playerId);
-    if (existingIndex !== -1) {
-      // Only update if new score is higher
-      if (score > leaderboard[existingIndex].score) {
-        leaderboard[existingIndex] = entry;
+    const result = await store.update(doc => {
+      // One entry per player per board, only replaced by a higher score
+      const existingIndex = doc.entries.findIndex(e =>
+        e.playerId === entry.playerId &&
+        e.galaxySeed === galaxySeed &&
+        e.difficulty === difficulty
+      );
+
+      let improved = true;
+      if (existingIndex !== -1) {
+        if (score > doc.entries[existingIndex].score) {
+          doc.entries[existingIndex] = entry;
+        } else {
+          improved = false;
+        }
+      } else {
+        doc.entries.push(entry);
       }
-    } else {
-      leaderboard.push(entry);
-    }
 
-    // Sort by score descending
-    leaderboard.sort((a, b) => b.score - a.score);
+      // Trim the board for this seed + difficulty
+      const board = rankEntries(doc.entries, { galaxySeed, difficulty });
+      if (board.length > MAX_ENTRIES_PER_BOARD) {
+        const dropped = new Set(board.slice(MAX_ENTRIES_PER_BOARD));
+        doc.entries = doc.entries.filter(e => !dropped.has(e));
+      }
 
-    // Keep only top 100
-    if (leaderboard.length > 100) {
-      leaderboard.length = 100;
-    }
+      const rank = rankEntries(doc.entries, { galaxySeed, difficulty })
+        .findIndex(e => e.playerId === entry.playerId) + 1;
+
+      return { improved, rank };
+    });
 
     res.json({
       success: true,
-      message: 'Score submitted successfully',
-      rank: leaderboard.findIndex(e => e.playerId === playerId) + 1
+      message: result.improved ? 'Score submitted successfully' : 'Score not higher than personal best',
+      improved: result.improved,
+      rank: result.rank || null
     });
   } catch (error) {
+    console.error('Failed to submit score:', error);
     res.status(500).json({ error: 'Failed to submit score' });
   }
 });
 
-// Get leaderboard
-leaderboardRouter.get('/top/:limit?', (req, res) => {
+// Get leaderboard (?seed=&difficulty= filters)
+leaderboardRouter.get('/top/:limit?', async (req, res) => {
   try {
     const limit = parseInt(req.params.limit || '10');
 
@@ -84,19 +172,30 @@ leaderboardRouter.get('/top/:limit?', (req, res) => {
     if (isNaN(limit) || limit < 1 || limit > 100) {
       return res.status(400).json({ error: 'Invalid limit: must be between 1 and 100' });
     }
-    const topScores = leaderboard.slice(0, Math.min(limit, 100));
+
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const doc = await store.read();
+    const topScores = rankEntries(doc.entries, filters)
+      .slice(0, limit)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
 
     res.json({
       success: true,
+      filters,
       leaderboard: topScores
     });
   } catch (error) {
+    console.error('Failed to get leaderboard:', error);
     res.status(500).json({ error: 'Failed to get leaderboard' });
   }
 });
 
-// Get player rank
-leaderboardRouter.get('/rank/:playerId', (req, res) => {
+// Get player rank (best entry matching ?seed=&difficulty= filters)
+leaderboardRouter.get('/rank/:playerId', async (req, res) => {
   try {
     const { playerId } = req.params;
 
@@ -104,7 +203,15 @@ leaderboardRouter.get('/rank/:playerId', (req, res) => {
     if (!playerId || typeof playerId !== 'string' || playerId.length > 100) {
       return res.status(400).json({ error: 'Invalid playerId' });
     }
-    const rank = leaderboard.findIndex(e => e.playerId === playerId);
+
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const doc = await store.read();
+    const ranked = rankEntries(doc.entries, filters);
+    const rank = ranked.findIndex(e => e.playerId === playerId);
 
     if (rank === -1) {
       return res.status(404).json({ error: 'Player not found in leaderboard' });
@@ -113,10 +220,11 @@ leaderboardRouter.get('/rank/:playerId', (req, res) => {
     res.json({
       success: true,
       rank: rank + 1,
-      entry: leaderboard[rank],
-      total: leaderboard.length
+      entry: ranked[rank],
+      total: ranked.length
     });
   } catch (error) {
+    console.error('Failed to get player rank:', error);
     res.status(500).json({ error: 'Failed to get player rank' });
   }
 });
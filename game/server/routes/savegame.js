@@ -1,31 +1,333 @@
 import express from 'express';
+import { createJsonStore } from '../storage/jsonStore.js';
+import { MAX_SAVE_SIZE } from '../../src/engine/SaveFormat.js';
 
 export const saveGameRouter = express.Router();
 
-// In-memory storage (replace with database in production)
-const savedGames = new Map();
+// Cloud save slots persisted to server/data/savegames.json
+const store = createJsonStore('savegames.json', () => ({ players: {} }));
 
-// Save game state
-saveGameRouter.post('/save', (req, res) => {
+const MAX_SLOTS_PER_PLAYER = 32;
+const MAX_HISTORY_PER_SLOT = 5; // Previous revisions kept for rollback
+const LEGACY_SLOT = 'cloud'; // Slot used by the original single-save endpoints
+
+const PLAYER_ID_PATTERN = /^[\w-]{1,100}$/;
+const SLOT_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+/**
+ * Names plain objects inherit (__proto__, constructor, toString...) can't be
+ * keys of the save document
+ */
+function isReservedKey(key) {
+  return key in Object.prototype || key === 'prototype';
+}
+
+/**
+ * Validate route params, returns an error message or null
+ */
+function validateParams(playerId, slot) {
+  if (!playerId || !PLAYER_ID_PATTERN.test(playerId) || isReservedKey(playerId)) {
+    return 'Invalid playerId';
+  }
+  if (slot !== undefined && (!SLOT_PATTERN.test(slot) || isReservedKey(slot))) {
+    return 'Invalid slot: must be 1-32 characters (letters, digits, _ or -)';
+  }
+  return null;
+}
+
+/**
+ * Validate the save payload (same JSON format as SaveSystem.exportSave)
+ */
+function validateSaveData(saveData) {
+  if (!saveData || typeof saveData !== 'object' || Array.isArray(saveData)) {
+    return 'Missing saveData';
+  }
+  if (!saveData.player || typeof saveData.player !== 'object') {
+    return 'Invalid saveData: missing player';
+  }
+  if (!saveData.galaxy || typeof saveData.galaxy.seed !== 'number') {
+    return 'Invalid saveData: missing galaxy seed';
+  }
+  return null;
+}
+
+/**
+ * A player's slots (own keys only), or null
+ */
+function getSlots(doc, playerId) {
+  return Object.hasOwn(doc.players, playerId) ? doc.players[playerId] : null;
+}
+
+/**
+ * A slot entry { current, history } (own keys only), or null
+ */
+function getEntry(doc, playerId, slot) {
+  const slots = getSlots(doc, playerId);
+  return slots && Object.hasOwn(slots, slot) ? slots[slot] : null;
+}
+
+/**
+ * Extract list metadata from a save (mirrors SaveSystem.getSaveMetadata)
+ */
+function extractMetadata(saveData) {
+  return {
+    saveName: saveData.saveName || 'Cloud Save',
+    saveFormatVersion: saveData.saveFormatVersion || 1,
+    timestamp: saveData.timestamp || Date.now(),
+    playtime: saveData.playtime || 0,
+    callsign: saveData.player.callsign,
+    shipName: saveData.player.shipName,
+    level: saveData.player.level || 1,
+    credits: saveData.player.credits || 0,
+    currentSystem: saveData.galaxy.currentSystemIndex,
+    seed: saveData.galaxy.seed,
+    systemsVisited: saveData.stats ? saveData.stats.systemsVisited : 0
+  };
+}
+
+/**
+ * Public view of a slot record (without the save payload)
+ */
+function describeRecord(slot, record) {
+  return {
+    slot,
+    revision: record.revision,
+    updatedAt: record.updatedAt,
+    size: record.size,
+    ...record.meta
+  };
+}
+
+/**
+ * Write a save into a slot, pushing the previous revision into history.
+ * Returns { conflict } when baseRevision doesn't match the stored revision.
+ */
+function writeSlot(doc, playerId, slot, saveData, size, baseRevision) {
+  const slots = getSlots(doc, playerId) || (doc.players[playerId] = {});
+  const existing = getEntry(doc, playerId, slot);
+
+  if (!existing && Object.keys(slots).length >= MAX_SLOTS_PER_PLAYER) {
+    return { error: `Slot limit reached (${MAX_SLOTS_PER_PLAYER})` };
+  }
+
+  // Optimistic concurrency: client sends the revision it last synced
+  if (existing && baseRevision !== undefined && baseRevision !== null &&
+      baseRevision !== existing.current.revision) {
+    return { conflict: describeRecord(slot, existing.current) };
+  }
+
+  const record = {
+    revision: existing ? existing.current.revision + 1 : 1,
+    updatedAt: Date.now(),
+    size,
+    meta: extractMetadata(saveData),
+    saveData
+  };
+
+  if (existing) {
+    existing.history.unshift(existing.current);
+    existing.history.length = Math.min(existing.history.length, MAX_HISTORY_PER_SLOT);
+    existing.current = record;
+  } else {
+    slots[slot] = { current: record, history: [] };
+  }
+
+  return { record };
+}
+
+// List all slots for a player
+saveGameRouter.get('/:playerId/slots', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const paramError = validateParams(playerId);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    const doc = await store.read();
+    const slots = getSlots(doc, playerId) || {};
+
+    res.json({
+      success: true,
+      slots: Object.entries(slots)
+        .map(([slot, entry]) => describeRecord(slot, entry.current))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+    });
+  } catch (error) {
+    console.error('Failed to list slots:', error);
+    res.status(500).json({ error: 'Failed to list slots' });
+  }
+});
+
+// Load a slot (latest revision, or ?revision=N from history)
+saveGameRouter.get('/:playerId/slots/:slot', async (req, res) => {
+  try {
+    const { playerId, slot } = req.params;
+    const paramError = validateParams(playerId, slot);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    const { revision: revisionParam } = req.query;
+    if (revisionParam !== undefined && !(typeof revisionParam === 'string' && /^\d+$/.test(revisionParam))) {
+      return res.status(400).json({ error: 'Invalid revision' });
+    }
+
+    const doc = await store.read();
+    const entry = getEntry(doc, playerId, slot);
+    if (!entry) {
+      return res.status(404).json({ error: 'No save data found' });
+    }
+
+    let record = entry.current;
+    if (revisionParam !== undefined) {
+      const revision = Number(revisionParam);
+      record = [entry.current, ...entry.history].find(r => r.revision === revision);
+      if (!record) {
+        return res.status(404).json({ error: `Revision ${revision} not found` });
+      }
+    }
+
+    res.json({
+      success: true,
+      slot: describeRecord(slot, record),
+      saveData: record.saveData
+    });
+  } catch (error) {
+    console.error('Failed to load slot:', error);
+    res.status(500).json({ error: 'Failed to load game' });
+  }
+});
+
+// List stored revisions of a slot
+saveGameRouter.get('/:playerId/slots/:slot/history', async (req, res) => {
+  try {
+    const { playerId, slot } = req.params;
+    const paramError = validateParams(playerId, slot);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    const doc = await store.read();
+    const entry = getEntry(doc, playerId, slot);
+    if (!entry) {
+      return res.status(404).json({ error: 'No save data found' });
+    }
+
+    res.json({
+      success: true,
+      revisions: [entry.current, ...entry.history].map(r => describeRecord(slot, r))
+    });
+  } catch (error) {
+    console.error('Failed to read slot history:', error);
+    res.status(500).json({ error: 'Failed to read slot history' });
+  }
+});
+
+// Create or update a slot
+// Body: { saveData, baseRevision? } - 409 if baseRevision is stale
+saveGameRouter.put('/:playerId/slots/:slot', async (req, res) => {
+  try {
+    const { playerId, slot } = req.params;
+    const { saveData, baseRevision } = req.body || {};
+
+    const paramError = validateParams(playerId, slot) || validateSaveData(saveData);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    if (baseRevision !== undefined && baseRevision !== null && !Number.isInteger(baseRevision)) {
+      return res.status(400).json({ error: 'Invalid baseRevision' });
+    }
+
+    const size = JSON.stringify(saveData).length;
+    if (size > MAX_SAVE_SIZE) {
+      return res.status(413).json({ error: 'Save too large' });
+    }
+
+    const result = await store.update(doc => writeSlot(doc, playerId, slot, saveData, size, baseRevision));
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    if (result.conflict) {
+      return res.status(409).json({
+        error: 'Save conflict: slot was updated elsewhere',
+        current: result.conflict
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Game saved successfully',
+      slot: describeRecord(slot, result.record)
+    });
+  } catch (error) {
+    console.error('Failed to save game:', error);
+    res.status(500).json({ error: 'Failed to save game' });
+  }
+});
+
+// Delete a slot and its history
+saveGameRouter.delete('/:playerId/slots/:slot', async (req, res) => {
   try {
-    const { playerId, gameState } = req.body;
+    const { playerId, slot } = req.params;
+    const paramError = validateParams(playerId, slot);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    const deleted = await store.update(doc => {
+      const slots = getSlots(doc, playerId);
+      if (!getEntry(doc, playerId, slot)) return false;
+      delete slots[slot];
+      if (Object.keys(slots).length === 0) {
+        delete doc.players[playerId];
+      }
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'No save data found' });
+    }
+
+    res.json({ success: true, message: 'Save deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete save:', error);
+    res.status(500).json({ error: 'Failed to delete save' });
+  }
+});
+
+// === LEGACY SINGLE-SAVE ENDPOINTS ===
+// Kept for older clients, backed by the 'cloud' slot
+
+saveGameRouter.post('/save', async (req, res) => {
+  try {
+    const { playerId, gameState } = req.body || {};
 
     if (!playerId || !gameState) {
       return res.status(400).json({ error: 'Missing playerId or gameState' });
     }
 
-    const saveData = {
-      playerId,
-      gameState,
-      timestamp: Date.now()
-    };
+    const paramError = validateParams(playerId) || validateSaveData(gameState);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
 
-    savedGames.set(playerId, saveData);
+    const size = JSON.stringify(gameState).length;
+    if (size > MAX_SAVE_SIZE) {
+      return res.status(413).json({ error: 'Save too large' });
+    }
+
+    const result = await store.update(doc => writeSlot(doc, playerId, LEGACY_SLOT, gameState, size));
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
     res.json({
       success: true,
       message: 'Game saved successfully',
-      timestamp: saveData.timestamp
+      timestamp: result.record.updatedAt
     });
   } catch (error) {
     console.error('Failed to save game:', error);
@@ -33,21 +335,24 @@ saveGameRouter.post('/save', (req, res) => {
   }
 });
 
-// Load game state
-saveGameRouter.get('/load/:playerId', (req, res) => {
+saveGameRouter.get('/load/:playerId', async (req, res) => {
   try {
     const { playerId } = req.params;
+    const paramError = validateParams(playerId);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
 
-    const saveData = savedGames.get(playerId);
-
-    if (!saveData) {
+    const doc = await store.read();
+    const entry = getEntry(doc, playerId, LEGACY_SLOT);
+    if (!entry) {
       return res.status(404).json({ error: 'No save data found' });
     }
 
     res.json({
       success: true,
-      gameState: saveData.gameState,
-      timestamp: saveData.timestamp
+      gameState: entry.current.saveData,
+      timestamp: entry.current.updatedAt
     });
   } catch (error) {
     console.error('Failed to load game:', error);
@@ -55,15 +360,20 @@ saveGameRouter.get('/load/:playerId', (req, res) => {
   }
 });
 
-// List all saves for a player
-saveGameRouter.get('/list/:playerId', (req, res) => {
+saveGameRouter.get('/list/:playerId', async (req, res) => {
   try {
     const { playerId } = req.params;
-    const saveData = savedGames.get(playerId);
+    const paramError = validateParams(playerId);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    const doc = await store.read();
+    const slots = getSlots(doc, playerId) || {};
 
     res.json({
       success: true,
-      saves: saveData ? [saveData] : []
+      saves: Object.entries(slots).map(([slot, entry]) => describeRecord(slot, entry.current))
     });
   } catch (error) {
     console.error('Failed to list saves:', error);
@@ -71,17 +381,26 @@ saveGameRouter.get('/list/:playerId', (req, res) => {
   }
 });
 
-// Delete save
-saveGameRouter.delete('/delete/:playerId', (req, res) => {
+saveGameRouter.delete('/delete/:playerId', async (req, res) => {
   try {
     const { playerId } = req.params;
+    const paramError = validateParams(playerId);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
 
-    if (savedGames.has(playerId)) {
-      savedGames.delete(playerId);
-      res.json({ success: true, message: 'Save deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'No save data found' });
+    const deleted = await store.update(doc => {
+      const slots = getSlots(doc, playerId);
+      if (!getEntry(doc, playerId, LEGACY_SLOT)) return false;
+      delete slots[LEGACY_SLOT];
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'No save data found' });
     }
+
+    res.json({ success: true, message: 'Save deleted successfully' });
   } catch (error) {
     console.error('Failed to delete save:', error);
     res.status(500).json({ error: 'Failed to delete save' });
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Data directory (override with DATA_DIR for deployments)
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Create a JSON file backed store.
+ * The whole document is kept in memory and flushed to disk after every change.
+ * Writes are serialized and go through a temp file + rename so a crash
+ * mid-write never leaves a truncated file behind. A file that doesn't parse
+ * is moved aside (<file>.corrupt-<time>) before the store starts over.
+ *
+ * @param {string} fileName - File name inside DATA_DIR
+ * @param {Function} createDefault - Returns the initial document when no file exists
+ */
+export function createJsonStore(fileName, createDefault) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let data = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    if (!loading) {
+      loading = (async () => {
+        let json;
+        try {
+          json = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            // Unreadable (permissions, I/O): refuse rather than overwrite it later
+            loading = null;
+            throw error;
+          }
+          data = createDefault();
+          return data;
+        }
+
+        try {
+          data = JSON.parse(json);
+        } catch (error) {
+          // Keep the corrupt file aside so the next flush doesn't destroy it
+          const backupPath = `${filePath}.corrupt-${Date.now()}`;
+          await fs.rename(filePath, backupPath);
+          console.error(`[JsonStore] ${fileName} is corrupt (${error.message}), moved to ${backupPath} and starting empty`);
+          data = createDefault();
+        }
+        return data;
+      })();
+    }
+    return loading;
+  };
+
+  const write = async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  const flush = () => {
+    // A failed write rejects its own caller only: the next one still runs
+    const flushed = writeQueue.then(write, write);
+    writeQueue = flushed.catch(() => {});
+    return flushed;
+  };
+
+  return {
+    /**
+     * Read the current document
+     */
+    async read() {
+      return load();
+    },
+
+    /**
+     * Mutate the document and persist it
+     * @param {Function} mutator - Receives the document, may return a result
+     */
+    async update(mutator) {
+      const doc = await load();
+      const result = mutator(doc);
+      await flush();
+      return result;
+    }
+  };
+}
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
+import { computeTradeRoutes } from '../engine/GalacticEconomy.js';
 
 /**
  * Enhanced Galaxy Map Component
@@ -6,8 +7,11 @@ import React, { useEffect, useRef, useState } from 'react';
  * - Zoom and pan functionality
  * - Detailed star system rendering
  * - Improved UI and information panels
+ * - Territory overlay from the game's FactionSystem, with WarSystem frontlines
+ * - Warp gate routes to the selected system from the game's WarpGateSystem
+ * - Multi-jump routes through queued waypoints from the game's RoutePlanner
  */
-const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
+const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose, factionSystem = null, warSystem = null, warpGateSystem = null, routePlanner = null }) => {
   const canvasRef = useRef(null);
   const [zoom, setZoom] = useState(1.0);
   const [pan, setPan] = useState({ x: 0, y: 0 });
@@ -52,52 +56,38 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
   const [showTradeRoutes, setShowTradeRoutes] = useState(false);
   const [showTerritories, setShowTerritories] = useState(false);
 
-  // Generate trade routes (memoized)
-  const tradeRoutes = React.useMemo(() => {
-    const routes = [];
-
-    for (let i = 0; i < galaxy.length; i++) {
-      const sys1 = galaxy[i];
-      if (!sys1.discovered) continue;
-
-      for (let j = i + 1; j < galaxy.length; j++) {
-        const sys2 = galaxy[j];
-        if (!sys2.discovered) continue;
-
-        const dx = sys2.position.x - sys1.position.x;
-        const dy = sys2.position.y - sys1.position.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        // Trade likelihood based on multiple factors
-        const maxTradeDistance = 4000;
-        if (dist > maxTradeDistance) continue;
-
-        // Calculate trade value (0-1)
-        const distanceFactor = 1 - (dist / maxTradeDistance);
-        const resourceFactor = (sys1.resourceRichness + sys2.resourceRichness) / 2;
-        const stationFactor = ((sys1.stationCount || 0) + (sys2.stationCount || 0)) / 16;
-        const dangerPenalty = 1 - ((sys1.dangerLevel + sys2.dangerLevel) / 20);
-
-        const tradeValue = distanceFactor * 0.3 + resourceFactor * 0.3 +
-                          stationFactor * 0.2 + dangerPenalty * 0.2;
-
-        // Only show significant trade routes
-        if (tradeValue > 0.4) {
-          routes.push({
-            from: i,
-            to: j,
-            value: tradeValue,
-            importance: tradeValue > 0.7 ? 'high' : tradeValue > 0.55 ? 'medium' : 'low'
-          });
-        }
-      }
-    }
+  // Trade routes between discovered systems (NPC traders fly the same ones)
+  const tradeRoutes = React.useMemo(() => computeTradeRoutes(galaxy), [galaxy]);
+
+  // Cheapest gate route from the current system to the selected one
+  const gateRoute = React.useMemo(() => (
+    warpGateSystem && selectedInfo !== null && selectedInfo !== currentSystemIndex
+      ? warpGateSystem.findRoute(currentSystemIndex, selectedInfo)
+      : null
+  ), [warpGateSystem, currentSystemIndex, selectedInfo]);
+
+  // Route through the planner's waypoints (routeVersion bumps on every change)
+  const [routeVersion, setRouteVersion] = useState(0);
+  const routePlan = React.useMemo(
+    () => (routePlanner ? routePlanner.getPlan() : null),
+    [routePlanner, routeVersion, currentSystemIndex]
+  );
 
-    return routes;
-  }, [galaxy]);
+  const updateRoute = (change) => {
+    const result = change();
+    setRouteVersion(version => version + 1);
+    return result;
+  };
 
   // Generate faction territories (memoized)
   const territories = React.useMemo(() => {
+    // Live territories (conquests included) when the faction system is at hand
+    if (factionSystem) {
+      return Object.values(factionSystem.factions)
+        .filter(faction => faction.territory.length > 0)
+        .map(faction => ({ name: faction.name, color: faction.color, claim: faction.territory }));
+    }
+
     const factions = [
       { name: 'United Terran Coalition', color: '#4488ff', claim: [] },
       { name: 'Independent Worlds', color: '#44ff88', claim: [] },
@@ -124,7 +114,7 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
     });
 
     return factions.filter(f => f.claim.length > 0);
-  }, [galaxy]);
+  }, [galaxy, factionSystem]);
 
   // Warp animation progression
   useEffect(() => {
@@ -482,6 +472,24 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
         ctx.fillText(faction.name.toUpperCase(), tx, ty - radius - 10);
         ctx.globalAlpha = 1;
       });
+
+      // Frontlines of the wars in progress
+      if (warSystem) {
+        ctx.setLineDash([6, 6]);
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.7;
+        warSystem.getFronts().forEach(front => {
+          const from = galaxy[front.from];
+          const target = galaxy[front.target];
+          ctx.strokeStyle = factionSystem ? factionSystem.getFactionColor(front.attacker) : '#ff4444';
+          ctx.beginPath();
+          ctx.moveTo(centerX + (from.position.x - (minX + maxX) / 2) * scale, centerY + (from.position.y - (minY + maxY) / 2) * scale);
+          ctx.lineTo(centerX + (target.position.x - (minX + maxX) / 2) * scale, centerY + (target.position.y - (minY + maxY) / 2) * scale);
+          ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+      }
     }
 
     // === TRADE ROUTES ===
@@ -549,6 +557,65 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
       ctx.globalAlpha = 1;
     }
 
+    // === PLANNED ROUTE ===
+    if (routePlan) {
+      routePlan.legs.forEach(leg => {
+        const from = galaxy[leg.from];
+        const to = galaxy[leg.to];
+        const x1 = centerX + (from.position.x - (minX + maxX) / 2) * scale;
+        const y1 = centerY + (from.position.y - (minY + maxY) / 2) * scale;
+        const x2 = centerX + (to.position.x - (minX + maxX) / 2) * scale;
+        const y2 = centerY + (to.position.y - (minY + maxY) / 2) * scale;
+
+        ctx.strokeStyle = leg.mode === 'gate' ? '#44aaff' : '#ffaa00';
+        ctx.lineWidth = 3;
+        ctx.globalAlpha = 0.9;
+        ctx.setLineDash(leg.mode === 'gate' ? [] : [8, 5]);
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Per-leg fuel
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${leg.fuel.toFixed(1)}f`, (x1 + x2) / 2, (y1 + y2) / 2 - 4);
+        if (leg.refuel) {
+          ctx.fillStyle = '#44ff88';
+          ctx.fillText('FUEL', x1, y1 + 22);
+        }
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    // === GATE ROUTE ===
+    if (!routePlan && gateRoute && gateRoute.legs.length > 0) {
+      ctx.strokeStyle = '#ffaa00';
+      ctx.lineWidth = 3;
+      ctx.globalAlpha = 0.9;
+      ctx.beginPath();
+      gateRoute.path.forEach((index, step) => {
+        const system = galaxy[index];
+        const x = centerX + (system.position.x - (minX + maxX) / 2) * scale;
+        const y = centerY + (system.position.y - (minY + maxY) / 2) * scale;
+        if (step === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+
+      // Hop markers
+      ctx.fillStyle = '#ffaa00';
+      gateRoute.path.slice(1, -1).forEach(index => {
+        const system = galaxy[index];
+        ctx.beginPath();
+        ctx.arc(centerX + (system.position.x - (minX + maxX) / 2) * scale, centerY + (system.position.y - (minY + maxY) / 2) * scale, 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+    }
+
     // === STAR SYSTEMS ===
     galaxy.forEach((system, index) => {
       // Apply filters
@@ -684,7 +751,7 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
       : `Systems: ${galaxy.length} | Discovered: ${discoveredCount} | Zoom: ${(zoom * 100).toFixed(0)}%`;
     ctx.fillText(subtitleText, width / 2, 60);
 
-  }, [galaxy, currentSystemIndex, zoom, pan, filters, showTradeRoutes, showTerritories, tradeRoutes, territories, passesFilters]);
+  }, [galaxy, currentSystemIndex, zoom, pan, filters, showTradeRoutes, showTerritories, tradeRoutes, territories, passesFilters, warSystem, gateRoute, routePlan]);
 
   const handleCanvasClick = (e) => {
     const canvas = canvasRef.current;
@@ -1011,6 +1078,46 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
               ⚠ Hive Infestation
             </div>
           )}
+          {warpGateSystem && selectedInfo !== currentSystemIndex && (
+            <div style={{ color: '#ffaa00', marginTop: '8px', fontSize: '11px' }}>
+              {gateRoute
+                ? `⇄ GATE ROUTE: ${gateRoute.legs.length} jumps | ${gateRoute.fuel.toFixed(1)} fuel | ${Math.floor(gateRoute.time / 60)}m ${Math.round(gateRoute.time % 60)}s`
+                : '⇄ No gate route'}
+            </div>
+          )}
+          {routePlanner && (
+            <div style={{ marginTop: '10px', borderTop: '1px solid #44aaff', paddingTop: '8px' }}>
+              <div style={{ color: '#44aaff', marginBottom: '4px' }}>
+                ROUTE: {routePlanner.waypoints.length === 0
+                  ? 'no waypoints'
+                  : routePlan
+                    ? `${routePlan.legs.length} legs | ${routePlan.fuel.toFixed(1)} fuel | ${Math.floor(routePlan.time / 60)}m | ${routePlan.refuelStops.length} refuel stops`
+                    : 'waypoint out of reach'}
+              </div>
+              {routePlan && routePlan.legs.map((leg, index) => (
+                <div key={index} style={{ fontSize: '10px', color: leg.relation === 'hostile' || leg.relation === 'unfriendly' ? '#ff4444' : '#cccccc' }}>
+                  {leg.refuel ? '+' : ' '}{index + 1}. {galaxy[leg.to].name} {leg.mode === 'gate' ? 'GATE' : 'JUMP'} {leg.fuel.toFixed(1)}f D{leg.danger}
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                {selectedInfo !== currentSystemIndex && !routePlanner.executing && (
+                  <button onClick={() => updateRoute(() => routePlanner.addWaypoint(selectedInfo))} style={{ flex: 1, padding: '6px', backgroundColor: '#443322', color: '#ffaa44', border: '2px solid #ffaa44', cursor: 'pointer', fontFamily: 'monospace' }}>
+                    + WAYPOINT
+                  </button>
+                )}
+                {routePlan && routePlan.legs.length > 0 && !routePlanner.executing && (
+                  <button onClick={() => { if (updateRoute(() => routePlanner.engage()).success) onClose(); }} style={{ flex: 1, padding: '6px', backgroundColor: '#223344', color: '#44aaff', border: '2px solid #44aaff', cursor: 'pointer', fontFamily: 'monospace' }}>
+                    ENGAGE
+                  </button>
+                )}
+                {routePlanner.waypoints.length > 0 && !routePlanner.executing && (
+                  <button onClick={() => updateRoute(() => routePlanner.clearWaypoints())} style={{ flex: 1, padding: '6px', backgroundColor: '#331111', color: '#ff4444', border: '2px solid #ff4444', cursor: 'pointer', fontFamily: 'monospace' }}>
+                    CLEAR
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
           <button
             onClick={() => handleSystemSelect(selectedInfo)}
             style={{
@@ -71,53 +71,8 @@ const GameContainer = () => {
   });
 
   const gameInstanceRef = useRef(null);
-  const autoSaveIntervalRef = useRef(null);
   const isInitializingRef = useRef(false); // Prevent multiple simultaneous initializations
 
-  // Auto-save function (defined early so useEffect can reference it)
-  const handleAutoSave = useCallback(() => {
-    if (!isGameActive || isPaused) return;
-
-    let currentState = gameState;
-    if (gameInstanceRef.current && gameInstanceRef.current.getGameState) {
-      currentState = gameInstanceRef.current.getGameState();
-      setGameState(currentState);
-    }
-
-    const result = GameStateManager.autoSave(currentState);
-    if (result.success) {
-      console.log('Auto-save successful');
-    } else {
-      console.error('Auto-save failed:', result.error);
-    }
-  }, [isGameActive, isPaused, gameState]);
-
-  // Setup auto-save
-  useEffect(() => {
-    // Don't setup autosave until game is actually running
-    if (!isGameActive || isPaused || !gameInstanceRef.current) {
-      return;
-    }
-
-    // Auto-save every 5 minutes
-    const intervalId = setInterval(() => {
-      try {
-        handleAutoSave();
-      } catch (error) {
-        console.error('Auto-save error:', error);
-      }
-    }, 5 * 60 * 1000);
-
-    autoSaveIntervalRef.current = intervalId;
-
-    return () => {
-      if (autoSaveIntervalRef.current) {
-        clearInterval(autoSaveIntervalRef.current);
-        autoSaveIntervalRef.current = null;
-      }
-    };
-  }, [isGameActive, isPaused, handleAutoSave]);
-
   // Handle new game start
   const handleNewGame = useCallback((setupData) => {
     // Prevent multiple simultaneous initializations
@@ -196,6 +151,9 @@ const GameContainer = () => {
         playtime: 0,
         credits: 0, // Will be set by Game.js based on startingBonus
 
+        // Stored settings (autosave interval etc.)
+        settings: GameStateManager.loadSettings().settings,
+
         // Player stats
         player: {
           callsign: setupData.callsign,
@@ -264,7 +222,7 @@ const GameContainer = () => {
   }, []);
 
   // Handle game load
-  const handleLoadGame = useCallback((saveData) => {
+  const handleLoadGame = useCallback(async (saveData) => {
     if (isInitializingRef.current) {
       console.warn('[GameContainer] Game initialization already in progress, ignoring duplicate call');
       return;
@@ -273,9 +231,17 @@ const GameContainer = () => {
     isInitializingRef.current = true;
     console.log('Loading game:', saveData);
 
-    const result = GameStateManager.loadGame(saveData.id);
+    // Autosave timeline entries point at a raw storage slot
+    const result = saveData.slot
+      ? await GameStateManager.loadSlot(saveData.slot)
+      : await GameStateManager.loadGame(saveData.id);
     if (result.success) {
-      setGameState(result.gameState);
+      // Game reads its new-game options (difficulty, ironman, seed...) from the top level
+      setGameState({
+        ...result.gameState.config,
+        ...result.gameState,
+        settings: GameStateManager.loadSettings().settings,
+      });
       setGameKey(prev => prev + 1); // Force new game instance with unique key
       setShowUI(false);
       setIsGameActive(true);
@@ -302,7 +268,7 @@ const GameContainer = () => {
       setGameState(currentState);
     }
 
-    const result = GameStateManager.saveGame(saveId, currentState, saveData.name);
+    const result = await GameStateManager.saveGame(saveId, currentState, saveData.name);
     if (result.success) {
       console.log('Game saved successfully');
       // Could show a success message to the user
@@ -333,11 +299,6 @@ const GameContainer = () => {
     setIsPaused(false);
     setShowUI(true);
 
-    // Clear auto-save interval
-    if (autoSaveIntervalRef.current) {
-      clearInterval(autoSaveIntervalRef.current);
-    }
-
     // In a web context, we can't truly quit to desktop
     // Could potentially close the window or redirect
     if (quitToDesktop) {
@@ -55,6 +55,7 @@ const InventoryScreen = ({ game, onClose }) => {
   const allCargo = cargoData.getAllCargo();
   const ownedResources = resourceData.getOwnedResources();
   const totalValue = resourceData.getTotalValue();
+  const activeEffects = game.itemEffects ? game.itemEffects.getActiveEffects() : [];
 
   // Handle selling a resource
   const handleSell = (resourceId, quantity) => {
@@ -253,6 +254,23 @@ const InventoryScreen = ({ game, onClose }) => {
         >
           📊 STATS
         </button>
+        <button
+          onClick={() => setSelectedTab('effects')}
+          style={{
+            flex: 1,
+            padding: '15px',
+            fontSize: '18px',
+            fontFamily: 'monospace',
+            fontWeight: 'bold',
+            border: '3px solid #00ff88',
+            background: selectedTab === 'effects' ? '#00ff88' : '#0a0a0a',
+            color: selectedTab === 'effects' ? '#000' : '#00ff88',
+            cursor: 'pointer',
+            transition: 'all 0.2s'
+          }}
+        >
+          ✦ EFFECTS ({activeEffects.length})
+        </button>
       </div>
 
       {/* Content Area */}
@@ -588,6 +606,33 @@ const InventoryScreen = ({ game, onClose }) => {
             </div>
           </div>
         )}
+
+        {selectedTab === 'effects' && (
+          <div>
+            <h2 style={{ color: '#00ff88', marginTop: 0 }}>ACTIVE ITEM EFFECTS</h2>
+            {activeEffects.length === 0 && (
+              <div style={{ color: '#666', fontSize: '18px' }}>No items fitted or in effect</div>
+            )}
+            {activeEffects.map(effect => {
+              const color = effect.kind === 'cursed' ? '#ff4444' : effect.kind === 'timed' ? '#ffaa00' : '#00ff88';
+              return (
+                <div key={`${effect.kind}-${effect.id}`} style={{ border: `2px solid ${color}`, padding: '10px 15px', marginBottom: '10px' }}>
+                  <div style={{ color, fontWeight: 'bold', fontSize: '18px' }}>
+                    {effect.icon} {effect.name}{effect.stacks > 1 ? ` x${effect.stacks}` : ''}
+                    <span style={{ float: 'right', fontSize: '14px' }}>
+                      {effect.kind === 'timed' ? `${Math.ceil(effect.remaining)}s left` : effect.kind.toUpperCase()}
+                    </span>
+                  </div>
+                  {effect.lines.map((line, i) => (
+                    <div key={i} style={{ color: line.curse ? '#ff4444' : '#aaccee', fontSize: '14px', marginTop: '4px' }}>
+                      {line.curse ? '☠' : '•'} {line.text}
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        )}
       </div>
 
       {/* Help Text */}
@@ -12,22 +12,8 @@ const SpaceGame = forwardRef(({ initialState, onStateChange }, ref) => {
   // Expose game instance methods to parent via ref
   useImperativeHandle(ref, () => ({
     getGameState: () => {
-      if (gameRef.current) {
-        return {
-          ...initialState,
-          playtime: gameRef.current.playtime || 0,
-          credits: gameRef.current.credits || initialState?.credits || 0,
-          systemsExplored: gameRef.current.discoveredSystems?.size || 0,
-          player: {
-            ...initialState?.player,
-            hp: gameRef.current.player?.hp || 100,
-            maxHp: gameRef.current.player?.maxHp || 100,
-            shield: gameRef.current.player?.shield || 100,
-            maxShield: gameRef.current.player?.maxShield || 100,
-            x: gameRef.current.player?.x || 0,
-            y: gameRef.current.player?.y || 0,
-          },
-        };
+      if (gameRef.current && gameRef.current.getGameState) {
+        return gameRef.current.getGameState();
       }
       return initialState || {};
     },
@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState } from 'react';
 import fontLoader from '../../utils/FontLoader';
 import CockpitFrame from './common/CockpitFrame';
+import GameStateManager from '../../utils/GameStateManager';
+import { AUTOSAVE_TRIGGERS } from '../../engine/SaveFormat';
 import {
   generate3DBackgroundTexture,
   generate3DPanel,
@@ -22,6 +24,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
   const lastDimensions = useRef({ width: 0, height: 0 });
   // PERFORMANCE: Removed animFrame state - no animations for 60fps performance
   const [savedGames, setSavedGames] = useState([]);
+  const [autosaves, setAutosaves] = useState([]);
   const [selectedSave, setSelectedSave] = useState(null);
   const [loading, setLoading] = useState(true);
   const [scrollOffset, setScrollOffset] = useState(0);
@@ -34,21 +37,13 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
   onCancelRef.current = onCancel;
 
   useEffect(() => {
-    const loadSavedGames = () => {
+    const loadSavedGames = async () => {
       try {
-        const saves = [];
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (key && key.startsWith('pixelversum_save_')) {
-            const saveData = JSON.parse(localStorage.getItem(key));
-            saves.push({
-              id: key.replace('pixelversum_save_', ''),
-              ...saveData,
-            });
-          }
-        }
-        saves.sort((a, b) => b.timestamp - a.timestamp);
+        // Summaries of every save, migrated to the current format where possible
+        const { saves } = await GameStateManager.getAllSaves();
+        const timeline = await GameStateManager.getAutosaveTimeline();
         setSavedGames(saves);
+        setAutosaves(timeline.autosaves);
         setLoading(false);
       } catch (error) {
         console.error('Error loading saved games:', error);
@@ -149,6 +144,16 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
       }).replace(/\//g, '-');
     };
 
+    // Playtime is stored in milliseconds
+    const formatPlaytime = (playtime) => {
+      const totalMinutes = Math.floor((playtime || 0) / 60000);
+      return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+    };
+
+    const triggerLabel = (save) => (
+      (AUTOSAVE_TRIGGERS[save.autosaveTrigger] || 'Autosave').toUpperCase()
+    );
+
     const centerX = width / 2;
     const centerY = height / 2;
 
@@ -217,7 +222,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
       // PERFORMANCE: Static loading text (no pulsing animation)
       ctx.fillStyle = '#8a7462';  // Dark amber
       ctx.fillText('ACCESSING ARCHIVE DATABASE...', centerX, crtY + crtH / 2);
-    } else if (savedGames.length === 0) {
+    } else if (savedGames.length === 0 && autosaves.length === 0) {
       ctx.font = `bold 16px ${fontLoader.getFontFamily('DigitalDisco')}`;
       ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
       ctx.textAlign = 'center';
@@ -230,11 +235,69 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
       const slotH = 80;
       const slotSpacing = 10;
 
+      // Autosave timeline: oldest on the left, pick any point to roll back to
+      if (autosaves.length > 0) {
+        ctx.font = `bold 12px ${fontLoader.getFontFamily('DigitalDisco')}`;
+        ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+        ctx.textAlign = 'left';
+        ctx.fillText('AUTOSAVE TIMELINE - SELECT A POINT TO ROLL BACK', contentX + 5, yOffset + 8);
+
+        const lineX = contentX + 5;
+        const lineW = crtW - 50;
+        const nodeSpacing = lineW / autosaves.length;
+        const nodeW = Math.min(nodeSpacing - 10, 200);
+        const nodeH = 62;
+        const nodeY = yOffset + 24;
+
+        ctx.fillStyle = COCKPIT_COLORS.PANEL_DETAIL;
+        ctx.fillRect(lineX, nodeY + nodeH / 2 - 1, lineW, 2);
+
+        [...autosaves].reverse().forEach((point, index) => {
+          const nodeX = lineX + index * nodeSpacing + (nodeSpacing - nodeW) / 2;
+          const isSelected = selectedSave && selectedSave.slot === point.slot;
+          const isLatest = index === autosaves.length - 1;
+
+          ctx.fillStyle = isSelected ? COCKPIT_COLORS.PANEL_DETAIL : COCKPIT_COLORS.PANEL_BG;
+          ctx.fillRect(nodeX, nodeY, nodeW, nodeH);
+
+          ctx.fillStyle = isLatest ? COCKPIT_COLORS.LED_AMBER_BRIGHT : COCKPIT_COLORS.LED_AMBER_DIM;
+          ctx.fillRect(nodeX + 6, nodeY + 8, 6, 6);
+
+          ctx.font = `bold 10px ${fontLoader.getFontFamily('DigitalDisco')}`;
+          ctx.fillStyle = isSelected ? COCKPIT_COLORS.SCREEN_TEXT_BRIGHT : COCKPIT_COLORS.SCREEN_TEXT;
+          ctx.textAlign = 'left';
+          ctx.fillText(isLatest ? `${triggerLabel(point)} (LATEST)` : triggerLabel(point), nodeX + 18, nodeY + 14);
+
+          ctx.font = `9px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+          ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+          ctx.fillText(formatTimestamp(point.timestamp), nodeX + 8, nodeY + 32);
+          ctx.fillText(`TIME: ${formatPlaytime(point.playtime)}`, nodeX + 8, nodeY + 48);
+
+          newSaveSlots.push({
+            x: nodeX,
+            y: nodeY,
+            width: nodeW,
+            height: nodeH,
+            save: point,
+          });
+        });
+
+        yOffset = nodeY + nodeH + 20;
+
+        if (savedGames.length > 0) {
+          ctx.font = `bold 12px ${fontLoader.getFontFamily('DigitalDisco')}`;
+          ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+          ctx.textAlign = 'left';
+          ctx.fillText('SAVED GAMES', contentX + 5, yOffset + 8);
+          yOffset += 24;
+        }
+      }
+
       savedGames.forEach((save, index) => {
         const slotY = yOffset + index * (slotH + slotSpacing);
         const slotX = contentX + 5;
         const slotW = crtW - 50;
-        const isSelected = selectedSave && selectedSave.id === save.id;
+        const isSelected = selectedSave && selectedSave.id === save.id && selectedSave.slot === save.slot;
 
         // Slot background
         ctx.fillStyle = isSelected ? COCKPIT_COLORS.PANEL_DETAIL : COCKPIT_COLORS.PANEL_BG;
@@ -244,20 +307,39 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
         ctx.font = `bold 12px ${fontLoader.getFontFamily('DigitalDisco')}`;
         ctx.fillStyle = isSelected ? COCKPIT_COLORS.SCREEN_TEXT_BRIGHT : COCKPIT_COLORS.SCREEN_TEXT;
         ctx.textAlign = 'left';
-        ctx.fillText(`${save.callsign || 'UNKNOWN'} | ${save.shipName || 'UNNAMED'}`, slotX + 12, slotY + 18);
+        if (save.error) {
+          // Save that can't be upgraded to the current format
+          ctx.fillText(`${save.saveName || 'UNKNOWN SAVE'}`, slotX + 12, slotY + 18);
+
+          ctx.font = `9px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+          ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+          if (save.timestamp) {
+            ctx.fillText(`DATE: ${new Date(save.timestamp).toLocaleString()}`, slotX + 12, slotY + 35);
+          }
+
+          ctx.fillStyle = COCKPIT_COLORS.LED_RED;
+          ctx.fillText(`CANNOT LOAD: ${save.error.toUpperCase()}`, slotX + 12, slotY + 50);
+        } else {
+          ctx.fillText(`${save.callsign || 'UNKNOWN'} | ${save.shipName || 'UNNAMED'}`, slotX + 12, slotY + 18);
+
+          ctx.font = `9px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+          ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
 
-        ctx.font = `9px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
-        ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+          const date = new Date(save.timestamp).toLocaleString();
+          ctx.fillText(`DATE: ${date}`, slotX + 12, slotY + 35);
 
-        const date = new Date(save.timestamp).toLocaleString();
-        ctx.fillText(`DATE: ${date}`, slotX + 12, slotY + 35);
+          ctx.fillText(`TIME: ${formatPlaytime(save.playtime)}`, slotX + 12, slotY + 50);
 
-        const playtime = save.playtime || 0;
-        const hours = Math.floor(playtime / 60);
-        const mins = playtime % 60;
-        ctx.fillText(`TIME: ${hours}h ${mins}m`, slotX + 12, slotY + 50);
+          ctx.fillText(`CREDITS: ${save.credits || 0}`, slotX + 250, slotY + 50);
 
-        ctx.fillText(`CREDITS: ${save.credits || 0}`, slotX + 250, slotY + 50);
+          if (save.ironman) {
+            ctx.font = `bold 10px ${fontLoader.getFontFamily('DigitalDisco')}`;
+            ctx.fillStyle = COCKPIT_COLORS.LED_RED;
+            ctx.textAlign = 'right';
+            ctx.fillText(save.permadeath ? 'IRONMAN | PERMADEATH' : 'IRONMAN', slotX + slotW - 12, slotY + 18);
+            ctx.textAlign = 'left';
+          }
+        }
 
         if (isSelected) {
           ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
@@ -289,7 +371,38 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     const newButtons = [];
 
     // Load button - 3D button
-    const loadEnabled = selectedSave !== null;
+    const loadEnabled = selectedSave !== null && !selectedSave.error;
+
+    // Explain why an unmigratable save can't be loaded
+    if (selectedSave && selectedSave.error) {
+      ctx.font = `bold 11px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.LED_RED;
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        `THIS SAVE CAN'T BE UPGRADED TO THE CURRENT VERSION: ${selectedSave.error.toUpperCase()}`,
+        centerX,
+        buttonY - 20
+      );
+    } else if (selectedSave && selectedSave.ironman) {
+      // Ironman runs have a single save - continue it, never roll it back
+      ctx.font = `bold 11px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.LED_RED;
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        `CONTINUE IRONMAN RUN FROM ${formatTimestamp(selectedSave.timestamp)} - NO ROLLBACK`,
+        centerX,
+        buttonY - 20
+      );
+    } else if (selectedSave && selectedSave.slot) {
+      ctx.font = `bold 11px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        `ROLL BACK TO ${triggerLabel(selectedSave)} AUTOSAVE FROM ${formatTimestamp(selectedSave.timestamp)}`,
+        centerX,
+        buttonY - 20
+      );
+    }
     const loadColor = loadEnabled ? '#2a1a0a' : '#1a120a';
     const loadButtonCanvas = generate3DButton(buttonW, buttonH, '[>] LOAD MISSION', {
       state: loadEnabled ? 'normal' : 'normal',
@@ -375,7 +488,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     setButtons(newButtons);
     setSaveSlots(newSaveSlots);
 
-  }, [savedGames, selectedSave, loading, scrollOffset]);  // PERFORMANCE: Removed animFrame and callback dependencies - use refs
+  }, [savedGames, autosaves, selectedSave, loading, scrollOffset]);  // PERFORMANCE: Removed animFrame and callback dependencies - use refs
 
   return (
     <CockpitFrame>
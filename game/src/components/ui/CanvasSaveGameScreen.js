@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState, useMemo } from 'react';
 import fontLoader from '../../utils/FontLoader';
 import CockpitFrame from './common/CockpitFrame';
+import GameStateManager from '../../utils/GameStateManager';
+import { summarizeSave } from '../../engine/SaveFormat';
 
 /**
  * CanvasSaveGameScreen - Enhanced with larger panels, 1px pixelation,
@@ -13,6 +15,7 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
   const [animFrame, setAnimFrame] = useState(0);
   const [saveName, setSaveName] = useState('');
   const [existingSaves, setExistingSaves] = useState([]);
+  const [storageUsage, setStorageUsage] = useState(null);
   const [error, setError] = useState('');
   const [saving, setSaving] = useState(false);
   const [buttons, setButtons] = useState([]);
@@ -21,6 +24,9 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
   // Memoize to prevent infinite re-renders
   const existingSavesCount = existingSaves.length;
 
+  // Display fields for the current game (gameData may be in any save format)
+  const summary = useMemo(() => summarizeSave(gameData), [gameData]);
+
   // Generate default save name
   useEffect(() => {
     const now = new Date();
@@ -31,21 +37,11 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
 
   // Load existing saves
   useEffect(() => {
-    const loadExistingSaves = () => {
+    const loadExistingSaves = async () => {
       try {
-        const saves = [];
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (key && key.startsWith('pixelversum_save_')) {
-            const saveData = JSON.parse(localStorage.getItem(key));
-            saves.push({
-              id: key.replace('pixelversum_save_', ''),
-              ...saveData,
-            });
-          }
-        }
-        saves.sort((a, b) => b.timestamp - a.timestamp);
+        const { saves, usage } = await GameStateManager.getAllSaves();
         setExistingSaves(saves);
+        setStorageUsage(usage);
       } catch (error) {
         console.error('Error loading saves:', error);
       }
@@ -133,11 +129,9 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
       const saveData = {
         name: saveName.trim(),
         timestamp: Date.now(),
-        ...gameData,
       };
 
-      localStorage.setItem(`pixelversum_save_${saveId}`, JSON.stringify(saveData));
-
+      // GameContainer writes the save (unified format) through GameStateManager
       if (onSave) {
         await onSave(saveId, saveData);
       }
@@ -238,6 +232,11 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
       }).replace(/\//g, '-');
     };
 
+    const formatBytes = (bytes) => {
+      if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+      return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    };
+
     const formatPlaytime = (minutes) => {
       const hours = Math.floor(minutes / 60);
       const mins = minutes % 60;
@@ -350,14 +349,14 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
 
     // Two-column compact layout
     const infoItems = [
-      { label: 'CALLSIGN:', value: gameData?.callsign || 'UNKNOWN' },
-      { label: 'VESSEL:', value: gameData?.shipName || 'UNNAMED' },
-      { label: 'PLAYTIME:', value: formatPlaytime(gameData?.playtime || 0) },
-      { label: 'SYSTEMS:', value: `${gameData?.systemsExplored || 0}` },
-      { label: 'CREDITS:', value: `${gameData?.credits || 0}` },
-      { label: 'STATUS:', value: gameData?.crewAlive ? 'OPERATIONAL' : 'CRITICAL' },
-      { label: 'GALAXY:', value: (gameData?.galaxySize || 'MEDIUM').toUpperCase() },
-      { label: 'DIFFICULTY:', value: (gameData?.difficulty || 'ADVENTURER').toUpperCase() },
+      { label: 'CALLSIGN:', value: summary.callsign || 'UNKNOWN' },
+      { label: 'VESSEL:', value: summary.shipName || 'UNNAMED' },
+      { label: 'PLAYTIME:', value: formatPlaytime(Math.floor((summary.playtime || 0) / 60000)) },
+      { label: 'SYSTEMS:', value: `${summary.systemsVisited || 0}` },
+      { label: 'CREDITS:', value: `${summary.credits || 0}` },
+      { label: 'STATUS:', value: summary.crewAlive ? 'OPERATIONAL' : 'CRITICAL' },
+      { label: 'GALAXY:', value: (summary.galaxySize || 'MEDIUM').toUpperCase() },
+      { label: 'DIFFICULTY:', value: (summary.difficulty || 'ADVENTURER').toUpperCase() },
     ];
 
     ctx.font = `11px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
@@ -397,8 +396,22 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
 
         ctx.font = `10px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
         ctx.fillStyle = '#8a6a4a';
-        ctx.fillText(`• ${save.name} - ${formatTimestamp(save.timestamp)}`, contentX, saveY);
+        // Per-slot quota: stored (compressed) size, uncompressed size in brackets
+        const size = save.storedSize !== undefined
+          ? ` - ${formatBytes(save.storedSize)} (${formatBytes(save.rawSize)} RAW)`
+          : '';
+        ctx.fillText(`• ${save.saveName} - ${formatTimestamp(save.timestamp)}${size}`, contentX, saveY);
       });
+
+      const totalStored = existingSaves.reduce((sum, save) => sum + (save.storedSize || 0), 0);
+      const quota = storageUsage && storageUsage.quota
+        ? ` OF ${formatBytes(storageUsage.quota)} AVAILABLE`
+        : '';
+      ctx.fillText(
+        `STORAGE: ${existingSaves.length} SAVES, ${formatBytes(totalStored)}${quota}`,
+        contentX,
+        yOffset + displaySaves.length * 16 + 6
+      );
     }
 
     // Hint at bottom of panel - compact
@@ -491,7 +504,7 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
     setButtons(newButtons);
 
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [animFrame, saveName, existingSavesCount, error, saving, inputFocused]);
+  }, [animFrame, saveName, existingSavesCount, storageUsage, error, saving, inputFocused]);
 
   return (
     <CockpitFrame>
@@ -2,6 +2,7 @@ import { useEffect, useRef, useState, useContext, useCallback, useMemo } from 'r
 import fontLoader from '../../utils/FontLoader';
 import CockpitFrame from './common/CockpitFrame';
 import { ThemeContext } from './ThemeContext';
+import GameStateManager from '../../utils/GameStateManager';
 import {
   generate3DBackgroundTexture,
   generate3DPanel,
@@ -46,11 +47,12 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     setCrtIntensity,
   } = useContext(ThemeContext);
 
+  // Settings from the last APPLY, read once
+  const [storedSettings] = useState(() => GameStateManager.loadSettings().settings || {});
+
   // PERFORMANCE: Use ref to avoid re-renders on every setting change
   const settingsRef = useRef({
     // Graphics
-    crtEffects: crtEnabled,
-    crtStrength: crtIntensity,
     pixelPerfect: true,
     vsync: true,
     screenShake: true,
@@ -73,12 +75,18 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     autoAim: false,
     // Gameplay
     autoSave: true,
-    autoSaveInterval: 5,
+    autoSaveInterval: 5, // Minutes
+    autoSaveSlots: 5, // Autosaves kept for rollback
+    cloudSync: false,
     showTutorials: true,
     pauseOnLostFocus: true,
     difficultyIndicators: true,
     damageNumbers: true,
     minimapSize: 100,
+    ...storedSettings,
+    // CRT options are owned by ThemeContext
+    crtEffects: crtEnabled,
+    crtStrength: crtIntensity,
   });
   const [renderKey, setRenderKey] = useState(0); // PERFORMANCE: Only re-render when explicitly requested
 
@@ -509,6 +517,7 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     } else if (activeTab === 'gameplay') {
       const gameplaySettings = [
         { key: 'autoSave', label: 'Auto-Save' },
+        { key: 'cloudSync', label: 'Cloud Save Sync' },
         { key: 'showTutorials', label: 'Show Tutorials' },
         { key: 'pauseOnLostFocus', label: 'Pause When Unfocused' },
         { key: 'difficultyIndicators', label: 'Difficulty Indicators' },
@@ -530,6 +539,50 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
 
         yOffset += 25;
       });
+
+      yOffset += 20;
+
+      const autosaveSliders = [
+        { key: 'autoSaveInterval', label: 'Auto-Save Interval', min: 1, max: 30, unit: 'MIN' },
+        { key: 'autoSaveSlots', label: 'Auto-Save History', min: 2, max: 10, unit: 'SAVES' },
+      ];
+
+      autosaveSliders.forEach(setting => {
+        ctx.font = `22px ${fontLoader.getFontFamily('DigitalDisco')}`;
+        ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+        ctx.fillText(`${setting.label}:`, contentX, yOffset);
+        yOffset += 22;
+
+        const sliderX = contentX + 10;
+        const sliderW = 300;
+        const sliderY = yOffset;
+        const value = settingsRef.current[setting.key];
+
+        ctx.fillStyle = COCKPIT_COLORS.PANEL_BG;
+        ctx.fillRect(sliderX, sliderY, sliderW, 8);
+
+        const fillW = (sliderW * (value - setting.min)) / (setting.max - setting.min);
+        ctx.fillStyle = COCKPIT_COLORS.LED_AMBER;
+        ctx.fillRect(sliderX, sliderY, fillW, 8);
+
+        ctx.fillStyle = COCKPIT_COLORS.TEXT_BRIGHT;
+        ctx.fillRect(sliderX + fillW - 4, sliderY - 4, 8, 16);
+
+        ctx.font = `20px ${fontLoader.getFontFamily('DigitalDisco')}`;
+        ctx.fillText(`${value} ${setting.unit}`, sliderX + sliderW + 15, sliderY + 8);
+
+        newSliders.push({
+          x: sliderX,
+          y: sliderY + 4,
+          width: sliderW,
+          min: setting.min,
+          max: setting.max,
+          value,
+          onChange: (val) => updateSetting(setting.key, Math.round(val)),
+        });
+
+        yOffset += 35;
+      });
     }
 
     const totalContentHeight = yOffset - crtY + scrollOffset;
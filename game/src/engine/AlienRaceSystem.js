@@ -1,6 +1,11 @@
 /**
  * Alien Race System
  * Manages different alien races, their relationships, ship types, and behaviors
+ *
+ * Each race is a FactionSystem faction (see FactionSystem.getRaceFaction), so
+ * the player's standing with a race, its territory and its relations with
+ * other powers (DiplomacySystem) live there. This system reads them on the
+ * race's -100..100 reputation scale.
  */
 
 export const ALIEN_RACES = {
@@ -426,22 +431,16 @@ export const ALIEN_RACES = {
 };
 
 export class AlienRaceSystem {
-  constructor() {
+  constructor(game) {
+    this.game = game;
     this.races = ALIEN_RACES;
-    this.reputations = {}; // Player's reputation with each race
-    this.initializeReputations();
   }
 
   /**
-   * Initialize reputation values for all races
+   * Faction id of a race
    */
-  initializeReputations() {
-    for (const raceId in this.races) {
-      const race = this.races[raceId];
-      // Start with neutral reputation based on race's default relationship
-      this.reputations[race.id] = race.relationship === 'friendly' ? 50 :
-                                    race.relationship === 'hostile' ? -50 : 0;
-    }
+  getFactionId(raceId) {
+    return this.game.factionSystem.getRaceFaction(raceId);
   }
 
   /**
@@ -480,56 +479,54 @@ export class AlienRaceSystem {
   }
 
   /**
-   * Get current reputation with a race
+   * Get current reputation with a race (-100..100)
    */
   getReputation(raceId) {
-    return this.reputations[raceId] || 0;
+    const faction = this.game.factionSystem.factions[this.getFactionId(raceId)];
+    return faction ? (faction.reputation - 50) * 2 : 0;
   }
 
   /**
    * Modify reputation with a race
    */
   modifyReputation(raceId, amount) {
-    if (!this.reputations[raceId]) {
-      this.reputations[raceId] = 0;
-    }
-    this.reputations[raceId] = Math.max(-100, Math.min(100, this.reputations[raceId] + amount));
-
-    // Check for relationship changes
-    this.updateRelationship(raceId);
-
-    return this.reputations[raceId];
+    this.game.factionSystem.modifyReputation(this.getFactionId(raceId), amount / 2);
+    return this.getReputation(raceId);
   }
 
   /**
-   * Update relationship based on reputation
+   * Get relationship status toward the player (from the race faction's attitude)
    */
-  updateRelationship(raceId) {
+  getRelationshipStatus(raceId) {
     const race = this.races[raceId];
-    const rep = this.reputations[raceId];
-
-    if (rep >= 70) {
-      race.currentRelationship = 'friendly';
-    } else if (rep >= 20) {
-      race.currentRelationship = 'neutral';
-    } else if (rep >= -20) {
-      race.currentRelationship = 'cautious';
-    } else {
-      race.currentRelationship = 'hostile';
+    if (!race) {
+      return 'neutral'; // Default fallback
     }
+    const factionId = this.getFactionId(raceId);
+    if (!factionId) return race.relationship;
+
+    const attitude = this.game.factionSystem.getRelation(factionId);
+    return attitude === 'allied' ? 'friendly' : attitude === 'unfriendly' ? 'cautious' : attitude;
   }
 
   /**
-   * Get relationship status (considers both base and current reputation)
+   * Relation between two races (war, hostile .. allied - see DiplomacySystem)
    */
-  getRelationshipStatus(raceId) {
-    const race = this.races[raceId];
-    if (!race) {
-      return 'neutral'; // Default fallback
-    }
-    const rep = this.reputations[raceId];
+  getRaceRelation(raceA, raceB) {
+    const diplomacy = this.game.diplomacySystem;
+    return diplomacy ? diplomacy.getRelation(this.getFactionId(raceA), this.getFactionId(raceB)) : 'neutral';
+  }
 
-    return race.currentRelationship || race.relationship;
+  /**
+   * Race of a ship met in a system - mostly the race holding it
+   */
+  getRaceForSystem(systemIndex, systemData) {
+    const owner = this.game.factionSystem.getFaction(this.game.factionSystem.getSystemFaction(systemIndex, systemData));
+    const raceId = owner && (owner.race || null);
+    if (raceId && this.races[raceId] && Math.random() < 0.7) {
+      return this.races[raceId];
+    }
+    return this.getRandomRace();
   }
 
   /**
@@ -631,22 +628,23 @@ export class AlienRaceSystem {
 
   /**
    * Serialize for saving
+   * Standing with the races is saved with the factions.
    */
   serialize() {
-    return {
-      reputations: { ...this.reputations }
-    };
+    return {};
   }
 
   /**
    * Deserialize from saved data
+   * Saves from before the races became factions kept their own reputations.
    */
   deserialize(data) {
-    if (data.reputations) {
-      this.reputations = { ...data.reputations };
-      // Update relationships based on loaded reputations
-      for (const raceId in this.reputations) {
-        this.updateRelationship(raceId);
+    if (data && data.reputations) {
+      for (const [raceId, reputation] of Object.entries(data.reputations)) {
+        const faction = this.game.factionSystem.factions[this.getFactionId(raceId)];
+        if (!faction || faction.race !== raceId) continue;
+        faction.reputation = 50 + reputation / 2;
+        this.game.factionSystem.modifyReputation(raceId, 0);
       }
     }
   }
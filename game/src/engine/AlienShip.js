@@ -193,14 +193,22 @@ export class AlienShip {
 
     if (this.swarmBehavior) {
       this.updateSwarmAI(dt, player, allEnemies);
+    } else if (this.customsPatrol && !this.isHostile) {
+      // Customs patrol closing in to scan - holds fire
+      this.aiState = 'escort';
+      if (dist > 200) {
+        this.approach(dt, player);
+      } else {
+        this.patrol(dt);
+      }
     } else {
       // Standard AI
       if (hpPercent < this.evadeThreshold && this.aiState !== 'evade') {
         this.aiState = 'evade';
         this.aiTimer = 0;
-      } else if (dist < this.engageRange) {
+      } else if (dist < this.engageRange * (player.signature ?? 1)) {
         this.aiState = 'engage';
-      } else if (dist < this.detectionRange) {
+      } else if (dist < this.detectionRange * (player.signature ?? 1)) {
         this.aiState = 'approach';
       } else {
         this.aiState = 'patrol';
@@ -467,6 +475,11 @@ export class AlienShip {
     this.hp -= amount;
     this.damageFlash = 0.2;
 
+    // Customs patrols fire back once attacked
+    if (this.customsPatrol) {
+      this.isHostile = true;
+    }
+
     if (this.hp <= 0) {
       this.isDead = true;
     }
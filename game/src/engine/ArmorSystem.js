@@ -17,6 +17,7 @@ export class ArmorSystem {
     this.maxArmorPoints = 0;
     this.armorRating = 0; // Overall damage reduction %
     this.regenerationRate = 0; // HP per second
+    this.modifyStat = (stat, value) => value; // Item effects hook (ItemEffectSystem)
   }
 
   /**
@@ -199,6 +200,28 @@ export class ArmorSystem {
     this.armorRating = Math.min(0.9, this.armorRating);
   }
 
+  /**
+   * Serialize armor plates for saving
+   */
+  serialize() {
+    return {
+      plates: this.plates.map(plate => ({ ...plate }))
+    };
+  }
+
+  /**
+   * Load armor plates from saved data
+   */
+  deserialize(data) {
+    if (!data || !Array.isArray(data.plates)) return;
+
+    this.plates = data.plates.map(saved => ({
+      ...this.createArmorPlate(saved.type, saved.tier || 1),
+      ...saved
+    }));
+    this.recalculateArmorStats();
+  }
+
   /**
    * Process incoming damage through armor system
    * Returns actual damage to apply to hull
@@ -231,7 +254,8 @@ export class ArmorSystem {
     const effectiveResistance = resistance * (1.0 - Math.min(0.9, armorPenetration * 0.5));
 
     // Calculate damage reduction from armor rating
-    const damageReduction = this.armorRating * effectiveResistance;
+    const armorRating = Math.min(0.9, this.modifyStat('armorRating', this.armorRating));
+    const damageReduction = armorRating * effectiveResistance;
 
     // Apply armor
     const reducedDamage = damage * (1.0 - damageReduction);
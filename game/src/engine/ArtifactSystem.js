@@ -1,7 +1,18 @@
+// Assembled artifact effect types and the ship stats they modify
+const EFFECT_STATS = {
+  speed: 'speed',
+  weapons: 'weaponDamage',
+  damage: 'weaponDamage',
+  defense: 'shieldRegen',
+  scanning: 'sensorRange',
+  warp: 'fuelUse' // Hyperdrive coil halves fuel use
+};
+
 export class ArtifactSystem {
   constructor() {
     this.discoveredArtifacts = [];
     this.assembledArtifacts = [];
+    this.onChange = () => {}; // Assembled artifacts changed (ShipStats hook)
     
     this.artifactTypes = [
       { id: 'quantum_core', name: 'Quantum Processing Core', rarity: 0.95, value: 5000, effect: { type: 'speed', value: 1.2 }, pieces: 3 },
@@ -60,13 +71,37 @@ export class ArtifactSystem {
     });
 
     this.discoveredArtifacts = this.discoveredArtifacts.filter(a => a.typeId !== typeId);
+    this.onChange();
     return { success: true, message: 'Assembled ' + type.name + '!', artifact: this.assembledArtifacts[this.assembledArtifacts.length - 1] };
   }
 
+  serialize() {
+    return {
+      discovered: this.discoveredArtifacts.map(a => ({ ...a })),
+      assembled: this.assembledArtifacts.map(a => ({ ...a }))
+    };
+  }
+
+  deserialize(data) {
+    if (!data) return;
+    this.discoveredArtifacts = data.discovered || [];
+    this.assembledArtifacts = data.assembled || [];
+    this.onChange();
+  }
+
   getActiveEffects() {
     return this.assembledArtifacts.map(a => ({ name: a.name, effect: a.effect, curse: a.curse }));
   }
 
+  /**
+   * Ship stat modifiers of the assembled artifacts (ShipStats)
+   */
+  getModifiers() {
+    return this.assembledArtifacts
+      .filter(a => EFFECT_STATS[a.effect.type])
+      .map(a => ({ stat: EFFECT_STATS[a.effect.type], op: 'mul', value: a.effect.value, source: a.name }));
+  }
+
   getInventory() {
     const grouped = {};
     this.discoveredArtifacts.forEach(a => {
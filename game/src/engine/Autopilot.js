@@ -0,0 +1,390 @@
+/**
+ * Autopilot - In-system navigation computer
+ *
+ * Flies the ship to a target in the current system: a planet, a station, an
+ * asteroid belt or a Lagrange point of a planet (AdvancedPhysics.calculateLagrangePoints).
+ * It steers through the same thrust and rotation inputs the player uses, so
+ * fuel, power and engine effects work as in manual flight. The flight:
+ * - ALIGN / BURN / COAST / BRAKE - burns toward the target, capped at the speed
+ *   the main engine can still brake from, steering around the star, other
+ *   planets and environmental hazards (EnvironmentalHazards)
+ * - INSERT - at a planet, the circularisation burn from
+ *   InertialMovement.calculateOrbitalInsertion, then the orbit is handed to
+ *   Game.enterOrbit
+ * - HOLD - at a Lagrange point, station keeping through
+ *   InertialMovement.maintainLagrangePosition until cancelled
+ * Planet targets also show the Hohmann transfer (InertialMovement.calculateHohmannTransfer)
+ * between the ship's and the planet's orbits around the star.
+ *
+ * Any flight input from the player takes back control.
+ */
+
+const CRUISE_SPEED = 350; // Top approach speed (manual flight caps at 400)
+const ENGINE_ACCEL = 300; // Main engine acceleration at full thrust (PhysicsEngine)
+const BRAKE_MARGIN = 0.5; // Share of the engine's braking the approach plans on
+const ALIGN_TOLERANCE = 0.25; // Heading error (rad) under which the engine fires
+const SPEED_TOLERANCE = 6; // Velocity error left to coast on
+const ARRIVE_SPEED = 20; // Relative speed that counts as arrived
+const INSERTION_TOLERANCE = 10; // Insertion delta-v left when the orbit is handed over
+const STAR_CLEARANCE = 4; // Star radii the flight path keeps clear of
+const PLANET_CLEARANCE = 2.5; // Planet radii the flight path keeps clear of
+
+export class Autopilot {
+  constructor(game) {
+    this.game = game;
+
+    this.target = null; // {kind, name, ref, point}
+    this.phase = null;
+    this.readout = null; // Last frame's flight data for the HUD
+    this.plan = null; // Burn plan of the target (Hohmann transfer, insertion)
+
+    game.events.on('systemEntered', () => this.disengage());
+    game.events.on('docked', () => this.disengage());
+  }
+
+  get active() {
+    return this.target !== null;
+  }
+
+  /**
+   * Everything in the current system the autopilot can fly to, nearest first
+   */
+  getTargets() {
+    const game = this.game;
+    const p = game.player;
+    if (!game.star) return [];
+
+    const targets = [];
+    for (const planet of game.planets || []) {
+      targets.push({ kind: 'planet', name: planet.name || 'Planet', ref: planet });
+    }
+    for (const planet of game.planets || []) {
+      for (const point of ['L4', 'L5']) {
+        targets.push({ kind: 'lagrange', name: `${planet.name || 'Planet'} ${point}`, ref: planet, point });
+      }
+    }
+    for (const station of game.stations || []) {
+      if (!station.destroyed) targets.push({ kind: 'station', name: station.name || 'Station', ref: station });
+    }
+    (game.asteroidBelts || []).forEach((belt, index) => {
+      targets.push({ kind: 'belt', name: `Asteroid Belt ${index + 1}`, ref: belt });
+    });
+
+    for (const target of targets) {
+      const state = this.getTargetState(target);
+      target.distance = Math.hypot(state.x - p.x, state.y - p.y);
+    }
+    return targets.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Where a target is now and how it moves
+   * @returns {{x, y, vx, vy, radius, arriveRadius}}
+   */
+  getTargetState(target) {
+    const star = this.game.star;
+    const orbiting = (body) => {
+      const angularSpeed = body.orbitSpeed || 0;
+      return {
+        x: star.x + Math.cos(body.angle) * body.distance,
+        y: star.y + Math.sin(body.angle) * body.distance,
+        vx: -Math.sin(body.angle) * body.distance * angularSpeed,
+        vy: Math.cos(body.angle) * body.distance * angularSpeed
+      };
+    };
+
+    switch (target.kind) {
+      case 'planet': {
+        const radius = target.ref.radius || 50;
+        return { ...orbiting(target.ref), radius, arriveRadius: radius * 3 };
+      }
+      case 'station':
+        return { ...orbiting(target.ref), radius: 40, arriveRadius: 150 };
+      case 'lagrange': {
+        const planet = { ...orbiting(target.ref), mass: target.ref.mass || 1000 };
+        const point = this.game.advancedPhysics.calculateLagrangePoints(star, planet)[target.point];
+        const offset = target.point === 'L4' ? Math.PI / 3 : -Math.PI / 3;
+        const angle = target.ref.angle + offset;
+        const angularSpeed = target.ref.orbitSpeed || 0;
+        return {
+          x: point.x,
+          y: point.y,
+          vx: -Math.sin(angle) * target.ref.distance * angularSpeed,
+          vy: Math.cos(angle) * target.ref.distance * angularSpeed,
+          radius: 0,
+          arriveRadius: 60
+        };
+      }
+      case 'belt': {
+        // The point of the belt ring nearest the ship
+        const p = this.game.player;
+        const angle = Math.atan2(p.y - star.y, p.x - star.x);
+        return {
+          x: star.x + Math.cos(angle) * target.ref.distance,
+          y: star.y + Math.sin(angle) * target.ref.distance,
+          vx: 0,
+          vy: 0,
+          radius: 0,
+          arriveRadius: 150
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Take the helm and fly to a target
+   */
+  engage(target) {
+    const p = this.game.player;
+    if (this.game.scene !== 'system' || !this.game.star) return { success: false, message: 'Autopilot only works in a star system' };
+    if (p.landed) return { success: false, message: 'Launch before engaging the autopilot' };
+    if (p.fuel <= 0) return { success: false, message: 'No fuel for the autopilot' };
+
+    p.inOrbit = false;
+    p.orbitingBody = null;
+    this.target = target;
+    this.phase = 'ALIGN';
+    this.plan = this.planBurns(target);
+    return { success: true, message: `Autopilot engaged: ${target.name}` };
+  }
+
+  disengage(reason = null) {
+    if (!this.target) return;
+    this.target = null;
+    this.phase = null;
+    this.readout = null;
+    this.plan = null;
+    this.game.input.thrust = 0;
+    this.game.input.rotation = 0;
+    if (reason) this.game.showNotification(reason, 'info');
+  }
+
+  /**
+   * Burn plan shown on the HUD: the Hohmann transfer between the ship's and a
+   * planet's orbit around the star
+   */
+  planBurns(target) {
+    if (target.kind !== 'planet' && target.kind !== 'lagrange') return null;
+    const star = this.game.star;
+    const p = this.game.player;
+    const shipRadius = Math.hypot(p.x - star.x, p.y - star.y);
+    const transfer = this.game.inertialSystem
+      ? this.game.inertialSystem.calculateHohmannTransfer(shipRadius, target.ref.distance, star.mass || 1000)
+      : null;
+    return transfer ? { transferDeltaV: transfer.totalDeltaV, transferTime: transfer.transferTime } : null;
+  }
+
+  /**
+   * Steer for this frame (after the player's input has been read)
+   */
+  update(dt) {
+    if (!this.target) return;
+    const game = this.game;
+    const p = game.player;
+    const input = game.input;
+
+    // The player's hands on the controls cancel the autopilot
+    if (input.thrust !== 0 || input.rotation !== 0 || input.brake || (input.touch && input.touch.active)) {
+      this.disengage('Autopilot disengaged: manual control');
+      return;
+    }
+    if (p.landed || p.docked || game.scene !== 'system') {
+      this.disengage();
+      return;
+    }
+    if (p.fuel <= 0) {
+      this.disengage('Autopilot disengaged: out of fuel');
+      return;
+    }
+
+    const target = this.getTargetState(this.target);
+    const dx = target.x - p.x;
+    const dy = target.y - p.y;
+    const distance = Math.hypot(dx, dy);
+    const relVx = p.vx - target.vx;
+    const relVy = p.vy - target.vy;
+    const closingSpeed = distance > 0 ? (relVx * dx + relVy * dy) / distance : 0;
+    const relSpeed = Math.hypot(relVx, relVy);
+
+    this.readout = {
+      distance,
+      closingSpeed,
+      eta: closingSpeed > 1 ? distance / closingSpeed : null,
+      x: target.x,
+      y: target.y
+    };
+
+    if (this.phase === 'HOLD') {
+      this.holdPosition(target);
+      return;
+    }
+    if (this.phase === 'INSERT') {
+      this.insertOrbit(target);
+      return;
+    }
+
+    // Arrived: settle according to the target
+    if (distance <= target.arriveRadius && relSpeed < ARRIVE_SPEED) {
+      if (this.target.kind === 'planet') {
+        this.phase = 'INSERT';
+      } else if (this.target.kind === 'lagrange') {
+        this.phase = 'HOLD';
+        game.showNotification(`Holding position at ${this.target.name}`, 'success');
+      } else {
+        p.vx = target.vx;
+        p.vy = target.vy;
+        this.disengage(`Autopilot: arrived at ${this.target.name}`);
+      }
+      return;
+    }
+
+    // Approach speed the engine can still brake from, toward the target
+    const brakeDistance = Math.max(0, distance - target.arriveRadius);
+    const approachSpeed = Math.min(CRUISE_SPEED, Math.sqrt(2 * ENGINE_ACCEL * BRAKE_MARGIN * brakeDistance));
+    const heading = this.avoidObstacles(p, Math.atan2(dy, dx), distance);
+
+    const desiredVx = target.vx + Math.cos(heading) * approachSpeed;
+    const desiredVy = target.vy + Math.sin(heading) * approachSpeed;
+    this.steer(desiredVx - p.vx, desiredVy - p.vy, dx, dy);
+  }
+
+  /**
+   * Turn toward a velocity change and burn once aligned
+   * (dx, dy: direction to the target, to tell burns from braking)
+   */
+  steer(dvx, dvy, dx, dy) {
+    const p = this.game.player;
+    const input = this.game.input;
+    const dv = Math.hypot(dvx, dvy);
+
+    if (dv < SPEED_TOLERANCE) {
+      input.thrust = 0;
+      input.rotation = 0;
+      this.phase = 'COAST';
+      return;
+    }
+
+    let error = Math.atan2(dvy, dvx) - p.rotation;
+    while (error > Math.PI) error -= Math.PI * 2;
+    while (error < -Math.PI) error += Math.PI * 2;
+
+    input.rotation = Math.max(-1, Math.min(1, error * 3 - p.rotationVel * 0.5));
+    if (Math.abs(error) < ALIGN_TOLERANCE) {
+      input.thrust = Math.min(1, Math.max(0.2, dv / 60));
+      this.phase = dvx * dx + dvy * dy >= 0 ? 'BURN' : 'BRAKE';
+    } else {
+      input.thrust = 0;
+      this.phase = 'ALIGN';
+    }
+  }
+
+  /**
+   * Bend a heading around whatever lies on the way: the star, other planets,
+   * environmental hazards
+   */
+  avoidObstacles(p, heading, distance) {
+    const game = this.game;
+    const obstacles = [{ x: game.star.x, y: game.star.y, clearance: (game.star.radius || 500) * STAR_CLEARANCE }];
+    for (const planet of game.planets || []) {
+      if (planet === this.target.ref) continue;
+      obstacles.push({
+        x: game.star.x + Math.cos(planet.angle) * planet.distance,
+        y: game.star.y + Math.sin(planet.angle) * planet.distance,
+        clearance: (planet.radius || 50) * PLANET_CLEARANCE
+      });
+    }
+    for (const hazard of (game.environmentalHazards && game.environmentalHazards.hazards) || []) {
+      obstacles.push({ x: hazard.x, y: hazard.y, clearance: hazard.radius });
+    }
+
+    const dirX = Math.cos(heading);
+    const dirY = Math.sin(heading);
+    let steerX = 0;
+    let steerY = 0;
+
+    for (const obstacle of obstacles) {
+      const ox = obstacle.x - p.x;
+      const oy = obstacle.y - p.y;
+      const along = ox * dirX + oy * dirY;
+      if (along <= 0 || along > distance) continue; // Behind the ship or past the target
+
+      // Closest approach of the straight path, and which side to pass on
+      const across = ox * -dirY + oy * dirX;
+      if (Math.abs(across) >= obstacle.clearance) continue;
+
+      const side = across >= 0 ? -1 : 1;
+      const push = (obstacle.clearance - Math.abs(across)) / obstacle.clearance;
+      steerX += -dirY * side * push;
+      steerY += dirX * side * push;
+    }
+
+    if (steerX === 0 && steerY === 0) return heading;
+    return Math.atan2(dirY + steerY * 3, dirX + steerX * 3);
+  }
+
+  /**
+   * Circularisation burn at a planet, then hand the orbit to the game
+   */
+  insertOrbit(target) {
+    const game = this.game;
+    const p = game.player;
+    const inertial = game.inertialSystem;
+    const planet = this.target.ref;
+
+    if (!inertial) {
+      game.enterOrbit('planet', planet, target.x, target.y);
+      this.disengage();
+      return;
+    }
+
+    // The insertion helper works on the inertial model: bring it up to date,
+    // in the planet's frame since the planet moves along its own orbit
+    inertial.position.x = p.x;
+    inertial.position.y = p.y;
+    inertial.velocity.x = p.vx - target.vx;
+    inertial.velocity.y = p.vy - target.vy;
+    const mass = planet.mass || (target.radius * target.radius * 0.5); // As Game.enterOrbit
+    const insertion = inertial.calculateOrbitalInsertion(target.x, target.y, mass, game.advancedPhysics.G);
+    this.plan = { ...this.plan, insertionDeltaV: insertion.deltaV };
+
+    if (insertion.deltaV < INSERTION_TOLERANCE) {
+      game.input.thrust = 0;
+      game.input.rotation = 0;
+      game.enterOrbit('planet', planet, target.x, target.y);
+      this.disengage(`Autopilot: orbit established around ${this.target.name}`);
+      return;
+    }
+
+    this.steer(Math.cos(insertion.angle) * insertion.deltaV, Math.sin(insertion.angle) * insertion.deltaV, 0, 0);
+    this.phase = 'INSERT';
+  }
+
+  /**
+   * Station keeping at a Lagrange point
+   */
+  holdPosition(target) {
+    const game = this.game;
+    const p = game.player;
+    const inertial = game.inertialSystem;
+    game.input.thrust = 0;
+    game.input.rotation = 0;
+
+    // Move with the point, and let the station keeping correct the drift
+    p.vx = target.vx;
+    p.vy = target.vy;
+    if (!inertial) return;
+
+    inertial.position.x = p.x;
+    inertial.position.y = p.y;
+    inertial.velocity.x = p.vx;
+    inertial.velocity.y = p.vy;
+    const correction = inertial.maintainLagrangePosition(target.x, target.y, 2);
+    p.vx = inertial.velocity.x;
+    p.vy = inertial.velocity.y;
+    if (correction.active) {
+      p.fuel = Math.max(0, p.fuel - correction.correctionApplied * 0.02);
+    }
+  }
+}
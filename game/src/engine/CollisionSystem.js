@@ -1,13 +1,31 @@
 /**
  * Comprehensive Collision and Heat Damage System
  * Handles all collisions and environmental damage in the game
+ *
+ * Collisions of the player's ship are reported on the event bus
+ * (shipCollided) and their particles requested (collisionEffect); Game owns
+ * the ship and the particles and applies both.
  */
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { FRACTURE_SIZE } from './MiningSystem.js';
+
+// Particles of collision effects (collisionEffect): speed, lifetime and size
+// ranges, position jitter and the colours picked from (else the event's)
+export const COLLISION_EFFECTS = {
+  spark: { speed: [50, 200], maxLife: [0.2, 0.6], size: [1, 4], spread: 10 },
+  debris: { speed: [50, 150], maxLife: [1, 3], size: [2, 6], colors: ['#aa8866'] },
+  ice_debris: { speed: [60, 180], maxLife: [1, 3.5], size: [2, 7], colors: ['#aaddff', '#ffffff'] },
+  explosion: { speed: [100, 300], maxLife: [0.4, 1.2], size: [2, 8], colors: ['#ffff00', '#ff4400'] },
+  blackhole_death: { speed: [15, 60], maxLife: [0.6, 1.8], size: [1, 5], colors: ['#8844ff', '#4400ff'] } // Spirals inward
+};
 
 export class CollisionSystem {
   constructor(game) {
     this.game = game;
     this.collisionPairs = [];
     this.heatDamageRate = 10; // Damage per second at max heat
+    this.contacts = new Set(); // What the ship touched last frame
+    this.touching = new Set(); // ... and this frame
   }
 
   /**
@@ -78,23 +96,21 @@ export class CollisionSystem {
   /**
    * Handle player collision with asteroid
    */
-  handleAsteroidCollision(player, asteroidPos, asteroid, particles) {
+  handleAsteroidCollision(player, asteroidPos, asteroid) {
     // Calculate collision damage based on relative velocity
     const impactSpeed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
 
     // Damage based on impact speed and asteroid size
     const damage = Math.min(impactSpeed * 0.05, 15);
 
-    // Apply damage to player
-    if (player.shieldActive && player.shields > 0) {
-      player.shields -= damage;
-      // Shield hit effect
-      this.game.createShieldImpact(player.x, player.y);
-    } else {
-      player.hull -= damage;
-      // Hull hit sparks
-      this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 10);
-    }
+    // Damage, bounce and camera shake for the ship
+    this.reportShipCollision('asteroid', asteroid, {
+      damage,
+      angle: Math.atan2(player.y - asteroidPos.y, player.x - asteroidPos.x),
+      impulse: impactSpeed * 0.2,
+      shake: Math.min(damage / 5, 8),
+      sparks: 10
+    });
 
     // Damage asteroid
     if (!asteroid.hp) asteroid.hp = asteroid.size * 10;
@@ -102,35 +118,26 @@ export class CollisionSystem {
 
     // Break asteroid apart if destroyed
     if (asteroid.hp <= 0) {
-      this.breakAsteroid(asteroid, asteroidPos, particles);
+      this.breakAsteroid(asteroid, asteroidPos);
     }
 
-    // Bounce effect
-    const angle = Math.atan2(player.y - asteroidPos.y, player.x - asteroidPos.x);
-    const bounceForce = impactSpeed * 0.2;
-    player.vx += Math.cos(angle) * bounceForce;
-    player.vy += Math.sin(angle) * bounceForce;
-
-    // Camera shake
-    this.game.camera.shake = Math.min(damage / 5, 8);
-
     return damage;
   }
 
   /**
    * Handle player collision with comet
    */
-  handleCometCollision(player, cometPos, comet, particles) {
+  handleCometCollision(player, cometPos, comet) {
     const impactSpeed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
     const damage = Math.min(impactSpeed * 0.04, 12);
 
-    if (player.shieldActive && player.shields > 0) {
-      player.shields -= damage;
-      this.game.createShieldImpact(player.x, player.y);
-    } else {
-      player.hull -= damage;
-      this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 10);
-    }
+    this.reportShipCollision('comet', comet, {
+      damage,
+      angle: Math.atan2(player.y - cometPos.y, player.x - cometPos.x),
+      impulse: impactSpeed * 0.15,
+      shake: Math.min(damage / 5, 8),
+      sparks: 10
+    });
 
     // Damage comet
     if (!comet.hp) comet.hp = 50;
@@ -138,49 +145,35 @@ export class CollisionSystem {
 
     // Break comet apart if destroyed
     if (comet.hp <= 0) {
-      this.breakComet(comet, cometPos, particles);
+      this.breakComet(comet, cometPos);
     }
 
-    // Bounce
-    const angle = Math.atan2(player.y - cometPos.y, player.x - cometPos.x);
-    player.vx += Math.cos(angle) * impactSpeed * 0.15;
-    player.vy += Math.sin(angle) * impactSpeed * 0.15;
-
-    this.game.camera.shake = Math.min(damage / 5, 8);
-
     return damage;
   }
 
   /**
    * Handle player collision with station
    */
-  handleStationCollision(player, stationPos, station, particles) {
+  handleStationCollision(player, stationPos, station) {
     const impactSpeed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
 
-    // Stations are massive - heavy damage to player
+    // Stations are massive - heavy damage to player, hard bounce
     const damage = Math.min(impactSpeed * 0.1, 25);
 
-    if (player.shieldActive && player.shields > 0) {
-      player.shields -= damage;
-      this.game.createShieldImpact(player.x, player.y);
-    } else {
-      player.hull -= damage;
-      this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 15);
-    }
+    this.reportShipCollision('station', station, {
+      damage,
+      angle: Math.atan2(player.y - stationPos.y, player.x - stationPos.x),
+      impulse: impactSpeed * 0.3,
+      shake: Math.min(damage / 5, 15),
+      sparks: 15
+    });
 
     // Damage station
     if (!station.hp) station.hp = 500;
     station.hp -= damage * 0.5;
 
     // Station hit effect
-    this.createCollisionSparks(stationPos.x, stationPos.y, particles, '#ff8800', 12);
-
-    // Hard bounce
-    const angle = Math.atan2(player.y - stationPos.y, player.x - stationPos.x);
-    player.vx += Math.cos(angle) * impactSpeed * 0.3;
-    player.vy += Math.sin(angle) * impactSpeed * 0.3;
-
-    this.game.camera.shake = Math.min(damage / 5, 15);
+    this.spawnEffect('spark', stationPos.x, stationPos.y, 12, '#ff8800');
 
     return damage;
   }
@@ -188,21 +181,25 @@ export class CollisionSystem {
   /**
    * Handle player collision with enemy ship
    */
-  handleEnemyCollision(player, enemy, particles) {
+  handleEnemyCollision(player, enemy) {
     const relativeVelX = player.vx - enemy.vx;
     const relativeVelY = player.vy - enemy.vy;
     const impactSpeed = Math.sqrt(relativeVelX * relativeVelX + relativeVelY * relativeVelY);
 
     const damage = Math.min(impactSpeed * 0.08, 20);
 
+    // Mutual bounce (ships push each other)
+    const angle = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+    const bounceForce = impactSpeed * 0.3;
+
     // Damage both ships
-    if (player.shieldActive && player.shields > 0) {
-      player.shields -= damage;
-      this.game.createShieldImpact(player.x, player.y);
-    } else {
-      player.hull -= damage;
-      this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 12);
-    }
+    this.reportShipCollision('ship', enemy, {
+      damage,
+      angle,
+      impulse: bounceForce,
+      shake: Math.min(damage / 4, 12),
+      sparks: 12
+    });
 
     // Damage enemy
     if (enemy.takeDamage) {
@@ -215,47 +212,22 @@ export class CollisionSystem {
     if (enemy.shields && enemy.shields > 0) {
       this.game.createShieldImpact(enemy.x, enemy.y);
     } else {
-      this.createCollisionSparks(enemy.x, enemy.y, particles, '#ff6600', 12);
+      this.spawnEffect('spark', enemy.x, enemy.y, 12, '#ff6600');
     }
 
-    // Mutual bounce (ships push each other)
-    const angle = Math.atan2(player.y - enemy.y, player.x - enemy.x);
-    const bounceForce = impactSpeed * 0.3;
-    player.vx += Math.cos(angle) * bounceForce;
-    player.vy += Math.sin(angle) * bounceForce;
     enemy.vx -= Math.cos(angle) * bounceForce * 0.3;
     enemy.vy -= Math.sin(angle) * bounceForce * 0.3;
 
-    this.game.camera.shake = Math.min(damage / 4, 12);
-
     return damage;
   }
 
   /**
    * Handle collision with star (instant death)
    */
-  handleStarCollision(player, star, particles) {
-    // Instant vaporization
-    player.hull = 0;
-
-    // Massive explosion
-    for (let i = 0; i < 100; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const speed = Math.random() * 200 + 100;
-      particles.push({
-        x: player.x,
-        y: player.y,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        life: 1,
-        maxLife: Math.random() * 0.8 + 0.4,
-        size: Math.random() * 6 + 2,
-        color: Math.random() > 0.5 ? '#ffff00' : '#ff4400',
-        type: 'explosion'
-      });
-    }
-
-    this.game.camera.shake = 30;
+  handleStarCollision(player, star) {
+    // Instant vaporization - massive explosion
+    this.reportShipCollision('star', star, { shake: 30, fatal: true });
+    this.spawnEffect('explosion', player.x, player.y, 100);
 
     return 1000; // Overkill damage
   }
@@ -263,109 +235,122 @@ export class CollisionSystem {
   /**
    * Handle collision with blackhole (spaghettification)
    */
-  handleBlackholeCollision(player, blackhole, particles) {
-    // Instant death - spaghettification
-    player.hull = 0;
-
-    // Purple/blue vortex effect
-    for (let i = 0; i < 80; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const speed = Math.random() * 150 + 50;
-      particles.push({
-        x: player.x,
-        y: player.y,
-        vx: Math.cos(angle) * speed * 0.3, // Particles spiral inward
-        vy: Math.sin(angle) * speed * 0.3,
-        life: 1,
-        maxLife: Math.random() * 1.2 + 0.6,
-        size: Math.random() * 4 + 1,
-        color: Math.random() > 0.5 ? '#8844ff' : '#4400ff',
-        type: 'blackhole_death'
-      });
-    }
-
-    this.game.camera.shake = 25;
+  handleBlackholeCollision(player, blackhole) {
+    // Instant death - purple/blue vortex
+    this.reportShipCollision('blackhole', blackhole, { shake: 25, fatal: true });
+    this.spawnEffect('blackhole_death', player.x, player.y, 80);
 
     return 1000;
   }
 
   /**
-   * Create collision spark particles
+   * Report a collision of the player's ship (shipCollided); Game applies the
+   * damage, bounce and camera shake to the ship. Only the first frame of a
+   * contact goes into the event log.
+   * @param {Object} obstacle - What the ship ran into
+   * @param {number} angle - Bounce direction, away from what was hit
+   * @param {number} sparks - Spark particles when the hull takes the hit
    */
-  createCollisionSparks(x, y, particles, color, count) {
-    for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const speed = Math.random() * 150 + 50;
-      particles.push({
-        x: x + (Math.random() - 0.5) * 10,
-        y: y + (Math.random() - 0.5) * 10,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        life: 1,
-        maxLife: Math.random() * 0.4 + 0.2,
-        size: Math.random() * 3 + 1,
-        color: color,
-        type: 'spark'
-      });
-    }
+  reportShipCollision(source, obstacle, { damage = 0, angle = 0, impulse = 0, shake = 0, sparks = 0, fatal = false }) {
+    this.touching.add(obstacle);
+    this.game.events.emit(
+      'shipCollided',
+      { source, damage, angle, impulse, shake, sparks, fatal },
+      { record: !this.contacts.has(obstacle) }
+    );
+  }
+
+  /**
+   * Request collision particles (collisionEffect, see COLLISION_EFFECTS)
+   */
+  spawnEffect(effect, x, y, count, color = null) {
+    this.game.events.emit('collisionEffect', { effect, x, y, count, color });
   }
 
   /**
    * Break asteroid into smaller pieces
+   * @returns {Array} Minable chunks a large asteroid fractured into
    */
-  breakAsteroid(asteroid, position, particles) {
-    // Create explosion effect
-    this.createCollisionSparks(position.x, position.y, particles, '#aa8866', 25);
+  breakAsteroid(asteroid, position) {
+    // Create explosion effect and smaller debris pieces
+    this.spawnEffect('spark', position.x, position.y, 25, '#aa8866');
+    this.spawnEffect('debris', position.x, position.y, Math.floor(asteroid.size / 3));
 
     // Mark asteroid for removal
     asteroid.destroyed = true;
 
-    // Create smaller debris pieces
-    const debrisCount = Math.floor(asteroid.size / 3);
-    for (let i = 0; i < debrisCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const speed = Math.random() * 100 + 50;
-      particles.push({
-        x: position.x,
-        y: position.y,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        life: 1,
-        maxLife: Math.random() * 2 + 1,
-        size: Math.random() * 4 + 2,
-        color: '#aa8866',
-        type: 'debris'
+    return asteroid.size >= FRACTURE_SIZE && !asteroid.fragment ? this.fractureAsteroid(asteroid, position) : [];
+  }
+
+  /**
+   * Split what's left of an asteroid into 2-4 chunks sharing its composition
+   * and reserve, orbiting with its belt
+   */
+  fractureAsteroid(asteroid, position) {
+    const game = this.game;
+    if (!game.star) return [];
+    if (game.miningSystem) game.miningSystem.getProfile(asteroid);
+
+    const seed = Math.abs(Math.floor(asteroid.seed ?? asteroid.distance * 7 + asteroid.size * 131));
+    const rng = new SeededRandom((seed + 9173) % 233280);
+    const count = rng.int(2, 4);
+    const reserve = Math.floor((asteroid.resources || 0) / count);
+    const chunks = [];
+
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2 + rng.range(-0.4, 0.4);
+      const x = position.x + Math.cos(angle) * asteroid.size * 0.8;
+      const y = position.y + Math.sin(angle) * asteroid.size * 0.8;
+      const size = asteroid.size * rng.range(0.35, 0.5);
+      const sides = rng.int(6, 10);
+
+      chunks.push({
+        distance: Math.hypot(x - game.star.x, y - game.star.y),
+        angle: Math.atan2(y - game.star.y, x - game.star.x),
+        orbitSpeed: asteroid.orbitSpeed,
+        size,
+        rotation: rng.next() * Math.PI * 2,
+        rotationSpeed: rng.range(-0.06, 0.06),
+        mass: size * 5,
+        vertices: Array.from({ length: sides }, (_, v) => {
+          const radius = rng.range(0.6, 1.4);
+          return { x: Math.cos((v / sides) * Math.PI * 2) * radius, y: Math.sin((v / sides) * Math.PI * 2) * radius };
+        }),
+        type: asteroid.type,
+        color: asteroid.color,
+        hp: Math.round(size * 10),
+        seed: (seed + (i + 1) * 613) % 233280,
+        profile: asteroid.profile,
+        scanned: asteroid.scanned,
+        resources: reserve,
+        maxResources: reserve,
+        fragment: true,
+        x,
+        y
       });
     }
+
+    // The parent's reserve went into the chunks (its belt grows it back)
+    if (asteroid.maxResources === undefined) asteroid.maxResources = asteroid.resources;
+    asteroid.resources = 0;
+    asteroid.destroyed = true;
+
+    game.asteroids.push(...chunks);
+    const belt = (game.asteroidBelts || []).find(candidate => candidate.asteroids.includes(asteroid));
+    if (belt) belt.asteroids.push(...chunks);
+    return chunks;
   }
 
   /**
    * Break comet into smaller pieces
    */
-  breakComet(comet, position, particles) {
-    // Create ice explosion effect
-    this.createCollisionSparks(position.x, position.y, particles, '#aaddff', 30);
+  breakComet(comet, position) {
+    // Create ice explosion effect and debris
+    this.spawnEffect('spark', position.x, position.y, 30, '#aaddff');
+    this.spawnEffect('ice_debris', position.x, position.y, 15);
 
     // Mark comet for removal
     comet.destroyed = true;
-
-    // Create ice debris
-    const debrisCount = 15;
-    for (let i = 0; i < debrisCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const speed = Math.random() * 120 + 60;
-      particles.push({
-        x: position.x,
-        y: position.y,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        life: 1,
-        maxLife: Math.random() * 2.5 + 1,
-        size: Math.random() * 5 + 2,
-        color: Math.random() > 0.5 ? '#aaddff' : '#ffffff',
-        type: 'ice_debris'
-      });
-    }
   }
 
   /**
@@ -373,7 +358,8 @@ export class CollisionSystem {
    */
   update(dt) {
     const player = this.game.player;
-    const particles = this.game.particles;
+    this.contacts = this.touching;
+    this.touching = new Set();
 
     // Heat damage from star
     if (this.game.star) {
@@ -390,7 +376,7 @@ export class CollisionSystem {
 
       // Direct collision with star
       if (this.checkCircleCollision(player, this.game.star)) {
-        this.handleStarCollision(player, this.game.star, particles);
+        this.handleStarCollision(player, this.game.star);
       }
     }
 
@@ -417,7 +403,7 @@ export class CollisionSystem {
         };
 
         if (this.checkCircleCollision(player, asteroidPos)) {
-          this.handleAsteroidCollision(player, asteroidPos, asteroid, particles);
+          this.handleAsteroidCollision(player, asteroidPos, asteroid);
         }
       }
     }
@@ -440,7 +426,7 @@ export class CollisionSystem {
         };
 
         if (this.checkCircleCollision(player, cometPos)) {
-          this.handleCometCollision(player, cometPos, comet, particles);
+          this.handleCometCollision(player, cometPos, comet);
         }
       }
     }
@@ -463,7 +449,7 @@ export class CollisionSystem {
         };
 
         if (this.checkCircleCollision(player, stationPos)) {
-          this.handleStationCollision(player, stationPos, station, particles);
+          this.handleStationCollision(player, stationPos, station);
         }
       }
     }
@@ -479,7 +465,7 @@ export class CollisionSystem {
         };
 
         if (this.checkCircleCollision(player, enemyPos)) {
-          this.handleEnemyCollision(player, enemy, particles);
+          this.handleEnemyCollision(player, enemy);
         }
       }
     }
@@ -495,23 +481,14 @@ export class CollisionSystem {
         };
 
         if (this.checkCircleCollision(player, planetPos)) {
-          // Planets are massive - heavy continuous damage
-          const damage = 50 * dt;
-
-          if (player.shieldActive && player.shields > 0) {
-            player.shields -= damage;
-            this.game.createShieldImpact(player.x, player.y);
-          } else {
-            player.hull -= damage;
-            this.createCollisionSparks(player.x, player.y, particles, '#ff6600', 20);
-          }
-
-          // Strong bounce away from planet
-          const angle = Math.atan2(player.y - planetPos.y, player.x - planetPos.x);
-          player.vx += Math.cos(angle) * 300 * dt;
-          player.vy += Math.sin(angle) * 300 * dt;
-
-          this.game.camera.shake = 20;
+          // Planets are massive - heavy continuous damage, strong bounce away
+          this.reportShipCollision('planet', planet, {
+            damage: 50 * dt,
+            angle: Math.atan2(player.y - planetPos.y, player.x - planetPos.x),
+            impulse: 300 * dt,
+            shake: 20,
+            sparks: 20
+          });
         }
       }
     }
@@ -520,44 +497,44 @@ export class CollisionSystem {
   /**
    * Handle weapon damage to asteroids
    */
-  handleWeaponDamageToAsteroid(asteroidPos, asteroid, damage, particles) {
+  handleWeaponDamageToAsteroid(asteroidPos, asteroid, damage) {
     if (!asteroid.hp) asteroid.hp = asteroid.size * 10;
     asteroid.hp -= damage;
 
     // Hit sparks
-    this.createCollisionSparks(asteroidPos.x, asteroidPos.y, particles, '#ffaa44', 8);
+    this.spawnEffect('spark', asteroidPos.x, asteroidPos.y, 8, '#ffaa44');
 
     // Break apart if destroyed
     if (asteroid.hp <= 0) {
-      this.breakAsteroid(asteroid, asteroidPos, particles);
+      this.breakAsteroid(asteroid, asteroidPos);
     }
   }
 
   /**
    * Handle weapon damage to comets
    */
-  handleWeaponDamageToComet(cometPos, comet, damage, particles) {
+  handleWeaponDamageToComet(cometPos, comet, damage) {
     if (!comet.hp) comet.hp = 50;
     comet.hp -= damage;
 
     // Ice hit effect
-    this.createCollisionSparks(cometPos.x, cometPos.y, particles, '#aaddff', 10);
+    this.spawnEffect('spark', cometPos.x, cometPos.y, 10, '#aaddff');
 
     // Break apart if destroyed
     if (comet.hp <= 0) {
-      this.breakComet(comet, cometPos, particles);
+      this.breakComet(comet, cometPos);
     }
   }
 
   /**
    * Handle weapon damage to stations
    */
-  handleWeaponDamageToStation(stationPos, station, damage, particles) {
+  handleWeaponDamageToStation(stationPos, station, damage) {
     if (!station.hp) station.hp = 500;
     station.hp -= damage;
 
     // Station hit effect
-    this.createCollisionSparks(stationPos.x, stationPos.y, particles, '#ff8800', 12);
+    this.spawnEffect('spark', stationPos.x, stationPos.y, 12, '#ff8800');
 
     // Destroy station if hp reaches 0
     if (station.hp <= 0) {
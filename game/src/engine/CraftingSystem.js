@@ -0,0 +1,380 @@
+/**
+ * CraftingSystem - Refining and fabrication from mined resources
+ *
+ * Recipes turn the RESOURCE_TYPES that mining puts in the hold into:
+ * - refined materials: alloys, composites, superconductors (EnhancedItems materials)
+ * - components: engines, sensors, computers and reactors to fit (ItemEffectSystem)
+ * - ammunition loaded into the weapon magazines (WeaponSystem.loadAmmo)
+ * - repair kits, fuel cells and shield batteries
+ * - ship modules: weapons, shields and armor plates (WeaponSystem,
+ *   ShieldSystem, ArmorSystem) and mining lasers (MiningSystem)
+ *
+ * Recipes take resources from the hold and items (refined materials) from the
+ * item hold. Onboard recipes run on the ship's fabricator anywhere; station
+ * recipes need the station's fabricator and only make progress while docked,
+ * unless a schematic (blueprint items, ItemEffectSystem) has taught the ship's
+ * fabricator to make them.
+ * Jobs queue up and take their crafting time one after another; a queued job
+ * can be cancelled for its inputs back.
+ */
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { ENHANCED_ARTIFACTS } from './EnhancedItems.js';
+
+export const RECIPE_CATEGORIES = ['refining', 'components', 'ammo', 'supplies', 'modules'];
+
+// Recipes: inputs { resources, items }, output { item, quantity } or { weapon | shield | armor | miningLaser, tier }
+export const RECIPES = {
+  // Refining
+  steel_plate: {
+    name: 'Steel Plating', category: 'refining', tier: 'onboard', time: 20,
+    inputs: { resources: { iron: 6, carbon: 2 } },
+    output: { item: 'steel_plate', quantity: 1 }
+  },
+  alloy_titanium: {
+    name: 'Titanium Alloy', category: 'refining', tier: 'onboard', time: 30,
+    inputs: { resources: { titanium: 4, iron: 2 } },
+    output: { item: 'alloy_titanium', quantity: 1 }
+  },
+  composite_carbon: {
+    name: 'Carbon Composite', category: 'refining', tier: 'onboard', time: 25,
+    inputs: { resources: { carbon: 5, silicon: 2 } },
+    output: { item: 'composite_carbon', quantity: 1 }
+  },
+  polymer_advanced: {
+    name: 'Advanced Polymer', category: 'refining', tier: 'onboard', time: 20,
+    inputs: { resources: { carbon: 3, water: 3 } },
+    output: { item: 'polymer_advanced', quantity: 1 }
+  },
+  superconductor: {
+    name: 'Superconductor Wire', category: 'refining', tier: 'onboard', time: 40,
+    inputs: { resources: { copper: 4, platinum: 1 } },
+    output: { item: 'superconductor', quantity: 1 }
+  },
+  ceramic_armor: {
+    name: 'Ceramic Armor Tile', category: 'refining', tier: 'station', time: 45,
+    inputs: { resources: { silicon: 4, titanium: 2 } },
+    output: { item: 'ceramic_armor', quantity: 1 }
+  },
+  nanomaterial: {
+    name: 'Nanomaterial Sheet', category: 'refining', tier: 'station', time: 60,
+    inputs: { resources: { carbon: 4, rare_isotopes: 1, exotic_matter: 1 } },
+    output: { item: 'nanomaterial', quantity: 1 }
+  },
+
+  // Components
+  sensor_basic: {
+    name: 'Basic Scanner', category: 'components', tier: 'onboard', time: 60,
+    inputs: { resources: { silicon: 4, copper: 2 }, items: { polymer_advanced: 1 } },
+    output: { item: 'sensor_basic', quantity: 1 }
+  },
+  computer_basic: {
+    name: 'Navigation Computer', category: 'components', tier: 'onboard', time: 60,
+    inputs: { resources: { silicon: 6, copper: 3 }, items: { superconductor: 1 } },
+    output: { item: 'computer_basic', quantity: 1 }
+  },
+  engine_basic: {
+    name: 'Ion Engine', category: 'components', tier: 'station', time: 90,
+    inputs: { resources: { copper: 3, deuterium: 2 }, items: { steel_plate: 2 } },
+    output: { item: 'engine_basic', quantity: 1 }
+  },
+  reactor_fusion: {
+    name: 'Fusion Reactor', category: 'components', tier: 'station', time: 120,
+    inputs: { resources: { deuterium: 6 }, items: { alloy_titanium: 2, superconductor: 2 } },
+    output: { item: 'reactor_fusion', quantity: 1 }
+  },
+
+  // Ammunition
+  ammo_standard: {
+    name: 'Standard Missiles', category: 'ammo', tier: 'onboard', time: 15,
+    inputs: { resources: { iron: 3, carbon: 2, deuterium: 1 } },
+    output: { item: 'ammo_standard', quantity: 1 }
+  },
+  ammo_nuke: {
+    name: 'Nuclear Warhead', category: 'ammo', tier: 'station', time: 120,
+    inputs: { resources: { rare_isotopes: 3, antimatter: 1 }, items: { alloy_titanium: 1 } },
+    output: { item: 'ammo_nuke', quantity: 1 }
+  },
+
+  // Supplies
+  repair_nanobots: {
+    name: 'Repair Nanobots', category: 'supplies', tier: 'onboard', time: 30,
+    inputs: { resources: { silicon: 2, platinum: 1 }, items: { steel_plate: 1 } },
+    output: { item: 'repair_nanobots', quantity: 1 }
+  },
+  fuel_cell: {
+    name: 'Deuterium Fuel Cell', category: 'supplies', tier: 'onboard', time: 20,
+    inputs: { resources: { deuterium: 3, water: 2 } },
+    output: { item: 'fuel_cell', quantity: 1 }
+  },
+  shield_battery: {
+    name: 'Shield Battery', category: 'supplies', tier: 'onboard', time: 30,
+    inputs: { resources: { copper: 2 }, items: { superconductor: 1 } },
+    output: { item: 'shield_battery', quantity: 1 }
+  },
+
+  // Ship modules
+  railgun_mk2: {
+    name: 'Railgun Mk2', category: 'modules', tier: 'station', time: 120,
+    inputs: { resources: { copper: 4 }, items: { alloy_titanium: 3, superconductor: 2 } },
+    output: { weapon: 'railgun', tier: 2 }
+  },
+  ion_cannon_mk1: {
+    name: 'Ion Cannon Mk1', category: 'modules', tier: 'station', time: 150,
+    inputs: { resources: { platinum: 2, crystalline_matrix: 1 }, items: { superconductor: 3 } },
+    output: { weapon: 'ion_cannon', tier: 1 }
+  },
+  energy_shield_mk2: {
+    name: 'Energy Shield Mk2', category: 'modules', tier: 'station', time: 150,
+    inputs: { resources: { platinum: 2, crystalline_matrix: 1 }, items: { superconductor: 2 } },
+    output: { shield: 'energy_shield', tier: 2 }
+  },
+  regenerative_shield_mk1: {
+    name: 'Regenerative Shield Mk1', category: 'modules', tier: 'station', time: 180,
+    inputs: { resources: { exotic_matter: 1 }, items: { nanomaterial: 1, superconductor: 2 } },
+    output: { shield: 'regenerative_shield', tier: 1 }
+  },
+  composite_armor_mk1: {
+    name: 'Composite Armor Mk1', category: 'modules', tier: 'onboard', time: 90,
+    inputs: { items: { composite_carbon: 3, steel_plate: 2 } },
+    output: { armor: 'composite', tier: 1 }
+  },
+  ablative_armor_mk2: {
+    name: 'Ablative Armor Mk2', category: 'modules', tier: 'station', time: 120,
+    inputs: { items: { ceramic_armor: 3, alloy_titanium: 2 } },
+    output: { armor: 'ablative', tier: 2 }
+  },
+  mining_laser_mk2: {
+    name: 'Mining Laser Mk2', category: 'modules', tier: 'station', time: 120,
+    inputs: { resources: { copper: 4, crystalline_matrix: 1 }, items: { superconductor: 2, alloy_titanium: 1 } },
+    output: { miningLaser: 2 }
+  },
+  mining_laser_mk3: {
+    name: 'Mining Laser Mk3', category: 'modules', tier: 'station', time: 180,
+    inputs: { resources: { platinum: 3, exotic_matter: 1 }, items: { superconductor: 3, nanomaterial: 1 } },
+    output: { miningLaser: 3 }
+  }
+};
+
+const MAX_QUEUE = 5; // Jobs the fabricators take at once
+
+export class CraftingSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.queue = []; // { recipeId, remaining }, worked in order
+    this.schematics = new Set(); // Station recipes the ship's fabricator has learned
+  }
+
+  getRecipe(id) {
+    return RECIPES[id] ? { id, ...RECIPES[id] } : null;
+  }
+
+  getRecipes(category) {
+    return Object.entries(RECIPES)
+      .filter(([, recipe]) => !category || recipe.category === category)
+      .map(([id, recipe]) => ({ id, ...recipe }));
+  }
+
+  /**
+   * Name of a recipe input or output (resource or item)
+   */
+  getName(kind, id) {
+    if (kind === 'resources') {
+      const resource = Object.values(RESOURCE_TYPES).find(type => type.id === id);
+      return resource ? resource.name : id;
+    }
+    return ENHANCED_ARTIFACTS[id] ? ENHANCED_ARTIFACTS[id].name : id;
+  }
+
+  getHave(kind, id) {
+    if (kind === 'resources') return this.game.resourceSystem.getQuantity(id);
+    return this.game.itemEffects ? this.game.itemEffects.getCount(id) : 0;
+  }
+
+  /**
+   * Inputs of a recipe with what the hold has of each
+   * @returns {Array<{kind, id, name, need, have}>}
+   */
+  getInputs(recipe) {
+    const inputs = [];
+    for (const kind of ['resources', 'items']) {
+      for (const [id, need] of Object.entries(recipe.inputs[kind] || {})) {
+        inputs.push({ kind, id, name: this.getName(kind, id), need, have: this.getHave(kind, id) });
+      }
+    }
+    return inputs;
+  }
+
+  describeOutput(recipe) {
+    const output = recipe.output;
+    if (output.item) return `${output.quantity > 1 ? `${output.quantity}x ` : ''}${this.getName('items', output.item)}`;
+    if (output.weapon) return `Weapon: ${recipe.name}`;
+    if (output.shield) return `Shield: ${recipe.name}`;
+    if (output.miningLaser) return `Mining laser: ${recipe.name}`;
+    return `Armor plate: ${recipe.name}`;
+  }
+
+  /**
+   * Fabricator a recipe needs - 'onboard' once its schematic is learned
+   */
+  getTier(recipe) {
+    return this.schematics.has(recipe.id) ? 'onboard' : recipe.tier;
+  }
+
+  /**
+   * Is the fabricator a recipe needs at hand?
+   */
+  hasFabricator(recipe) {
+    return this.getTier(recipe) === 'onboard' || !!this.game.player.docked;
+  }
+
+  /**
+   * Teach the ship's fabricator station recipes
+   * @returns {Array<string>} Names of the recipes that were new
+   */
+  learnSchematics(ids) {
+    const learned = ids.filter(id => this.getRecipe(id) && !this.schematics.has(id));
+    for (const id of learned) this.schematics.add(id);
+    return learned.map(id => RECIPES[id].name);
+  }
+
+  canCraft(id) {
+    const recipe = this.getRecipe(id);
+    if (!recipe) return { success: false, message: 'Unknown recipe' };
+    if (!this.hasFabricator(recipe)) return { success: false, message: `${recipe.name} needs a station fabricator` };
+    if (this.queue.length >= MAX_QUEUE) return { success: false, message: 'Fabrication queue is full' };
+    if (recipe.output.miningLaser) {
+      if (this.game.miningSystem.laserTier >= recipe.output.miningLaser) {
+        return { success: false, message: `A ${this.game.miningSystem.getLaser().name} is already fitted` };
+      }
+      if (this.getQueuedLaserTier() >= recipe.output.miningLaser) {
+        return { success: false, message: 'A mining laser as good is already queued' };
+      }
+    }
+
+    const missing = this.getInputs(recipe).find(input => input.have < input.need);
+    if (missing) return { success: false, message: `Need ${missing.need} ${missing.name} (have ${missing.have})` };
+    return { success: true };
+  }
+
+  /**
+   * Best mining laser tier waiting in the queue (0 for none)
+   */
+  getQueuedLaserTier() {
+    return Math.max(0, ...this.queue.map(job => RECIPES[job.recipeId].output.miningLaser || 0));
+  }
+
+  /**
+   * Take the inputs from the holds and queue the job
+   */
+  craft(id) {
+    const check = this.canCraft(id);
+    if (!check.success) return check;
+
+    const recipe = this.getRecipe(id);
+    for (const input of this.getInputs(recipe)) this.takeInput(input.kind, input.id, input.need);
+
+    this.queue.push({ recipeId: id, remaining: recipe.time });
+    return { success: true, message: `${recipe.name} queued (${recipe.time}s)` };
+  }
+
+  /**
+   * Cancel a queued job; its inputs go back to the holds
+   */
+  cancel(index) {
+    const job = this.queue[index];
+    if (!job) return { success: false, message: 'No such job' };
+
+    const recipe = this.getRecipe(job.recipeId);
+    this.queue.splice(index, 1);
+    let lost = 0;
+    for (const input of this.getInputs(recipe)) lost += input.need - this.returnInput(input.kind, input.id, input.need);
+
+    return {
+      success: true,
+      message: lost > 0 ? `${recipe.name} cancelled - no cargo space for ${lost} units` : `${recipe.name} cancelled`
+    };
+  }
+
+  takeInput(kind, id, quantity) {
+    const game = this.game;
+    if (kind === 'items') {
+      for (let i = 0; i < quantity; i++) game.itemEffects.removeItem(id);
+      return;
+    }
+
+    // Resources are tracked by the resource system and take up cargo space
+    game.resourceSystem.removeResource(id, quantity);
+    const inCargo = Math.min(quantity, game.cargoSystem.getCargoQuantity(id));
+    if (inCargo > 0) game.cargoSystem.removeCargo(id, inCargo);
+    game.events.emit('cargoChanged', { kind: 'resource', id, quantity: -quantity, reason: 'crafted' });
+  }
+
+  /**
+   * @returns {number} How much made it back
+   */
+  returnInput(kind, id, quantity) {
+    const game = this.game;
+    if (kind === 'items') {
+      game.itemEffects.addItem(id, quantity);
+      return quantity;
+    }
+
+    const result = game.cargoSystem.addCargo(id, quantity);
+    const added = result.success === true ? quantity : result.success === 'partial' ? result.added : 0;
+    if (added > 0) {
+      game.resourceSystem.addResource(id, added);
+      game.events.emit('cargoChanged', { kind: 'resource', id, quantity: added, reason: 'crafted' });
+    }
+    return added;
+  }
+
+  update(dt) {
+    // The first job whose fabricator is at hand makes progress
+    const job = this.queue.find(queued => this.hasFabricator(this.getRecipe(queued.recipeId)));
+    if (!job) return;
+
+    job.remaining -= dt;
+    if (job.remaining <= 0) {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.deliver(this.getRecipe(job.recipeId));
+    }
+  }
+
+  /**
+   * Hand over a finished job's output
+   */
+  deliver(recipe) {
+    const game = this.game;
+    const output = recipe.output;
+
+    if (output.item) {
+      game.itemEffects.addItem(output.item, output.quantity);
+    } else if (output.weapon) {
+      game.weaponSystem.addWeapon(output.weapon, output.tier);
+    } else if (output.shield) {
+      game.shieldSystem.addShield(output.shield, output.tier);
+    } else if (output.armor) {
+      game.armorSystem.addArmorPlate(output.armor, output.tier);
+    } else if (output.miningLaser) {
+      const result = game.miningSystem.installLaser(output.miningLaser);
+      if (!result.success) {
+        game.showNotification(`${recipe.name} not fitted: ${result.message}`, 'warning');
+        return;
+      }
+    }
+    game.showNotification(`Fabricated: ${this.describeOutput(recipe)}`, 'success');
+  }
+
+  serialize() {
+    return {
+      queue: this.queue.map(job => ({ ...job })),
+      schematics: [...this.schematics]
+    };
+  }
+
+  deserialize(data) {
+    this.queue = ((data && data.queue) || []).filter(job => this.getRecipe(job.recipeId));
+    this.schematics = new Set(((data && data.schematics) || []).filter(id => this.getRecipe(id)));
+  }
+}
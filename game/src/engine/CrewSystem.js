@@ -0,0 +1,145 @@
+/**
+ * CrewSystem - Crew roster chosen in CanvasNewGameSetup
+ *
+ * Each crew member is stationed in a ship section. When that section is
+ * destroyed, or the whole ship goes down, the crew member is hit:
+ * - crew permadeath on: removed from the roster for good (kept as a casualty)
+ * - crew permadeath off: wounded until the next docking or respawn
+ *
+ * The roster itself lives in gameConfig.crewMembers (saved with the run's
+ * config), so removed members don't come back when a save is loaded.
+ */
+
+// Ship section (ShipDamageSystem) each role works in
+const CREW_STATIONS = {
+  engineer: 'engine',
+  pilot: 'bridge',
+  scientist: 'reactor',
+  medic: 'middleSection'
+};
+
+export class CrewSystem {
+  constructor(game) {
+    this.game = game;
+
+    // Members lost for good (crew permadeath)
+    this.casualties = [];
+  }
+
+  /**
+   * Roster keyed by role ({ engineer: { race, gender, seed, wounded }, ... })
+   */
+  get members() {
+    const config = this.game.gameConfig;
+    if (Array.isArray(config.crewMembers)) {
+      // Older configs stored the roster as an array
+      config.crewMembers = Object.fromEntries(config.crewMembers.map((member, i) => [member.role || `crew_${i}`, member]));
+    }
+    return config.crewMembers || {};
+  }
+
+  get permadeath() {
+    return !!this.game.gameConfig.crewPermadeath;
+  }
+
+  /**
+   * Crew members that are on duty (not wounded)
+   */
+  getActiveMembers() {
+    return Object.entries(this.members)
+      .filter(([, member]) => !member.wounded)
+      .map(([role, member]) => ({ role, ...member }));
+  }
+
+  /**
+   * Crew stationed in a destroyed ship section are hit
+   * @param {string} sectionName - ShipDamageSystem section key
+   * @param {string} label - Section display name
+   */
+  handleSectionDestroyed(sectionName, label = sectionName) {
+    for (const [role, station] of Object.entries(CREW_STATIONS)) {
+      if (station === sectionName) {
+        this.hitMember(role, `${label} destroyed`);
+      }
+    }
+  }
+
+  /**
+   * Whole ship destroyed - every crew member is hit
+   */
+  handleShipDestroyed() {
+    for (const role of Object.keys(this.members)) {
+      this.hitMember(role, 'Ship destroyed');
+    }
+  }
+
+  /**
+   * Kill (crew permadeath) or wound a crew member
+   * @param {string} role - Roster key
+   * @param {string} cause - Shown in the casualty list
+   */
+  hitMember(role, cause) {
+    const member = this.members[role];
+    if (!member || member.wounded) return;
+
+    const label = role.toUpperCase();
+
+    if (this.permadeath) {
+      delete this.members[role];
+      this.casualties.push({
+        role,
+        race: member.race,
+        gender: member.gender,
+        cause,
+        playtime: this.game.playtime || 0,
+        timestamp: Date.now()
+      });
+
+      if (this.game.statistics) {
+        this.game.statistics.crewLost = (this.game.statistics.crewLost || 0) + 1;
+      }
+
+      this.game.showNotification(`${label} KILLED IN ACTION - lost for good`, 'critical');
+      console.log(`[CrewSystem] ${role} killed (${cause})`);
+    } else {
+      member.wounded = true;
+      this.game.showNotification(`${label} WOUNDED - dock at a station for treatment`, 'warning');
+    }
+  }
+
+  /**
+   * Treat wounded crew (docking, respawn, medkits)
+   * @param {boolean} [notify] - Tell the player how many were treated
+   * @returns {number} Crew members treated
+   */
+  treatWounded(notify = true) {
+    let treated = 0;
+    for (const member of Object.values(this.members)) {
+      if (member.wounded) {
+        member.wounded = false;
+        treated++;
+      }
+    }
+    if (notify && treated > 0) {
+      this.game.showNotification(`${treated} wounded crew member${treated > 1 ? 's' : ''} treated`, 'success');
+    }
+    return treated;
+  }
+
+  /**
+   * Serialize crew state for saving (the roster is saved with the config)
+   */
+  serialize() {
+    return {
+      casualties: this.casualties
+    };
+  }
+
+  /**
+   * Restore crew state from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.casualties = data.casualties || [];
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * CustomsSystem - Contraband enforcement in lawful faction space
+ *
+ * Stations and patrol ships of factions with customs (CUSTOMS_AUTHORITIES)
+ * scan the player's cargo: stations on docking, patrols when they close in.
+ * Contraband (commodities flagged `illegal` in EconomySystem) that's found
+ * can be surrendered - confiscated, fined and a reputation hit through
+ * FactionSystem.modifyReputation - or bribed away. Running from a patrol
+ * makes it hostile.
+ *
+ * Contraband is stowed in the smuggling compartment first, where a scan only
+ * finds it if the compartment's concealment fails. Compartments are fitted at
+ * black-market stations in lawless space, where contraband is cheap; the
+ * stricter the customs, the more it sells for.
+ */
+import { AlienShip } from './AlienShip.js';
+
+// Factions that enforce customs in their territory
+const CUSTOMS_AUTHORITIES = {
+  terran_coalition: { label: 'STRICT', scanChance: 0.7, fineRate: 1.0, reputationLoss: 10, bribeChance: 0.3 },
+  mining_consortium: { label: 'REGULAR', scanChance: 0.5, fineRate: 0.75, reputationLoss: 6, bribeChance: 0.5 },
+  independent_worlds: { label: 'LAX', scanChance: 0.3, fineRate: 0.5, reputationLoss: 4, bribeChance: 0.7 }
+};
+
+const LAWLESS_DANGER = 6; // Systems this dangerous are beyond any customs' reach
+const RISK_PREMIUM = 1.5; // Extra contraband price per unit of scan chance
+const BRIBE_RATE = 0.5; // Bribe asked, as a share of the contraband's value
+const PATROL_SCAN_RANGE = 350;
+
+// Smuggling compartment levels: hidden cargo volume, chance a scan misses it, fitting price
+const COMPARTMENTS = [
+  { name: 'None', capacity: 0, concealment: 0, price: 0 },
+  { name: 'False Bulkhead', capacity: 10, concealment: 0.6, price: 5000 },
+  { name: 'Shielded Hold', capacity: 20, concealment: 0.75, price: 12000 },
+  { name: 'Phase-Masked Vault', capacity: 35, concealment: 0.9, price: 25000 }
+];
+
+export class CustomsSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.compartmentLevel = 0;
+
+    // Inspection waiting for the player's answer (customs popup)
+    this.pendingScan = null;
+
+    game.events.on('enemyDestroyed', (event) => {
+      if (event.customsPatrol) this.handlePatrolDestroyed(event);
+    });
+  }
+
+  /**
+   * Customs authority of a system, or null in lawless space
+   * @param {number} [systemIndex] - Defaults to the current system
+   * @param {Object} [sys] - System data (defaults to the galaxy entry)
+   * @returns {Object|null} { factionId, label, scanChance, fineRate, reputationLoss, bribeChance }
+   */
+  getAuthority(systemIndex = this.game.currentSystemIndex, sys = null) {
+    const game = this.game;
+    const data = sys || (systemIndex === game.currentSystemIndex && game.currentSystemData) ||
+      (game.galaxy && game.galaxy[systemIndex]);
+    if (!data || !game.factionSystem || data.dangerLevel >= LAWLESS_DANGER) return null;
+
+    const factionId = game.factionSystem.getSystemFaction(systemIndex, data);
+    const authority = CUSTOMS_AUTHORITIES[factionId];
+    return authority ? { factionId, ...authority } : null;
+  }
+
+  /**
+   * Contraband price and stock multipliers for a system's market
+   * Scarce and dear under strict customs, plentiful on black markets.
+   */
+  getBlackMarketModifiers(systemIndex, sys) {
+    const authority = this.getAuthority(systemIndex, sys);
+    if (!authority) return { price: 1, supply: 2 };
+
+    return {
+      price: 1 + authority.scanChance * RISK_PREMIUM,
+      supply: 1 - authority.scanChance
+    };
+  }
+
+  /**
+   * Installed smuggling compartment
+   */
+  getCompartment() {
+    return { level: this.compartmentLevel, ...COMPARTMENTS[this.compartmentLevel] };
+  }
+
+  /**
+   * Contraband in the hold, split into what's in the compartment and what isn't
+   * @returns {Array} { item, hidden, exposed } per contraband cargo item
+   */
+  getContraband() {
+    let space = COMPARTMENTS[this.compartmentLevel].capacity;
+
+    return this.game.economySystem.cargo
+      .filter(item => item.commodity.illegal)
+      .map(item => {
+        const hidden = Math.min(item.quantity, Math.floor(space / item.commodity.volume));
+        space -= hidden * item.commodity.volume;
+        return { item, hidden, exposed: item.quantity - hidden };
+      });
+  }
+
+  /**
+   * Scan on docking at a station (by the station's scan chance, scaled by
+   * how the authority regards the player)
+   * @param {Object} station
+   * @param {Function} [onCleared] - Called once an opened inspection is settled
+   * @returns {boolean} Whether an inspection popup was opened
+   */
+  scanOnDocking(station, onCleared = null) {
+    const authority = this.getAuthority();
+    if (!authority) return false;
+
+    const diplomacy = this.game.diplomacySystem;
+    const scanChance = authority.scanChance * (diplomacy ? diplomacy.getPerks(authority.factionId).scanChance : 1);
+    if (Math.random() >= scanChance) return false;
+
+    return this.scan(authority, station.name || station.stationType || 'Station', null, onCleared);
+  }
+
+  /**
+   * Scan the player's cargo
+   * @param {Object} authority - getAuthority() result
+   * @param {string} source - Who scans (shown to the player)
+   * @param {AlienShip} [patrol] - Patrol ship doing the scan
+   * @param {Function} [onCleared] - Called once the inspection is submitted to or bribed away
+   * @returns {boolean} Whether contraband was found (inspection popup opened)
+   */
+  scan(authority, source, patrol = null, onCleared = null) {
+    const contraband = this.getContraband();
+    if (contraband.length === 0) return false;
+
+    const compartmentFound = Math.random() >= COMPARTMENTS[this.compartmentLevel].concealment;
+    const found = contraband
+      .map(({ item, hidden, exposed }) => ({ item, quantity: exposed + (compartmentFound ? hidden : 0) }))
+      .filter(entry => entry.quantity > 0);
+
+    if (found.length === 0) {
+      this.game.showNotification(`${source}: cargo scan clear`, 'info');
+      return false;
+    }
+
+    const value = found.reduce((sum, entry) => sum + entry.item.commodity.basePrice * entry.quantity, 0);
+    this.pendingScan = {
+      authority,
+      source,
+      patrol,
+      onCleared,
+      found,
+      fine: Math.round(value * authority.fineRate),
+      bribe: Math.round(value * BRIBE_RATE)
+    };
+
+    console.log(`[CustomsSystem] Contraband found by ${source} (${value} CR)`);
+
+    if (this.game.interactionSystem) {
+      this.game.interactionSystem.showFullPopup({ type: 'customs', object: this.pendingScan, distance: 0 });
+    } else {
+      this.submit();
+    }
+    return true;
+  }
+
+  /**
+   * Patrol scans and unanswered inspections
+   */
+  update() {
+    const game = this.game;
+
+    // Closing the inspection popup counts as submitting
+    if (this.pendingScan && !game.uiState.showPopup) {
+      this.submit();
+    }
+    if (this.pendingScan || !game.player || game.player.docked) return;
+
+    for (const ship of game.enemies) {
+      if (!ship.customsPatrol || ship.isHostile || ship.scanned) continue;
+
+      const dx = ship.x - game.player.x;
+      const dy = ship.y - game.player.y;
+      if (dx * dx + dy * dy > PATROL_SCAN_RANGE * PATROL_SCAN_RANGE) continue;
+
+      ship.scanned = true;
+      const authority = this.getAuthority();
+      if (authority && this.scan(authority, `${ship.raceName} patrol`, ship)) return;
+    }
+  }
+
+  /**
+   * Popup details for the pending inspection
+   */
+  getInspectionInfo() {
+    const scan = this.pendingScan;
+    if (!scan) return { title: 'Customs', details: [] };
+
+    const faction = this.game.factionSystem.factions[scan.authority.factionId];
+    const details = [`Inspector: ${scan.source}`];
+    for (const { item, quantity } of scan.found) {
+      details.push(`Contraband: ${quantity} x ${item.commodity.name}`);
+    }
+    details.push(`Fine: ${scan.fine} CR + confiscation`);
+    details.push(`Bribe: ${scan.bribe} CR (may be refused)`);
+    details.push(`Credits: ${Math.floor(this.game.economySystem.credits)} CR`);
+
+    return { title: `${faction ? faction.name : 'Customs'} customs`, details };
+  }
+
+  /**
+   * Popup buttons for the pending inspection
+   */
+  getInspectionButtons() {
+    const buttons = [
+      { label: 'SUBMIT', key: 'Enter', action: () => this.submit() },
+      { label: 'BRIBE', key: 'B', action: () => this.bribe() }
+    ];
+    if (this.pendingScan && this.pendingScan.patrol) {
+      buttons.push({ label: 'RUN', key: 'R', action: () => this.flee() });
+    }
+    return buttons;
+  }
+
+  /**
+   * Surrender the contraband: confiscation, fine and reputation loss
+   * A fine the player can't pay costs extra reputation instead.
+   */
+  submit(extraReputationLoss = 0) {
+    const scan = this.endInspection();
+    if (!scan) return;
+
+    const economy = this.game.economySystem;
+    for (const { item, quantity } of scan.found) {
+      item.quantity -= quantity;
+      this.game.events.emit('cargoChanged', { kind: 'commodity', id: item.commodityId, quantity: -quantity, reason: 'confiscated' });
+    }
+    economy.cargo = economy.cargo.filter(item => item.quantity > 0);
+
+    const paid = Math.min(scan.fine, Math.max(0, Math.floor(economy.credits)));
+    economy.credits -= paid;
+    const unpaid = scan.fine - paid;
+
+    const reputationLoss = scan.authority.reputationLoss + extraReputationLoss + (unpaid > 0 ? scan.authority.reputationLoss : 0);
+    this.game.factionSystem.modifyReputation(scan.authority.factionId, -reputationLoss);
+
+    if (this.game.statistics) {
+      this.game.statistics.finesPaid = (this.game.statistics.finesPaid || 0) + paid;
+    }
+
+    this.game.showNotification(
+      `Contraband confiscated. Fined ${paid} CR${unpaid > 0 ? ` (${unpaid} CR unpaid)` : ''}`,
+      'warning'
+    );
+
+    if (scan.onCleared) scan.onCleared();
+  }
+
+  /**
+   * Offer a bribe - the better the reputation, the likelier it's taken.
+   * A refused bribe is kept as evidence and the inspection goes ahead.
+   */
+  bribe() {
+    const scan = this.pendingScan;
+    if (!scan) return;
+
+    const economy = this.game.economySystem;
+    if (economy.credits < scan.bribe) {
+      this.game.showNotification('Not enough credits for a bribe', 'warning');
+      return;
+    }
+
+    const faction = this.game.factionSystem.factions[scan.authority.factionId];
+    const reputation = faction ? faction.reputation : 50;
+    const chance = Math.max(0.05, Math.min(0.95, scan.authority.bribeChance + (reputation - 50) / 200));
+
+    economy.credits -= scan.bribe;
+
+    if (Math.random() < chance) {
+      this.endInspection();
+      this.game.showNotification(`Bribe accepted. ${scan.source} looks the other way`, 'success');
+      if (scan.onCleared) scan.onCleared();
+      return;
+    }
+
+    this.game.showNotification('Bribe refused - attempted bribery on record', 'critical');
+    this.submit(scan.authority.reputationLoss);
+  }
+
+  /**
+   * Run from a patrol scan - the patrol turns hostile
+   */
+  flee() {
+    const scan = this.endInspection();
+    if (!scan) return;
+
+    if (scan.patrol) {
+      scan.patrol.isHostile = true;
+    }
+    this.game.factionSystem.modifyReputation(scan.authority.factionId, -scan.authority.reputationLoss);
+    this.game.showNotification(`${scan.source} is moving to intercept!`, 'critical');
+  }
+
+  /**
+   * Clear the pending inspection and close its popup
+   * @returns {Object|null} The inspection that was pending
+   */
+  endInspection() {
+    const scan = this.pendingScan;
+    this.pendingScan = null;
+    if (scan && this.game.interactionSystem) {
+      this.game.interactionSystem.closePopup();
+    }
+    return scan;
+  }
+
+  /**
+   * Destroying a customs patrol is a crime against its faction
+   */
+  handlePatrolDestroyed(event) {
+    const authority = CUSTOMS_AUTHORITIES[event.customsPatrol];
+    if (authority && this.game.factionSystem) {
+      this.game.factionSystem.modifyReputation(event.customsPatrol, -authority.reputationLoss * 2);
+    }
+  }
+
+  /**
+   * Spawn customs patrols near the player in lawful space
+   */
+  spawnPatrols() {
+    const game = this.game;
+    const authority = this.getAuthority();
+    if (!authority || !game.player) return;
+
+    const faction = game.factionSystem.factions[authority.factionId];
+    const count = authority.scanChance >= 0.5 ? 2 : 1;
+
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const distance = 900 + Math.random() * 800;
+
+      const ship = new AlienShip(
+        i === 0 ? 'fighter' : 'scout',
+        game.player.x + Math.cos(angle) * distance,
+        game.player.y + Math.sin(angle) * distance,
+        false,
+        { id: authority.factionId, name: faction.name, shipColor: faction.color }
+      );
+      ship.customsPatrol = authority.factionId;
+
+      game.enemies.push(ship);
+    }
+  }
+
+  /**
+   * Fit the next smuggling compartment (black-market stations only)
+   * @returns {Object} { success, message }
+   */
+  installCompartment() {
+    if (this.getAuthority()) {
+      return { success: false, message: 'No refit shop will touch that here' };
+    }
+
+    const next = COMPARTMENTS[this.compartmentLevel + 1];
+    if (!next) {
+      return { success: false, message: 'Best compartment already fitted' };
+    }
+
+    const economy = this.game.economySystem;
+    if (economy.credits < next.price) {
+      return { success: false, message: `${next.name} costs ${next.price} CR` };
+    }
+
+    economy.credits -= next.price;
+    this.compartmentLevel++;
+    return {
+      success: true,
+      message: `${next.name} fitted: ${next.capacity} units hidden, ${Math.round(next.concealment * 100)}% concealment`
+    };
+  }
+
+  /**
+   * Whether a black-market refit shop can fit a better compartment here
+   */
+  canRefit() {
+    return !this.getAuthority() && this.compartmentLevel < COMPARTMENTS.length - 1;
+  }
+
+  /**
+   * Serialize customs state for saving
+   */
+  serialize() {
+    return {
+      compartmentLevel: this.compartmentLevel
+    };
+  }
+
+  /**
+   * Restore customs state from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.compartmentLevel = Math.min(COMPARTMENTS.length - 1, data.compartmentLevel || 0);
+  }
+}
@@ -0,0 +1,447 @@
+/**
+ * DiplomacySystem - Relations between factions, and the player's standing perks
+ *
+ * Every pair of FactionSystem factions (alien races included) has a standing
+ * (-100..100) that drifts toward the pair's natural baseline once per
+ * DIPLOMACY_TICK of playtime.
+ * Standings drive the rest:
+ * - treaties (non-aggression, trade agreement, alliance) are signed when a
+ *   standing climbs past the treaty's threshold and lapse when it sinks
+ * - war is declared when a standing falls below WAR_STANDING, and peace is
+ *   made once it has recovered and the war has run a while
+ *
+ * Drift is rolled from the galaxy seed and the tick number, so the same
+ * galaxy has the same diplomatic history in every session.
+ *
+ * Toward the player, a faction's attitude tier (FactionSystem reputation)
+ * grants perks (ATTITUDE_PERKS). Reputation can be bought with tribute or
+ * earned with favour missions (MissionSystem.createFavour).
+ */
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const DIPLOMACY_TICK = 5 * 60 * 1000; // ms of playtime between diplomatic turns
+const DRIFT_RATE = 0.05; // Share of the gap to the baseline closed per tick
+const DRIFT_NOISE = 8; // Random standing change per tick (+/- half)
+const WAR_STANDING = -60;
+const PEACE_STANDING = -30;
+const MIN_WAR_TICKS = 6; // Shortest war
+const HISTORY_LENGTH = 48; // Reputation samples kept per faction
+
+// Tribute: credits for reputation, once per cooldown
+const TRIBUTE_BASE = 400;
+const TRIBUTE_PER_POINT = 20; // Extra credits per reputation point below 70
+const TRIBUTE_REPUTATION = 8;
+const TRIBUTE_COOLDOWN = 10 * 60 * 1000;
+
+export const TREATIES = {
+  non_aggression: { name: 'Non-Aggression Pact', short: 'NAP', minStanding: 20 },
+  trade_agreement: { name: 'Trade Agreement', short: 'TRADE', minStanding: 45 },
+  alliance: { name: 'Alliance', short: 'ALLY', minStanding: 75 }
+};
+const TREATY_LAPSE = 15; // Standing below minStanding - this ends a treaty
+
+// Natural standing of the human pairs and the hive (other pairs follow from traits, see getBaseline)
+const BASELINES = {
+  'terran_coalition|independent_worlds': -15,
+  'terran_coalition|mining_consortium': 35,
+  'terran_coalition|free_traders': 40,
+  'independent_worlds|mining_consortium': 10,
+  'independent_worlds|free_traders': 60,
+  'mining_consortium|free_traders': 50,
+  'hive_collective|terran_coalition': -85,
+  'hive_collective|independent_worlds': -75,
+  'hive_collective|mining_consortium': -80,
+  'hive_collective|free_traders': -70
+};
+
+// What each attitude tier means for the player
+export const ATTITUDE_PERKS = {
+  hostile: {
+    scanChance: 1.5, contractPay: 0.8, favours: false,
+    perks: ['Customs scan you 50% more often', 'Contract pay -20%', 'No favours offered']
+  },
+  unfriendly: {
+    scanChance: 1.2, contractPay: 0.9, favours: true,
+    perks: ['Customs scan you 20% more often', 'Contract pay -10%']
+  },
+  neutral: {
+    scanChance: 1, contractPay: 1, favours: true,
+    perks: ['Standard terms']
+  },
+  friendly: {
+    scanChance: 0.7, contractPay: 1.1, favours: true,
+    perks: ['Customs scan you 30% less often', 'Contract pay +10%']
+  },
+  allied: {
+    scanChance: 0.4, contractPay: 1.25, favours: true,
+    perks: ['Customs scan you 60% less often', 'Contract pay +25%']
+  }
+};
+
+export class DiplomacySystem {
+  constructor(game) {
+    this.game = game;
+
+    this.relations = null; // 'a|b' -> { standing, treaties, war, warSince }
+    this.relationsComplete = false; // Every pair has a relation
+    this.tick = null; // Last diplomatic turn simulated
+    this.history = {}; // factionId -> [{ playtime, reputation }]
+    this.lastTribute = {}; // factionId -> playtime
+  }
+
+  get factionIds() {
+    return Object.keys(this.game.factionSystem.factions);
+  }
+
+  /**
+   * Key of a faction pair (same for both orders)
+   */
+  pairKey(a, b) {
+    const ids = this.factionIds;
+    return ids.indexOf(a) <= ids.indexOf(b) ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Natural standing of a pair - listed, or from their traits: helpful
+   * factions get on, and the more aggressive side sours things
+   */
+  getBaseline(a, b) {
+    const listed = BASELINES[`${a}|${b}`] ?? BASELINES[`${b}|${a}`];
+    if (listed !== undefined) return listed;
+
+    const traitsA = this.game.factionSystem.getFaction(a)?.traits;
+    const traitsB = this.game.factionSystem.getFaction(b)?.traits;
+    if (!traitsA || !traitsB) return 0;
+
+    const helpfulness = (traitsA.helpfulness + traitsB.helpfulness) / 2;
+    return Math.round(10 + helpfulness * 60 - Math.max(traitsA.aggression, traitsB.aggression) * 80);
+  }
+
+  /**
+   * Starting standings: baselines with a seeded spread, wars and treaties
+   * where the standings already call for them. Pairs missing from older
+   * saves are filled in the same way.
+   */
+  ensureRelations() {
+    if (this.relations && this.relationsComplete) return;
+
+    const seed = Math.abs(Math.floor(this.game.seed || 0));
+    const ids = this.factionIds;
+
+    this.relations = this.relations || {};
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = this.pairKey(ids[i], ids[j]);
+        if (this.relations[key]) continue;
+
+        const rng = new SeededRandom((seed + i * 331 + j * 17 + 5077) % 233280);
+        const standing = Math.round(this.getBaseline(ids[i], ids[j]) + rng.range(-10, 10));
+        const relation = { standing, treaties: [], war: standing < WAR_STANDING, warSince: 0 };
+        for (const [type, treaty] of Object.entries(TREATIES)) {
+          if (!relation.war && standing >= treaty.minStanding) relation.treaties.push(type);
+        }
+        this.relations[key] = relation;
+      }
+    }
+    this.relationsComplete = true;
+  }
+
+  getRelationState(a, b) {
+    this.ensureRelations();
+    return this.relations[this.pairKey(a, b)] || null;
+  }
+
+  /**
+   * Standing between two factions (-100..100)
+   */
+  getStanding(a, b) {
+    if (a === b) return 100;
+    const relation = this.getRelationState(a, b);
+    return relation ? relation.standing : 0;
+  }
+
+  /**
+   * Relation between two factions: war, hostile, unfriendly, neutral, friendly or allied
+   */
+  getRelation(a, b) {
+    if (a === b) return 'allied';
+    const relation = this.getRelationState(a, b);
+    if (!relation) return 'neutral';
+    if (relation.war) return 'war';
+    if (relation.treaties.includes('alliance')) return 'allied';
+
+    const standing = relation.standing;
+    return standing < -40 ? 'hostile' : standing < -10 ? 'unfriendly' : standing < 30 ? 'neutral' : 'friendly';
+  }
+
+  isAtWar(a, b) {
+    const relation = a !== b && this.getRelationState(a, b);
+    return !!(relation && relation.war);
+  }
+
+  getTreaties(a, b) {
+    const relation = a !== b && this.getRelationState(a, b);
+    return relation ? [...relation.treaties] : [];
+  }
+
+  hasTreaty(a, b, type) {
+    return this.getTreaties(a, b).includes(type);
+  }
+
+  /**
+   * Wars in progress
+   * @returns {Array} { a, b, since } (since = diplomatic tick)
+   */
+  getWars() {
+    this.ensureRelations();
+    return Object.entries(this.relations)
+      .filter(([, relation]) => relation.war)
+      .map(([key, relation]) => {
+        const [a, b] = key.split('|');
+        return { a, b, since: relation.warSince };
+      });
+  }
+
+  /**
+   * Factions a faction has a trade agreement with
+   */
+  getTradePartners(factionId) {
+    return this.factionIds.filter(other => this.hasTreaty(factionId, other, 'trade_agreement'));
+  }
+
+  /**
+   * Whether the player hears of events between two factions (both known to them)
+   */
+  isNewsworthy(a, b) {
+    const known = this.game.factionSystem.getKnownFactions();
+    return known.includes(a) && known.includes(b);
+  }
+
+  factionName(factionId) {
+    const faction = this.game.factionSystem.factions[factionId];
+    return faction ? faction.name : factionId;
+  }
+
+  signTreaty(a, b, type, live = true) {
+    const relation = this.getRelationState(a, b);
+    if (!relation || relation.war || relation.treaties.includes(type)) return;
+
+    relation.treaties.push(type);
+    if (live && this.isNewsworthy(a, b)) {
+      this.game.showNotification(`${this.factionName(a)} and ${this.factionName(b)} signed a ${TREATIES[type].name}`, 'info');
+    }
+  }
+
+  cancelTreaty(a, b, type, live = true) {
+    const relation = this.getRelationState(a, b);
+    if (!relation || !relation.treaties.includes(type)) return;
+
+    relation.treaties = relation.treaties.filter(entry => entry !== type);
+    if (live && this.isNewsworthy(a, b)) {
+      this.game.showNotification(`${this.factionName(a)} and ${this.factionName(b)} ended their ${TREATIES[type].name}`, 'info');
+    }
+  }
+
+  declareWar(a, b, live = true) {
+    const relation = this.getRelationState(a, b);
+    if (!relation || relation.war) return;
+
+    relation.war = true;
+    relation.warSince = this.tick || 0;
+    relation.treaties = [];
+    if (live && this.isNewsworthy(a, b)) {
+      this.game.showNotification(`${this.factionName(a)} declared war on ${this.factionName(b)}`, 'warning');
+    }
+    this.game.events.emit('warDeclared', { a, b, live });
+    console.log(`[DiplomacySystem] War: ${a} vs ${b}`);
+  }
+
+  makePeace(a, b, live = true) {
+    const relation = this.getRelationState(a, b);
+    if (!relation || !relation.war) return;
+
+    relation.war = false;
+    if (live && this.isNewsworthy(a, b)) {
+      this.game.showNotification(`${this.factionName(a)} and ${this.factionName(b)} made peace`, 'success');
+    }
+    this.game.events.emit('peaceMade', { a, b, live });
+    console.log(`[DiplomacySystem] Peace: ${a} and ${b}`);
+  }
+
+  /**
+   * Shift the standing between two factions
+   */
+  changeStanding(a, b, amount) {
+    const relation = this.getRelationState(a, b);
+    if (relation) {
+      relation.standing = Math.max(-100, Math.min(100, relation.standing + amount));
+    }
+  }
+
+  /**
+   * Play the diplomatic turns due by now
+   */
+  update() {
+    if (!this.game.factionSystem) return;
+    this.ensureRelations();
+
+    const currentTick = Math.floor((this.game.playtime || 0) / DIPLOMACY_TICK);
+    if (this.tick === null) {
+      this.tick = currentTick;
+      this.sampleReputation();
+    }
+
+    // Turns simulated in one go (after loading) don't notify the player
+    const live = currentTick - this.tick <= 1;
+
+    while (this.tick < currentTick) {
+      this.tick++;
+      this.step(this.tick, live);
+    }
+  }
+
+  /**
+   * One diplomatic turn
+   */
+  step(tick, live) {
+    const seed = Math.abs(Math.floor(this.game.seed || 0));
+    const rng = new SeededRandom((seed + tick * 6151 + 9001) % 233280);
+
+    for (const [key, relation] of Object.entries(this.relations)) {
+      const [a, b] = key.split('|');
+      const baseline = this.getBaseline(a, b);
+
+      relation.standing += (baseline - relation.standing) * DRIFT_RATE + (rng.next() - 0.5) * DRIFT_NOISE;
+      relation.standing = Math.round(Math.max(-100, Math.min(100, relation.standing)));
+
+      if (relation.war) {
+        if (relation.standing > PEACE_STANDING && tick - relation.warSince >= MIN_WAR_TICKS && rng.next() < 0.3) {
+          this.makePeace(a, b, live);
+        }
+        continue;
+      }
+
+      if (relation.standing < WAR_STANDING && rng.next() < 0.3) {
+        this.declareWar(a, b, live);
+        continue;
+      }
+
+      for (const [type, treaty] of Object.entries(TREATIES)) {
+        const signed = relation.treaties.includes(type);
+        if (!signed && relation.standing >= treaty.minStanding && rng.next() < 0.2) {
+          this.signTreaty(a, b, type, live);
+        } else if (signed && relation.standing < treaty.minStanding - TREATY_LAPSE) {
+          this.cancelTreaty(a, b, type, live);
+        }
+      }
+    }
+
+    this.sampleReputation();
+  }
+
+  /**
+   * Record the player's reputation with every faction
+   */
+  sampleReputation() {
+    const playtime = this.game.playtime || 0;
+    for (const [id, faction] of Object.entries(this.game.factionSystem.factions)) {
+      const history = this.history[id] || (this.history[id] = []);
+      history.push({ playtime, reputation: Math.round(faction.reputation) });
+      if (history.length > HISTORY_LENGTH) history.shift();
+    }
+  }
+
+  getReputationHistory(factionId) {
+    return this.history[factionId] || [];
+  }
+
+  /**
+   * Perks the faction grants the player at its current attitude
+   */
+  getPerks(factionId) {
+    return ATTITUDE_PERKS[this.game.factionSystem.getRelation(factionId)] || ATTITUDE_PERKS.neutral;
+  }
+
+  /**
+   * Credits a faction asks as tribute (dearer the less it likes the player)
+   */
+  getTributeCost(factionId) {
+    const faction = this.game.factionSystem.factions[factionId];
+    return TRIBUTE_BASE + Math.max(0, Math.round(70 - faction.reputation)) * TRIBUTE_PER_POINT;
+  }
+
+  /**
+   * Milliseconds of playtime until the faction takes tribute again
+   */
+  getTributeCooldown(factionId) {
+    const last = this.lastTribute[factionId];
+    if (last === undefined) return 0;
+    return Math.max(0, last + TRIBUTE_COOLDOWN - (this.game.playtime || 0));
+  }
+
+  /**
+   * Pay tribute: credits for reputation
+   * @returns {Object} { success, message }
+   */
+  payTribute(factionId) {
+    const game = this.game;
+    const faction = game.factionSystem.getFaction(factionId);
+    if (!faction) return { success: false, message: 'Unknown faction' };
+    if (faction.noDiplomacy) return { success: false, message: `${faction.name} ignore your offer` };
+    if (this.getTributeCooldown(factionId) > 0) {
+      return { success: false, message: `${faction.name} already accepted tribute recently` };
+    }
+
+    const cost = this.getTributeCost(factionId);
+    if (game.economySystem.credits < cost) {
+      return { success: false, message: `Tribute costs ${cost} CR` };
+    }
+
+    game.economySystem.credits -= cost;
+    game.factionSystem.modifyReputation(factionId, TRIBUTE_REPUTATION);
+    this.lastTribute[factionId] = game.playtime || 0;
+    this.sampleReputation();
+
+    return { success: true, message: `Paid ${cost} CR tribute to ${faction.name} (+${TRIBUTE_REPUTATION} reputation)` };
+  }
+
+  /**
+   * Ask a faction for a favour mission
+   * @returns {Object} { success, message }
+   */
+  requestFavour(factionId) {
+    const game = this.game;
+    const faction = game.factionSystem.getFaction(factionId);
+    if (!faction) return { success: false, message: 'Unknown faction' };
+    if (faction.noDiplomacy || !this.getPerks(factionId).favours) {
+      return { success: false, message: `${faction.name} have no work for you` };
+    }
+    if (!game.missionSystem) return { success: false, message: 'No contracts available' };
+
+    return game.missionSystem.createFavour(factionId);
+  }
+
+  /**
+   * Serialize diplomatic state for saving
+   */
+  serialize() {
+    return {
+      relations: this.relations,
+      tick: this.tick,
+      history: this.history,
+      lastTribute: this.lastTribute
+    };
+  }
+
+  /**
+   * Restore diplomatic state from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.relations = data.relations || null;
+    this.relationsComplete = false;
+    this.tick = data.tick ?? null;
+    this.history = data.history || {};
+    this.lastTribute = data.lastTribute || {};
+  }
+}
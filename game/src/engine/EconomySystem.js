@@ -1,7 +1,19 @@
 /**
  * Economy System
  * Manages player credits, fuel, trading, prices, and economic simulation
+ *
+ * Markets are generated from the galaxy seed and evolve in fixed ticks of
+ * game time (supply restocks, demand drifts back to normal). Each tick's
+ * randomness depends only on the market seed and the tick number, so a
+ * market looks the same at the same playtime in every session.
  */
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Markets evolve once per tick of playtime
+const MARKET_TICK = 60 * 1000; // ms
+const RESTOCK_RATE = 0.1; // Share of the gap to normal supply closed per tick
+const DEMAND_REVERSION = 0.1; // Share of demand drift undone per tick
+const DEMAND_VOLATILITY = 0.05; // Largest random demand change per tick
 
 export class EconomySystem {
   constructor(game) {
@@ -163,27 +175,62 @@ export class EconomySystem {
   }
 
   /**
-   * Generate market for a star system
+   * Seed of a system's market, derived from the galaxy seed
+   */
+  getMarketSeed(systemIndex) {
+    return Math.abs(Math.floor(this.game.seed || 0)) + systemIndex * 1000 + 500;
+  }
+
+  /**
+   * Market tick for the current playtime
    */
-  generateSystemMarket(systemIndex, systemData, factionData) {
+  getCurrentTick() {
+    return Math.floor((this.game.playtime || 0) / MARKET_TICK);
+  }
+
+  /**
+   * Price from base price, demand multiplier and current supply
+   */
+  calculatePrice(commodity, demandMultiplier, supply) {
+    const supplyFactor = Math.max(0.5, Math.min(2.0, 100 / supply));
+    return Math.round(commodity.basePrice * demandMultiplier * supplyFactor);
+  }
+
+  /**
+   * Generate market for a star system (same seed, same market)
+   * The market starts at tick 0 and is brought up to the current playtime
+   * (or `currentTick`, when the galactic simulation is catching up).
+   */
+  generateSystemMarket(systemIndex, systemData, factionData, currentTick = this.getCurrentTick()) {
     // Check if market already exists
     if (this.systemMarkets.has(systemIndex)) {
-      return this.systemMarkets.get(systemIndex);
+      return this.updateMarket(this.systemMarkets.get(systemIndex), currentTick);
     }
 
+    const seed = this.getMarketSeed(systemIndex);
+    const rng = new SeededRandom(seed);
+
     const market = {
       systemIndex,
-      lastUpdate: Date.now(),
+      seed,
+      tick: 0, // Market ticks simulated so far
       supply: {}, // commodity -> quantity available
       demand: {}, // commodity -> demand multiplier
-      prices: {} // commodity -> actual price
+      prices: {}, // commodity -> actual price
+      baseSupply: {}, // commodity -> normal stock level
+      baseDemand: {} // commodity -> normal demand multiplier
     };
 
+    // Contraband risk under the system's customs (CustomsSystem)
+    const blackMarket = this.game.customsSystem
+      ? this.game.customsSystem.getBlackMarketModifiers(systemIndex, systemData)
+      : null;
+
     // Generate supply and demand based on system type and faction
     for (const [commodityId, commodity] of Object.entries(this.commodities)) {
-      // Base supply (random)
-      let supply = Math.floor(Math.random() * 100) + 50;
-      let demandMultiplier = 0.8 + Math.random() * 0.4; // 0.8 to 1.2
+      // Base supply (seeded)
+      let supply = Math.floor(rng.next() * 100) + 50;
+      let demandMultiplier = 0.8 + rng.next() * 0.4; // 0.8 to 1.2
 
       // Modify based on system characteristics
       if (systemData.inhabited) {
@@ -221,52 +268,91 @@ export class EconomySystem {
         supply *= 0.3;
       }
 
-      // Faction modifiers
-      if (factionData) {
-        if (factionData.type === 'pirates' || factionData.type === 'raiders') {
-          // Pirates have contraband
-          if (commodity.illegal) {
-            supply *= 3;
-            demandMultiplier *= 0.5; // Cheap black market
-          }
-          // Pirates lack luxuries
-          if (commodity.category === 'luxury') {
-            supply *= 0.3;
-            demandMultiplier *= 1.8;
-          }
-        }
+      // Faction modifiers - good traders keep markets stocked and prices keen
+      if (factionData && factionData.traits) {
+        const { trading, aggression } = factionData.traits;
+        supply *= trading;
+        demandMultiplier /= trading;
 
-        if (factionData.type === 'merchant_guild') {
-          // Merchants have everything
-          supply *= 1.5;
-          demandMultiplier *= 0.9;
-        }
-
-        if (factionData.traits?.includes('militaristic')) {
-          // Military factions want weapons
-          if (commodityId === 'weapons') {
-            demandMultiplier *= 1.5;
-          }
+        // Aggressive factions want weapons
+        if (commodityId === 'weapons' && aggression > 0.6) {
+          demandMultiplier *= 1.5;
         }
       }
 
-      // Calculate final price
-      const basePrice = commodity.basePrice;
-      const supplyFactor = Math.max(0.5, Math.min(2.0, 100 / supply));
-      const finalPrice = Math.round(basePrice * demandMultiplier * supplyFactor);
+      // Contraband is scarce and dear under strict customs, cheap on black markets
+      if (commodity.illegal && blackMarket) {
+        supply *= blackMarket.supply;
+        demandMultiplier *= blackMarket.price;
+      }
 
       market.supply[commodityId] = Math.floor(supply);
       market.demand[commodityId] = demandMultiplier;
-      market.prices[commodityId] = finalPrice;
+      market.baseSupply[commodityId] = Math.floor(supply);
+      market.baseDemand[commodityId] = demandMultiplier;
+      market.prices[commodityId] = this.calculatePrice(commodity, demandMultiplier, supply);
     }
 
     // Add fuel pricing
     market.fuelPrice = this.calculateFuelPrice(systemData, factionData);
 
     this.systemMarkets.set(systemIndex, market);
+    return this.updateMarket(market, currentTick);
+  }
+
+  /**
+   * Advance a market to the current playtime, one tick at a time
+   * Cheap to call every frame - does nothing until a tick has passed.
+   * @param {Object} market - Market to advance
+   * @param {number} [currentTick] - Tick to advance to (defaults to the playtime's)
+   * @returns {Object} The market
+   */
+  updateMarket(market, currentTick = this.getCurrentTick()) {
+
+    // Markets from older saves start evolving from now
+    if (market.tick === undefined || market.tick === null) {
+      market.tick = currentTick;
+    }
+
+    while (market.tick < currentTick) {
+      market.tick++;
+      this.tickMarket(market);
+    }
     return market;
   }
 
+  /**
+   * One market tick: restock towards normal supply, demand drifts randomly
+   * and reverts towards normal. Randomness comes from (market seed, tick).
+   */
+  tickMarket(market) {
+    const rng = new SeededRandom((market.seed + market.tick * 9973) % 233280);
+
+    for (const [commodityId, commodity] of Object.entries(this.commodities)) {
+      const baseSupply = market.baseSupply[commodityId];
+      const baseDemand = market.baseDemand[commodityId];
+      if (baseSupply === undefined || baseDemand === undefined) continue;
+
+      // Restock (or sell off a glut), at least one unit per tick
+      const gap = baseSupply - market.supply[commodityId];
+      if (gap !== 0) {
+        const step = Math.max(1, Math.round(Math.abs(gap) * RESTOCK_RATE));
+        market.supply[commodityId] += Math.sign(gap) * Math.min(step, Math.abs(gap));
+      }
+
+      // Demand drift with reversion to normal
+      const noise = (rng.next() * 2 - 1) * DEMAND_VOLATILITY;
+      const drift = (market.demand[commodityId] - baseDemand) * (1 - DEMAND_REVERSION) + noise * baseDemand;
+      market.demand[commodityId] = baseDemand + drift;
+
+      market.prices[commodityId] = this.calculatePrice(
+        commodity,
+        market.demand[commodityId],
+        market.supply[commodityId]
+      );
+    }
+  }
+
   /**
    * Calculate fuel price for a system
    */
@@ -284,8 +370,8 @@ export class EconomySystem {
     }
 
     // Faction modifiers
-    if (factionData) {
-      basePrice *= factionData.tradeModifier || 1.0;
+    if (factionData && factionData.traits) {
+      basePrice /= factionData.traits.trading;
     }
 
     return Math.round(basePrice);
@@ -321,9 +407,10 @@ export class EconomySystem {
       return { success: false, message: 'Not enough credits' };
     }
 
-    // Execute purchase
+    // Execute purchase (scarcer goods cost more)
     this.credits -= totalCost;
     market.supply[commodityId] -= quantity;
+    market.prices[commodityId] = this.calculatePrice(commodity, market.demand[commodityId], market.supply[commodityId]);
 
     // Add to cargo
     const existingItem = this.cargo.find(item => item.commodityId === commodityId);
@@ -340,6 +427,8 @@ export class EconomySystem {
       });
     }
 
+    this.game.events.emit('cargoChanged', { kind: 'commodity', id: commodityId, quantity, reason: 'buy' });
+
     return {
       success: true,
       message: `Purchased ${quantity} ${commodity.name} for ${totalCost} credits`,
@@ -367,9 +456,10 @@ export class EconomySystem {
     const price = market.prices[commodityId];
     const totalValue = price * quantity;
 
-    // Execute sale
+    // Execute sale (a glut lowers the price)
     this.credits += totalValue;
     market.supply[commodityId] += quantity;
+    market.prices[commodityId] = this.calculatePrice(commodity, market.demand[commodityId], market.supply[commodityId]);
 
     // Remove from cargo
     cargoItem.quantity -= quantity;
@@ -380,6 +470,8 @@ export class EconomySystem {
 
     const profit = totalValue - (cargoItem.purchasePrice * quantity);
 
+    this.game.events.emit('cargoChanged', { kind: 'commodity', id: commodityId, quantity: -quantity, reason: 'sell' });
+
     return {
       success: true,
       message: `Sold ${quantity} ${commodity.name} for ${totalValue} credits`,
@@ -456,4 +548,50 @@ export class EconomySystem {
   canAfford(cost) {
     return this.credits >= cost;
   }
+
+  /**
+   * Serialize wallet, cargo and every visited market for saving
+   */
+  serialize() {
+    return {
+      credits: this.credits,
+      fuel: this.fuel,
+      maxFuel: this.maxFuel,
+      cargoCapacity: this.cargoCapacity,
+      // Commodity definitions are static - store only the id
+      cargo: this.cargo.map(({ commodity, ...item }) => item),
+      markets: Array.from(this.systemMarkets.entries())
+    };
+  }
+
+  /**
+   * Load wallet, cargo and markets from saved data
+   */
+  deserialize(data) {
+    if (!data) return;
+
+    if (data.credits !== undefined) this.credits = data.credits;
+    if (data.fuel !== undefined) this.fuel = data.fuel;
+    if (data.maxFuel !== undefined) this.maxFuel = data.maxFuel;
+    if (data.cargoCapacity !== undefined) this.cargoCapacity = data.cargoCapacity;
+
+    if (Array.isArray(data.cargo)) {
+      this.cargo = data.cargo
+        .filter(item => this.commodities[item.commodityId])
+        .map(item => ({ ...item, commodity: this.commodities[item.commodityId] }));
+    }
+
+    if (Array.isArray(data.markets)) {
+      this.systemMarkets = new Map(data.markets.map(([systemIndex, market]) => [
+        systemIndex,
+        {
+          // Markets saved before seeded evolution: current levels become normal
+          baseSupply: { ...market.supply },
+          baseDemand: { ...market.demand },
+          seed: this.getMarketSeed(systemIndex),
+          ...market
+        }
+      ]));
+    }
+  }
 }
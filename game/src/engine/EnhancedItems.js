@@ -8,6 +8,9 @@
  * - Quest items
  * - Rare collectibles
  * - Technology blueprints
+ *
+ * `effect` is the description shown to the player; `effects` declares what
+ * the item actually does, interpreted by ItemEffectSystem.
  */
 
 export const ENHANCED_ARTIFACTS = {
@@ -20,6 +23,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 5000,
     description: 'An ancient beacon from a long-dead civilization. Reveals nearby systems.',
     effect: 'Reveals 5 nearby undiscovered systems',
+    effects: { instant: [{ action: 'revealSystems', amount: 5 }] },
     icon: '📡',
     usable: true,
     size: 30
@@ -33,6 +37,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 15000,
     description: 'A quantum computing device of unknown origin. Boosts ship systems.',
     effect: '+20% power generation, +15% shield recharge',
+    effects: { modifiers: [{ stat: 'powerRegen', op: 'mul', value: 1.2 }, { stat: 'shieldRegen', op: 'mul', value: 1.15 }] },
     icon: '⚛',
     installable: true,
     size: 25
@@ -46,6 +51,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 8000,
     description: 'Cryogenic chamber from an ancient ship. Contents unknown.',
     effect: 'Open to reveal random cargo or creature',
+    effects: { instant: [{ action: 'randomItem' }] },
     icon: '🧊',
     consumable: true,
     size: 40
@@ -72,6 +78,10 @@ export const ENHANCED_ARTIFACTS = {
     value: 50000,
     description: 'Experimental faster-than-light drive. Doubles warp speed!',
     effect: '+100% warp speed',
+    effects: {
+      modifiers: [{ stat: 'warpSpeed', op: 'mul', value: 2 }],
+      triggers: [{ on: 'warp', action: 'damage', amount: 5, message: 'Prototype drive strains the hull' }]
+    },
     icon: '🚀',
     installable: true,
     size: 50
@@ -112,6 +122,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 12000,
     description: 'Device that amplifies psychic abilities. Increases sensor range.',
     effect: '+50% sensor range, reveals hidden objects',
+    effects: { modifiers: [{ stat: 'sensorRange', op: 'mul', value: 1.5 }] },
     icon: '🔮',
     installable: true,
     size: 15
@@ -125,6 +136,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 9000,
     description: 'Intact data storage from alien civilization. Contains valuable information.',
     effect: 'Unlock alien technology blueprints',
+    effects: { instant: [{ action: 'learnSchematics', recipes: ['nanomaterial', 'ceramic_armor', 'ablative_armor_mk2'] }] },
     icon: '💾',
     usable: true,
     size: 10
@@ -165,7 +177,16 @@ export const ENHANCED_ARTIFACTS = {
     value: 30000,
     description: 'Object unstable in time. Phases in and out of reality.',
     effect: 'Unknown temporal properties',
+    effects: {
+      modifiers: [{ stat: 'fireRate', op: 'mul', value: 1.25 }, { stat: 'speed', op: 'mul', value: 1.1 }],
+      curse: {
+        modifiers: [{ stat: 'shieldRegen', op: 'mul', value: 0.7 }],
+        drain: { stat: 'hull', rate: 0.2 }, // Per second, never below 25% hull
+        removalCost: 5000
+      }
+    },
     icon: '⏰',
+    installable: true,
     mysterious: true,
     size: 12
   },
@@ -178,6 +199,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 10000,
     description: 'Crystal formed in deep space. Absorbs and stores energy.',
     effect: '+100 maximum energy capacity',
+    effects: { modifiers: [{ stat: 'maxPower', op: 'add', value: 100 }] },
     icon: '🔷',
     installable: true,
     size: 18
@@ -191,6 +213,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 15000,
     description: 'Sphere that generates localized gravity field. Improves maneuverability.',
     effect: '+25% turn rate, +10% acceleration',
+    effects: { modifiers: [{ stat: 'turnRate', op: 'mul', value: 1.25 }, { stat: 'acceleration', op: 'mul', value: 1.1 }] },
     icon: '🌐',
     installable: true,
     size: 20
@@ -205,6 +228,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 8000,
     description: 'Military-grade shield generator. Doubles shield capacity.',
     effect: '+100% maximum shields',
+    effects: { modifiers: [{ stat: 'maxShields', op: 'mul', value: 2 }] },
     icon: '🛡',
     installable: true,
     size: 30
@@ -218,6 +242,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 4000,
     description: 'Titanium-alloy armor plating. Increases hull integrity.',
     effect: '+50% maximum hull points',
+    effects: { modifiers: [{ stat: 'maxHull', op: 'mul', value: 1.5 }, { stat: 'armorRating', op: 'add', value: 0.1 }], stacking: 'stack', maxStacks: 2 },
     icon: '🔩',
     installable: true,
     size: 40
@@ -231,6 +256,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 2000,
     description: 'Modular cargo containers. Increases cargo capacity.',
     effect: '+100 cargo capacity',
+    effects: { modifiers: [{ stat: 'cargoCapacity', op: 'add', value: 100 }], stacking: 'stack', maxStacks: 3 },
     icon: '📦',
     installable: true,
     size: 50
@@ -244,6 +270,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 6000,
     description: 'AI-assisted targeting system. Improves weapon accuracy.',
     effect: '+30% weapon accuracy, auto-targeting',
+    effects: { modifiers: [{ stat: 'accuracy', op: 'mul', value: 1.3 }] },
     icon: '🎯',
     installable: true,
     size: 15
@@ -257,6 +284,10 @@ export const ENHANCED_ARTIFACTS = {
     value: 12000,
     description: 'Converts excess shield energy to weapon power.',
     effect: 'Shield energy can boost weapons',
+    effects: {
+      modifiers: [{ stat: 'maxShields', op: 'mul', value: 0.9 }],
+      triggers: [{ on: 'hit', action: 'restorePower', amount: 3 }]
+    },
     icon: '⚡',
     installable: true,
     size: 25
@@ -271,6 +302,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 500,
     description: 'Self-replicating repair drones. Instant hull repair.',
     effect: 'Restore 50% hull instantly',
+    effects: { instant: [{ action: 'heal', amount: 0.5 }] },
     icon: '🔧',
     consumable: true,
     stackable: true,
@@ -285,6 +317,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 400,
     description: 'Emergency shield power cell. Instant shield restoration.',
     effect: 'Restore 100% shields instantly',
+    effects: { instant: [{ action: 'restoreShields', amount: 1 }] },
     icon: '🔋',
     consumable: true,
     stackable: true,
@@ -299,6 +332,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 200,
     description: 'Refined fuel for warp drives. Refuels ship.',
     effect: '+50 fuel',
+    effects: { instant: [{ action: 'refuel', amount: 50 }] },
     icon: '⛽',
     consumable: true,
     stackable: true,
@@ -313,6 +347,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 1000,
     description: 'Single-use cloaking device. Temporary invisibility.',
     effect: '30 seconds of cloaking',
+    effects: { modifiers: [{ stat: 'signature', op: 'mul', value: 0.1 }], duration: 30, stacking: 'refresh' },
     icon: '👁',
     consumable: true,
     stackable: true,
@@ -369,6 +404,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 1500,
     description: 'Basic energy weapon. Reliable and efficient.',
     effect: '+10 laser damage',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 10 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'LASER1',
     installable: true,
     size: 15
@@ -382,6 +418,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 3500,
     description: 'Improved laser weapon with better power efficiency.',
     effect: '+20 laser damage, -10% energy cost',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 20 }, { stat: 'energyCost', op: 'mul', value: 0.9 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'LASER2',
     installable: true,
     size: 15
@@ -395,6 +432,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 7000,
     description: 'Military-grade laser with rapid fire capability.',
     effect: '+35 laser damage, +25% fire rate',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 35 }, { stat: 'fireRate', op: 'mul', value: 1.25 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'LASER3',
     installable: true,
     size: 15
@@ -408,6 +446,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 6500,
     description: 'Fires superheated plasma bolts. High damage, slow fire rate.',
     effect: '+50 plasma damage, -20% fire rate',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 50 }, { stat: 'fireRate', op: 'mul', value: 0.8 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'PLASMA',
     installable: true,
     size: 20
@@ -421,6 +460,11 @@ export const ENHANCED_ARTIFACTS = {
     value: 12000,
     description: 'Disrupts shields and disables systems. Low hull damage.',
     effect: '+100 shield damage, disable systems 20%',
+    effects: {
+      modifiers: [{ stat: 'weaponDamage', op: 'add', value: 40 }],
+      triggers: [{ on: 'hit', chance: 0.2, action: 'buff', buff: { name: 'Ion Overcharge', modifiers: [{ stat: 'weaponDamage', op: 'mul', value: 1.2 }], duration: 5 } }],
+      stacking: 'slot', group: 'weapon_mount'
+    },
     icon: 'ION',
     installable: true,
     size: 25
@@ -434,6 +478,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 15000,
     description: 'Kinetic weapon firing metal slugs at extreme velocity.',
     effect: '+75 kinetic damage, penetrates shields 30%',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 75 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'RAIL',
     installable: true,
     size: 30
@@ -447,6 +492,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 4000,
     description: 'Launches guided missiles. Requires ammunition.',
     effect: '+60 explosive damage, tracking',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 60 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'MISSILE',
     installable: true,
     size: 25
@@ -460,6 +506,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 8500,
     description: 'Fires heavy torpedoes for capital ship combat.',
     effect: '+150 explosive damage, slow reload',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 150 }, { stat: 'fireRate', op: 'mul', value: 0.5 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'TORPEDO',
     installable: true,
     size: 40
@@ -473,6 +520,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 25000,
     description: 'Sustained energy beam. Cuts through armor.',
     effect: '+40 DPS beam, armor piercing',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 40 }, { stat: 'fireRate', op: 'mul', value: 1.2 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'BEAM',
     installable: true,
     size: 35
@@ -486,6 +534,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 30000,
     description: 'Experimental weapon firing particle streams.',
     effect: '+100 particle damage, shield bypass 50%',
+    effects: { modifiers: [{ stat: 'weaponDamage', op: 'add', value: 100 }], stacking: 'slot', group: 'weapon_mount' },
     icon: 'PARTICLE',
     installable: true,
     size: 45
@@ -669,6 +718,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 2000,
     description: 'Standard ion propulsion system.',
     effect: '+10% speed',
+    effects: { modifiers: [{ stat: 'speed', op: 'mul', value: 1.1 }], stacking: 'slot', group: 'engine' },
     icon: 'ENGINE1',
     installable: true,
     size: 30
@@ -682,6 +732,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 8000,
     description: 'Advanced plasma propulsion. High efficiency.',
     effect: '+25% speed, -15% fuel consumption',
+    effects: { modifiers: [{ stat: 'speed', op: 'mul', value: 1.25 }, { stat: 'fuelUse', op: 'mul', value: 0.85 }], stacking: 'slot', group: 'engine' },
     icon: 'ENGINE2',
     installable: true,
     size: 35
@@ -695,6 +746,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 40000,
     description: 'Quantum entanglement drive. Instantaneous acceleration.',
     effect: '+50% speed, +100% acceleration',
+    effects: { modifiers: [{ stat: 'speed', op: 'mul', value: 1.5 }, { stat: 'acceleration', op: 'mul', value: 2 }], stacking: 'slot', group: 'engine' },
     icon: 'ENGINE3',
     installable: true,
     size: 40
@@ -708,6 +760,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 1000,
     description: 'Standard detection array.',
     effect: '+500m sensor range',
+    effects: { modifiers: [{ stat: 'sensorRange', op: 'add', value: 500 }], stacking: 'slot', group: 'sensor' },
     icon: 'SENSOR1',
     installable: true,
     size: 10
@@ -721,6 +774,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 6000,
     description: 'Multi-spectrum detection system.',
     effect: '+1500m sensor range, mineral detection',
+    effects: { modifiers: [{ stat: 'sensorRange', op: 'add', value: 1500 }], stacking: 'slot', group: 'sensor' },
     icon: 'SENSOR2',
     installable: true,
     size: 15
@@ -734,6 +788,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 15000,
     description: 'Quantum entanglement sensor. Detects everything.',
     effect: '+3000m range, detects cloaked ships',
+    effects: { modifiers: [{ stat: 'sensorRange', op: 'add', value: 3000 }], stacking: 'slot', group: 'sensor' },
     icon: 'SENSOR3',
     installable: true,
     size: 20
@@ -747,6 +802,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 1500,
     description: 'Basic AI computer for navigation.',
     effect: '+10% turn rate',
+    effects: { modifiers: [{ stat: 'turnRate', op: 'mul', value: 1.1 }], stacking: 'slot', group: 'computer' },
     icon: 'COMP1',
     installable: true,
     size: 10
@@ -760,6 +816,11 @@ export const ENHANCED_ARTIFACTS = {
     value: 7000,
     description: 'Combat AI with targeting assistance.',
     effect: '+20% accuracy, +15% damage',
+    effects: {
+      modifiers: [{ stat: 'accuracy', op: 'mul', value: 1.2 }, { stat: 'weaponDamage', op: 'mul', value: 1.15 }],
+      triggers: [{ on: 'kill', action: 'buff', buff: { name: 'Target Lock', modifiers: [{ stat: 'fireRate', op: 'mul', value: 1.2 }], duration: 8 } }],
+      stacking: 'slot', group: 'computer'
+    },
     icon: 'COMP2',
     installable: true,
     size: 15
@@ -773,6 +834,10 @@ export const ENHANCED_ARTIFACTS = {
     value: 35000,
     description: 'Sentient AI with predictive algorithms.',
     effect: '+50% all stats, auto-pilot',
+    effects: {
+      modifiers: ['speed', 'turnRate', 'weaponDamage', 'shieldRegen', 'sensorRange'].map(stat => ({ stat, op: 'mul', value: 1.5 })),
+      stacking: 'slot', group: 'computer'
+    },
     icon: 'COMP3',
     installable: true,
     size: 20
@@ -786,6 +851,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 4500,
     description: 'Nuclear fusion power plant.',
     effect: '+100 max energy, +5 energy regen',
+    effects: { modifiers: [{ stat: 'maxPower', op: 'add', value: 100 }, { stat: 'powerRegen', op: 'add', value: 5 }], stacking: 'slot', group: 'reactor' },
     icon: 'REACTOR1',
     installable: true,
     size: 40
@@ -799,6 +865,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 20000,
     description: 'Matter-antimatter annihilation power source.',
     effect: '+250 max energy, +15 energy regen',
+    effects: { modifiers: [{ stat: 'maxPower', op: 'add', value: 250 }, { stat: 'powerRegen', op: 'add', value: 15 }], stacking: 'slot', group: 'reactor' },
     icon: 'REACTOR2',
     installable: true,
     dangerous: true,
@@ -913,6 +980,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 50,
     description: 'Basic guided missiles. Pack of 10.',
     effect: 'Ammunition',
+    effects: { instant: [{ action: 'loadAmmo', weapon: 'missile_launcher', amount: 10 }] },
     icon: 'AMMO_MISSILE',
     consumable: true,
     stackable: true,
@@ -927,6 +995,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 150,
     description: 'Anti-capital ship torpedoes. Pack of 5.',
     effect: 'Ammunition',
+    effects: { instant: [{ action: 'loadAmmo', weapon: 'missile_launcher', amount: 5 }] },
     icon: 'AMMO_TORPEDO',
     consumable: true,
     stackable: true,
@@ -941,6 +1010,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 300,
     description: 'Electromagnetic pulse missiles. Disables systems.',
     effect: 'Ammunition',
+    effects: { instant: [{ action: 'loadAmmo', weapon: 'missile_launcher', amount: 5 }] },
     icon: 'AMMO_EMP',
     consumable: true,
     stackable: true,
@@ -955,6 +1025,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 5000,
     description: 'Tactical nuclear weapon. Extreme damage.',
     effect: 'Ammunition - Single use',
+    effects: { instant: [{ action: 'loadAmmo', weapon: 'nuclear_missile', amount: 1 }] },
     icon: 'AMMO_NUKE',
     consumable: true,
     dangerous: true,
@@ -970,6 +1041,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 2000,
     description: 'Construction plans for weapon system.',
     effect: 'Unlock weapon crafting',
+    effects: { instant: [{ action: 'learnSchematics', recipes: ['railgun_mk2', 'ion_cannon_mk1'] }] },
     icon: 'BP_WEAPON',
     usable: true,
     size: 1
@@ -983,6 +1055,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 2500,
     description: 'Propulsion system blueprints.',
     effect: 'Unlock engine crafting',
+    effects: { instant: [{ action: 'learnSchematics', recipes: ['engine_basic', 'reactor_fusion'] }] },
     icon: 'BP_ENGINE',
     usable: true,
     size: 1
@@ -996,6 +1069,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 4000,
     description: 'Advanced shielding technology.',
     effect: 'Unlock shield crafting',
+    effects: { instant: [{ action: 'learnSchematics', recipes: ['energy_shield_mk2', 'regenerative_shield_mk1'] }] },
     icon: 'BP_SHIELD',
     usable: true,
     size: 1
@@ -1009,6 +1083,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 500,
     description: 'Corrupted data. Needs decryption.',
     effect: 'Unknown',
+    effects: { instant: [{ action: 'revealSystems', amount: 1 }] },
     icon: 'DATA_FRAG',
     usable: true,
     size: 1
@@ -1022,6 +1097,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 3000,
     description: 'Complete alien database. Valuable information.',
     effect: 'Reveals technology or locations',
+    effects: { instant: [{ action: 'revealSystems', amount: 3 }] },
     icon: 'DATA_FULL',
     usable: true,
     size: 1
@@ -1036,6 +1112,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 200,
     description: 'Basic medical supplies.',
     effect: 'Heal crew injuries',
+    effects: { instant: [{ action: 'treatCrew' }] },
     icon: 'MEDKIT',
     consumable: true,
     stackable: true,
@@ -1050,6 +1127,7 @@ export const ENHANCED_ARTIFACTS = {
     value: 400,
     description: 'Emergency performance enhancer.',
     effect: '+50% crew performance 5min',
+    effects: { modifiers: [{ stat: 'turnRate', op: 'mul', value: 1.15 }, { stat: 'fireRate', op: 'mul', value: 1.15 }], duration: 300, stacking: 'refresh' },
     icon: 'STIM',
     consumable: true,
     stackable: true,
@@ -1154,35 +1232,3 @@ export function canUseItem(item, player) {
   return item.usable || false;
 }
 
-/**
- * Apply item effect to player/ship
- */
-export function applyItemEffect(item, player, game) {
-  if (!item.effect) return { success: false, message: 'No effect' };
-
-  // Handle different item types
-  if (item.id === 'repair_nanobots') {
-    const healAmount = Math.floor(player.maxHull * 0.5);
-    player.hull = Math.min(player.maxHull, player.hull + healAmount);
-    return { success: true, message: `Repaired ${healAmount} hull points` };
-  }
-
-  if (item.id === 'shield_battery') {
-    player.shields = player.maxShields;
-    return { success: true, message: 'Shields fully restored' };
-  }
-
-  if (item.id === 'fuel_cell') {
-    game.fuel = Math.min(100, game.fuel + 50);
-    return { success: true, message: 'Refueled +50' };
-  }
-
-  if (item.id === 'precursor_beacon') {
-    // Reveal nearby systems
-    const revealed = game.revealNearbySystem(5);
-    return { success: true, message: `Revealed ${revealed} systems` };
-  }
-
-  // Default: item used but no specific effect implemented
-  return { success: true, message: item.effect };
-}
@@ -589,7 +589,8 @@ export class EnhancedSystemGenerator {
           type: asteroidType,
           color: asteroidColor,
           hp: asteroidType === 'M-type' ? this.rng.int(60, 120) : this.rng.int(30, 80), // Metal asteroids are tougher
-          resources: asteroidType === 'M-type' ? this.rng.int(40, 100) : this.rng.int(15, 50) // Metal asteroids have more resources
+          resources: asteroidType === 'M-type' ? this.rng.int(40, 100) : this.rng.int(15, 50), // Metal asteroids have more resources
+          seed: (Math.abs(Math.floor(this.systemData.seed)) + b * 7919 + i * 131 + 2671) % 233280 // Composition (MiningSystem), kept off this.rng so the rest of the system is unchanged
         });
       }
 
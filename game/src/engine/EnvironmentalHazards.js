@@ -217,6 +217,29 @@ export class EnvironmentalHazards {
     return this.activeEffects;
   }
 
+  /**
+   * Acceleration of gravity wells at a point: each pulls toward its center
+   * with effects.pullForce, fading out to its edge
+   */
+  getGravityWellPull(x, y) {
+    let ax = 0;
+    let ay = 0;
+
+    for (const hazard of this.hazards) {
+      if (hazard.type !== 'gravity_well') continue;
+      const dx = hazard.x - x;
+      const dy = hazard.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance >= hazard.radius || distance < 1) continue;
+
+      const pull = hazard.effects.pullForce * hazard.strength * (1 - distance / hazard.radius);
+      ax += (dx / distance) * pull;
+      ay += (dy / distance) * pull;
+    }
+
+    return { ax, ay };
+  }
+
   /**
    * Render environmental hazards
    */
@@ -0,0 +1,171 @@
+/**
+ * EventBus - Typed publish/subscribe channel between engine subsystems
+ *
+ * Game owns one bus (game.events). Subsystems emit what happened and anyone
+ * interested subscribes, instead of the emitter calling each consumer:
+ *
+ *   game.events.on('enemyDestroyed', (event) => { ... });
+ *   game.events.emit('enemyDestroyed', { shipType: 'fighter', ... });
+ *
+ * Event types and their payload fields are declared in GAME_EVENTS. Payloads
+ * are plain data (names and indices rather than live objects) so every event
+ * can be recorded in the log and replayed later to reproduce a session's
+ * sequence of events. Subscribers act on the game (a shipCollided event
+ * damages the ship), so a log is never replayed through game.events: replay
+ * hands it to a debugging callback or a sandbox bus with its own subscribers.
+ */
+
+const MAX_LOG_SIZE = 500; // Recorded events kept for replay
+
+// Cosmetic events, sent every contact frame: kept out of the log so they
+// don't push out the events it is there to reproduce
+const UNLOGGED_EVENTS = new Set(['collisionEffect']);
+
+// Event types and the fields their payloads carry
+export const GAME_EVENTS = {
+  systemEntered: ['systemIndex', 'name'],
+  enemyDestroyed: ['shipType', 'race', 'x', 'y', 'hostile', 'bountyContractId', 'customsPatrol'],
+  cargoChanged: ['kind', 'id', 'quantity', 'reason'], // quantity < 0 when cargo leaves the hold
+  docked: ['systemIndex', 'stationIndex', 'station'],
+  hullDamaged: ['amount', 'source', 'hull'], // Projectile hits - not collisions or hazards
+  artifactCollected: ['typeId', 'name', 'systemIndex'],
+  bodyScanned: ['type', 'name', 'systemIndex'],
+  enemyHit: ['damage', 'shipType'], // The player's shots
+  warpEngaged: ['x', 'y'],
+  gateActivated: ['systemIndex', 'targetSystemIndex', 'name'], // Game makes the jump
+  shipCollided: ['source', 'damage', 'angle', 'impulse', 'shake', 'sparks', 'fatal'], // Game applies it to the ship; logged once per contact
+  collisionEffect: ['effect', 'x', 'y', 'count', 'color'], // Game spawns the particles
+  warDeclared: ['a', 'b', 'live'], // Faction ids; live = the player hears of it
+  peaceMade: ['a', 'b', 'live']
+};
+
+export class EventBus {
+  constructor(game) {
+    this.game = game;
+
+    this.handlers = new Map(); // type -> Set of handlers
+    this.log = [];
+    this.sequence = 0;
+    this.replaying = false;
+  }
+
+  /**
+   * Subscribe to an event type
+   * @returns {Function} Unsubscribe
+   */
+  on(type, handler) {
+    this.checkType(type);
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribe for the next event of a type only
+   */
+  once(type, handler) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe();
+      handler(payload);
+    });
+    return unsubscribe;
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  /**
+   * Publish an event to its subscribers (and the log)
+   * A failing handler is reported and doesn't stop the others.
+   * @param {Object} options - record: false keeps this one out of the log
+   */
+  emit(type, payload = {}, { record = true } = {}) {
+    this.checkType(type);
+
+    const missing = GAME_EVENTS[type].filter(field => !(field in payload));
+    if (missing.length > 0) {
+      console.warn(`[EventBus] ${type} is missing ${missing.join(', ')}`);
+    }
+
+    if (record && !this.replaying && !UNLOGGED_EVENTS.has(type)) {
+      this.record(type, payload);
+    }
+
+    for (const handler of [...(this.handlers.get(type) || [])]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`[EventBus] ${type} handler failed:`, error);
+      }
+    }
+  }
+
+  checkType(type) {
+    if (!GAME_EVENTS[type]) {
+      throw new Error(`Unknown game event: ${type}`);
+    }
+  }
+
+  record(type, payload) {
+    this.log.push({
+      seq: ++this.sequence,
+      type,
+      playtime: this.game.playtime || 0,
+      payload: { ...payload }
+    });
+    if (this.log.length > MAX_LOG_SIZE) {
+      this.log.shift();
+    }
+  }
+
+  /**
+   * Recorded events, oldest first
+   * @param {string} type - Only events of this type
+   */
+  getLog(type = null) {
+    return type ? this.log.filter(entry => entry.type === type) : [...this.log];
+  }
+
+  clearLog() {
+    this.log = [];
+  }
+
+  /**
+   * Log as JSON, for bug reports
+   */
+  exportLog() {
+    return JSON.stringify(this.log);
+  }
+
+  /**
+   * Play recorded events back in order, away from the live game
+   * @param {Array|string} entries - Log entries (or exportLog() output)
+   * @param {Function|EventBus} target - Callback receiving each entry, or a
+   *   sandbox bus (not this one) whose subscribers receive the events
+   */
+  replay(entries = this.log, target) {
+    const sandbox = target instanceof EventBus;
+    if (target === this || (!sandbox && typeof target !== 'function')) {
+      throw new Error('Replay needs a callback or a sandbox bus');
+    }
+    const list = typeof entries === 'string' ? JSON.parse(entries) : [...entries];
+
+    if (sandbox) target.replaying = true;
+    try {
+      for (const entry of list) {
+        if (sandbox) {
+          target.emit(entry.type, entry.payload);
+        } else {
+          target(entry);
+        }
+      }
+    } finally {
+      if (sandbox) target.replaying = false;
+    }
+    console.log(`[EventBus] Replayed ${list.length} events`);
+  }
+}
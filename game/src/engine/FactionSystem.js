@@ -1,3 +1,61 @@
+/**
+ * FactionSystem - The political powers of the galaxy and the player's standing with them
+ *
+ * Five human factions plus one faction per alien race (ALIEN_RACES) - the
+ * Hive Collectives are the Swarm Collective race, the rest of the races are
+ * factions of their own under their race id. All of them share one model:
+ * 0-100 reputation with the player, an attitude tier, territory and traits
+ * (the race's traits, or the human faction's profile).
+ *
+ * Humanity has settled the space around the starting system. Each race holds
+ * the systems around a capital placed from the galaxy seed
+ * (assignFactionsToGalaxy); systems beyond every race's reach are independent
+ * frontier worlds. Systems conquered in wars (WarSystem) keep their new owner
+ * over these claims.
+ */
+import { ALIEN_RACES } from './AlienRaceSystem.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const HUMAN_SPACE_RADIUS = 3500; // Distance from the starting system that humans have settled
+const RACE_CAPITAL_SPACING = 2500; // Least distance between two race capitals
+const RACE_REACH = 3000; // Distance from its capital a race holds systems
+const RACE_REPUTATION = { friendly: 75, neutral: 50, hostile: 10 }; // Starting reputation by race relationship
+
+// Profiles of the human factions (not saved with the faction state)
+const FACTION_PROFILES = {
+  terran_coalition: {
+    government: 'Federal Republic',
+    description: 'The old core worlds of humanity. Orderly, well-armed and strict about what crosses their borders.',
+    traits: { trading: 1.0, technology: 1.0, aggression: 0.5, helpfulness: 0.6 }
+  },
+  independent_worlds: {
+    government: 'Loose Confederation',
+    description: 'Frontier colonies that answer to no one but themselves. Lax customs, long memories.',
+    traits: { trading: 1.05, technology: 1.1, aggression: 0.4, helpfulness: 0.6 }
+  },
+  mining_consortium: {
+    government: 'Corporate Charter',
+    description: 'The company that owns the rich belts. Pays well, bills better, and sells to everyone.',
+    traits: { trading: 1.1, technology: 0.9, aggression: 0.3, helpfulness: 0.5 }
+  },
+  hive_collective: {
+    government: 'Hive Mind',
+    description: 'An alien swarm that does not trade, treat or surrender. Every other power is at war with it sooner or later.',
+    race: 'hivemind',
+    noDiplomacy: true
+  },
+  free_traders: {
+    government: 'Merchant Guild',
+    description: 'Captains and brokers who keep the lanes open. Friendly to anyone who pays their dues.',
+    traits: { trading: 1.25, technology: 1.0, aggression: 0.2, helpfulness: 0.8 }
+  }
+};
+
+// Races that are a human faction's people rather than a faction of their own
+const RACE_FACTIONS = Object.fromEntries(
+  Object.entries(FACTION_PROFILES).filter(([, profile]) => profile.race).map(([id, profile]) => [profile.race, id])
+);
+
 export class FactionSystem {
   constructor() {
     this.factions = {
@@ -7,6 +65,41 @@ export class FactionSystem {
       hive_collective: { name: 'Hive Collectives', reputation: 30, color: '#ff4444', territory: [], attitude: 'hostile', tradeBonus: -0.5 },
       free_traders: { name: 'Free Traders Guild', reputation: 60, color: '#ffdd44', territory: [], attitude: 'friendly', tradeBonus: 0.1 }
     };
+
+    // Every other race is a faction of its own
+    for (const race of Object.values(ALIEN_RACES)) {
+      if (RACE_FACTIONS[race.id]) continue;
+      this.factions[race.id] = {
+        name: race.name,
+        reputation: RACE_REPUTATION[race.relationship] ?? 50,
+        color: race.secondaryColor,
+        territory: [],
+        race: race.id
+      };
+      this.modifyReputation(race.id, 0);
+    }
+
+    this.owners = {}; // system index -> factionId, for systems that changed hands
+    this.raceCapitals = {}; // factionId -> system index (assignFactionsToGalaxy)
+    this.capitalPositions = [];
+    this.origin = null; // Position of the starting system
+  }
+
+  /**
+   * Faction of an alien race
+   */
+  getRaceFaction(raceId) {
+    return RACE_FACTIONS[raceId] || (this.factions[raceId] ? raceId : null);
+  }
+
+  /**
+   * Restore saved faction state over the current factions
+   * (factions missing from older saves keep their starting state)
+   */
+  restore(saved) {
+    for (const [id, state] of Object.entries(saved)) {
+      this.factions[id] = { ...this.factions[id], ...state };
+    }
   }
 
   modifyReputation(factionId, amount) {
@@ -18,6 +111,46 @@ export class FactionSystem {
     return { faction: faction.name, newRep: faction.reputation, attitude: faction.attitude };
   }
 
+  /**
+   * Faction state with its id and profile
+   */
+  getFaction(factionId) {
+    const faction = this.factions[factionId];
+    if (!faction) return null;
+
+    const profile = FACTION_PROFILES[factionId] || {};
+    const race = ALIEN_RACES[profile.race || faction.race];
+    return {
+      id: factionId,
+      government: 'Alien Polity',
+      description: race ? race.description : '',
+      traits: race ? race.traits : null,
+      ...profile,
+      ...faction
+    };
+  }
+
+  /**
+   * Factions the player knows of: the human factions, and races holding a
+   * discovered system
+   */
+  getKnownFactions() {
+    return Object.keys(this.factions).filter(id => FACTION_PROFILES[id] || this.factions[id].territory.length > 0);
+  }
+
+  getFactionColor(factionId) {
+    const faction = this.factions[factionId];
+    return faction ? faction.color : '#888888';
+  }
+
+  /**
+   * The faction's attitude toward the player (hostile .. allied)
+   */
+  getRelation(factionId) {
+    const faction = this.factions[factionId];
+    return faction ? faction.attitude : 'neutral';
+  }
+
   getFactionStatus() {
     return Object.entries(this.factions).map(([id, f]) => ({ id, name: f.name, reputation: Math.floor(f.reputation), attitude: f.attitude, color: f.color, tradeBonus: Math.floor(f.tradeBonus * 100) }));
   }
@@ -26,56 +159,116 @@ export class FactionSystem {
     for (const f of Object.values(this.factions)) f.territory = [];
     galaxy.forEach((sys, i) => {
       if (!sys.discovered) return;
-      if (sys.hasHiveAliens) this.factions.hive_collective.territory.push(i);
-      else if (sys.resourceRichness > 0.7 && (sys.stationCount || 0) > 5) this.factions.mining_consortium.territory.push(i);
-      else if (i === 0 || (sys.hasMegastructure && sys.visited)) this.factions.terran_coalition.territory.push(i);
-      else this.factions.independent_worlds.territory.push(i);
+      this.factions[this.owners[i] || this.getNativeFaction(sys, i)].territory.push(i);
     });
   }
 
-  assignFactionsToGalaxy(galaxy) {
-    // Assign each faction a center point in the galaxy
-    const factionCenters = {};
-    const factionIds = Object.keys(this.factions);
+  /**
+   * Hand a system to a new owner (conquest)
+   */
+  setSystemOwner(index, factionId, sys) {
+    for (const faction of Object.values(this.factions)) {
+      faction.territory = faction.territory.filter(entry => entry !== index);
+    }
+    this.owners[index] = factionId;
+    if (sys && sys.discovered) {
+      this.factions[factionId].territory.push(index);
+    }
+  }
 
-    // Distribute factions evenly across the galaxy
-    factionIds.forEach((factionId, index) => {
-      const angle = (index / factionIds.length) * Math.PI * 2;
-      const distance = 200 + Math.random() * 100;
-      factionCenters[factionId] = {
-        x: Math.cos(angle) * distance,
-        y: Math.sin(angle) * distance
-      };
-    });
+  /**
+   * Whether a system is a faction's seat (the starting system or a race capital)
+   */
+  isCapital(index) {
+    return index === 0 || Object.values(this.raceCapitals).includes(index);
+  }
 
-    // Assign each system to nearest faction
-    galaxy.forEach((sys, i) => {
-      let nearestFaction = null;
-      let nearestDistance = Infinity;
+  /**
+   * Faction a system falls to by its place and traits
+   */
+  getNativeFaction(sys, index) {
+    if (sys.hasHiveAliens) return 'hive_collective';
+    const race = this.getRaceClaim(sys);
+    if (race) return race;
+    if (sys.resourceRichness > 0.7 && (sys.stationCount || 0) > 5) return 'mining_consortium';
+    if (index === 0 || (sys.hasMegastructure && sys.visited)) return 'terran_coalition';
+    return 'independent_worlds';
+  }
+
+  /**
+   * Race holding a system - the nearest capital in reach, outside human space
+   */
+  getRaceClaim(sys) {
+    if (!this.origin || !sys.position) return null;
+    if (Math.hypot(sys.position.x - this.origin.x, sys.position.y - this.origin.y) < HUMAN_SPACE_RADIUS) return null;
 
-      // FIXED: Access position correctly (sys.position.x, not sys.x)
-      if (!sys.position) {
-        console.warn(`System ${i} has no position data, skipping faction assignment`);
-        return;
+    let claim = null;
+    let nearest = RACE_REACH;
+    for (const capital of this.capitalPositions) {
+      const distance = Math.hypot(sys.position.x - capital.x, sys.position.y - capital.y);
+      if (distance <= nearest) {
+        nearest = distance;
+        claim = capital.factionId;
       }
+    }
+    return claim;
+  }
+
+  /**
+   * Faction holding a system - its territory owner, or the faction its traits
+   * give it while it's still undiscovered (and so outside any territory)
+   */
+  getSystemFaction(index, sys) {
+    if (this.owners[index]) return this.owners[index];
+    for (const [id, faction] of Object.entries(this.factions)) {
+      if (faction.territory.includes(index)) return id;
+    }
+    return sys ? this.getNativeFaction(sys, index) : null;
+  }
 
-      factionIds.forEach(factionId => {
-        const center = factionCenters[factionId];
-        const dx = sys.position.x - center.x; // FIXED: Use sys.position.x
-        const dy = sys.position.y - center.y; // FIXED: Use sys.position.y
-        const distance = Math.sqrt(dx * dx + dy * dy);
+  /**
+   * Place the race capitals (same seed, same capitals) and assign territories
+   * Races take turns in a seeded order, each settling the first system outside
+   * human space that is far enough from the capitals placed before it. Races
+   * left without room hold no territory.
+   * @returns {Object} factionId -> capital system index
+   */
+  assignFactionsToGalaxy(galaxy, seed = 0) {
+    const rng = new SeededRandom((Math.abs(Math.floor(seed)) + 7411) % 233280);
+    const start = galaxy[0] && galaxy[0].position;
 
-        if (distance < nearestDistance) {
-          nearestDistance = distance;
-          nearestFaction = factionId;
+    this.origin = start ? { x: start.x, y: start.y } : null;
+    this.owners = {};
+    this.raceCapitals = {};
+    this.capitalPositions = [];
+
+    if (this.origin) {
+      // Seeded shuffles of the races and the systems outside human space
+      const shuffle = (list) => {
+        for (let i = list.length - 1; i > 0; i--) {
+          const j = Math.floor(rng.next() * (i + 1));
+          [list[i], list[j]] = [list[j], list[i]];
         }
-      });
+        return list;
+      };
+      const races = shuffle(Object.keys(this.factions).filter(id => this.factions[id].race));
+      const sites = shuffle(galaxy
+        .map((sys, index) => ({ index, position: sys.position }))
+        .filter(site => site.position &&
+          Math.hypot(site.position.x - this.origin.x, site.position.y - this.origin.y) >= HUMAN_SPACE_RADIUS));
 
-      // Assign faction to system
-      sys.faction = nearestFaction;
-      sys.factionData = this.factions[nearestFaction];
-    });
+      for (const factionId of races) {
+        const site = sites.find(candidate => this.capitalPositions.every(capital =>
+          Math.hypot(candidate.position.x - capital.x, candidate.position.y - capital.y) >= RACE_CAPITAL_SPACING));
+        if (!site) continue;
+
+        this.raceCapitals[factionId] = site.index;
+        this.capitalPositions.push({ factionId, x: site.position.x, y: site.position.y });
+      }
+    }
 
-    return factionCenters;
+    this.assignTerritories(galaxy);
+    console.log(`[FactionSystem] ${this.capitalPositions.length} race capitals placed`);
+    return this.raceCapitals;
   }
 }
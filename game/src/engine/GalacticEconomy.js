@@ -0,0 +1,425 @@
+/**
+ * GalacticEconomy - Background economic simulation across the galaxy
+ *
+ * Every star system has a market (EconomySystem), not just the ones the
+ * player has visited. Once per market tick:
+ * - producer systems add goods to their market and consumer systems use them
+ *   up (PRODUCTION_PROFILES, from system traits and the faction holding it)
+ * - NPC traders buy where a commodity is cheap and fly it along the trade
+ *   routes the galaxy map draws to where it's dear, so prices converge
+ * - galactic events cause shortages, gluts and blockades; no convoys fly to
+ *   or from a blockaded system (or Hive space), so it runs short
+ *
+ * Events are rolled from the galaxy seed and the tick number and traders
+ * follow fixed rules, so the economy plays out the same in every session.
+ */
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Trade routes (also drawn by components/GalaxyMap.js)
+const MAX_TRADE_DISTANCE = 4000;
+const MIN_ROUTE_VALUE = 0.4;
+
+// NPC traders
+const CONVOY_CAPACITY = 60; // Cargo volume per convoy
+const CONVOY_SHARE = 0.15; // Largest share of a market's stock one convoy buys
+const CONVOY_SPEED = 1000; // Distance covered per tick
+const MIN_TRADE_MARGIN = 0.2; // Price gap (after travel costs) worth flying for
+
+// Production and consumption
+const DEMAND_PRESSURE = 0.01; // Demand change per unit produced/consumed per tick
+
+// Galactic events
+const EVENT_CHANCE = 0.04; // Per tick, galaxy-wide
+const EVENT_DURATION = { min: 10, max: 30 }; // Ticks
+
+/**
+ * Units produced (positive) or consumed (negative) per tick
+ */
+const PRODUCTION_PROFILES = {
+  // Yellow-dwarf systems in safe space - terran farm worlds
+  agricultural: { food: 5, water: 3, machinery: -1, electronics: -1 },
+  // Rich asteroid belts
+  mining: { minerals: 5, metals: 2, food: -2, water: -2, machinery: -1 },
+  // Busy station hubs
+  industrial: { electronics: 3, machinery: 2, metals: -3, minerals: -2 },
+  // Populous core worlds
+  core: { luxuries: 2, art: 1, medicine: 2, food: -4, water: -2, fuel_cells: -2 },
+  // Rare element deposits
+  exotic: { exotic_matter: 1 },
+
+  // Faction territories (FactionSystem)
+  mining_consortium: { minerals: 4, metals: 3, fuel_cells: 2, food: -3, medicine: -1 },
+  terran_coalition: { medicine: 1, weapons: 1, luxuries: -2, minerals: -2 },
+  independent_worlds: { machinery: 1, weapons: -1 }
+};
+
+/**
+ * Events that can hit a system (commodity production change or blockade)
+ */
+const GALACTIC_EVENTS = [
+  { id: 'crop_failure', name: 'Crop failure', commodityId: 'food', rate: -10 },
+  { id: 'mine_collapse', name: 'Mine collapse', commodityId: 'minerals', rate: -10 },
+  { id: 'epidemic', name: 'Epidemic', commodityId: 'medicine', rate: -6 },
+  { id: 'fuel_crisis', name: 'Fuel crisis', commodityId: 'fuel_cells', rate: -8 },
+  { id: 'bumper_harvest', name: 'Bumper harvest', commodityId: 'food', rate: 10 },
+  { id: 'ore_strike', name: 'Ore strike', commodityId: 'minerals', rate: 12 },
+  { id: 'pirate_blockade', name: 'Pirate blockade', blockade: true }
+];
+
+/**
+ * Trade routes between systems close enough and worth trading between
+ * @param {Array} galaxy - Star systems (full system data)
+ * @param {Function} [include] - Which systems take part (default: discovered ones)
+ * @returns {Array} Routes { from, to, distance, value, importance }
+ */
+export function computeTradeRoutes(galaxy, include = sys => sys.discovered) {
+  const routes = [];
+
+  for (let i = 0; i < galaxy.length; i++) {
+    const sys1 = galaxy[i];
+    if (!include(sys1, i)) continue;
+
+    for (let j = i + 1; j < galaxy.length; j++) {
+      const sys2 = galaxy[j];
+      if (!include(sys2, j)) continue;
+
+      const dx = sys2.position.x - sys1.position.x;
+      const dy = sys2.position.y - sys1.position.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist > MAX_TRADE_DISTANCE) continue;
+
+      // Trade value (0-1) from distance, resources, stations and danger
+      const distanceFactor = 1 - (dist / MAX_TRADE_DISTANCE);
+      const resourceFactor = (sys1.resourceRichness + sys2.resourceRichness) / 2;
+      const stationFactor = ((sys1.stationCount || 0) + (sys2.stationCount || 0)) / 16;
+      const dangerPenalty = 1 - ((sys1.dangerLevel + sys2.dangerLevel) / 20);
+
+      const tradeValue = distanceFactor * 0.3 + resourceFactor * 0.3 +
+                        stationFactor * 0.2 + dangerPenalty * 0.2;
+
+      if (tradeValue > MIN_ROUTE_VALUE) {
+        routes.push({
+          from: i,
+          to: j,
+          distance: dist,
+          value: tradeValue,
+          importance: tradeValue > 0.7 ? 'high' : tradeValue > 0.55 ? 'medium' : 'low'
+        });
+      }
+    }
+  }
+
+  return routes;
+}
+
+export class GalacticEconomy {
+  constructor(game) {
+    this.game = game;
+
+    this.tick = null; // Last simulated market tick (null until the first update)
+    this.events = []; // Active events { id, systemIndex, endsAt }
+    this.shipments = []; // Convoys in flight { route, from, to, commodityId, quantity, arrivesAt }
+
+    // Derived from the galaxy, rebuilt when it changes
+    this.galaxy = null;
+    this.systemData = [];
+    this.routes = [];
+  }
+
+  /**
+   * Full data of every system and the trade routes between them
+   * Placeholder systems are generated here without replacing the
+   * galaxy entry (they stay undiscovered on the map).
+   */
+  ensureNetwork() {
+    const game = this.game;
+    if (this.galaxy === game.galaxy && this.systemData.length === game.galaxy.length) return;
+
+    this.galaxy = game.galaxy;
+    this.systemData = game.galaxy.map((sys, index) => (
+      sys.isPlaceholder && game.galaxyGenerator ? game.galaxyGenerator.generateStarSystem(index) : sys
+    ));
+    this.routes = computeTradeRoutes(this.systemData, () => true);
+
+    console.log(`[GalacticEconomy] ${this.systemData.length} systems, ${this.routes.length} trade routes`);
+  }
+
+  /**
+   * Market of a system at a tick, generated on first use
+   */
+  getMarket(systemIndex, tick) {
+    const data = this.systemData[systemIndex];
+    const factionSystem = this.game.factionSystem;
+    const factionData = factionSystem ? factionSystem.getFaction(factionSystem.getSystemFaction(systemIndex, data)) : null;
+    return this.game.economySystem.generateSystemMarket(systemIndex, data, factionData, tick);
+  }
+
+  /**
+   * Advance the galaxy's economy to the current playtime
+   * Cheap to call every frame - does nothing until a market tick has passed.
+   */
+  update() {
+    const game = this.game;
+    if (!game.economySystem || !game.galaxy || game.galaxy.length === 0) return;
+
+    this.ensureNetwork();
+
+    const currentTick = game.economySystem.getCurrentTick();
+
+    // New game, or a save from before the simulation - start from now
+    if (this.tick === null) {
+      this.tick = currentTick;
+    }
+
+    // Ticks simulated in one go (after loading) don't notify the player
+    const live = currentTick - this.tick <= 1;
+
+    while (this.tick < currentTick) {
+      this.tick++;
+      this.step(this.tick, live);
+    }
+  }
+
+  /**
+   * One tick across the galaxy
+   */
+  step(tick, live) {
+    const markets = this.systemData.map((data, index) => this.getMarket(index, tick));
+
+    this.events = this.events.filter(event => event.endsAt > tick);
+    this.rollEvent(tick, live);
+
+    markets.forEach((market, index) => this.produce(market, index));
+    this.deliverShipments(tick, markets);
+    this.dispatchTraders(tick, markets);
+  }
+
+  /**
+   * Units of each commodity a system produces (positive) or consumes
+   * (negative) per tick, including its active events
+   */
+  getProduction(systemIndex) {
+    const sys = this.systemData[systemIndex];
+    const profiles = [];
+
+    if (sys.starType && sys.starType.name === 'G' && sys.dangerLevel <= 3) profiles.push('agricultural');
+    if (sys.resourceRichness > 0.6) profiles.push('mining');
+    if ((sys.stationCount || 0) >= 6) profiles.push('industrial');
+    if (systemIndex === 0 || sys.hasMegastructure) profiles.push('core');
+    if (sys.rareElements) profiles.push('exotic');
+
+    const faction = this.game.factionSystem && this.game.factionSystem.getSystemFaction(systemIndex, sys);
+    if (PRODUCTION_PROFILES[faction]) profiles.push(faction);
+
+    const production = {};
+    for (const profile of profiles) {
+      for (const [commodityId, rate] of Object.entries(PRODUCTION_PROFILES[profile])) {
+        production[commodityId] = (production[commodityId] || 0) + rate;
+      }
+    }
+
+    for (const event of this.getActiveEvents(systemIndex)) {
+      if (event.commodityId) {
+        production[event.commodityId] = (production[event.commodityId] || 0) + event.rate;
+      }
+    }
+
+    return production;
+  }
+
+  /**
+   * Producers stock up and sell cheap, consumers run down and pay more
+   */
+  produce(market, systemIndex) {
+    const commodities = this.game.economySystem.commodities;
+
+    for (const [commodityId, rate] of Object.entries(this.getProduction(systemIndex))) {
+      if (rate && commodities[commodityId]) {
+        this.shiftStock(market, commodities[commodityId], rate);
+      }
+    }
+  }
+
+  /**
+   * Goods arriving in a market (positive units) make it cheaper, goods
+   * leaving it (negative) make it dearer - through supply and demand both
+   */
+  shiftStock(market, commodity, units) {
+    const id = commodity.id;
+    const baseDemand = market.baseDemand[id];
+    if (market.supply[id] === undefined || baseDemand === undefined) return;
+
+    market.supply[id] = Math.max(0, market.supply[id] + units);
+    market.demand[id] = Math.max(baseDemand * 0.2, market.demand[id] - units * DEMAND_PRESSURE * baseDemand);
+    market.prices[id] = this.game.economySystem.calculatePrice(commodity, market.demand[id], market.supply[id]);
+  }
+
+  /**
+   * Convoys that arrive this tick unload. One bound for a system that has
+   * since been blockaded turns back and unloads where it came from.
+   */
+  deliverShipments(tick, markets) {
+    const commodities = this.game.economySystem.commodities;
+
+    this.shipments = this.shipments.filter(shipment => {
+      if (shipment.arrivesAt > tick) return true;
+
+      const destination = this.isBlockaded(shipment.to) ? shipment.from : shipment.to;
+      const market = markets[destination];
+      const commodity = commodities[shipment.commodityId];
+      if (market && commodity) {
+        this.shiftStock(market, commodity, shipment.quantity);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Send a convoy down every open, idle route carrying the commodity with
+   * the best price gap between its ends
+   */
+  dispatchTraders(tick, markets) {
+    const commodities = this.game.economySystem.commodities;
+    const busy = new Set(this.shipments.map(shipment => shipment.route));
+
+    this.routes.forEach((route, routeIndex) => {
+      if (busy.has(routeIndex) || !this.isRouteOpen(route)) return;
+
+      const a = markets[route.from];
+      const b = markets[route.to];
+      const travelCost = (route.distance / MAX_TRADE_DISTANCE) * 0.1;
+      let best = null;
+
+      for (const commodity of Object.values(commodities)) {
+        if (commodity.illegal) continue; // Licensed traders don't run contraband
+
+        const priceA = a.prices[commodity.id];
+        const priceB = b.prices[commodity.id];
+        if (!priceA || !priceB) continue;
+
+        const [from, to] = priceA <= priceB ? [route.from, route.to] : [route.to, route.from];
+        const margin = Math.abs(priceB - priceA) / Math.min(priceA, priceB) - travelCost;
+        if (margin > MIN_TRADE_MARGIN && (!best || margin > best.margin)) {
+          best = { commodity, from, to, margin };
+        }
+      }
+      if (!best) return;
+
+      const source = markets[best.from];
+      const quantity = Math.min(
+        Math.floor(source.supply[best.commodity.id] * CONVOY_SHARE * route.value),
+        Math.floor(CONVOY_CAPACITY / best.commodity.volume)
+      );
+      if (quantity < 1) return;
+
+      this.shiftStock(source, best.commodity, -quantity);
+
+      this.shipments.push({
+        route: routeIndex,
+        from: best.from,
+        to: best.to,
+        commodityId: best.commodity.id,
+        quantity,
+        arrivesAt: tick + Math.max(1, Math.round(route.distance / CONVOY_SPEED))
+      });
+    });
+  }
+
+  /**
+   * Maybe start a random event somewhere in the galaxy
+   */
+  rollEvent(tick, live) {
+    const seed = Math.abs(Math.floor(this.game.seed || 0));
+    const rng = new SeededRandom((seed + tick * 7919 + 31337) % 233280);
+    if (rng.next() >= EVENT_CHANCE) return;
+
+    const systemIndex = rng.int(0, this.systemData.length - 1);
+    const definition = rng.choice(GALACTIC_EVENTS);
+    const duration = rng.int(EVENT_DURATION.min, EVENT_DURATION.max);
+
+    this.startEvent(definition.id, systemIndex, duration, tick, live);
+  }
+
+  /**
+   * Start an event in a system (ignored if it's already running there)
+   * @param {string} eventId - GALACTIC_EVENTS id
+   * @param {number} systemIndex - System hit by the event
+   * @param {number} duration - Length in market ticks
+   * @param {number} [tick] - Tick it starts on (defaults to the current one)
+   * @param {boolean} [notify] - Tell the player if they know the system
+   * @returns {Object|null} The event, or null if it couldn't be started
+   */
+  startEvent(eventId, systemIndex, duration, tick = this.tick || 0, notify = true) {
+    const definition = GALACTIC_EVENTS.find(event => event.id === eventId);
+    if (!definition || !this.galaxy || !this.galaxy[systemIndex]) return null;
+    if (this.events.some(event => event.id === eventId && event.systemIndex === systemIndex)) return null;
+
+    const event = { id: eventId, systemIndex, endsAt: tick + duration };
+    this.events.push(event);
+
+    const sys = this.galaxy[systemIndex];
+    if (notify && sys.discovered) {
+      this.game.showNotification(`${definition.name} in ${sys.name}`, definition.rate > 0 ? 'info' : 'warning');
+    }
+    console.log(`[GalacticEconomy] ${definition.name} in system ${systemIndex} until tick ${event.endsAt}`);
+    return event;
+  }
+
+  /**
+   * Blockade a system - no convoys fly in or out until it's lifted
+   * @param {number} systemIndex - System to blockade
+   * @param {number} duration - Length in market ticks
+   */
+  blockadeSystem(systemIndex, duration) {
+    return this.startEvent('pirate_blockade', systemIndex, duration);
+  }
+
+  /**
+   * Active events in a system, with their definitions
+   */
+  getActiveEvents(systemIndex) {
+    return this.events
+      .filter(event => event.systemIndex === systemIndex)
+      .map(event => ({ ...GALACTIC_EVENTS.find(definition => definition.id === event.id), ...event }));
+  }
+
+  /**
+   * Whether traders stay away from a system (blockade or Hive space)
+   */
+  isBlockaded(systemIndex) {
+    if (this.getActiveEvents(systemIndex).some(event => event.blockade)) return true;
+
+    const factionSystem = this.game.factionSystem;
+    return !!factionSystem &&
+      factionSystem.getSystemFaction(systemIndex, this.systemData[systemIndex]) === 'hive_collective';
+  }
+
+  /**
+   * Whether NPC traders fly a route
+   */
+  isRouteOpen(route) {
+    return !this.isBlockaded(route.from) && !this.isBlockaded(route.to);
+  }
+
+  /**
+   * Serialize simulation state for saving (markets are saved by EconomySystem)
+   */
+  serialize() {
+    return {
+      tick: this.tick,
+      events: this.events,
+      shipments: this.shipments
+    };
+  }
+
+  /**
+   * Restore simulation state from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.tick = Number.isInteger(data.tick) ? data.tick : null;
+    this.events = data.events || [];
+    this.shipments = data.shipments || [];
+  }
+}
@@ -10,6 +10,7 @@ export class GalaxyGenerator {
     this.rng = new SeededRandom(seed);
     this.systems = [];
     this.generatedSystemIndices = new Set(); // Track which systems have been generated
+    this.dangerLevels = new Map(); // Danger levels of systems not generated yet (getDangerLevel)
     this.systemCount = this.rng.int(20, 50);
     this.galaxyRadius = 8000; // Compact galaxy for closer star systems (was 15000)
   }
@@ -71,6 +72,19 @@ export class GalaxyGenerator {
     };
   }
 
+  /**
+   * Danger level of a system, placeholders included (without generating it into the galaxy)
+   */
+  getDangerLevel(index) {
+    const system = this.systems[index];
+    if (system && system.dangerLevel !== undefined) return system.dangerLevel;
+
+    if (!this.dangerLevels.has(index)) {
+      this.dangerLevels.set(index, this.generateStarSystem(index).dangerLevel);
+    }
+    return this.dangerLevels.get(index);
+  }
+
   /**
    * Generate full system data on-demand
    */
@@ -8,11 +8,12 @@ import { Megastructure } from './Megastructure.js';
 import { AlienShip } from './AlienShip.js';
 import { WeaponSystem, updateProjectile } from './WeaponSystem.js';
 import { ShieldSystem } from './ShieldSystem.js';
+import { ArmorSystem } from './ArmorSystem.js';
 import { InertialMovement } from './InertialMovement.js';
 import { BlackholeRenderer } from './BlackholeRenderer.js';
 import { BlackHoleWarpEffect } from './BlackHoleWarpEffect.js';
 import { StellarRenderer } from './StellarRenderer.js';
-import { CollisionSystem } from './CollisionSystem.js';
+import { CollisionSystem, COLLISION_EFFECTS } from './CollisionSystem.js';
 import { StationRenderer } from './StationRenderer.js';
 import { InterstellarRenderer } from './InterstellarRenderer.js';
 import { AsteroidRenderer } from './AsteroidRenderer.js';
@@ -20,15 +21,27 @@ import { MobileControls } from './MobileControls.js';
 import { ResourceSystem } from './ResourceSystem.js';
 import { CargoSystem } from './CargoSystem.js';
 import { MiningSystem } from './MiningSystem.js';
+import { SurfaceSystem } from './SurfaceSystem.js';
 import { AlienRaceSystem } from './AlienRaceSystem.js';
 import { AlienShipRenderer } from './AlienShipRenderer.js';
 import { FactionSystem } from './FactionSystem.js';
 import { EconomySystem } from './EconomySystem.js';
+import { GalacticEconomy } from './GalacticEconomy.js';
+import { CustomsSystem } from './CustomsSystem.js';
+import { MissionSystem } from './MissionSystem.js';
+import { DiplomacySystem } from './DiplomacySystem.js';
+import { WarSystem } from './WarSystem.js';
+import { QuestSystem } from './QuestSystem.js';
+import { EventBus } from './EventBus.js';
 import { WarpGateSystem } from './WarpGateSystem.js';
+import { RoutePlanner } from './RoutePlanner.js';
+import { Autopilot } from './Autopilot.js';
+import { TrajectoryPredictor } from './TrajectoryPredictor.js';
 import { ArtifactSystem } from './ArtifactSystem.js';
 import { UIRenderer } from './UIRenderer.js';
 import { InteractionSystem } from './InteractionSystem.js';
 import { SaveSystem } from './SaveSystem.js';
+import { migrateSave } from './SaveFormat.js';
 // Enhanced systems
 import { PerformanceOptimizer } from './PerformanceOptimizer.js';
 import { EnhancedEffects } from './EnhancedEffects.js';
@@ -45,6 +58,10 @@ import { SpaceEnvironmentRenderer } from './SpaceEnvironmentRenderer.js';
 import { CelestialRotation } from './CelestialRotation.js';
 import { OrbitalMechanics } from './OrbitalMechanics.js';
 import { ShipDamageSystem } from './ShipDamageSystem.js';
+import { CrewSystem } from './CrewSystem.js';
+import { ItemEffectSystem } from './ItemEffectSystem.js';
+import { ShipStats } from './ShipStats.js';
+import { CraftingSystem } from './CraftingSystem.js';
 import { EnvironmentalHazards } from './EnvironmentalHazards.js';
 // PERFORMANCE OPTIMIZATION: LOD and Object Pooling
 import { LODSystem } from './LODSystem.js';
@@ -157,6 +174,8 @@ export class Game {
       // Game modes
       ironman: config.ironman || false,
       permadeath: config.permadeath || false,
+      // Identifies this run's saves (ironman slot, permadeath cleanup)
+      runId: config.runId || `${Date.now().toString(36)}${Math.floor(Math.random() * 46656).toString(36)}`,
 
       // Rewards
       startingBonus: config.startingBonus || 'balanced',
@@ -226,8 +245,6 @@ export class Game {
     this.invertY = false;
     this.edgeScroll = true;
     this.keyboardSpeed = 1.0;
-    this.autoSaveEnabled = this.gameConfig.autoSave;
-    this.autoSaveInterval = 5 * 60 * 1000; // 5 minutes
     this.pauseOnLostFocus = true;
     this.showTutorials = this.gameConfig.tutorialMode;
     this.uiScale = 1.0;
@@ -277,11 +294,18 @@ export class Game {
       showTrading: false,
       showDiplomacy: false,
       showGalaxyMap: false,
+      showJournal: false,
+      showCrafting: false,
+      craftingCategory: 'refining', // Recipe browser tab
+      showNavComputer: false, // HUD panel, doesn't pause
+      navComputerPage: 0,
+      showShipStats: false, // HUD stat breakdown, doesn't pause
       showSaveScreen: false,
       showLoadScreen: false,
       selectedTab: 'cargo', // For inventory: cargo, artifacts, ship
-      selectedTradeTab: 'buy', // For trading: buy, sell, refuel
+      selectedTradeTab: 'buy', // For trading: buy, sell, refuel, contracts
       selectedFaction: null, // For diplomacy screen
+      selectedQuest: null, // For quest journal
       selectedSaveSlot: null, // For save/load screens
       hoveredItem: null,
       scrollOffset: 0,
@@ -329,6 +353,10 @@ export class Game {
     this.seed = startingSeed;
     this.rng = new SeededRandom(this.seed);
 
+    // Event bus between subsystems (created before any of them subscribe)
+    this.events = new EventBus(this);
+    this.initEventHooks();
+
     // Initialize with safe default values to prevent null reference errors
     // These will be properly set in initPlayer/loadStarSystem
     this.player = {
@@ -362,7 +390,16 @@ export class Game {
     // Initialize faction, economy, and other new systems
     this.factionSystem = new FactionSystem();
     this.economySystem = new EconomySystem(this);
+    this.galacticEconomy = new GalacticEconomy(this);
+    this.customsSystem = new CustomsSystem(this);
+    this.missionSystem = new MissionSystem(this);
+    this.questSystem = new QuestSystem(this);
+    this.diplomacySystem = new DiplomacySystem(this);
+    this.warSystem = new WarSystem(this);
     this.warpGateSystem = new WarpGateSystem();
+    this.routePlanner = new RoutePlanner(this);
+    this.autopilot = new Autopilot(this);
+    this.trajectoryPredictor = new TrajectoryPredictor(this);
     this.artifactSystem = new ArtifactSystem();
 
     // Make enhanced items available to UI
@@ -377,6 +414,7 @@ export class Game {
     // PERFORMANCE FIX: Defer faction and warp gate initialization to async method
     // These work on placeholder data and don't block the first render
     this.galaxyInitialized = false;
+    this.galaxyReady = null; // Promise of initializeGalaxySystemsAsync()
 
     // Initialize mobile controls
     this.mobileControls = new MobileControls(canvas, this);
@@ -407,13 +445,32 @@ export class Game {
     // HUD UI OVERHAUL: Initialize ship damage system
     this.shipDamageSystem = new ShipDamageSystem(this, 'explorer');
 
+    // Crew from the new-game setup (crew permadeath)
+    this.crewSystem = new CrewSystem(this);
+
+    // Ship stat modifiers from damage, artifacts, the pilot trait and items
+    this.shipStats = new ShipStats(this);
+    this.artifactSystem.onChange = () => this.shipStats.invalidate();
+
+    // Fitted and consumed items (EnhancedItems effects)
+    this.itemEffects = new ItemEffectSystem(this);
+
+    // Refining and fabrication from mined resources
+    this.craftingSystem = new CraftingSystem(this);
+
+    // Asteroid mining: lasers and their heat, mining skill, belt regrowth
+    this.miningSystem = new MiningSystem(this);
+
+    // Planetary surfaces: tile maps explored by rover after landing
+    this.surfaceSystem = new SurfaceSystem(this);
+
     // LAZY LOAD: Realistic space systems - initialized only when needed in loadStarSystem
     this.spaceEnvironmentRenderer = null;
     this.celestialRotation = null;
     this.orbitalMechanics = null;
 
-    // LAZY LOAD: Environmental hazards - initialized only when needed
-    this.environmentalHazards = null;
+    // Environmental hazards of the current system (generated in loadStarSystem)
+    this.environmentalHazards = new EnvironmentalHazards();
 
     // PERFORMANCE OPTIMIZATION: LOD system and object pooling
     this.lodSystem = new LODSystem();
@@ -475,11 +532,17 @@ export class Game {
       // Continue anyway without enemies
     }
 
-    // Don't start autosave - let GameContainer handle it
-    // this.saveSystem.startAutosave();
+    // Autosave ring - the new-game option and the settings screen can both turn it off
+    const settings = config.settings || {};
+    this.saveSystem.configureAutosave({
+      enabled: this.gameConfig.autoSave && settings.autoSave !== false,
+      intervalMinutes: settings.autoSaveInterval,
+      slots: settings.autoSaveSlots
+    });
+    this.saveSystem.startAutosave();
 
     // PERFORMANCE FIX: Initialize galaxy systems asynchronously (doesn't block first render)
-    this.initializeGalaxySystemsAsync();
+    this.galaxyReady = this.initializeGalaxySystemsAsync();
 
     // FIX: Render initial frame immediately to prevent black screen flash
     // This ensures the canvas shows the game background before the first loop iteration
@@ -510,14 +573,14 @@ export class Game {
       // OPTIMIZED: Properly yield to event loop with setTimeout
       await new Promise(resolve => setTimeout(resolve, 0));
 
-      // Assign factions to galaxy systems
-      this.factionSystem.assignTerritories(this.galaxy);
+      // Assign factions (and alien races) to galaxy systems
+      this.factionSystem.assignFactionsToGalaxy(this.galaxy, this.seed);
 
       // Yield again to prevent blocking
       await new Promise(resolve => setTimeout(resolve, 0));
 
-      // Generate warp gate network
-      this.warpGateSystem.generateGateNetwork(this.galaxy);
+      // Generate warp gate network (capitals get strategic gates)
+      this.warpGateSystem.generateGateNetwork(this.galaxy, this.seed, this.getCapitalIndices());
 
       this.galaxyInitialized = true;
       console.log('[Performance] Galaxy systems initialized');
@@ -527,6 +590,83 @@ export class Game {
     }
   }
 
+  /**
+   * Game-level event subscribers (statistics, and what Game owns: the ship,
+   * its particles and system jumps)
+   */
+  initEventHooks() {
+    this.events.on('enemyDestroyed', () => {
+      if (this.statistics) {
+        this.statistics.enemiesDestroyed++;
+      }
+    });
+    this.events.on('shipCollided', (event) => this.applyShipCollision(event));
+    this.events.on('collisionEffect', (event) => this.createCollisionEffect(event));
+    this.events.on('gateActivated', (event) => this.jumpThroughGate(event));
+  }
+
+  /**
+   * The player's ship ran into something (CollisionSystem): shields take the
+   * hit before the hull, and the ship bounces away
+   */
+  applyShipCollision(event) {
+    const player = this.player;
+
+    if (event.fatal) {
+      player.hull = 0;
+    } else if (player.shieldActive && player.shields > 0) {
+      player.shields -= event.damage;
+      this.createShieldImpact(player.x, player.y);
+    } else {
+      player.hull -= event.damage;
+      this.createCollisionEffect({ effect: 'spark', x: player.x, y: player.y, count: event.sparks, color: '#ff6600' });
+    }
+
+    player.vx += Math.cos(event.angle) * event.impulse;
+    player.vy += Math.sin(event.angle) * event.impulse;
+    this.camera.shake = event.shake;
+  }
+
+  /**
+   * Particles of a collision (CollisionSystem, COLLISION_EFFECTS)
+   */
+  createCollisionEffect({ effect, x, y, count, color }) {
+    const recipe = COLLISION_EFFECTS[effect];
+    const spread = recipe.spread || 0;
+    const between = ([min, max]) => min + Math.random() * (max - min);
+
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = between(recipe.speed);
+      this.particles.push({
+        x: x + (Math.random() - 0.5) * spread,
+        y: y + (Math.random() - 0.5) * spread,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        life: 1,
+        maxLife: between(recipe.maxLife),
+        size: between(recipe.size),
+        color: color || recipe.colors[Math.floor(Math.random() * recipe.colors.length)],
+        type: effect
+      });
+    }
+  }
+
+  /**
+   * Jump through a warp gate (InteractionSystem) and come out above the
+   * destination's star
+   */
+  jumpThroughGate(event) {
+    this.loadStarSystem(event.targetSystemIndex)
+      .catch(error => {
+        console.error('Failed to load system through gate:', error);
+        this.systemLoading = false;
+        this.showNotification(`Jump to ${event.name} failed`, 'error');
+      });
+    this.player.x = this.star.x;
+    this.player.y = this.star.y - 500;
+  }
+
   initInput() {
     // Store event handlers for cleanup
     this.eventHandlers = {
@@ -540,7 +680,8 @@ export class Game {
       touchstart: null,
       touchmove: null,
       touchend: null,
-      visibilitychange: null
+      visibilitychange: null,
+      beforeunload: null
     };
 
     this.eventHandlers.keydown = (e) => {
@@ -573,6 +714,11 @@ export class Game {
           this.weaponSystem.nextWeapon();
         }
       }
+      // Trajectory prediction overlay toggle
+      if (e.code === 'KeyV' && this.trajectoryPredictor) {
+        const enabled = this.trajectoryPredictor.toggle();
+        this.showNotification(`Trajectory prediction ${enabled ? 'on' : 'off'}`, 'info');
+      }
       // Inertial dampening toggle
       if (e.code === 'KeyJ' && this.inertialSystem) {
         this.inertialSystem.toggleInertialDampening();
@@ -590,6 +736,8 @@ export class Game {
           this.uiState.showTrading = false;
           this.uiState.showDiplomacy = false;
           this.uiState.showGalaxyMap = false;
+          this.uiState.showJournal = false;
+          this.uiState.showCrafting = false;
         }
         this.updatePauseState();
       }
@@ -600,9 +748,15 @@ export class Game {
           this.uiState.showInventory = false;
           this.uiState.showDiplomacy = false;
           this.uiState.showGalaxyMap = false;
+          this.uiState.showJournal = false;
+          this.uiState.showCrafting = false;
         }
         this.updatePauseState();
       }
+      if (this.uiState.showTrading && /^Digit[1-4]$/.test(e.code)) {
+        // Trading tabs
+        this.uiState.selectedTradeTab = ['buy', 'sell', 'refuel', 'contracts'][Number(e.code.slice(5)) - 1];
+      }
       if (e.code === 'KeyM') {
         // Galaxy Map
         this.uiState.showGalaxyMap = !this.uiState.showGalaxyMap;
@@ -610,6 +764,8 @@ export class Game {
           this.uiState.showInventory = false;
           this.uiState.showTrading = false;
           this.uiState.showDiplomacy = false;
+          this.uiState.showJournal = false;
+          this.uiState.showCrafting = false;
         }
         this.updatePauseState();
       }
@@ -620,6 +776,44 @@ export class Game {
           this.uiState.showInventory = false;
           this.uiState.showTrading = false;
           this.uiState.showGalaxyMap = false;
+          this.uiState.showJournal = false;
+          this.uiState.showCrafting = false;
+        }
+        this.updatePauseState();
+      }
+      if (e.code === 'KeyN') {
+        // Navigation computer (autopilot targets)
+        this.uiState.showNavComputer = !this.uiState.showNavComputer;
+        this.uiState.navComputerPage = 0;
+      }
+      if (this.uiState.showNavComputer && !this.uiState.showTrading && /^Digit[0-9]$/.test(e.code)) {
+        this.handleNavComputerKey(Number(e.code.slice(5)));
+      }
+      if (e.code === 'KeyB') {
+        // Ship stat breakdown
+        this.uiState.showShipStats = !this.uiState.showShipStats;
+      }
+      if (e.code === 'KeyO') {
+        // Quest journal (O for Objectives)
+        this.uiState.showJournal = !this.uiState.showJournal;
+        if (this.uiState.showJournal) {
+          this.uiState.showInventory = false;
+          this.uiState.showTrading = false;
+          this.uiState.showDiplomacy = false;
+          this.uiState.showGalaxyMap = false;
+          this.uiState.showCrafting = false;
+        }
+        this.updatePauseState();
+      }
+      if (e.code === 'KeyR') {
+        // Crafting: recipe browser and fabrication queue
+        this.uiState.showCrafting = !this.uiState.showCrafting;
+        if (this.uiState.showCrafting) {
+          this.uiState.showInventory = false;
+          this.uiState.showTrading = false;
+          this.uiState.showDiplomacy = false;
+          this.uiState.showGalaxyMap = false;
+          this.uiState.showJournal = false;
         }
         this.updatePauseState();
       }
@@ -641,6 +835,8 @@ export class Game {
         this.uiState.showTrading = false;
         this.uiState.showDiplomacy = false;
         this.uiState.showGalaxyMap = false;
+        this.uiState.showJournal = false;
+        this.uiState.showCrafting = false;
         this.uiState.showSaveScreen = false;
         this.uiState.showLoadScreen = false;
         this.updatePauseState();
@@ -665,6 +861,8 @@ export class Game {
           this.uiState.showTrading = false;
           this.uiState.showDiplomacy = false;
           this.uiState.showGalaxyMap = false;
+          this.uiState.showJournal = false;
+          this.uiState.showCrafting = false;
         }
         this.updatePauseState();
       }
@@ -679,6 +877,8 @@ export class Game {
           this.uiState.showTrading = false;
           this.uiState.showDiplomacy = false;
           this.uiState.showGalaxyMap = false;
+          this.uiState.showJournal = false;
+          this.uiState.showCrafting = false;
         }
         this.updatePauseState();
       }
@@ -866,6 +1066,14 @@ export class Game {
       }
     };
     document.addEventListener('visibilitychange', this.eventHandlers.visibilitychange);
+
+    // Ironman runs save when the page is closed
+    this.eventHandlers.beforeunload = () => {
+      if (this.saveSystem) {
+        this.saveSystem.saveOnExit();
+      }
+    };
+    window.addEventListener('beforeunload', this.eventHandlers.beforeunload);
   }
 
   initStarfield() {
@@ -973,6 +1181,15 @@ export class Game {
     this.shieldSystem.addShield('energy_shield', 1);
     this.shieldSystem.addShield('kinetic_barrier', 1);
 
+    // Armor plates are fitted later (stations, crafting)
+    this.armorSystem = new ArmorSystem();
+
+    // Ship stat modifiers reach the combat systems through their hooks
+    const modifyStat = (stat, value) => (this.shipStats ? this.shipStats.get(stat, value) : value);
+    this.weaponSystem.modifyStat = modifyStat;
+    this.shieldSystem.modifyStat = modifyStat;
+    this.armorSystem.modifyStat = modifyStat;
+
     this.inertialSystem = new InertialMovement(this.player);
 
     // Initialize resource and cargo systems (cargo capacity modified by ship class)
@@ -986,12 +1203,8 @@ export class Game {
     this.cargoSystem.addCargo('iron', 10);
     this.cargoSystem.addCargo('water', 5);
 
-    // Initialize mining system (pass 'this' after all systems are ready)
-    this.miningSystem = null; // Will be initialized after first frame
-    this.miningSystemReady = false;
-
     // Initialize alien race system
-    this.alienRaceSystem = new AlienRaceSystem();
+    this.alienRaceSystem = new AlienRaceSystem(this);
     this.alienShipRenderer = new AlienShipRenderer(this.PALETTE);
   }
 
@@ -1066,11 +1279,13 @@ export class Game {
     }
 
     this.planets = system.planets;
+    this.miningSystem.storeBelts();
     this.asteroidBelts = system.asteroidBelts;
     this.asteroids = []; // Flatten asteroid belts
     for (const belt of system.asteroidBelts) {
       this.asteroids.push(...belt.asteroids);
     }
+    this.miningSystem.restoreBelts(systemIndex);
     this.stations = system.stations;
     this.comets = system.comets || [];
 
@@ -1137,17 +1352,15 @@ export class Game {
       this.megastructures.push(megastructure);
     }
 
-    // OPTIMIZED: Skip environmental hazards generation for better performance
-    // Lazy load only if needed
-    if (this.environmentalHazards) {
-      const systemRadius = systemData.systemSize || DISTANCE_SYSTEM.MEDIUM_SYSTEM_RADIUS;
-      this.environmentalHazards.generateSystemHazards(
-        systemData,
-        this.star.x,
-        this.star.y,
-        systemRadius
-      );
-    }
+    // Environmental hazards (nebulae, radiation, ion storms, gravity wells) -
+    // the autopilot steers around them and gravity wells pull on the ship
+    const systemRadius = systemData.systemSize || DISTANCE_SYSTEM.MEDIUM_SYSTEM_RADIUS;
+    this.environmentalHazards.generateSystemHazards(
+      systemData,
+      this.star.x,
+      this.star.y,
+      systemRadius
+    );
 
     // Generate artifacts for this system
     this.systemArtifacts = this.artifactSystem.generateSystemArtifacts(
@@ -1160,9 +1373,11 @@ export class Game {
     this.systemWarpGates = this.warpGateSystem.getGatesInSystem(systemIndex);
 
     // Generate market for this system
-    const factionData = systemData.factionData;
+    const factionData = this.factionSystem.getFaction(this.factionSystem.getSystemFaction(systemIndex, systemData));
     this.currentMarket = this.economySystem.generateSystemMarket(systemIndex, systemData, factionData);
 
+    this.events.emit('systemEntered', { systemIndex, name: systemData.name });
+
     // Mark spatial grid for rebuild (new system loaded)
     if (this.interactionSystem) {
       this.interactionSystem.gridNeedsRebuild = true;
@@ -1277,15 +1492,13 @@ export class Game {
 
     // NOTE: Asset pre-generation removed - using sprite-based rendering only
 
-    // FIXED: Use currentSystemIndex instead of undefined systemIndex variable
-    // Autosave when changing systems (important game state change)
-    if (this.saveSystem && this.currentSystemIndex !== 0) { // Don't autosave on initial load
-      try {
-        this.saveSystem.saveGame('autosave', 'Autosave');
-      } catch (error) {
+    // Autosave after a warp jump (not on the first system of a new game;
+    // SaveSystem skips it while a save is being loaded)
+    if (this.saveSystem && this.playtime > 0) {
+      this.saveSystem.autosave('warp').catch(error => {
         console.warn('[Game] Autosave failed:', error);
         // Don't crash - continue anyway
-      }
+      });
     }
   }
 
@@ -1400,8 +1613,8 @@ export class Game {
         else shipType = 'frigate';
       }
 
-      // Select a random alien race for this ship
-      const race = this.alienRaceSystem.getRandomRace();
+      // Select an alien race for this ship (mostly the race holding the system)
+      const race = this.alienRaceSystem.getRaceForSystem(this.currentSystemIndex, systemData);
       const isHostile = this.alienRaceSystem.willAttack(race.id);
 
       const enemy = new AlienShip(
@@ -1419,6 +1632,16 @@ export class Game {
     if (systemData && systemData.hasHiveAliens) {
       this.spawnHiveDrones();
     }
+
+    // Customs patrols in lawful space
+    if (this.customsSystem) {
+      this.customsSystem.spawnPatrols();
+    }
+
+    // Marked ships of accepted bounty contracts
+    if (this.missionSystem) {
+      this.missionSystem.spawnBountyTargets();
+    }
   }
 
   spawnHiveDrones() {
@@ -1459,13 +1682,15 @@ export class Game {
 
   /**
    * Update pause state based on open UI screens
-   * Pauses game when inventory, trade, diplomacy, galaxy map, save, load, or popup screens are open
+   * Pauses game when inventory, trade, diplomacy, galaxy map, journal, crafting, save, load, or popup screens are open
    */
   updatePauseState() {
     const anyScreenOpen = this.uiState.showInventory ||
                           this.uiState.showTrading ||
                           this.uiState.showDiplomacy ||
                           this.uiState.showGalaxyMap ||
+                          this.uiState.showJournal ||
+                          this.uiState.showCrafting ||
                           this.uiState.showSaveScreen ||
                           this.uiState.showLoadScreen ||
                           this.uiState.showPopup;
@@ -1811,7 +2036,7 @@ export class Game {
           if (dist < radius) {
             const falloff = 1 - (dist / radius) * 0.7;
             const finalDamage = damage * falloff;
-            this.collisionSystem.handleWeaponDamageToAsteroid(asteroidPos, asteroid, finalDamage, this.particles);
+            this.collisionSystem.handleWeaponDamageToAsteroid(asteroidPos, asteroid, finalDamage);
           }
         }
       }
@@ -1834,7 +2059,7 @@ export class Game {
           if (dist < radius) {
             const falloff = 1 - (dist / radius) * 0.7;
             const finalDamage = damage * falloff;
-            this.collisionSystem.handleWeaponDamageToComet(cometPos, comet, finalDamage, this.particles);
+            this.collisionSystem.handleWeaponDamageToComet(cometPos, comet, finalDamage);
           }
         }
       }
@@ -1857,7 +2082,7 @@ export class Game {
           if (dist < radius) {
             const falloff = 1 - (dist / radius) * 0.7;
             const finalDamage = damage * falloff;
-            this.collisionSystem.handleWeaponDamageToStation(stationPos, station, finalDamage, this.particles);
+            this.collisionSystem.handleWeaponDamageToStation(stationPos, station, finalDamage);
           }
         }
       }
@@ -1925,6 +2150,19 @@ export class Game {
 
   resetGame() {
     this.initPlayer();
+
+    // The rebuilt ship gets its stat bonuses back
+    if (this.shipStats) {
+      this.shipStats.handleRespawn();
+    }
+    // ... and the stock mining laser
+    if (this.miningSystem) {
+      this.miningSystem.handleRespawn();
+    }
+    // The new ship starts in space
+    if (this.surfaceSystem) {
+      this.surfaceSystem.leave();
+    }
     this.enemies = [];
     this.projectiles = [];
     this.particles = [];
@@ -1935,6 +2173,50 @@ export class Game {
     if (this.shipDamageSystem) {
       this.shipDamageSystem.resetAllSections();
     }
+
+    // Surviving crew recover with the ship
+    if (this.crewSystem) {
+      this.crewSystem.treatWounded();
+    }
+  }
+
+  /**
+   * Permadeath game over screen with the run's obituary
+   */
+  renderObituary(ctx) {
+    const obituary = this.statistics.obituary;
+    if (!obituary) return;
+
+    // Fade in after the ship's explosion
+    const alpha = Math.min(1, Math.max(0, (Date.now() - obituary.timestamp - 2000) / 1000));
+    if (alpha <= 0) return;
+
+    const totalMinutes = Math.floor(obituary.playtime / 60000);
+    const lines = [
+      `${obituary.callsign} - ${obituary.shipName}`,
+      obituary.cause,
+      `Flight time: ${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`,
+      `Systems visited: ${obituary.systemsVisited}   Kills: ${obituary.kills}   Credits: ${obituary.credits}`,
+      obituary.crewLost > 0 ? `Crew lost: ${obituary.crewLost}` : null,
+      'All saves of this run have been deleted.'
+    ].filter(Boolean);
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = this.PALETTE.alertRed;
+    ctx.font = 'bold 36px DigitalDisco, monospace';
+    ctx.fillText('LOST IN THE VOID', this.width / 2, this.height / 2 - 90);
+
+    ctx.fillStyle = '#aabbcc';
+    ctx.font = '16px DigitalDisco, monospace';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, this.width / 2, this.height / 2 - 40 + i * 26);
+    });
+    ctx.restore();
   }
 
   /**
@@ -2033,9 +2315,36 @@ export class Game {
       return; // Click on galaxy map but not on button, ignore
     }
 
+    if (this.uiState.showJournal && this.journalButtonBounds) {
+      for (const button of this.journalButtonBounds) {
+        if (clickX >= button.x && clickX <= button.x + button.w &&
+            clickY >= button.y && clickY <= button.y + button.h) {
+          if (typeof button.action === 'function') {
+            button.action();
+          }
+          return;
+        }
+      }
+      return; // Click on journal but not on button, ignore
+    }
+
+    if (this.uiState.showCrafting && this.craftingButtonBounds) {
+      for (const button of this.craftingButtonBounds) {
+        if (clickX >= button.x && clickX <= button.x + button.w &&
+            clickY >= button.y && clickY <= button.y + button.h) {
+          if (typeof button.action === 'function') {
+            button.action();
+          }
+          return;
+        }
+      }
+      return; // Click on crafting but not on button, ignore
+    }
+
     // Don't handle world clicks if UI screens are open
     if (this.uiState.showInventory || this.uiState.showTrading ||
-        this.uiState.showDiplomacy || this.uiState.showGalaxyMap) {
+        this.uiState.showDiplomacy || this.uiState.showGalaxyMap ||
+        this.uiState.showJournal || this.uiState.showCrafting) {
       return;
     }
 
@@ -2190,23 +2499,8 @@ export class Game {
       case 'Mine':
         // Start mining the target asteroid
         if (this.miningSystem && target && target.object) {
-          // Set mining target directly to the asteroid object
-          this.miningSystem.miningTarget = target.object;
-          this.miningSystem.miningProgress = 0;
-          this.miningSystem.miningActive = true;
-
-          // Create mining beam visual
-          this.miningSystem.miningBeam = {
-            startX: this.player.x,
-            startY: this.player.y,
-            endX: target.object.x,
-            endY: target.object.y,
-            color: '#00ff88',
-            width: 3,
-            particles: []
-          };
-
-          this.showNotification('Mining started...', 'info');
+          const result = this.miningSystem.startMining(target.object);
+          this.showNotification(result.success ? 'Mining started...' : result.message || 'Nothing to mine', result.success ? 'info' : 'warning');
         }
         this.uiState.showPopup = false;
         break;
@@ -2456,6 +2750,26 @@ export class Game {
     }
   }
 
+  /**
+   * Navigation computer keys: 1-9 engage the autopilot on a listed target,
+   * 0 turns the page
+   */
+  handleNavComputerKey(digit) {
+    const targets = this.autopilot.getTargets();
+    const pageSize = 9;
+    if (digit === 0) {
+      const pages = Math.max(1, Math.ceil(targets.length / pageSize));
+      this.uiState.navComputerPage = (this.uiState.navComputerPage + 1) % pages;
+      return;
+    }
+
+    const target = targets[this.uiState.navComputerPage * pageSize + digit - 1];
+    if (!target) return;
+    const result = this.autopilot.engage(target);
+    this.showNotification(result.message, result.success ? 'success' : 'warning');
+    if (result.success) this.uiState.showNavComputer = false;
+  }
+
   /**
    * Enter stable orbit around a celestial body
    */
@@ -2547,8 +2861,7 @@ export class Game {
     }
 
     // Check if planet type is landable
-    const planetTypeLower = (targetObject.type || '').toLowerCase();
-    if (planetTypeLower.includes('gas')) {
+    if (!this.surfaceSystem.canLand(targetObject)) {
       return { success: false, message: 'Cannot land on gas giants' };
     }
 
@@ -2615,51 +2928,8 @@ export class Game {
       });
     }
 
-    // Surface resources available for collection
-    p.surfaceResources = this.generateSurfaceResources(targetObject);
-  }
-
-  /**
-   * Generate resources available on planet surface
-   */
-  generateSurfaceResources(targetObject) {
-    const resources = [];
-    const planetTypeLower = (targetObject.type || '').toLowerCase();
-
-    // Different resources based on planet type
-    if (planetTypeLower.includes('terran') || planetTypeLower.includes('oceanic')) {
-      resources.push(
-        { id: 'water', name: 'Water', quantity: 20 + Math.floor(Math.random() * 30) },
-        { id: 'organic_compounds', name: 'Organic Compounds', quantity: 10 + Math.floor(Math.random() * 20) }
-      );
-    } else if (planetTypeLower.includes('desert') || planetTypeLower.includes('volcanic')) {
-      resources.push(
-        { id: 'silicon', name: 'Silicon', quantity: 15 + Math.floor(Math.random() * 25) },
-        { id: 'iron', name: 'Iron Ore', quantity: 10 + Math.floor(Math.random() * 20) }
-      );
-    } else if (planetTypeLower.includes('ice')) {
-      resources.push(
-        { id: 'water_ice', name: 'Water Ice', quantity: 30 + Math.floor(Math.random() * 40) },
-        { id: 'frozen_gases', name: 'Frozen Gases', quantity: 10 + Math.floor(Math.random() * 15) }
-      );
-    } else {
-      // Rocky/unknown planets
-      resources.push(
-        { id: 'minerals', name: 'Minerals', quantity: 15 + Math.floor(Math.random() * 25) },
-        { id: 'iron', name: 'Iron Ore', quantity: 10 + Math.floor(Math.random() * 20) }
-      );
-    }
-
-    // Rare chance of special resources
-    if (Math.random() > 0.8) {
-      resources.push({
-        id: 'rare_isotopes',
-        name: 'Rare Isotopes',
-        quantity: 2 + Math.floor(Math.random() * 5)
-      });
-    }
-
-    return resources;
+    // Surface map and the rover
+    this.surfaceSystem.enter(targetObject);
   }
 
   /**
@@ -2672,6 +2942,11 @@ export class Game {
       return { success: false, message: 'Not currently landed' };
     }
 
+    // The rover has to be back aboard
+    if (!this.surfaceSystem.isAtLander()) {
+      return { success: false, message: 'Drive the rover back to the lander to launch' };
+    }
+
     // Check fuel requirement
     const launchFuelCost = 50;
     if (p.fuel < launchFuelCost) {
@@ -2684,7 +2959,7 @@ export class Game {
     // Clear landed state
     p.landed = false;
     p.landedOn = null;
-    p.surfaceResources = null;
+    this.surfaceSystem.leave();
 
     // Give upward velocity
     p.vy = -200; // Launch upward
@@ -2711,49 +2986,17 @@ export class Game {
   }
 
   /**
-   * Collect resources from surface
+   * Work the surface site at the rover: drill a deposit, excavate ruins,
+   * or unload the rover bay at the lander
    */
   collectSurfaceResources() {
-    const p = this.player;
-
-    if (!p.landed || !p.surfaceResources) {
+    if (!this.player.landed) {
       return { success: false, message: 'Not on a surface' };
     }
 
-    if (p.surfaceResources.length === 0) {
-      return { success: false, message: 'No resources remaining' };
-    }
-
-    const collected = [];
-
-    for (const resource of p.surfaceResources) {
-      const result = this.cargoSystem.addCargo(resource.id, resource.quantity);
-
-      if (result.success) {
-        this.resourceSystem.addResource(resource.id, resource.quantity);
-        collected.push({
-          name: resource.name,
-          quantity: resource.quantity
-        });
-      } else if (result.success === 'partial') {
-        this.resourceSystem.addResource(resource.id, result.added);
-        collected.push({
-          name: resource.name,
-          quantity: result.added,
-          partial: true
-        });
-      }
-    }
-
-    // Clear surface resources after collection
-    p.surfaceResources = [];
-
-    // Show notifications
-    for (const item of collected) {
-      this.showNotification(`+${item.quantity} ${item.name}`, 'success');
-    }
-
-    return { success: true, collected };
+    const result = this.surfaceSystem.interact();
+    this.showNotification(result.message, result.success ? 'success' : 'warning');
+    return result;
   }
 
   render() {
@@ -2819,6 +3062,23 @@ export class Game {
     // Zoom is disabled (always 1.0) so these transforms just add complexity
     ctx.save();
 
+    // === PLANETARY SURFACE RENDERING ===
+    if (this.surfaceSystem.active) {
+      this.surfaceSystem.render(ctx);
+      ctx.restore();
+
+      if (this.mobileControls) {
+        this.mobileControls.render(ctx);
+      }
+
+      // Render UI screens and the surface panel
+      if (this.uiRenderer) {
+        this.uiRenderer.render(ctx);
+      }
+
+      return; // Skip space rendering
+    }
+
     // FIX: Keep zoom variable for LOD calculations (but don't apply transform)
     const zoom = this.camera.zoom || 1.0;
 
@@ -3479,6 +3739,9 @@ export class Game {
       }
     }
 
+    // Environmental hazards
+    this.environmentalHazards.render(ctx, { x: camX, y: camY }, this.time * 1000); // Animated in ms
+
     // Megastructures
     for (const megastructure of this.megastructures) {
       megastructure.render(ctx, { x: camX, y: camY, width: this.width, height: this.height });
@@ -4120,8 +4383,8 @@ export class Game {
       }
     }
 
-    // Mining beam and effects
-    if (this.miningSystem && this.miningSystem.isMining()) {
+    // Mining beam, effects and laser heat
+    if (this.miningSystem) {
       this.miningSystem.render(ctx, { x: camX, y: camY });
     }
 
@@ -4759,6 +5022,11 @@ export class Game {
       ctx.restore();
     }
 
+    // Predicted trajectory, under the ship
+    if (this.trajectoryPredictor) {
+      this.trajectoryPredictor.render(ctx, camX, camY);
+    }
+
     // === ENHANCED PLAYER SHIP WITH 3D DEPTH AND PIXELATED DETAILS ===
 
     // BUG FIX: Always use procedural rendering for reliability
@@ -4826,6 +5094,11 @@ export class Game {
       this.uiRenderer.render(ctx);
     }
 
+    // Permadeath obituary
+    if (this.gameOver) {
+      this.renderObituary(ctx);
+    }
+
     // VISUAL ENHANCEMENT: Apply retro screen effects (scanlines, vignette, phosphor glow)
     if (this.retroScreenEffects) {
       this.retroScreenEffects.applyEffects(this.width, this.height);
@@ -5732,6 +6005,44 @@ export class Game {
         this.statistics.totalPlaytime = this.playtime;
       }
 
+      // Markets across the galaxy trade and evolve with game time
+      if (this.galacticEconomy) {
+        this.galacticEconomy.update();
+      }
+      if (this.economySystem && this.currentMarket) {
+        this.economySystem.updateMarket(this.currentMarket);
+      }
+
+      // Patrol cargo scans
+      if (this.customsSystem) {
+        this.customsSystem.update();
+      }
+
+      // Contract deadlines
+      if (this.missionSystem) {
+        this.missionSystem.update();
+      }
+
+      // Quest time limits
+      if (this.questSystem) {
+        this.questSystem.update();
+      }
+
+      // Treaties and wars between factions
+      if (this.diplomacySystem) {
+        this.diplomacySystem.update();
+      }
+
+      // Battles over border systems
+      if (this.warSystem) {
+        this.warSystem.update();
+      }
+
+      // Engaged multi-jump route
+      if (this.routePlanner) {
+        this.routePlanner.update();
+      }
+
       this.fps = this.fps * 0.9 + (1 / dt) * 0.1;
 
       // PERFORMANCE FIX: Enforce array size limits to prevent memory leaks
@@ -5824,12 +6135,49 @@ export class Game {
         console.error('[Game Loop] Input processing error:', error);
       }
 
+      // The autopilot flies through the same inputs, after the player's are read
+      try {
+        if (this.autopilot) this.autopilot.update(dt);
+      } catch (error) {
+        console.error('[Game Loop] Autopilot error:', error);
+      }
+
       try {
         this.physicsEngine.update(dt);
       } catch (error) {
         console.error('[Game Loop] Physics update error:', error);
       }
 
+      try {
+        if (this.trajectoryPredictor) this.trajectoryPredictor.update(dt);
+      } catch (error) {
+        console.error('[Game Loop] Trajectory prediction error:', error);
+      }
+
+      try {
+        this.environmentalHazards.update(dt);
+      } catch (error) {
+        console.error('[Game Loop] Environmental hazards error:', error);
+      }
+
+      try {
+        if (this.itemEffects) this.itemEffects.update(dt);
+      } catch (error) {
+        console.error('[Game Loop] Item effects error:', error);
+      }
+
+      try {
+        if (this.craftingSystem) this.craftingSystem.update(dt);
+      } catch (error) {
+        console.error('[Game Loop] Crafting error:', error);
+      }
+
+      try {
+        if (this.shipStats) this.shipStats.update();
+      } catch (error) {
+        console.error('[Game Loop] Ship stats error:', error);
+      }
+
       try {
         this.render();
       } catch (error) {
@@ -5846,88 +6194,36 @@ export class Game {
   }
 
   /**
-   * Get current game state for saving
+   * Get current game state for saving (unified save format, see SaveFormat.js)
    */
   getGameState() {
-    return {
-      // Version for save compatibility
-      version: this.VERSION,
-
-      // Player info
-      callsign: this.player.callsign || 'NOVA-7',
-      shipName: this.player.shipName || 'WANDERER',
-      shipColor: this.player.color || 'blue',
-
-      // Game progress
-      playtime: this.playtime || 0,
-      currentSystem: this.currentSystemSeed,
-      currentSystemIndex: this.currentSystemIndex,
-      systemsExplored: this.discoveredSystems.size,
-      galaxySize: this.galaxySize || 'medium',
-      difficulty: this.difficulty || 'adventurer',
-      seed: this.seed,
-
-      // Player state
-      player: {
-        x: this.player.x,
-        y: this.player.y,
-        vx: this.player.vx,
-        vy: this.player.vy,
-        rotation: this.player.rotation,
-        hp: this.player.hp,
-        maxHp: this.player.maxHp,
-        shield: this.player.shield,
-        maxShield: this.player.maxShield,
-        power: this.player.power,
-        maxPower: this.player.maxPower,
-        fuel: this.player.fuel,
-        maxFuel: this.player.maxFuel,
-        callsign: this.player.callsign || 'NOVA-7',
-        shipName: this.player.shipName || 'WANDERER',
-        color: this.player.color || 'blue',
-      },
-
-      // Camera position
-      camera: {
-        x: this.camera.x,
-        y: this.camera.y,
-        zoom: this.camera.zoom,
-      },
-
-      // Interstellar mode position
-      interstellarPlayerX: this.interstellarPlayerX,
-      interstellarPlayerY: this.interstellarPlayerY,
+    return this.saveSystem.gatherSaveData('Game State');
+  }
 
-      // Economy
-      credits: this.credits || 0,
-      cargo: this.cargo || [],
-
-      // Discovered systems
-      discoveredSystems: Array.from(this.discoveredSystems),
-
-      // Scene
-      scene: this.scene,
-
-      // Statistics
-      statistics: this.statistics || {
-        enemiesDestroyed: 0,
-        shotsFired: 0,
-        shotsHit: 0,
-        damageDealt: 0,
-        damageTaken: 0,
-        resourcesMined: 0,
-        artifactsFound: 0,
-        jumpsExecuted: 0,
-      },
-
-      // Status flags
-      crewAlive: this.player.hp > 0,
-      gameOver: this.gameOver || false,
-    };
+  /**
+   * Systems that are a faction's seat: the starting system and the race capitals
+   */
+  getCapitalIndices() {
+    return [0, ...Object.values(this.factionSystem ? this.factionSystem.raceCapitals : {})];
+  }
+
+  /**
+   * Rebuild the galaxy and everything derived from it for the current seed
+   */
+  regenerateGalaxy() {
+    try {
+      this.galaxyGenerator = new GalaxyGenerator(this.seed);
+      this.galaxy = this.galaxyGenerator.generate();
+      if (this.factionSystem) this.factionSystem.assignFactionsToGalaxy(this.galaxy, this.seed);
+      if (this.warpGateSystem) this.warpGateSystem.generateGateNetwork(this.galaxy, this.seed, this.getCapitalIndices());
+      this.interstellarRenderer = new InterstellarRenderer(this.galaxy);
+    } catch (error) {
+      console.error('Error regenerating galaxy:', error);
+    }
   }
 
   /**
-   * Load saved game state
+   * Load saved game state (any save format version)
    */
   async loadState(state) {
     if (!state) {
@@ -5940,92 +6236,16 @@ export class Game {
       return;
     }
 
-
     try {
-      // Check version compatibility
-      if (state.version && state.version !== this.VERSION) {
-        console.warn(`Save version mismatch: ${state.version} vs ${this.VERSION}`);
-      }
-
-      // Restore game progress
-      if (state.playtime !== undefined) this.playtime = state.playtime;
-      if (state.seed) this.seed = state.seed;
-      if (state.currentSystem) this.currentSystemSeed = state.currentSystem;
-      if (state.currentSystemIndex !== undefined) this.currentSystemIndex = state.currentSystemIndex;
-      if (state.galaxySize) this.galaxySize = state.galaxySize;
-      if (state.difficulty) this.difficulty = state.difficulty;
-
-      // Restore player state
-      if (state.player) {
-        Object.assign(this.player, {
-          x: state.player.x || 0,
-          y: state.player.y || 0,
-          vx: state.player.vx || 0,
-          vy: state.player.vy || 0,
-          rotation: state.player.rotation || 0,
-          hp: state.player.hp || 100,
-          maxHp: state.player.maxHp || 100,
-          shield: state.player.shield || 100,
-          maxShield: state.player.maxShield || 100,
-          power: state.player.power || 100,
-          maxPower: state.player.maxPower || 100,
-          fuel: state.player.fuel || 100,
-          maxFuel: state.player.maxFuel || 100,
-          callsign: state.player.callsign || state.callsign || 'NOVA-7',
-          shipName: state.player.shipName || state.shipName || 'WANDERER',
-          color: state.player.color || state.shipColor || 'blue',
-        });
-      }
-
-      // Restore camera
-      if (state.camera) {
-        this.camera.x = state.camera.x || 0;
-        this.camera.y = state.camera.y || 0;
-        this.camera.zoom = state.camera.zoom || 1;
-      }
-
-      // Restore interstellar position
-      this.interstellarPlayerX = state.interstellarPlayerX || 0;
-      this.interstellarPlayerY = state.interstellarPlayerY || 0;
-
-      // Restore economy
-      this.credits = state.credits || 0;
-      this.cargo = state.cargo || [];
-
-      // Restore discovered systems
-      if (state.discoveredSystems) {
-        this.discoveredSystems = new Set(state.discoveredSystems);
-      }
-
-      // Restore scene
-      this.scene = state.scene || 'system';
-
-      // Restore statistics
-      if (state.statistics) {
-        this.statistics = { ...state.statistics };
-      }
-
-      // Regenerate galaxy with same seed if needed
-      if (this.seed && this.galaxyGenerator && this.seed !== this.galaxyGenerator.seed) {
-        try {
-          this.galaxyGenerator = new GalaxyGenerator(this.seed);
-          this.galaxy = this.galaxyGenerator.generate();
-          if (this.factionSystem) this.factionSystem.assignTerritories(this.galaxy);
-          if (this.warpGateSystem) this.warpGateSystem.generateGateNetwork(this.galaxy);
-          this.interstellarRenderer = new InterstellarRenderer(this.galaxy);
-        } catch (error) {
-          console.error('Error regenerating galaxy:', error);
-        }
+      // Bring older saves up to the current format
+      const migration = migrateSave(state);
+      if (!migration.success) {
+        console.error(`Save can't be migrated: ${migration.error}`);
+        this.showNotification(`Save can't be loaded: ${migration.error}`, 'error');
+        return;
       }
 
-      // Load current system
-      if (this.scene === 'system' && this.currentSystemIndex !== undefined) {
-        try {
-          await this.loadStarSystem(this.currentSystemIndex);
-        } catch (error) {
-          console.error('Error loading system:', error);
-        }
-      }
+      await this.saveSystem.applySaveData(migration.saveData);
 
       console.log('Game state loaded successfully');
 
@@ -6094,12 +6314,24 @@ export class Game {
       }
 
       // Gameplay settings
-      if (settings.autoSave !== undefined) {
-        this.autoSaveEnabled = settings.autoSave;
+      if (this.saveSystem) {
+        const autosaveWasEnabled = this.saveSystem.autosaveEnabled;
+        this.saveSystem.configureAutosave({
+          enabled: settings.autoSave,
+          intervalMinutes: settings.autoSaveInterval,
+          slots: settings.autoSaveSlots
+        });
+        if (this.saveSystem.autosaveEnabled && !autosaveWasEnabled) {
+          this.saveSystem.startAutosave();
+        }
       }
 
-      if (settings.autoSaveInterval !== undefined) {
-        this.autoSaveInterval = settings.autoSaveInterval * 60 * 1000; // Convert minutes to ms
+      if (settings.cloudSync !== undefined && this.saveSystem) {
+        if (settings.cloudSync) {
+          this.saveSystem.enableCloudSync();
+        } else {
+          this.saveSystem.disableCloudSync();
+        }
       }
 
       if (settings.pauseOnLostFocus !== undefined) {
@@ -6152,6 +6384,12 @@ export class Game {
   destroy() {
     this.running = false;
 
+    if (this.saveSystem) {
+      this.saveSystem.saveOnExit(); // Ironman only - game state is gathered before this returns
+      this.saveSystem.stopAutosave();
+      this.saveSystem.disableCloudSync();
+    }
+
     // Clean up all event listeners to prevent memory leaks
     if (this.eventHandlers) {
       if (this.eventHandlers.keydown) {
@@ -6187,6 +6425,9 @@ export class Game {
       if (this.canvas && this.eventHandlers.touchend) {
         this.canvas.removeEventListener('touchend', this.eventHandlers.touchend);
       }
+      if (this.eventHandlers.beforeunload) {
+        window.removeEventListener('beforeunload', this.eventHandlers.beforeunload);
+      }
       if (this.eventHandlers.visibilitychange) {
         document.removeEventListener('visibilitychange', this.eventHandlers.visibilitychange);
       }
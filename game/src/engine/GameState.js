@@ -177,14 +177,16 @@ export class GameState {
       showTrading: false,
       showDiplomacy: false,
       showGalaxyMap: false,
+      showJournal: false,
       showSaveScreen: false,
       showLoadScreen: false,
       showStatistics: false,
 
       // Selected tabs
       selectedTab: 'cargo', // For inventory: cargo, artifacts, ship
-      selectedTradeTab: 'buy', // For trading: buy, sell, refuel
+      selectedTradeTab: 'buy', // For trading: buy, sell, refuel, contracts
       selectedFaction: null, // For diplomacy screen
+      selectedQuest: null, // For quest journal
       selectedSaveSlot: null, // For save/load screens
 
       // Interaction state
@@ -394,6 +396,7 @@ export class GameState {
            this.ui.showTrading ||
            this.ui.showDiplomacy ||
            this.ui.showGalaxyMap ||
+           this.ui.showJournal ||
            this.ui.showSaveScreen ||
            this.ui.showLoadScreen ||
            this.ui.showStatistics;
@@ -404,6 +407,7 @@ export class GameState {
     this.ui.showTrading = false;
     this.ui.showDiplomacy = false;
     this.ui.showGalaxyMap = false;
+    this.ui.showJournal = false;
     this.ui.showSaveScreen = false;
     this.ui.showLoadScreen = false;
     this.ui.showStatistics = false;
@@ -7,10 +7,26 @@
  * - Radar system (system and interstellar views)
  * - Bottom console (ship systems, damage control, decorative controls)
  * - Center warnings and status messages
+ * - Quest objective tracker and waypoint arrows
+ * - Nav computer and ship stat breakdown panels
  * - Touch controls for mobile
  */
 import { getSystemSize } from './ScaleSystem.js';
 
+// Ship stats in the breakdown panel, with their base values
+const BREAKDOWN_STATS = [
+  ['speed', () => 400], // PhysicsEngine speed cap
+  ['turnRate', () => 10],
+  ['weaponDamage', (hud) => {
+    const weapons = hud.game.weaponSystem;
+    const weapon = weapons && weapons.weapons[weapons.activeWeaponIndex];
+    return weapon ? weapon.damage : 0;
+  }],
+  ['shieldRegen', (hud) => hud.game.player.shieldRecharge],
+  ['sensorRange', (hud) => hud.getBaseRadarRange()],
+  ['cargoCapacity', (hud) => hud.game.shipStats.getCapacityBase('cargoCapacity')]
+];
+
 export class HUDRenderer {
   constructor(game) {
     this.game = game;
@@ -33,6 +49,15 @@ export class HUDRenderer {
 
     // 6. CENTER WARNINGS & STATUS MESSAGES
     this.renderCenterWarnings();
+
+    // 7. QUEST OBJECTIVE & WAYPOINTS
+    this.renderObjectiveTracker();
+
+    // 8. NAV COMPUTER & AUTOPILOT
+    const navBottom = this.renderNavComputer();
+
+    // 9. SHIP STAT BREAKDOWN (below the nav computer when both are open)
+    this.renderShipStats(navBottom ? navBottom + 10 : 300);
   }
 
   // Helper: Draw CRT scanline effect
@@ -768,6 +793,279 @@ export class HUDRenderer {
     }
   }
 
+  // 7. OBJECTIVE TRACKER (top-left) with waypoint arrows toward its targets
+  renderObjectiveTracker() {
+    const questSystem = this.game.questSystem;
+    if (!questSystem || this.game.player.landed) return;
+
+    const state = questSystem.getTracked();
+    if (!state) return;
+
+    const ctx = this.game.ctx;
+    const quest = questSystem.getDefinition(state.id);
+    const objective = questSystem.getObjective(state);
+
+    const panelX = 20;
+    const panelY = 130;
+    const panelW = 340;
+
+    ctx.save();
+    ctx.font = '12px DigitalDisco, monospace';
+    const lines = this.wrapText(ctx, objective.text, panelW - 24);
+    const panelH = 44 + lines.length * 16 + (objective.progress ? 16 : 0);
+
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = '#050508';
+    ctx.fillRect(panelX, panelY, panelW, panelH);
+    ctx.globalAlpha = 1.0;
+    ctx.strokeStyle = '#2a2a30';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(panelX, panelY, panelW, panelH);
+    this.drawRustyCorners(panelX, panelY, panelW, panelH, this.game.PALETTE.cautionOrange, 10);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = this.game.PALETTE.cautionOrange;
+    ctx.font = 'bold 13px DigitalDisco, monospace';
+    ctx.fillText(`◆ ${quest.title.toUpperCase()}`, panelX + 12, panelY + 20);
+
+    ctx.fillStyle = this.game.PALETTE.starWhite;
+    ctx.font = '12px DigitalDisco, monospace';
+    let textY = panelY + 40;
+    for (const line of lines) {
+      ctx.fillText(line, panelX + 12, textY);
+      textY += 16;
+    }
+    if (objective.progress) {
+      ctx.fillStyle = this.game.PALETTE.statusGreen;
+      ctx.fillText(objective.progress, panelX + 12, textY);
+    }
+    ctx.restore();
+
+    // Waypoints only point at objects in the current star system
+    if (this.game.scene !== 'system') return;
+    for (const waypoint of questSystem.getWaypoints()) {
+      this.renderWaypoint(waypoint);
+    }
+  }
+
+  // Waypoint marker on screen, or an arrow at the screen edge pointing at it
+  renderWaypoint(waypoint, color = this.game.PALETTE.cautionOrange) {
+    const ctx = this.game.ctx;
+    const p = this.game.player;
+
+    const sx = waypoint.x - this.game.camera.x;
+    const sy = waypoint.y - this.game.camera.y;
+    const distance = Math.hypot(waypoint.x - p.x, waypoint.y - p.y);
+    const label = `${waypoint.label} ${(distance / 100).toFixed(1)}km`;
+
+    const margin = 60;
+    const onScreen = sx > margin && sx < this.game.width - margin &&
+                     sy > margin && sy < this.game.height - margin;
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+
+    if (onScreen) {
+      // Diamond around the target
+      const size = 14 + Math.sin(this.game.time * 4) * 3;
+      ctx.beginPath();
+      ctx.moveTo(sx, sy - size);
+      ctx.lineTo(sx + size, sy);
+      ctx.lineTo(sx, sy + size);
+      ctx.lineTo(sx - size, sy);
+      ctx.closePath();
+      ctx.stroke();
+      ctx.fillText(label, sx, sy - size - 8);
+    } else {
+      // Clamp the direction from screen center to the edge
+      const cx = this.game.width / 2;
+      const cy = this.game.height / 2;
+      const angle = Math.atan2(sy - cy, sx - cx);
+      const scale = Math.min(
+        (cx - margin) / Math.abs(Math.cos(angle) || 1e-6),
+        (cy - margin) / Math.abs(Math.sin(angle) || 1e-6)
+      );
+      const ax = cx + Math.cos(angle) * scale;
+      const ay = cy + Math.sin(angle) * scale;
+
+      ctx.translate(ax, ay);
+      ctx.save();
+      ctx.rotate(angle);
+      ctx.shadowBlur = 8;
+      ctx.shadowColor = color;
+      ctx.beginPath();
+      ctx.moveTo(16, 0);
+      ctx.lineTo(-8, -10);
+      ctx.lineTo(-3, 0);
+      ctx.lineTo(-8, 10);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+
+      // Label on the inner side of the arrow
+      ctx.fillText(label, -Math.cos(angle) * 40, -Math.sin(angle) * 28 + 4);
+    }
+    ctx.restore();
+  }
+
+  // 8. NAV COMPUTER (left, under the objective tracker): autopilot targets
+  // while open, the autopilot's flight data while it has the helm.
+  // Returns the panel's bottom edge when drawn
+  renderNavComputer() {
+    const autopilot = this.game.autopilot;
+    if (!autopilot || this.game.scene !== 'system' || this.game.player.landed) return;
+    const showTargets = this.game.uiState.showNavComputer;
+    if (!showTargets && !autopilot.active) return;
+
+    const ctx = this.game.ctx;
+    const palette = this.game.PALETTE;
+    const lines = []; // [text, color]
+
+    if (autopilot.active) {
+      const readout = autopilot.readout;
+      const plan = autopilot.plan;
+      lines.push([`TARGET  ${autopilot.target.name}`, palette.starWhite]);
+      lines.push([`PHASE   ${autopilot.phase}`, autopilot.phase === 'BRAKE' ? palette.cautionOrange : palette.statusGreen]);
+      if (readout) {
+        lines.push([`RANGE   ${(readout.distance / 100).toFixed(1)}km`, palette.starWhite]);
+        lines.push([`CLOSING ${readout.closingSpeed.toFixed(0)} m/s`, readout.closingSpeed < 0 ? palette.cautionOrange : palette.starWhite]);
+        lines.push([`ETA     ${readout.eta !== null ? `${Math.ceil(readout.eta)}s` : '--'}`, palette.starWhite]);
+      }
+      if (plan && plan.transferDeltaV !== undefined) {
+        lines.push([`HOHMANN Δv ${plan.transferDeltaV.toFixed(0)} / ${Math.ceil(plan.transferTime)}s`, palette.statusBlue]);
+      }
+      if (plan && plan.insertionDeltaV !== undefined) {
+        lines.push([`INSERT  Δv ${plan.insertionDeltaV.toFixed(1)}`, palette.statusBlue]);
+      }
+      lines.push(['Any flight input takes control', palette.cautionOrange]);
+    }
+
+    let targets = [];
+    if (showTargets) {
+      const page = this.game.uiState.navComputerPage;
+      targets = autopilot.getTargets().slice(page * 9, page * 9 + 9);
+      if (lines.length > 0) lines.push(['', palette.starWhite]);
+      targets.forEach((target, i) => {
+        lines.push([`${i + 1}. ${target.name.slice(0, 26)} ${(target.distance / 100).toFixed(1)}km`, palette.starWhite]);
+      });
+      if (targets.length === 0) lines.push(['No targets in this system', palette.cautionOrange]);
+      lines.push(['[1-9] Engage  [0] Page  [N] Close', palette.warpBlue]);
+    }
+
+    const panelX = 20;
+    const panelY = 300;
+    const panelW = 340;
+    const panelH = 36 + lines.length * 16;
+
+    ctx.save();
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = '#050508';
+    ctx.fillRect(panelX, panelY, panelW, panelH);
+    ctx.globalAlpha = 1.0;
+    ctx.strokeStyle = '#2a2a30';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(panelX, panelY, panelW, panelH);
+    this.drawRustyCorners(panelX, panelY, panelW, panelH, palette.warpBlue, 10);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 13px DigitalDisco, monospace';
+    ctx.fillText(autopilot.active ? '▲ AUTOPILOT ENGAGED' : '▲ NAV COMPUTER', panelX + 12, panelY + 20);
+
+    ctx.font = '12px DigitalDisco, monospace';
+    let textY = panelY + 40;
+    for (const [text, color] of lines) {
+      ctx.fillStyle = color;
+      ctx.fillText(text, panelX + 12, textY);
+      textY += 16;
+    }
+    ctx.restore();
+
+    if (autopilot.active && autopilot.readout) {
+      this.renderWaypoint({ x: autopilot.readout.x, y: autopilot.readout.y, label: autopilot.target.name }, palette.warpBlue);
+    }
+    return panelY + panelH;
+  }
+
+  /**
+   * Ship stat breakdown: each stat's effective value and where it comes from (ShipStats)
+   */
+  renderShipStats(panelY) {
+    const shipStats = this.game.shipStats;
+    if (!shipStats || !this.game.uiState.showShipStats) return;
+
+    const ctx = this.game.ctx;
+    const palette = this.game.PALETTE;
+    const format = (value) => (Math.abs(value) < 100 ? value.toFixed(1) : Math.round(value).toString());
+    const lines = []; // [text, color]
+
+    for (const [stat, getBase] of BREAKDOWN_STATS) {
+      const breakdown = shipStats.getBreakdown(stat, getBase(this));
+      const change = breakdown.value - breakdown.base;
+      const color = Math.abs(change) < 0.01 ? palette.starWhite : change > 0 ? palette.statusGreen : palette.cautionOrange;
+      lines.push([`${breakdown.label.toUpperCase()}  ${format(breakdown.base)} > ${format(breakdown.value)}`, color]);
+      for (const entry of breakdown.entries) {
+        lines.push([`  ${entry.source.slice(0, 30)} ${entry.text}`, '#88aacc']);
+      }
+    }
+    lines.push(['[B] Close', palette.warpBlue]);
+
+    const panelX = 20;
+    const panelW = 340;
+    const panelH = 36 + lines.length * 16;
+
+    ctx.save();
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = '#050508';
+    ctx.fillRect(panelX, panelY, panelW, panelH);
+    ctx.globalAlpha = 1.0;
+    ctx.strokeStyle = '#2a2a30';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(panelX, panelY, panelW, panelH);
+    this.drawRustyCorners(panelX, panelY, panelW, panelH, palette.statusGreen, 10);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = palette.statusGreen;
+    ctx.font = 'bold 13px DigitalDisco, monospace';
+    ctx.fillText('▣ SHIP STATS', panelX + 12, panelY + 20);
+
+    ctx.font = '12px DigitalDisco, monospace';
+    let textY = panelY + 40;
+    for (const [text, color] of lines) {
+      ctx.fillStyle = color;
+      ctx.fillText(text, panelX + 12, textY);
+      textY += 16;
+    }
+    ctx.restore();
+  }
+
+  // Helper: radar range before scanner modifiers - about half the star system
+  getBaseRadarRange() {
+    const systemRadius = this.game.currentSystemData ? getSystemSize(this.game.currentSystemData.starType) : 12000;
+    return systemRadius * 0.5;
+  }
+
+  // Helper: split text into lines that fit a width
+  wrapText(ctx, text, maxWidth) {
+    const words = text.split(' ');
+    const lines = [];
+    let line = words[0];
+    for (const word of words.slice(1)) {
+      if (ctx.measureText(`${line} ${word}`).width < maxWidth) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+    return lines;
+  }
+
   renderRadar() {
     const ctx = this.game.ctx;
     // RIGHT-MIDDLE POSITION (cockpit-integrated)
@@ -926,8 +1224,8 @@ export class HUDRenderer {
     // Small system: 8000px radius → 4000px range
     // Medium system: 12000px radius → 6000px range
     // Large system: 20000px radius → 10000px range
-    const systemRadius = this.game.currentSystemData ? getSystemSize(this.game.currentSystemData.starType) : 12000;
-    const radarRange = Math.floor(systemRadius * 0.5);
+    const baseRange = this.getBaseRadarRange();
+    const radarRange = Math.floor(this.game.shipStats ? this.game.shipStats.get('sensorRange', baseRange) : baseRange);
 
     // Distance circles with labels
     ctx.strokeStyle = `${this.game.PALETTE.statusBlue}33`;
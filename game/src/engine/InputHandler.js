@@ -140,6 +140,9 @@ export class InputHandler {
     if (e.code === 'KeyD') {
       this.toggleScreen('showDiplomacy');
     }
+    if (e.code === 'KeyO') {
+      this.toggleScreen('showJournal');
+    }
 
     // Let InteractionSystem handle popup navigation first
     if (this.game.interactionSystem && this.game.interactionSystem.handleKeyDown(e.code)) {
@@ -338,7 +341,7 @@ export class InputHandler {
 
     if (this.game.uiState[screenName]) {
       // Close other screens when opening this one
-      const screens = ['showInventory', 'showTrading', 'showDiplomacy', 'showGalaxyMap', 'showSaveScreen', 'showLoadScreen'];
+      const screens = ['showInventory', 'showTrading', 'showDiplomacy', 'showGalaxyMap', 'showJournal', 'showSaveScreen', 'showLoadScreen'];
       screens.forEach(screen => {
         if (screen !== screenName) {
           this.game.uiState[screen] = false;
@@ -364,6 +367,7 @@ export class InputHandler {
     this.game.uiState.showTrading = false;
     this.game.uiState.showDiplomacy = false;
     this.game.uiState.showGalaxyMap = false;
+    this.game.uiState.showJournal = false;
     this.game.uiState.showSaveScreen = false;
     this.game.uiState.showLoadScreen = false;
 
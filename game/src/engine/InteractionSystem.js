@@ -194,19 +194,19 @@ export class InteractionSystem {
       });
     }
 
-    // Add warp gates
-    for (const gate of this.game.systemWarpGates || []) {
-      const gx = this.game.star.x + Math.cos(gate.angle) * gate.distance;
-      const gy = this.game.star.y + Math.sin(gate.angle) * gate.distance;
+    // Add warp gates (where the game draws them, in a ring around the star)
+    const gates = this.game.systemWarpGates || [];
+    gates.forEach((gate, index) => {
+      const gatePos = this.game.warpGateSystem.getGatePosition(gate, this.game.star.x, this.game.star.y, gates.length, index);
 
       this.spatialGrid.insert({
         type: 'warpgate',
         object: gate,
-        x: gx,
-        y: gy,
+        x: gatePos.x,
+        y: gatePos.y,
         interactionRadius: 120
       });
-    }
+    });
 
     this.gridNeedsRebuild = false;
   }
@@ -330,9 +330,19 @@ export class InteractionSystem {
         buttons.push(
           { label: 'DOCK', key: 'Enter', action: () => this.actionDock(targetData) },
           { label: 'TRADE', key: 'T', action: () => this.actionTrade(targetData) },
-          { label: 'HAIL', key: 'H', action: () => this.actionHail(targetData) },
-          { label: 'EXIT', key: 'Esc', action: () => this.closePopup() }
+          { label: 'HAIL', key: 'H', action: () => this.actionHail(targetData) }
         );
+        if (this.game.customsSystem && this.game.customsSystem.canRefit()) {
+          buttons.push({ label: 'REFIT', key: 'R', action: () => this.actionRefit() });
+        }
+        if (this.game.warSystem && this.game.warSystem.canSabotage()) {
+          buttons.push({ label: 'SABOTAGE', key: 'B', action: () => this.actionSabotage() });
+        }
+        buttons.push({ label: 'EXIT', key: 'Esc', action: () => this.closePopup() });
+        break;
+
+      case 'customs':
+        buttons.push(...this.game.customsSystem.getInspectionButtons());
         break;
 
       case 'artifact':
@@ -391,10 +401,16 @@ export class InteractionSystem {
         break;
 
       case 'asteroid':
-        info.title = 'Asteroid';
+        info.title = obj.fragment ? 'Asteroid Fragment' : 'Asteroid';
         info.details.push(`Size: ${Math.floor(obj.size)} m`);
         info.details.push(`Distance: ${Math.floor(targetData.distance)} km`);
-        info.details.push('Mineable: Yes');
+        if (obj.mined) {
+          info.details.push('Mineable: No - mined out');
+        } else if (obj.scanned && this.game.miningSystem) {
+          info.details.push(...this.game.miningSystem.describeAsteroid(obj));
+        } else {
+          info.details.push('Composition: Unknown - scan to reveal');
+        }
         break;
 
       case 'station':
@@ -420,6 +436,10 @@ export class InteractionSystem {
         info.details.push(`Distance: ${Math.floor(targetData.distance)} km`);
         info.details.push('Status: Active');
         break;
+
+      case 'customs':
+        Object.assign(info, this.game.customsSystem.getInspectionInfo());
+        break;
     }
 
     return info;
@@ -492,7 +512,7 @@ export class InteractionSystem {
     const game = this.game;
 
     // Check if landing is possible
-    if (!obj.landable && obj.planetType !== 'terran_planet' && obj.planetType !== 'rocky_planet' && obj.planetType !== 'desert_planet' && obj.planetType !== 'ice_planet') {
+    if (obj.landable === false || !game.surfaceSystem.canLand(obj)) {
       game.showNotification('Cannot land on this body - unsuitable surface!', 'warning');
       this.closePopup();
       return;
@@ -507,7 +527,7 @@ export class InteractionSystem {
     // Use the proper landing function from Game.js
     game.performLanding(obj, targetData.x, targetData.y);
 
-    game.showNotification(`Landed on ${obj.name || targetData.type}. Press SPACE or L to launch, C or E to collect resources.`, 'success');
+    game.showNotification(`Landed on ${obj.name || targetData.type}. Drive the rover with WASD, E to drill or excavate, SPACE at the lander to launch.`, 'success');
 
     this.closePopup();
   }
@@ -581,6 +601,15 @@ export class InteractionSystem {
       // Add to scanned database
       if (!game.scannedObjects) game.scannedObjects = [];
       game.scannedObjects.push(scanData);
+
+      game.events.emit('bodyScanned', {
+        type: targetData.type,
+        name: obj.name || `${targetData.type}-${Math.round(obj.distance || 0)}`,
+        systemIndex: game.currentSystemIndex
+      });
+    } else if (targetData.type === 'asteroid' && game.miningSystem) {
+      scanData.details.push(`Size: ${Math.floor(obj.size)} m`);
+      scanData.details.push(...game.miningSystem.describeAsteroid(obj));
     }
 
     game.showNotification(`Scan complete: ${scanData.details.length} data points recorded`, 'success');
@@ -659,6 +688,40 @@ export class InteractionSystem {
 
     game.showNotification(`Docked at ${station.name || station.stationType}. Repairs complete.`, 'success');
 
+    // Station infirmary
+    if (game.crewSystem) {
+      game.crewSystem.treatWounded();
+    }
+
+    // Customs inspection in lawful space (replaces the docking popup);
+    // docking goes on once the player has settled it
+    if (game.customsSystem && game.customsSystem.scanOnDocking(station, () => this.completeDocking(station))) {
+      return;
+    }
+
+    this.completeDocking(station);
+  }
+
+  /**
+   * Finish docking once the station has cleared the player: announce it,
+   * take the autosave and open trading
+   */
+  completeDocking(station) {
+    const game = this.game;
+    if (!game.player.docked || game.player.dockedStation !== station) return;
+
+    // Contracts, quests etc. react to the docking
+    game.events.emit('docked', {
+      systemIndex: game.currentSystemIndex,
+      stationIndex: Math.max(0, (game.stations || []).indexOf(station)),
+      station: station.name || station.stationType || 'Station'
+    });
+
+    // Autosave point on every docking, once customs and the docked handlers are through
+    if (game.saveSystem) {
+      game.saveSystem.autosave('dock');
+    }
+
     // Open trading UI
     game.uiState.showTrading = true;
     game.uiState.selectedStation = station;
@@ -666,6 +729,18 @@ export class InteractionSystem {
     this.closePopup();
   }
 
+  actionRefit() {
+    const result = this.game.customsSystem.installCompartment();
+    this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    this.closePopup();
+  }
+
+  actionSabotage() {
+    const result = this.game.warSystem.sabotage();
+    this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    this.closePopup();
+  }
+
   actionTrade(targetData) {
     // Open trading UI
     this.game.uiState.showTrading = true;
@@ -677,21 +752,30 @@ export class InteractionSystem {
     const station = targetData.object;
     const game = this.game;
 
-    // Get faction info
-    const faction = station.faction || 'Independent';
-    const factionRelation = game.factionSystem ? game.factionSystem.getRelation(faction) : 'neutral';
+    // Get faction info (stations answer for their system's faction)
+    const faction = station.faction || (game.factionSystem
+      ? game.factionSystem.getSystemFaction(game.currentSystemIndex, game.currentSystemData)
+      : null);
+    const factionRelation = game.factionSystem && faction ? game.factionSystem.getRelation(faction) : 'neutral';
+    const name = station.name || station.stationType;
 
     let message = '';
     switch (factionRelation) {
+      case 'allied':
+        message = `${name}: "Good to see you, ally. Priority berth is yours."`;
+        break;
       case 'friendly':
-        message = `${station.name || station.stationType}: "Welcome, friend! Docking clearance granted."`;
+        message = `${name}: "Welcome, friend! Docking clearance granted."`;
+        break;
+      case 'unfriendly':
+        message = `${name}: "Keep your weapons cold. We're watching you."`;
         break;
       case 'hostile':
-        message = `${station.name || station.stationType}: "You are not welcome here! Leave immediately!"`;
+        message = `${name}: "You are not welcome here! Leave immediately!"`;
         break;
       case 'neutral':
       default:
-        message = `${station.name || station.stationType}: "State your business, traveler."`;
+        message = `${name}: "State your business, traveler."`;
     }
 
     game.showNotification(message, 'info');
@@ -706,8 +790,13 @@ export class InteractionSystem {
 
       // Add to player inventory
       if (this.game.artifactSystem) {
-        this.game.artifactSystem.collectArtifact(targetData.object);
+        this.game.artifactSystem.addArtifact(targetData.object);
       }
+      this.game.events.emit('artifactCollected', {
+        typeId: targetData.object.typeId,
+        name: targetData.object.name || 'Unknown',
+        systemIndex: this.game.currentSystemIndex
+      });
 
       this.game.showNotification(`Artifact collected: ${targetData.object.name || 'Unknown'}`, 'success');
     }
@@ -725,12 +814,21 @@ export class InteractionSystem {
   actionUseGate(targetData) {
     if (this.game.warpGateSystem && targetData.object.targetSystemIndex !== undefined) {
       const destName = targetData.object.targetSystemName || 'Unknown System';
-      this.game.showNotification(`Jumping to ${destName}...`, 'success');
-
-      // Use warp gate system to travel
-      this.game.loadStarSystem(targetData.object.targetSystemIndex);
-      this.game.player.x = this.game.star.x;
-      this.game.player.y = this.game.star.y - 500;
+      const { fuel } = this.game.warpGateSystem.getJumpCost(targetData.object.sourceSystem, targetData.object.targetSystemIndex);
+      if (this.game.economySystem.fuel < fuel) {
+        this.game.showNotification(`Not enough fuel for the jump (${fuel.toFixed(1)} needed)`, 'warning');
+        this.closePopup();
+        return;
+      }
+      this.game.economySystem.consumeFuel(fuel);
+      this.game.showNotification(`Jumping to ${destName}... -${fuel.toFixed(1)} fuel`, 'success');
+
+      // Game makes the jump
+      this.game.events.emit('gateActivated', {
+        systemIndex: this.game.currentSystemIndex,
+        targetSystemIndex: targetData.object.targetSystemIndex,
+        name: destName
+      });
     }
 
     this.closePopup();
@@ -0,0 +1,453 @@
+/**
+ * ItemEffectSystem - What the items of ENHANCED_ARTIFACTS do
+ *
+ * Items declare their effects in an `effects` block (EnhancedItems.js):
+ * - modifiers: [{ stat, op: 'add' | 'mul', value }] - while the item is
+ *   fitted, or for `duration` seconds after a consumable is used
+ * - instant: [{ action, amount }] - run when a consumable or usable item is
+ *   used (either is used up): repairs, refuelling, ammunition, revealing
+ *   nearby systems, treating the crew, learning fabricator schematics...
+ * - triggers: [{ on: 'hit' | 'warp' | 'kill', chance, action, amount, buff }] -
+ *   run while the item is fitted, when the player's shots hit (enemyHit), the
+ *   warp drive engages (warpEngaged) or an enemy is destroyed (enemyDestroyed)
+ * - curse: { modifiers, drain: { stat, rate }, removalCost } - drawbacks that
+ *   come with the item; a cursed item can only be removed at a station, for a price
+ * - stacking - how copies and related items combine:
+ *   - 'unique' (default): one copy can be fitted
+ *   - 'stack': up to maxStacks copies, each counting
+ *   - 'slot': one item per `group` is fitted; fitting another swaps it out
+ *   - 'refresh' (timed): using it again restarts the timer
+ *
+ * The modifiers join the ship's stat stacks (ShipStats) with those of the
+ * other sources.
+ *
+ * Items reach the hold as salvage from destroyed ships.
+ */
+import { ENHANCED_ARTIFACTS, generateRandomArtifact } from './EnhancedItems.js';
+import { SHIP_STATS } from './ShipStats.js';
+
+const SALVAGE_CHANCE = 0.1; // Chance a destroyed ship leaves an item
+const DRAIN_FLOOR = 0.25; // Curse drains stop at this share of the maximum
+
+export class ItemEffectSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.hold = {}; // Item id -> copies carried, not fitted
+    this.installed = []; // Fitted item ids, in fitting order
+    this.timed = []; // { id, name, modifiers, remaining, duration }
+
+    game.events.on('enemyHit', () => this.runTriggers('hit'));
+    game.events.on('warpEngaged', () => this.runTriggers('warp'));
+    game.events.on('enemyDestroyed', () => this.handleEnemyDestroyed());
+  }
+
+  getItem(id) {
+    return ENHANCED_ARTIFACTS[id] || null;
+  }
+
+  getCount(id) {
+    return this.hold[id] || 0;
+  }
+
+  getInstalledCount(id) {
+    return this.installed.filter(installed => installed === id).length;
+  }
+
+  addItem(id, quantity = 1) {
+    if (!this.getItem(id)) return false;
+    this.hold[id] = this.getCount(id) + quantity;
+    return true;
+  }
+
+  removeItem(id) {
+    this.hold[id]--;
+    if (this.hold[id] <= 0) delete this.hold[id];
+  }
+
+  /**
+   * Use, fit or remove an item - whichever applies to it (inventory click)
+   */
+  activate(id) {
+    const item = this.getItem(id);
+    if (!item) return { success: false, message: 'Unknown item' };
+
+    if (item.installable) {
+      if (this.getCount(id) > 0) return this.install(id);
+      if (this.getInstalledCount(id) > 0) return this.uninstall(id);
+      return { success: false, message: `No ${item.name} in the hold` };
+    }
+    if (item.consumable || item.usable) return this.useItem(id);
+    return { success: false, message: `${item.name} can't be used` };
+  }
+
+  install(id) {
+    const item = this.getItem(id);
+    if (!item || !item.installable) return { success: false, message: `${item ? item.name : 'Item'} can't be fitted` };
+    if (this.getCount(id) <= 0) return { success: false, message: `No ${item.name} in the hold` };
+
+    const effects = item.effects || {};
+    const stacking = effects.stacking || 'unique';
+    const fitted = this.getInstalledCount(id);
+
+    if ((stacking === 'unique' || stacking === 'slot') && fitted > 0) {
+      return { success: false, message: `${item.name} is already fitted` };
+    }
+    if (stacking === 'stack' && fitted >= (effects.maxStacks || 1)) {
+      return { success: false, message: `No room for another ${item.name}` };
+    }
+    if (stacking === 'slot') {
+      // One item per group: swap out the one fitted (no group, nothing to swap)
+      const occupant = effects.group !== undefined &&
+        this.installed.find(other => (this.getItem(other).effects || {}).group === effects.group);
+      if (occupant) {
+        const removed = this.uninstall(occupant);
+        if (!removed.success) return removed;
+      }
+    }
+
+    this.removeItem(id);
+    this.installed.push(id);
+    this.changed();
+    return {
+      success: true,
+      message: effects.curse ? `${item.name} fitted... something feels wrong` : `${item.name} fitted`
+    };
+  }
+
+  uninstall(id) {
+    const item = this.getItem(id);
+    const index = this.installed.indexOf(id);
+    if (!item || index === -1) return { success: false, message: 'Not fitted' };
+
+    const curse = item.effects && item.effects.curse;
+    if (curse) {
+      const economy = this.game.economySystem;
+      const cost = curse.removalCost || 0;
+      if (!this.game.player.docked) {
+        return { success: false, message: `${item.name} is cursed - it can only be removed at a station` };
+      }
+      if (economy.credits < cost) {
+        return { success: false, message: `Lifting the curse costs ${cost} CR` };
+      }
+      economy.credits -= cost;
+    }
+
+    this.installed.splice(index, 1);
+    this.addItem(id);
+    this.changed();
+    return { success: true, message: `${item.name} removed` };
+  }
+
+  /**
+   * Use a consumable or usable item: run its instant actions and start its
+   * timed modifiers
+   */
+  useItem(id) {
+    const item = this.getItem(id);
+    if (!item || !(item.consumable || item.usable)) return { success: false, message: `${item ? item.name : 'Item'} can't be used` };
+    if (this.getCount(id) <= 0) return { success: false, message: `No ${item.name} in the hold` };
+
+    const effects = item.effects || {};
+
+    // Items aren't wasted on actions that would do nothing
+    for (const action of effects.instant || []) {
+      const reason = this.getBlockedReason(action, item.name);
+      if (reason) return { success: false, message: reason };
+    }
+
+    const messages = (effects.instant || []).map(action => this.runAction(action, item.name));
+    if (effects.modifiers && effects.duration) {
+      messages.push(this.addTimed(item.id, item.name, effects.modifiers, effects.duration, effects.stacking, effects.maxStacks));
+    }
+
+    this.removeItem(id);
+    return { success: true, message: messages.filter(Boolean).join(', ') || item.effect };
+  }
+
+  /**
+   * Start a timed effect, following its stacking rule
+   */
+  addTimed(id, name, modifiers, duration, stacking = 'refresh', maxStacks = 1) {
+    const running = this.timed.filter(effect => effect.id === id);
+    if (running.length > 0 && (stacking !== 'stack' || running.length >= maxStacks)) {
+      for (const effect of running) effect.remaining = duration;
+      return `${name} renewed`;
+    }
+
+    this.timed.push({ id, name, modifiers, remaining: duration, duration });
+    this.changed();
+    return `${name} active for ${duration}s`;
+  }
+
+  /**
+   * Why an instant action can't do anything right now
+   * @returns {string|null} null when it can run
+   */
+  getBlockedReason(action, sourceName) {
+    const game = this.game;
+    switch (action.action) {
+      case 'loadAmmo':
+        // Ammunition needs a weapon fitted to load it into
+        return game.weaponSystem.getAllWeapons().some(weapon => weapon.type === action.weapon)
+          ? null
+          : `No ${action.weapon.replace(/_/g, ' ')} fitted for ${sourceName}`;
+      case 'treatCrew':
+        return game.crewSystem && Object.values(game.crewSystem.members).some(member => member.wounded)
+          ? null
+          : 'No wounded crew aboard';
+      case 'revealSystems':
+        return this.getHiddenSystems().length > 0 ? null : 'No undiscovered systems nearby';
+      case 'learnSchematics':
+        return game.craftingSystem && action.recipes.some(recipe => !game.craftingSystem.schematics.has(recipe))
+          ? null
+          : `${sourceName}: nothing new in these schematics`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Undiscovered systems, nearest to the current one first
+   */
+  getHiddenSystems() {
+    const galaxy = this.game.galaxy || [];
+    const here = galaxy[this.game.currentSystemIndex];
+    if (!here || !here.position) return [];
+
+    return galaxy
+      .filter(sys => !sys.discovered && sys.position)
+      .map(sys => ({ sys, distance: Math.hypot(sys.position.x - here.position.x, sys.position.y - here.position.y) }))
+      .sort((a, b) => a.distance - b.distance)
+      .map(entry => entry.sys);
+  }
+
+  /**
+   * Run an instant action (consumables and triggers)
+   * @returns {string} What happened
+   */
+  runAction(action, sourceName) {
+    const p = this.game.player;
+    switch (action.action) {
+      case 'heal': {
+        const amount = Math.floor(p.maxHull * action.amount);
+        p.hull = Math.min(p.maxHull, p.hull + amount);
+        return `Repaired ${amount} hull points`;
+      }
+      case 'restoreShields':
+        p.shields = Math.min(p.maxShields, p.shields + p.maxShields * action.amount);
+        return action.amount >= 1 ? 'Shields fully restored' : 'Shields restored';
+      case 'restorePower':
+        p.power = Math.min(p.maxPower, p.power + action.amount);
+        return `+${action.amount} power`;
+      case 'refuel': {
+        const economy = this.game.economySystem;
+        economy.fuel = Math.min(economy.maxFuel, economy.fuel + action.amount);
+        return `Refueled +${action.amount}`;
+      }
+      case 'damage':
+        p.hull = Math.max(1, p.hull - action.amount);
+        return action.message || `${sourceName}: -${action.amount} hull`;
+      case 'loadAmmo':
+        return this.game.weaponSystem.loadAmmo(action.weapon, action.amount).message;
+      case 'buff':
+        return this.addTimed(action.buff.name, action.buff.name, action.buff.modifiers, action.buff.duration);
+      case 'revealSystems': {
+        const game = this.game;
+        const revealed = this.getHiddenSystems().slice(0, action.amount);
+        for (const sys of revealed) {
+          sys.discovered = true;
+          game.discoveredSystems.add(sys.seed || game.galaxy.indexOf(sys));
+        }
+        return `Revealed ${revealed.length} system${revealed.length === 1 ? '' : 's'}`;
+      }
+      case 'treatCrew': {
+        const treated = this.game.crewSystem.treatWounded(false);
+        return `${treated} wounded crew member${treated > 1 ? 's' : ''} treated`;
+      }
+      case 'learnSchematics': {
+        const learned = this.game.craftingSystem.learnSchematics(action.recipes);
+        return `Onboard fabrication unlocked: ${learned.join(', ')}`;
+      }
+      case 'randomItem': {
+        const found = generateRandomArtifact();
+        this.addItem(found.id);
+        return `Found: ${found.name}`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run the triggers of fitted items for an event ('hit', 'warp', 'kill')
+   */
+  runTriggers(on) {
+    for (const id of this.installed) {
+      const item = this.getItem(id);
+      for (const trigger of (item.effects && item.effects.triggers) || []) {
+        if (trigger.on !== on || Math.random() >= (trigger.chance ?? 1)) continue;
+
+        // Tell the player about buffs starting and harm done, not every small top-up
+        const newBuff = trigger.action === 'buff' && !this.timed.some(effect => effect.id === trigger.buff.name);
+        const message = this.runAction(trigger, item.name);
+        if (newBuff || trigger.action === 'damage') {
+          this.game.showNotification(message, trigger.action === 'damage' ? 'warning' : 'success');
+        }
+      }
+    }
+  }
+
+  handleEnemyDestroyed() {
+    this.runTriggers('kill');
+
+    if (Math.random() < SALVAGE_CHANCE) {
+      const item = generateRandomArtifact();
+      this.addItem(item.id);
+      this.game.showNotification(`Salvaged: ${item.name}`, 'success');
+    }
+  }
+
+  /**
+   * Modifiers in force: fitted items, their curses, timed effects
+   * @returns {Array<{source, stat, op, value, curse}>}
+   */
+  getActiveModifiers() {
+    const active = [];
+    for (const id of this.installed) {
+      const item = this.getItem(id);
+      const effects = item.effects || {};
+      for (const modifier of effects.modifiers || []) active.push({ source: item.name, ...modifier, curse: false });
+      for (const modifier of (effects.curse && effects.curse.modifiers) || []) active.push({ source: item.name, ...modifier, curse: true });
+    }
+    for (const effect of this.timed) {
+      for (const modifier of effect.modifiers) active.push({ source: effect.name, ...modifier, curse: false });
+    }
+    return active;
+  }
+
+  /**
+   * Modifiers changed: the ship stats are recomputed
+   */
+  changed() {
+    if (this.game.shipStats) this.game.shipStats.invalidate();
+  }
+
+  update(dt) {
+    // Timed effects run out
+    let expired = false;
+    for (const effect of this.timed) {
+      effect.remaining -= dt;
+      if (effect.remaining <= 0) {
+        expired = true;
+        this.game.showNotification(`${effect.name} wore off`, 'info');
+      }
+    }
+    if (expired) {
+      this.timed = this.timed.filter(effect => effect.remaining > 0);
+      this.changed();
+    }
+
+    // Curses drain the ship, down to a floor
+    const p = this.game.player;
+    if (p.docked) return;
+    for (const id of this.installed) {
+      const curse = this.getItem(id).effects && this.getItem(id).effects.curse;
+      if (!curse || !curse.drain) continue;
+
+      const { stat, rate } = curse.drain;
+      const max = p[`max${stat[0].toUpperCase()}${stat.slice(1)}`] || 100;
+      if (p[stat] > max * DRAIN_FLOOR) {
+        p[stat] = Math.max(max * DRAIN_FLOOR, p[stat] - rate * dt);
+      }
+    }
+  }
+
+  /**
+   * Readable line for a modifier ("+20% Power Regen", "+100 Max Power")
+   */
+  describeModifier(modifier) {
+    const label = SHIP_STATS[modifier.stat] ? SHIP_STATS[modifier.stat].label : modifier.stat;
+    if (modifier.op === 'mul') {
+      const percent = Math.round((modifier.value - 1) * 100);
+      return `${percent >= 0 ? '+' : ''}${percent}% ${label}`;
+    }
+    return `${modifier.value >= 0 ? '+' : ''}${modifier.value} ${label}`;
+  }
+
+  describeTrigger(trigger) {
+    const when = { hit: 'On hit', warp: 'On warp', kill: 'On kill' }[trigger.on];
+    const chance = trigger.chance !== undefined ? ` (${Math.round(trigger.chance * 100)}%)` : '';
+    let what;
+    switch (trigger.action) {
+      case 'buff': what = `${trigger.buff.name} ${trigger.buff.duration}s`; break;
+      case 'damage': what = `-${trigger.amount} hull`; break;
+      case 'restorePower': what = `+${trigger.amount} power`; break;
+      case 'heal': what = `repair ${Math.round(trigger.amount * 100)}% hull`; break;
+      case 'restoreShields': what = `restore ${Math.round(trigger.amount * 100)}% shields`; break;
+      default: what = trigger.action;
+    }
+    return `${when}${chance}: ${what}`;
+  }
+
+  /**
+   * Effects in force, for the inventory
+   * @returns {Array<{name, icon, kind, stacks, remaining, lines: Array<{text, curse}>}>}
+   */
+  getActiveEffects() {
+    const effects = [];
+
+    for (const id of new Set(this.installed)) {
+      const item = this.getItem(id);
+      const declared = item.effects || {};
+      const lines = (declared.modifiers || []).map(modifier => ({ text: this.describeModifier(modifier), curse: false }));
+      for (const trigger of declared.triggers || []) lines.push({ text: this.describeTrigger(trigger), curse: false });
+
+      const curse = declared.curse;
+      if (curse) {
+        for (const modifier of curse.modifiers || []) lines.push({ text: this.describeModifier(modifier), curse: true });
+        if (curse.drain) lines.push({ text: `Drains ${curse.drain.rate} ${curse.drain.stat}/s`, curse: true });
+        lines.push({ text: `Removal at a station: ${curse.removalCost || 0} CR`, curse: true });
+      }
+
+      effects.push({
+        id,
+        name: item.name,
+        icon: item.icon,
+        kind: curse ? 'cursed' : 'fitted',
+        stacks: this.getInstalledCount(id),
+        remaining: null,
+        lines
+      });
+    }
+
+    for (const effect of this.timed) {
+      effects.push({
+        id: effect.id,
+        name: effect.name,
+        icon: this.getItem(effect.id) ? this.getItem(effect.id).icon : '✦',
+        kind: 'timed',
+        stacks: 1,
+        remaining: effect.remaining,
+        lines: effect.modifiers.map(modifier => ({ text: this.describeModifier(modifier), curse: false }))
+      });
+    }
+    return effects;
+  }
+
+  serialize() {
+    return {
+      hold: { ...this.hold },
+      installed: [...this.installed],
+      timed: this.timed.map(effect => ({ ...effect }))
+    };
+  }
+
+  deserialize(data) {
+    if (!data) return;
+    this.hold = data.hold || {};
+    this.installed = (data.installed || []).filter(id => this.getItem(id));
+    this.timed = data.timed || [];
+    this.changed();
+  }
+}
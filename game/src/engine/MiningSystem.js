@@ -1,19 +1,134 @@
 /**
  * Mining System - Extract resources from asteroids
  * Based on PROMPT 16: Resource System - Mining Mechanics
+ *
+ * Deep mining:
+ * - every asteroid has a composition profile seeded from its type (C/S/M),
+ *   revealed by scanning it; a mining cycle draws its units from that profile
+ * - asteroids hold a reserve of units and are mined cycle after cycle until
+ *   it runs out; harder rock (metallic) takes longer and needs a better laser
+ * - mining lasers come in tiers and heat up while cutting: at full heat the
+ *   laser shuts down until it has cooled off
+ * - mining skill grows with every unit extracted and raises the yield
+ * - large asteroids fracture into smaller chunks halfway through their reserve
+ *   (CollisionSystem.breakAsteroid)
+ * - belts grow their reserves back over game time; depleted fragments crumble
  */
 
 import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Mining lasers by tier
+export const MINING_LASERS = {
+  1: { name: 'Mining Laser Mk1', power: 1.0, maxHardness: 1.5, heatRate: 10, cooling: 8 }, // Cycle speed, hardest rock it cuts, heat/s while cutting and cooling/s
+  2: { name: 'Mining Laser Mk2', power: 1.5, maxHardness: 2.0, heatRate: 9, cooling: 12 },
+  3: { name: 'Mining Laser Mk3', power: 2.2, maxHardness: 3.0, heatRate: 8, cooling: 16 }
+};
+
+// Asteroid types (EnhancedSystemGenerator) and the minerals they are made of
+const COMPOSITIONS = {
+  'C-type': { label: 'Carbonaceous', hardness: 1.0, richness: 1.0, minerals: { carbon: 0.35, water: 0.25, silicon: 0.15, iron: 0.1, deuterium: 0.1, rare_isotopes: 0.05 } },
+  'S-type': { label: 'Silicate', hardness: 1.3, richness: 1.0, minerals: { silicon: 0.4, iron: 0.25, titanium: 0.15, copper: 0.1, platinum: 0.05, crystalline_matrix: 0.05 } },
+  'M-type': { label: 'Metallic', hardness: 1.8, richness: 1.3, minerals: { iron: 0.45, titanium: 0.2, copper: 0.15, platinum: 0.12, rare_isotopes: 0.05, exotic_matter: 0.03 } }
+};
+
+const CYCLE_YIELD = 6; // Units per mining cycle before richness and skill
+const MAX_HEAT = 100;
+const RESTART_HEAT = 40; // An overheated laser fires again below this
+const SKILL_XP = [0, 40, 100, 200, 350, 550, 800, 1100, 1500, 2000]; // Units mined to reach each skill level
+const SKILL_BONUS = 0.05; // Yield per skill level above 1
+export const FRACTURE_SIZE = 24; // Asteroids this large fracture instead of being mined out
+const REGROWTH_TIME = 1200000; // Game time (ms) for a belt asteroid to grow its reserve back
+const REGROWTH_INTERVAL = 5; // Seconds between regrowth passes
 
 export class MiningSystem {
   constructor(game) {
     this.game = game;
     this.miningTarget = null;
     this.miningProgress = 0;
-    this.miningTime = 3.0; // 3 seconds to mine an asteroid
+    this.miningTime = 3.0; // 3 seconds per mining cycle (Mk1 laser, carbonaceous rock)
     this.miningRange = 200; // Maximum mining range
     this.miningActive = false;
     this.miningBeam = null;
+
+    this.laserTier = 1;
+    this.heat = 0;
+    this.overheated = false;
+    this.experience = 0; // Units mined over the run
+    this.regrowthTimer = 0;
+    this.beltsSystem = null; // Index of the system whose belts are loaded
+    this.belts = {}; // Depletion of belts left behind, by system index
+  }
+
+  getLaser() {
+    return MINING_LASERS[this.laserTier];
+  }
+
+  /**
+   * Fit a mining laser (crafted at a station) - only ever an upgrade
+   */
+  installLaser(tier) {
+    if (!MINING_LASERS[tier]) return { success: false, message: 'Unknown mining laser' };
+    if (tier <= this.laserTier) return { success: false, message: `A ${this.getLaser().name} is already fitted` };
+    this.laserTier = tier;
+    return { success: true, message: `${MINING_LASERS[tier].name} fitted` };
+  }
+
+  getSkillLevel() {
+    return SKILL_XP.filter(xp => this.experience >= xp).length;
+  }
+
+  /**
+   * Composition type of an asteroid (unknown types count as carbonaceous)
+   */
+  getComposition(asteroid) {
+    return COMPOSITIONS[asteroid.type] || COMPOSITIONS['C-type'];
+  }
+
+  /**
+   * Mineral share of an asteroid, seeded from the asteroid so a rescan (or
+   * its fragments) always read the same
+   * @returns {Object} resource id -> share (0-1)
+   */
+  getProfile(asteroid) {
+    if (!asteroid.profile) {
+      const seed = asteroid.seed ?? asteroid.distance * 7 + asteroid.size * 131;
+      const rng = new SeededRandom((Math.abs(Math.floor(seed)) + 4421) % 233280);
+      const weights = Object.entries(this.getComposition(asteroid).minerals)
+        .map(([id, weight]) => [id, weight * rng.range(0.5, 1.5)]);
+      const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+      asteroid.profile = Object.fromEntries(weights.map(([id, weight]) => [id, weight / total]));
+    }
+    if (typeof asteroid.resources !== 'number') asteroid.resources = Math.round(asteroid.size * 2);
+    if (asteroid.maxResources === undefined) asteroid.maxResources = asteroid.resources;
+    return asteroid.profile;
+  }
+
+  /**
+   * Scan readout of an asteroid (InteractionSystem scan and info panel)
+   * @returns {string[]}
+   */
+  describeAsteroid(asteroid) {
+    const composition = this.getComposition(asteroid);
+    const profile = this.getProfile(asteroid);
+    const minerals = Object.entries(profile)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, share]) => `${this.getResourceName(id)} ${Math.round(share * 100)}%`);
+    const laser = this.getLaser();
+
+    return [
+      `Class: ${asteroid.type || 'C-type'} (${composition.label})`,
+      `Composition: ${minerals.slice(0, 3).join(', ')}`,
+      `Traces: ${minerals.slice(3).join(', ')}`,
+      `Reserve: ${Math.ceil(asteroid.resources)} units${asteroid.size >= FRACTURE_SIZE && !asteroid.fragment ? ' - will fracture' : ''}`,
+      `Hardness: ${composition.hardness.toFixed(1)} (${laser.name} cuts ${laser.maxHardness.toFixed(1)})`,
+      `Mining skill: ${this.getSkillLevel()} (+${Math.round((this.getSkillLevel() - 1) * SKILL_BONUS * 100)}% yield)`
+    ];
+  }
+
+  getResourceName(id) {
+    const resource = RESOURCE_TYPES[id.toUpperCase()];
+    return resource ? resource.name : id;
   }
 
   /**
@@ -29,7 +144,7 @@ export class MiningSystem {
     let minDist = Infinity;
 
     for (const asteroid of this.game.asteroids) {
-      if (asteroid.mined) continue; // Skip already mined asteroids
+      if (asteroid.mined || asteroid.destroyed) continue; // Skip mined out asteroids
 
       const dx = asteroid.x - player.x;
       const dy = asteroid.y - player.y;
@@ -46,14 +161,24 @@ export class MiningSystem {
 
   /**
    * Start mining process
+   * @param {Object} [target] - Asteroid to mine (defaults to the nearest in range)
    */
-  startMining() {
-    const target = this.findNearestAsteroid();
-
+  startMining(target = this.findNearestAsteroid()) {
     if (!target) {
       return { success: false, reason: 'no_target' };
     }
+    const laser = this.getLaser();
+    if (this.overheated) {
+      return { success: false, reason: 'overheated', message: `${laser.name} overheated - cooling down` };
+    }
+    if (!this.game.cargoSystem.hasSpace()) {
+      return { success: false, reason: 'cargo_full', message: 'Cargo hold full' };
+    }
+    if (this.getComposition(target).hardness > laser.maxHardness) {
+      return { success: false, reason: 'too_hard', message: `${this.getComposition(target).label} rock is too hard for the ${laser.name}` };
+    }
 
+    this.getProfile(target);
     this.miningTarget = target;
     this.miningProgress = 0;
     this.miningActive = true;
@@ -83,13 +208,33 @@ export class MiningSystem {
   }
 
   /**
-   * Update mining progress
+   * Seconds one mining cycle takes on an asteroid
+   */
+  getCycleTime(asteroid) {
+    return this.miningTime * this.getComposition(asteroid).hardness / this.getLaser().power;
+  }
+
+  /**
+   * Update laser heat, belt regrowth and mining progress
    */
   update(dt) {
+    this.updateHeat(dt);
+
+    this.regrowthTimer -= dt;
+    if (this.regrowthTimer <= 0) {
+      this.regrowthTimer = REGROWTH_INTERVAL;
+      this.regrowBelts();
+    }
+
     if (!this.miningActive || !this.miningTarget) {
       return { success: false, reason: 'not_mining' };
     }
 
+    if (this.overheated || this.miningTarget.destroyed) {
+      this.stopMining();
+      return { success: false, reason: this.overheated ? 'overheated' : 'no_target' };
+    }
+
     // Check if target is still in range
     const dx = this.miningTarget.x - this.game.player.x;
     const dy = this.miningTarget.y - this.game.player.y;
@@ -135,40 +280,57 @@ export class MiningSystem {
       }
     }
 
-    // Check if mining complete
-    if (this.miningProgress >= this.miningTime) {
+    // Check if mining cycle complete
+    const cycleTime = this.getCycleTime(this.miningTarget);
+    if (this.miningProgress >= cycleTime) {
       return this.completeMining();
     }
 
-    return { success: true, progress: this.miningProgress / this.miningTime };
+    return { success: true, progress: this.miningProgress / cycleTime };
   }
 
   /**
-   * Complete mining and extract resources
+   * The laser heats up while cutting (faster in hard rock) and cools otherwise
+   */
+  updateHeat(dt) {
+    const laser = this.getLaser();
+    if (this.miningActive && this.miningTarget) {
+      this.heat = Math.min(MAX_HEAT, this.heat + laser.heatRate * this.getComposition(this.miningTarget).hardness * dt);
+      if (this.heat >= MAX_HEAT) this.overheated = true;
+    } else {
+      this.heat = Math.max(0, this.heat - laser.cooling * dt);
+      if (this.overheated && this.heat <= RESTART_HEAT) {
+        this.overheated = false;
+        this.game.showNotification(`${laser.name} cooled down`, 'info');
+      }
+    }
+  }
+
+  /**
+   * Complete a mining cycle and extract resources
    */
   completeMining() {
-    if (!this.miningTarget) {
+    const asteroid = this.miningTarget;
+    if (!asteroid) {
       return { success: false, reason: 'no_target' };
     }
 
     // Determine resources from asteroid
-    const resources = this.extractResources(this.miningTarget);
-
-    // Mark asteroid as mined
-    this.miningTarget.mined = true;
-    this.miningTarget.opacity = 0.3; // Fade out mined asteroids
+    const resources = this.extractResources(asteroid);
 
     // Add resources to cargo
     const results = [];
+    let extracted = 0;
     for (const resource of resources) {
       const result = this.game.cargoSystem.addCargo(resource.id, resource.quantity);
 
-      if (result.success) {
+      if (result.success === true) {
         this.game.resourceSystem.addResource(resource.id, resource.quantity);
         results.push({
           resource: RESOURCE_TYPES[resource.id.toUpperCase()],
           quantity: resource.quantity
         });
+        extracted += resource.quantity;
       } else if (result.success === 'partial') {
         this.game.resourceSystem.addResource(resource.id, result.added);
         results.push({
@@ -176,11 +338,32 @@ export class MiningSystem {
           quantity: result.added,
           partial: true
         });
+        extracted += result.added;
       }
     }
 
+    // What didn't fit in the hold stays in the rock
+    asteroid.resources = Math.max(0, asteroid.resources - extracted);
+    this.gainExperience(extracted);
+
     this.stopMining();
 
+    if (asteroid.resources <= 0) {
+      // Mark asteroid as mined out
+      asteroid.mined = true;
+      asteroid.opacity = 0.3; // Fade out mined asteroids
+    } else if (asteroid.size >= FRACTURE_SIZE && !asteroid.fragment && asteroid.resources <= asteroid.maxResources / 2) {
+      // Cut halfway through, a large asteroid splits into chunks
+      const chunks = this.game.collisionSystem.breakAsteroid(asteroid, { x: asteroid.x, y: asteroid.y });
+      this.game.showNotification(`Asteroid fractured into ${chunks.length} chunks`, 'info');
+    }
+
+    for (const { resource, quantity } of results) {
+      if (resource) {
+        this.game.events.emit('cargoChanged', { kind: 'resource', id: resource.id, quantity, reason: 'mined' });
+      }
+    }
+
     return {
       success: true,
       resources: results,
@@ -189,63 +372,164 @@ export class MiningSystem {
   }
 
   /**
-   * Extract resources based on asteroid properties
+   * Extract one cycle's resources, drawn from the asteroid's composition
    */
   extractResources(asteroid) {
-    const resources = [];
-    const baseYield = 5 + Math.floor(Math.random() * 10); // 5-15 units
-
-    // Determine resource type based on asteroid size and random chance
-    const roll = Math.random();
-
-    if (roll < 0.5) {
-      // Common resources (50% chance)
-      const commonResources = ['iron', 'silicon', 'carbon', 'water'];
-      const resourceId = commonResources[Math.floor(Math.random() * commonResources.length)];
-      resources.push({
-        id: resourceId,
-        quantity: baseYield
-      });
-    } else if (roll < 0.85) {
-      // Uncommon resources (35% chance)
-      const uncommonResources = ['titanium', 'copper', 'platinum'];
-      const resourceId = uncommonResources[Math.floor(Math.random() * uncommonResources.length)];
-      resources.push({
-        id: resourceId,
-        quantity: Math.floor(baseYield * 0.6) // Less quantity
-      });
-    } else {
-      // Rare resources (15% chance)
-      const rareResources = ['exotic_matter', 'rare_isotopes', 'crystalline_matrix'];
-      const resourceId = rareResources[Math.floor(Math.random() * rareResources.length)];
-      resources.push({
-        id: resourceId,
-        quantity: Math.floor(baseYield * 0.3) // Even less quantity
-      });
+    const profile = this.getProfile(asteroid);
+    const skillBonus = 1 + (this.getSkillLevel() - 1) * SKILL_BONUS;
+    const units = Math.min(
+      Math.ceil(asteroid.resources),
+      Math.round(CYCLE_YIELD * this.getComposition(asteroid).richness * skillBonus * (0.8 + Math.random() * 0.4))
+    );
+
+    const quantities = {};
+    const minerals = Object.entries(profile);
+    for (let i = 0; i < units; i++) {
+      let roll = Math.random();
+      const [id] = minerals.find(([, share]) => (roll -= share) < 0) || minerals[0];
+      quantities[id] = (quantities[id] || 0) + 1;
+    }
+
+    return Object.entries(quantities).map(([id, quantity]) => ({ id, quantity }));
+  }
+
+  gainExperience(units) {
+    const level = this.getSkillLevel();
+    this.experience += units;
+    if (this.getSkillLevel() > level) {
+      const newLevel = this.getSkillLevel();
+      this.game.showNotification(`Mining skill ${newLevel}: +${Math.round((newLevel - 1) * SKILL_BONUS * 100)}% yield`, 'success');
     }
+  }
+
+  /**
+   * Belts of the current system grow their reserves back for the game time
+   * since their last pass. Belts left behind keep the time of their last
+   * pass (restoreBelts), so they catch up on return.
+   * Asteroids come back into play at half their reserve; fragments don't
+   * regrow and crumble once mined out or shot apart.
+   */
+  regrowBelts() {
+    const game = this.game;
+    const now = game.playtime || 0;
+
+    for (const belt of game.asteroidBelts || []) {
+      const elapsed = now - (belt.regrownAt ?? now);
+      belt.regrownAt = now;
+
+      for (let i = belt.asteroids.length - 1; i >= 0; i--) {
+        const asteroid = belt.asteroids[i];
+        if (asteroid.fragment) {
+          if (asteroid.mined || asteroid.destroyed) {
+            asteroid.destroyed = true;
+            belt.asteroids.splice(i, 1);
+          }
+          continue;
+        }
+        if (asteroid.maxResources === undefined || asteroid.resources >= asteroid.maxResources) continue;
+
+        asteroid.resources = Math.min(asteroid.maxResources, asteroid.resources + asteroid.maxResources * elapsed / REGROWTH_TIME);
+        if (asteroid.resources < asteroid.maxResources / 2) continue;
 
-    // Small chance of bonus resource
-    if (Math.random() > 0.8) {
-      resources.push({
-        id: 'iron',
-        quantity: Math.floor(baseYield * 0.5)
-      });
+        if (asteroid.mined) {
+          asteroid.mined = false;
+          asteroid.opacity = 1;
+        }
+        if (asteroid.destroyed) {
+          asteroid.destroyed = false;
+          asteroid.hp = asteroid.size * 10;
+          if (!game.asteroids.includes(asteroid)) game.asteroids.push(asteroid);
+        }
+      }
     }
+  }
+
+  /**
+   * Depletion of the loaded belts: every asteroid below its full reserve, by
+   * belt and asteroid index. Fragments aren't kept - they'd have crumbled by
+   * the time of a return.
+   * @returns {Array|null} [{ regrownAt, asteroids: [{ i, resources, mined, destroyed }] }]
+   */
+  captureBelts() {
+    if (this.beltsSystem === null) return null;
+    const now = this.game.playtime || 0;
+    const belts = (this.game.asteroidBelts || []).map(belt => ({
+      regrownAt: belt.regrownAt ?? now,
+      asteroids: belt.asteroids
+        .map((asteroid, i) => ({ asteroid, i }))
+        .filter(({ asteroid }) => !asteroid.fragment && asteroid.maxResources !== undefined && asteroid.resources < asteroid.maxResources)
+        .map(({ asteroid, i }) => ({ i, resources: asteroid.resources, mined: !!asteroid.mined, destroyed: !!asteroid.destroyed }))
+    }));
+    return belts.some(belt => belt.asteroids.length > 0) ? belts : null;
+  }
+
+  /**
+   * Keep the depletion of the belts being left (Game.loadStarSystem)
+   */
+  storeBelts() {
+    const belts = this.captureBelts();
+    if (belts) this.belts[this.beltsSystem] = belts;
+    this.beltsSystem = null;
+  }
+
+  /**
+   * Bring the freshly generated belts of a system back to how they were left
+   * and let them regrow for the game time since (Game.loadStarSystem)
+   */
+  restoreBelts(systemIndex) {
+    const game = this.game;
+    const saved = this.belts[systemIndex] || [];
+    delete this.belts[systemIndex];
+    this.beltsSystem = systemIndex;
+
+    (game.asteroidBelts || []).forEach((belt, b) => {
+      if (!saved[b]) return;
+      belt.regrownAt = saved[b].regrownAt;
+      for (const entry of saved[b].asteroids) {
+        const asteroid = belt.asteroids[entry.i];
+        if (!asteroid) continue;
+        this.getProfile(asteroid);
+        asteroid.resources = Math.min(entry.resources, asteroid.maxResources);
+        if (entry.mined) {
+          asteroid.mined = true;
+          asteroid.opacity = 0.3;
+        }
+        if (entry.destroyed) {
+          asteroid.destroyed = true;
+          const index = game.asteroids.indexOf(asteroid);
+          if (index !== -1) game.asteroids.splice(index, 1);
+        }
+      }
+    });
+    this.regrowBelts();
+  }
 
-    return resources;
+  /**
+   * The ship was rebuilt (Game.resetGame): back to the stock laser.
+   * Mining skill is the pilot's and stays.
+   */
+  handleRespawn() {
+    this.stopMining();
+    this.laserTier = 1;
+    this.heat = 0;
+    this.overheated = false;
   }
 
   /**
-   * Render mining beam and effects
+   * Render mining beam, effects and laser heat
    */
   render(ctx, camera) {
+    const camX = camera.x;
+    const camY = camera.y;
+
+    if (this.heat > 0) {
+      this.renderHeat(ctx, this.game.player.x - camX, this.game.player.y - camY);
+    }
+
     if (!this.miningActive || !this.miningBeam) {
       return;
     }
 
-    const camX = camera.x;
-    const camY = camera.y;
-
     // Mining beam
     const startX = this.miningBeam.startX - camX;
     const startY = this.miningBeam.startY - camY;
@@ -288,7 +572,7 @@ export class MiningSystem {
 
     // Progress indicator at target
     if (this.miningTarget) {
-      const progress = this.miningProgress / this.miningTime;
+      const progress = this.getProgress();
       const barWidth = 60;
       const barHeight = 6;
       const barX = endX - barWidth / 2;
@@ -307,11 +591,38 @@ export class MiningSystem {
       ctx.lineWidth = 1;
       ctx.strokeRect(barX, barY, barWidth, barHeight);
 
-      // Percentage text
+      // Percentage and reserve left
       ctx.fillStyle = '#00ff88';
       ctx.font = '10px DigitalDisco, monospace';
       ctx.textAlign = 'center';
-      ctx.fillText(`${Math.floor(progress * 100)}%`, endX, barY - 5);
+      ctx.fillText(`${Math.floor(progress * 100)}% • ${Math.ceil(this.miningTarget.resources)} left`, endX, barY - 5);
+    }
+  }
+
+  /**
+   * Laser heat gauge beside the ship
+   */
+  renderHeat(ctx, x, y) {
+    const barWidth = 6;
+    const barHeight = 40;
+    const barX = x + 30;
+    const barY = y - barHeight / 2;
+    const fill = this.heat / MAX_HEAT;
+    const color = this.overheated ? '#ff3333' : fill > 0.7 ? '#ffaa00' : '#00ff88';
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(barX - 1, barY - 1, barWidth + 2, barHeight + 2);
+    ctx.fillStyle = color;
+    ctx.fillRect(barX, barY + barHeight * (1 - fill), barWidth, barHeight * fill);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(barX, barY, barWidth, barHeight);
+
+    if (this.overheated) {
+      ctx.fillStyle = color;
+      ctx.font = '10px DigitalDisco, monospace';
+      ctx.textAlign = 'left';
+      ctx.fillText('OVERHEAT', barX + 10, barY + 10);
     }
   }
 
@@ -319,8 +630,8 @@ export class MiningSystem {
    * Get mining progress (0-1)
    */
   getProgress() {
-    if (!this.miningActive) return 0;
-    return this.miningProgress / this.miningTime;
+    if (!this.miningActive || !this.miningTarget) return 0;
+    return Math.min(1, this.miningProgress / this.getCycleTime(this.miningTarget));
   }
 
   /**
@@ -329,4 +640,28 @@ export class MiningSystem {
   isMining() {
     return this.miningActive;
   }
+
+  serialize() {
+    // The loaded belts are saved along with those left behind
+    const loaded = this.captureBelts();
+    return {
+      laserTier: this.laserTier,
+      heat: this.heat,
+      overheated: this.overheated,
+      experience: this.experience,
+      belts: loaded ? { ...this.belts, [this.beltsSystem]: loaded } : this.belts
+    };
+  }
+
+  deserialize(data) {
+    if (!data) return;
+    this.stopMining();
+    this.laserTier = MINING_LASERS[data.laserTier] ? data.laserTier : 1;
+    this.heat = data.heat || 0;
+    this.overheated = !!data.overheated;
+    this.experience = data.experience || 0;
+    // Restored before the save's system loads, which applies its own entry
+    this.belts = data.belts || {};
+    this.beltsSystem = null;
+  }
 }
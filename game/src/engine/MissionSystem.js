@@ -0,0 +1,561 @@
+/**
+ * MissionSystem - Contract boards at stations
+ *
+ * Every station posts a board of contracts, generated from the galaxy seed,
+ * the station and the current board cycle (boards repost every
+ * BOARD_REFRESH of playtime), so a station offers the same work until the
+ * next cycle. Contract types:
+ * - courier: dock at a station in the destination system
+ * - haul: deliver commodities (EconomySystem cargo) to the destination system
+ * - bounty: destroy a marked AlienShip that waits in the destination system
+ * - survey: scan planets/moons in the destination system (InteractionSystem.actionScan)
+ * - mining: mine a quota of a resource anywhere (MiningSystem)
+ *
+ * Contracts are accepted from the CONTRACTS tab of the trading terminal and
+ * turned in by docking (actionDock): deliveries at their destination, the
+ * rest at any station once done. Each has a deadline in playtime; finishing
+ * pays credits and raises reputation with the issuing station's faction,
+ * failing or abandoning lowers it.
+ *
+ * Favours (createFavour) are contracts requested from a faction over the
+ * diplomacy screen: poorly paid, but worth triple the reputation.
+ */
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { AlienShip } from './AlienShip.js';
+
+const BOARD_REFRESH = 20 * 60 * 1000; // ms of playtime between reposts
+const BOARD_SIZE = { min: 4, max: 6 };
+const MAX_ACTIVE_CONTRACTS = 5;
+const MAX_CONTRACT_DISTANCE = 5000; // Destinations are picked within this range
+const MINUTE = 60 * 1000;
+const FAVOUR_TYPES = ['courier', 'bounty', 'survey'];
+const FAVOUR_PAY = 0.3; // Share of the usual reward a favour pays
+const FAVOUR_REPUTATION = 3; // Reputation multiplier of a favour
+
+// Contract types and how often they're posted
+const CONTRACT_TYPES = {
+  courier: { name: 'Courier Run', weight: 3 },
+  haul: { name: 'Cargo Haul', weight: 3 },
+  bounty: { name: 'Bounty Hunt', weight: 2 },
+  survey: { name: 'Survey Scan', weight: 2 },
+  mining: { name: 'Mining Quota', weight: 2 }
+};
+
+const HAUL_COMMODITIES = ['food', 'water', 'minerals', 'metals', 'electronics', 'machinery', 'medicine'];
+const QUOTA_RESOURCES = ['iron', 'silicon', 'carbon', 'water'];
+const BOUNTY_NAMES = ['Red Talon', 'Widowmaker', 'Gravedigger', 'Black Comet', 'Ashen Veil', 'Hollow Crown', 'Nightjar', 'Rustfang'];
+
+export class MissionSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.active = []; // Accepted contracts (status 'active' or 'ready')
+    this.takenIds = new Set(); // Board contracts already accepted (not reposted)
+    this.completed = 0;
+    this.failed = 0;
+
+    // Station the player is docked at { systemIndex, stationIndex, name, factionId }
+    this.currentStation = null;
+
+    game.events.on('docked', (event) => this.handleDocked(event));
+    game.events.on('enemyDestroyed', (event) => this.handleEnemyDestroyed(event));
+    game.events.on('bodyScanned', (event) => this.handleScan(event));
+    game.events.on('cargoChanged', (event) => {
+      if (event.reason === 'mined') this.handleMined(event);
+    });
+  }
+
+  /**
+   * Faction of a system (issuer of its stations' contracts)
+   */
+  getSystemFaction(systemIndex) {
+    const game = this.game;
+    const sys = systemIndex === game.currentSystemIndex ? game.currentSystemData : game.galaxy[systemIndex];
+    return game.factionSystem ? game.factionSystem.getSystemFaction(systemIndex, sys) : null;
+  }
+
+  /**
+   * Board cycle for the current playtime
+   */
+  getBoardCycle() {
+    return Math.floor((this.game.playtime || 0) / BOARD_REFRESH);
+  }
+
+  /**
+   * Contracts posted at the docked station (minus ones already taken)
+   */
+  getBoard() {
+    if (!this.currentStation) return [];
+
+    const { systemIndex, stationIndex } = this.currentStation;
+    const cycle = this.getBoardCycle();
+    const key = `${systemIndex}:${stationIndex}:${cycle}`;
+
+    if (!this.board || this.board.key !== key) {
+      this.board = { key, contracts: this.generateBoard(systemIndex, stationIndex, cycle) };
+    }
+    return this.board.contracts.filter(contract => !this.takenIds.has(contract.id));
+  }
+
+  /**
+   * Generate a station's board for a cycle (same inputs, same contracts)
+   */
+  generateBoard(systemIndex, stationIndex, cycle) {
+    const seed = Math.abs(Math.floor(this.game.seed || 0));
+    const rng = new SeededRandom((seed + systemIndex * 1000 + stationIndex * 97 + cycle * 7919 + 4242) % 233280);
+
+    const types = Object.entries(CONTRACT_TYPES);
+    const totalWeight = types.reduce((sum, [, type]) => sum + type.weight, 0);
+    const count = rng.int(BOARD_SIZE.min, BOARD_SIZE.max);
+    const contracts = [];
+
+    for (let i = 0; i < count; i++) {
+      let roll = rng.next() * totalWeight;
+      const [typeId] = types.find(([, type]) => (roll -= type.weight) < 0) || types[0];
+
+      const contract = this.generateContract(typeId, rng, systemIndex);
+      if (!contract) continue;
+
+      contracts.push({
+        id: `${systemIndex}-${stationIndex}-${cycle}-${i}`,
+        type: typeId,
+        typeName: CONTRACT_TYPES[typeId].name,
+        issuer: {
+          systemIndex,
+          stationName: this.currentStation ? this.currentStation.name : 'Station',
+          factionId: this.getSystemFaction(systemIndex)
+        },
+        progress: 0,
+        status: 'available',
+        ...contract
+      });
+    }
+
+    return contracts;
+  }
+
+  /**
+   * Type-specific contract terms
+   */
+  generateContract(typeId, rng, systemIndex) {
+    switch (typeId) {
+      case 'courier': {
+        const destination = this.pickDestination(rng, systemIndex, false);
+        if (!destination) return null;
+        return {
+          title: `Deliver data core to ${destination.name}`,
+          destination: destination.index,
+          destinationName: destination.name,
+          quantity: 1,
+          reward: Math.round(600 + destination.distance * 0.4),
+          reputation: 3,
+          duration: Math.round(10 + destination.distance / 400) * MINUTE
+        };
+      }
+
+      case 'haul': {
+        const destination = this.pickDestination(rng, systemIndex, false);
+        if (!destination) return null;
+        const commodity = this.game.economySystem.commodities[rng.choice(HAUL_COMMODITIES)];
+        const quantity = rng.int(5, 15);
+        return {
+          title: `Haul ${quantity} ${commodity.name} to ${destination.name}`,
+          destination: destination.index,
+          destinationName: destination.name,
+          commodityId: commodity.id,
+          quantity,
+          reward: Math.round(quantity * commodity.basePrice * 1.4 + destination.distance * 0.3),
+          reputation: 3,
+          duration: Math.round(15 + destination.distance / 300) * MINUTE
+        };
+      }
+
+      case 'bounty': {
+        const destination = this.pickDestination(rng, systemIndex, true);
+        if (!destination) return null;
+        const shipType = rng.next() < 0.4 ? 'frigate' : 'bomber';
+        const targetName = rng.choice(BOUNTY_NAMES);
+        return {
+          title: `Destroy the '${targetName}' in ${destination.name}`,
+          destination: destination.index,
+          destinationName: destination.name,
+          target: { name: targetName, shipType },
+          quantity: 1,
+          reward: (shipType === 'frigate' ? 4000 : 2000) + rng.int(0, 10) * 100,
+          reputation: 5,
+          duration: 30 * MINUTE
+        };
+      }
+
+      case 'survey': {
+        const destination = this.pickDestination(rng, systemIndex, true);
+        if (!destination) return null;
+        const quantity = rng.int(2, 4);
+        return {
+          title: `Scan ${quantity} bodies in ${destination.name}`,
+          destination: destination.index,
+          destinationName: destination.name,
+          quantity,
+          scanned: [],
+          reward: 500 + quantity * 400 + Math.round(destination.distance * 0.2),
+          reputation: 2,
+          duration: 25 * MINUTE
+        };
+      }
+
+      case 'mining': {
+        const resource = RESOURCE_TYPES[rng.choice(QUOTA_RESOURCES).toUpperCase()];
+        const quantity = rng.int(3, 8) * 5;
+        return {
+          title: `Mine ${quantity} ${resource.name}`,
+          destination: null,
+          destinationName: 'Any system',
+          resourceId: resource.id,
+          quantity,
+          reward: quantity * resource.baseValue * 4,
+          reputation: 2,
+          duration: 30 * MINUTE
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Destination system within contract range
+   * @returns {Object|null} { index, name, distance }
+   */
+  pickDestination(rng, systemIndex, allowSameSystem) {
+    const galaxy = this.game.galaxy || [];
+    const origin = galaxy[systemIndex];
+    if (!origin || !origin.position) return null;
+
+    const candidates = [];
+    galaxy.forEach((sys, index) => {
+      if (!sys.position || (!allowSameSystem && index === systemIndex)) return;
+      const distance = Math.hypot(sys.position.x - origin.position.x, sys.position.y - origin.position.y);
+      if (distance <= MAX_CONTRACT_DISTANCE) {
+        candidates.push({ index, name: sys.name, distance });
+      }
+    });
+
+    return candidates.length > 0 ? rng.choice(candidates) : null;
+  }
+
+  /**
+   * Accept a contract from the docked station's board
+   * @returns {Object} { success, message }
+   */
+  accept(contractId) {
+    const contract = this.getBoard().find(entry => entry.id === contractId);
+    if (!contract) {
+      return { success: false, message: 'Contract no longer available' };
+    }
+    if (this.active.length >= MAX_ACTIVE_CONTRACTS) {
+      return { success: false, message: `No more than ${MAX_ACTIVE_CONTRACTS} contracts at once` };
+    }
+
+    const playtime = this.game.playtime || 0;
+    this.active.push({
+      ...JSON.parse(JSON.stringify(contract)),
+      status: 'active',
+      acceptedAt: playtime,
+      deadline: playtime + contract.duration
+    });
+    this.takenIds.add(contract.id);
+
+    // A bounty target in this very system shows up right away
+    if (contract.type === 'bounty' && contract.destination === this.game.currentSystemIndex) {
+      this.spawnBountyTargets();
+    }
+
+    return { success: true, message: `Contract accepted: ${contract.title}` };
+  }
+
+  /**
+   * Take on a favour for a faction (one open favour per faction)
+   * @returns {Object} { success, message }
+   */
+  createFavour(factionId) {
+    const game = this.game;
+    if (this.active.some(entry => entry.favour && entry.issuer.factionId === factionId)) {
+      return { success: false, message: 'Finish your current favour first' };
+    }
+    if (this.active.length >= MAX_ACTIVE_CONTRACTS) {
+      return { success: false, message: `No more than ${MAX_ACTIVE_CONTRACTS} contracts at once` };
+    }
+
+    const seed = Math.abs(Math.floor(game.seed || 0));
+    const factionIndex = Object.keys(game.factionSystem.factions).indexOf(factionId);
+    const request = this.completed + this.failed;
+    const rng = new SeededRandom((seed + factionIndex * 389 + request * 7127 + game.currentSystemIndex * 13 + 6661) % 233280);
+
+    const typeId = rng.choice(FAVOUR_TYPES);
+    const contract = this.generateContract(typeId, rng, game.currentSystemIndex);
+    if (!contract) {
+      return { success: false, message: 'No work available nearby' };
+    }
+
+    const playtime = game.playtime || 0;
+    const favour = {
+      id: `favour-${factionId}-${request}-${Math.floor(playtime)}`,
+      type: typeId,
+      typeName: CONTRACT_TYPES[typeId].name,
+      issuer: {
+        systemIndex: game.currentSystemIndex,
+        stationName: game.factionSystem.factions[factionId].name,
+        factionId
+      },
+      progress: 0,
+      ...contract,
+      title: `Favour: ${contract.title}`,
+      reward: Math.round(contract.reward * FAVOUR_PAY),
+      reputation: contract.reputation * FAVOUR_REPUTATION,
+      favour: true,
+      status: 'active',
+      acceptedAt: playtime,
+      deadline: playtime + contract.duration
+    };
+    this.active.push(favour);
+
+    if (typeId === 'bounty' && favour.destination === game.currentSystemIndex) {
+      this.spawnBountyTargets();
+    }
+
+    return { success: true, message: `Favour accepted: ${contract.title}` };
+  }
+
+  /**
+   * Abandon an accepted contract (counts as a failure)
+   */
+  abandon(contractId) {
+    const contract = this.active.find(entry => entry.id === contractId);
+    if (contract) {
+      this.fail(contract, 'abandoned');
+    }
+  }
+
+  /**
+   * Docked at a station: deliveries for this system and finished
+   * contracts are turned in, and the station's board becomes available
+   */
+  handleDocked({ systemIndex, stationIndex, station }) {
+    const game = this.game;
+
+    this.currentStation = {
+      systemIndex,
+      stationIndex,
+      name: station,
+      factionId: this.getSystemFaction(systemIndex)
+    };
+
+    for (const contract of [...this.active]) {
+      if (contract.status === 'ready') {
+        this.complete(contract);
+      } else if (contract.destination === systemIndex && contract.type === 'courier') {
+        this.complete(contract);
+      } else if (contract.destination === systemIndex && contract.type === 'haul') {
+        this.deliverHaul(contract);
+      }
+    }
+
+    const posted = this.getBoard().length;
+    if (posted > 0) {
+      game.showNotification(`${posted} contracts posted on the station board`, 'info');
+    }
+  }
+
+  /**
+   * Undocked - the board closes
+   */
+  handleUndocked() {
+    this.currentStation = null;
+  }
+
+  /**
+   * Hand over a haul's cargo if it's all in the hold
+   */
+  deliverHaul(contract) {
+    const economy = this.game.economySystem;
+    const item = economy.cargo.find(entry => entry.commodityId === contract.commodityId);
+
+    if (!item || item.quantity < contract.quantity) {
+      const carried = item ? item.quantity : 0;
+      this.game.showNotification(`Haul incomplete: ${carried}/${contract.quantity} ${economy.commodities[contract.commodityId].name}`, 'warning');
+      return;
+    }
+
+    item.quantity -= contract.quantity;
+    economy.cargo = economy.cargo.filter(entry => entry.quantity > 0);
+    this.game.events.emit('cargoChanged', { kind: 'commodity', id: contract.commodityId, quantity: -contract.quantity, reason: 'delivered' });
+    contract.progress = contract.quantity;
+    this.complete(contract);
+  }
+
+  /**
+   * Pay out a contract
+   */
+  complete(contract) {
+    const game = this.game;
+    this.active = this.active.filter(entry => entry !== contract);
+    contract.status = 'completed';
+    this.completed++;
+
+    // Pay depends on how the issuer regards the player
+    const perks = game.diplomacySystem && contract.issuer.factionId
+      ? game.diplomacySystem.getPerks(contract.issuer.factionId)
+      : null;
+    const reward = Math.round(contract.reward * (perks ? perks.contractPay : 1));
+
+    game.economySystem.credits += reward;
+    if (game.factionSystem && contract.issuer.factionId) {
+      game.factionSystem.modifyReputation(contract.issuer.factionId, contract.reputation);
+    }
+    if (game.statistics) {
+      game.statistics.contractsCompleted = (game.statistics.contractsCompleted || 0) + 1;
+    }
+
+    game.showNotification(`Contract complete: ${contract.title} (+${reward} CR)`, 'success');
+    console.log(`[MissionSystem] Completed ${contract.id}`);
+  }
+
+  /**
+   * Fail a contract (deadline missed or abandoned)
+   */
+  fail(contract, reason) {
+    const game = this.game;
+    this.active = this.active.filter(entry => entry !== contract);
+    contract.status = 'failed';
+    this.failed++;
+
+    if (game.factionSystem && contract.issuer.factionId) {
+      game.factionSystem.modifyReputation(contract.issuer.factionId, -contract.reputation * 2);
+    }
+
+    game.showNotification(`Contract ${reason}: ${contract.title}`, 'warning');
+    console.log(`[MissionSystem] Failed ${contract.id} (${reason})`);
+  }
+
+  /**
+   * Mark a contract's objective done (turned in at the next docking)
+   */
+  markReady(contract) {
+    contract.status = 'ready';
+    contract.progress = contract.quantity;
+    this.game.showNotification(`Objective complete: ${contract.title} - dock to turn in`, 'success');
+  }
+
+  /**
+   * Deadlines
+   */
+  update() {
+    const playtime = this.game.playtime || 0;
+    for (const contract of [...this.active]) {
+      if (contract.status === 'active' && playtime > contract.deadline) {
+        this.fail(contract, 'expired');
+      }
+    }
+  }
+
+  /**
+   * Spawn the marked ships of bounties in the current system
+   */
+  spawnBountyTargets() {
+    const game = this.game;
+    if (!game.player) return;
+
+    for (const contract of this.active) {
+      if (contract.type !== 'bounty' || contract.status !== 'active' || contract.destination !== game.currentSystemIndex) continue;
+      if (game.enemies.some(ship => ship.bountyContractId === contract.id)) continue;
+
+      const angle = Math.random() * Math.PI * 2;
+      const distance = 1500 + Math.random() * 1000;
+      const race = game.alienRaceSystem ? game.alienRaceSystem.getRandomRace() : null;
+
+      const ship = new AlienShip(
+        contract.target.shipType,
+        game.player.x + Math.cos(angle) * distance,
+        game.player.y + Math.sin(angle) * distance,
+        true,
+        race
+      );
+      ship.bountyContractId = contract.id;
+      ship.bountyName = contract.target.name;
+
+      game.enemies.push(ship);
+      game.showNotification(`Bounty target '${contract.target.name}' detected in system`, 'warning');
+    }
+  }
+
+  /**
+   * An enemy ship was destroyed (enemyDestroyed event)
+   */
+  handleEnemyDestroyed(event) {
+    if (!event.bountyContractId) return;
+
+    const contract = this.active.find(entry => entry.id === event.bountyContractId);
+    if (contract && contract.status === 'active') {
+      this.markReady(contract);
+    }
+  }
+
+  /**
+   * A planet or moon was scanned (bodyScanned event)
+   */
+  handleScan({ type, name, systemIndex }) {
+    if (type !== 'planet' && type !== 'moon') return;
+
+    for (const contract of this.active) {
+      if (contract.type !== 'survey' || contract.status !== 'active' || contract.destination !== systemIndex) continue;
+      if (contract.scanned.includes(name)) continue;
+
+      contract.scanned.push(name);
+      contract.progress = contract.scanned.length;
+      if (contract.progress >= contract.quantity) {
+        this.markReady(contract);
+      }
+    }
+  }
+
+  /**
+   * A resource was mined (cargoChanged event)
+   */
+  handleMined({ id, quantity }) {
+    for (const contract of this.active) {
+      if (contract.type !== 'mining' || contract.status !== 'active' || id !== contract.resourceId) continue;
+
+      contract.progress = Math.min(contract.quantity, contract.progress + quantity);
+      if (contract.progress >= contract.quantity) {
+        this.markReady(contract);
+      }
+    }
+  }
+
+  /**
+   * Serialize contracts for saving
+   */
+  serialize() {
+    return {
+      active: this.active,
+      takenIds: Array.from(this.takenIds),
+      completed: this.completed,
+      failed: this.failed
+    };
+  }
+
+  /**
+   * Restore contracts from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.active = data.active || [];
+    this.takenIds = new Set(data.takenIds || []);
+    this.completed = data.completed || 0;
+    this.failed = data.failed || 0;
+    this.currentStation = null;
+    this.board = null;
+  }
+}
@@ -319,6 +319,23 @@ export class OrbitalMechanics {
     return timeToPeri + elements.period / 2;
   }
 
+  /**
+   * Position of a body t seconds from now, without advancing its orbit
+   * Returns null for bodies without orbital elements.
+   */
+  predictPosition(body, t) {
+    const elements = this.orbitalElements.get(this.getBodyId(body));
+    if (!elements) return null;
+
+    const future = { ...elements };
+    future.meanAnomaly = (elements.meanAnomaly + elements.meanMotion * t) % (2 * Math.PI);
+    future.eccentricAnomaly = this.solveKeplerEquation(future.meanAnomaly, future.eccentricity);
+    future.trueAnomaly = this.calculateTrueAnomaly(future.eccentricAnomaly, future.eccentricity);
+
+    const r = this.calculateOrbitalRadius(future);
+    return this.transformTo3D(this.calculateOrbitalPlanePosition(future, r), future);
+  }
+
   /**
    * Get orbital elements for a body
    */
@@ -364,6 +381,36 @@ export class OrbitalMechanics {
     return `${body.x}_${body.y}_${body.radius}_${body.name || ''}`;
   }
 
+  /**
+   * Serialize orbital elements for saving
+   * Central bodies are stored by id and re-linked on load.
+   */
+  serialize() {
+    const elements = [];
+    for (const [bodyId, { centralBody, ...orbit }] of this.orbitalElements) {
+      elements.push([bodyId, orbit]);
+    }
+    return { G: this.G, elements };
+  }
+
+  /**
+   * Load orbital elements from saved data
+   * @param {Object} data - Output of serialize()
+   * @param {Array} bodies - Candidate central bodies (star, planets) to re-link by id
+   */
+  deserialize(data, bodies = []) {
+    if (!data || !Array.isArray(data.elements)) return;
+
+    const bodiesById = new Map(bodies.filter(Boolean).map(body => [this.getBodyId(body), body]));
+
+    this.orbitalElements.clear();
+    for (const [bodyId, orbit] of data.elements) {
+      const centralBody = bodiesById.get(orbit.centralBodyId);
+      if (!centralBody) continue; // Central body no longer exists
+      this.orbitalElements.set(bodyId, { ...orbit, centralBody });
+    }
+  }
+
   /**
    * Reset all orbital data
    */
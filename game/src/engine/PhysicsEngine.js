@@ -2,28 +2,57 @@
  * PhysicsEngine - Handles all game physics including movement, collisions, and interactions
  * Extracted from Game.js to improve code organization
  */
-import { MiningSystem } from './MiningSystem.js';
 import { getSystemSize } from './ScaleSystem.js';
 import { ThrusterEffects } from './ThrusterEffects.js';
 import { updateProjectile } from './WeaponSystem.js';
 
+// Boss checkpoint is taken this far out, relative to the boss's detection range
+const BOSS_CHECKPOINT_RANGE = 1.5;
+
+// Ship drag: velocity kept per frame, in and out of warp
+export const SHIP_DRAG = 0.997;
+export const WARP_DRAG = 0.9995;
+
 export class PhysicsEngine {
   constructor(game) {
     this.game = game;
   }
 
+  /**
+   * Effective value of a player ship stat (ShipStats)
+   */
+  modifyStat(stat, base) {
+    return this.game.shipStats ? this.game.shipStats.get(stat, base) : base;
+  }
+
+  /**
+   * Bodies the ship's gravity comes from: the star, and the planets where
+   * update() moves them. `ahead` seconds on (trajectory prediction) planets
+   * with OrbitalMechanics elements are where their orbit will have taken
+   * them; the rest have advanced their orbit angle.
+   */
+  getGravityBodies(ahead = 0) {
+    const { star, planets, orbitalMechanics } = this.game;
+    return [star, ...planets.map(pl => {
+      const predicted = orbitalMechanics ? orbitalMechanics.predictPosition(pl, ahead) : null;
+      const angle = pl.angle + (pl.orbitSpeed || 0) * ahead;
+      return {
+        x: predicted ? predicted.x : star.x + Math.cos(angle) * pl.distance,
+        y: predicted ? predicted.y : star.y + Math.sin(angle) * pl.distance,
+        mass: pl.mass,
+        radius: pl.radius,
+        vx: 0,
+        vy: 0
+      };
+    })];
+  }
+
   /**
    * Main physics update - handles player movement, collisions, resource regeneration, etc.
    */
   update(dt) {
     const p = this.game.player;
 
-    // Initialize mining system on first frame (after 'this' is fully constructed)
-    if (!this.game.miningSystemReady) {
-      this.game.miningSystem = new MiningSystem(this.game);
-      this.game.miningSystemReady = true;
-    }
-
     // PERFORMANCE: Progressive planet sprite generation - generate 1 planet per frame
     if (this.game.needsPlanetSpriteGeneration && this.game.planetSpriteGenerationQueue && this.game.planetSpriteGenerationQueue.length > 0) {
       const planetIdx = this.game.planetSpriteGenerationQueue.shift();
@@ -51,12 +80,20 @@ export class PhysicsEngine {
 
     // Handle landed state (surface operations)
     if (p.landed) {
-      // Launch with Space key
+      // Drive the rover
+      this.game.surfaceSystem.update(dt);
+
+      // Launch with Space key (rover back at the lander)
       if (this.game.input.keys.has('Space') || this.game.input.keys.has('KeyL')) {
-        this.game.launchFromSurface();
+        const result = this.game.launchFromSurface();
+        if (!result.success) {
+          this.game.showNotification(result.message, 'warning');
+        }
+        this.game.input.keys.delete('Space');
+        this.game.input.keys.delete('KeyL');
       }
 
-      // Collect resources with C or E key
+      // Drill, excavate or unload with C or E key
       if (this.game.input.keys.has('KeyC') || this.game.input.keys.has('KeyE')) {
         this.game.collectSurfaceResources();
         // Remove key to prevent repeated collection
@@ -70,7 +107,7 @@ export class PhysicsEngine {
 
     // Rotation with momentum (RCS thruster effects now handled by ThrusterEffects system)
     if (this.game.input.rotation !== 0) {
-      p.rotationVel += this.game.input.rotation * 10 * dt;
+      p.rotationVel += this.game.input.rotation * this.modifyStat('turnRate', 10) * dt;
 
       // PERFORMANCE: Legacy RCS particles disabled - using ThrusterEffects system instead
       // (Old code removed to eliminate duplicate particle generation)
@@ -107,14 +144,23 @@ export class PhysicsEngine {
       );
     }
 
+    // Thrusting away from a station undocks
+    if (p.docked && this.game.input.thrust !== 0) {
+      p.docked = false;
+      p.dockedStation = null;
+      if (this.game.missionSystem) {
+        this.game.missionSystem.handleUndocked();
+      }
+    }
+
     // Forward thrust (main engine)
     if (this.game.input.thrust > 0 && p.fuel > 0 && p.power > 5) {
-      const force = this.game.input.thrust * 300;
+      const force = this.game.input.thrust * this.modifyStat('acceleration', 300);
       p.vx += Math.cos(p.rotation) * force * dt;
       p.vy += Math.sin(p.rotation) * force * dt;
       // REALISTIC MECHANICS: Fuel consumption scales with ship mass
       const massFactor = (p.mass || 100) / 100; // Normalized to base mass
-      p.fuel -= Math.abs(this.game.input.thrust) * 12 * dt * massFactor;
+      p.fuel -= Math.abs(this.game.input.thrust) * this.modifyStat('fuelUse', 12) * dt * massFactor;
       p.power -= Math.abs(this.game.input.thrust) * 2.5 * dt;
 
       // FIXED: Set thrust on player object so ThrusterEffects can see it
@@ -197,8 +243,9 @@ export class PhysicsEngine {
       }
 
       if (p.warpCharge >= 1) {
+        if (!p.warpActive) this.game.events.emit('warpEngaged', { x: p.x, y: p.y });
         p.warpActive = true;
-        const warpSpeed = 500; // ENHANCED: Increased from 250 to 500 for ultra-fast warp flight
+        const warpSpeed = this.modifyStat('warpSpeed', 500); // ENHANCED: Increased from 250 to 500 for ultra-fast warp flight
         p.vx += Math.cos(p.rotation) * warpSpeed;
         p.vy += Math.sin(p.rotation) * warpSpeed;
         // Warp drive consumes 27 units/s (powerRegen is 25, so net -2 units/s drain)
@@ -403,28 +450,30 @@ export class PhysicsEngine {
       if (this.game.input.mining && !this.game.miningSystem.isMining()) {
         const result = this.game.miningSystem.startMining();
         if (result.success) {
-          // Mining started
-        } else if (result.reason === 'no_target') {
-          // No asteroid in range - could show message
+          this.miningRefusalShown = false;
+        } else if (result.message && !this.miningRefusalShown) {
+          // Overheated, hold full or rock too hard - say so once per press
+          this.game.showNotification(result.message, 'warning');
+          this.miningRefusalShown = true;
         }
-      } else if (!this.game.input.mining && this.game.miningSystem.isMining()) {
-        this.game.miningSystem.stopMining();
+      } else if (!this.game.input.mining) {
+        this.miningRefusalShown = false;
+        if (this.game.miningSystem.isMining()) this.game.miningSystem.stopMining();
       }
 
-      if (this.game.miningSystem.isMining()) {
-        const result = this.game.miningSystem.update(dt);
-        if (result && result.success && result.resources) {
-          // Mining completed!
-
-          // Show notification
-          this.game.notifications = this.game.notifications || [];
-          for (const item of result.resources) {
-            this.game.notifications.push({
-              message: `+${item.quantity} ${item.resource.name}`,
-              life: 3.0,
-              color: item.resource.color
-            });
-          }
+      // Heat and belt regrowth run whether or not the laser is firing
+      const result = this.game.miningSystem.update(dt);
+      if (result && result.success && result.resources) {
+        // Mining cycle completed!
+
+        // Show notification
+        this.game.notifications = this.game.notifications || [];
+        for (const item of result.resources) {
+          this.game.notifications.push({
+            message: `+${item.quantity} ${item.resource.name}`,
+            life: 3.0,
+            color: item.resource.color
+          });
         }
       }
     }
@@ -437,16 +486,14 @@ export class PhysicsEngine {
     // Advanced gravity system
     // FIX: Only apply gravity if star exists
     if (this.game.star && this.game.advancedPhysics) {
-      const gravitationalBodies = [this.game.star, ...this.game.planets.map(pl => ({
-        x: this.game.star.x + Math.cos(pl.angle) * pl.distance,
-        y: this.game.star.y + Math.sin(pl.angle) * pl.distance,
-        mass: pl.mass,
-        radius: pl.radius,
-        vx: 0,
-        vy: 0
-      }))];
+      const gravityInfo = this.game.advancedPhysics.applyGravity(p, this.getGravityBodies(), dt);
 
-      const gravityInfo = this.game.advancedPhysics.applyGravity(p, gravitationalBodies, dt);
+      // Gravity well hazards
+      if (this.game.environmentalHazards) {
+        const pull = this.game.environmentalHazards.getGravityWellPull(p.x, p.y);
+        p.vx += pull.ax * dt;
+        p.vy += pull.ay * dt;
+      }
 
       // Show gravity well warning
       if (gravityInfo.inGravityWell) {
@@ -546,7 +593,7 @@ export class PhysicsEngine {
 
     // Velocity limiting (INCREASED: warp max speed from 800 to 3000)
     // PERFORMANCE: Use squared distance to avoid sqrt
-    const maxSpeed = p.warpActive ? 3000 : 400;
+    const maxSpeed = p.warpActive ? this.modifyStat('warpSpeed', 3000) : this.modifyStat('speed', 400);
     const speedSq = p.vx * p.vx + p.vy * p.vy;
     const maxSpeedSq = maxSpeed * maxSpeed;
     if (speedSq > maxSpeedSq) {
@@ -556,7 +603,7 @@ export class PhysicsEngine {
     }
 
     // Drag (reduced during warp for higher top speed)
-    const dragFactor = p.warpActive ? 0.9995 : 0.997; // Minimal drag during warp
+    const dragFactor = p.warpActive ? WARP_DRAG : SHIP_DRAG; // Minimal drag during warp
     p.vx *= dragFactor;
     p.vy *= dragFactor;
 
@@ -596,22 +643,33 @@ export class PhysicsEngine {
     }
 
     // Systems
-    p.power = Math.min(p.power + p.powerRegen * dt, p.maxPower);
+    p.power = Math.min(p.power + this.modifyStat('powerRegen', p.powerRegen) * dt, p.maxPower);
 
     // REALISTIC MECHANICS: Shield regeneration slower when heavily damaged
     if (p.shields < p.maxShields && !p.shieldActive) {
       const shieldPercent = p.shields / p.maxShields;
       // Slower regen when shields below 30% (damaged systems)
       const regenMultiplier = shieldPercent < 0.3 ? 0.5 : 1.0;
-      p.shields = Math.min(p.shields + p.shieldRecharge * dt * regenMultiplier, p.maxShields);
+      p.shields = Math.min(p.shields + this.modifyStat('shieldRegen', p.shieldRecharge) * dt * regenMultiplier, p.maxShields);
     }
 
     p.damageFlash *= 0.85;
 
-    // Enemy AI and physics
+    // Enemy AI and physics (cloaking lowers the signature they spot the ship by)
+    p.signature = this.modifyStat('signature', 1);
     for (let i = this.game.enemies.length - 1; i >= 0; i--) {
       const enemy = this.game.enemies[i];
 
+      // Checkpoint once as the player nears a hostile capital ship (boss),
+      // before its AI picks the player up
+      if (enemy.type === 'frigate' && enemy.isHostile && !enemy.bossAutosaved && enemy.aiState === 'patrol' &&
+          Math.hypot(enemy.x - p.x, enemy.y - p.y) < (enemy.detectionRange || 0) * BOSS_CHECKPOINT_RANGE) {
+        enemy.bossAutosaved = true;
+        if (this.game.saveSystem) {
+          this.game.saveSystem.autosave('boss');
+        }
+      }
+
       // Update using AlienShip class (all enemies should be AlienShip instances)
       if (enemy.update) {
         enemy.update(dt, p, this.game.enemies, this.game.projectiles);
@@ -631,10 +689,15 @@ export class PhysicsEngine {
         p.kills++;
         p.score += enemy.scoreValue || 100;
 
-        // Track statistics
-        if (this.game.statistics) {
-          this.game.statistics.enemiesDestroyed++;
-        }
+        this.game.events.emit('enemyDestroyed', {
+          shipType: enemy.type,
+          race: enemy.race,
+          x: enemy.x,
+          y: enemy.y,
+          hostile: !!enemy.isHostile,
+          bountyContractId: enemy.bountyContractId || null,
+          customsPatrol: enemy.customsPatrol || null
+        });
       }
     }
 
@@ -753,6 +816,9 @@ export class PhysicsEngine {
               this.game.statistics.shotsHit++;
               this.game.statistics.damageDealt += proj.damage || 0;
             }
+            if (proj.owner === 'player') {
+              this.game.events.emit('enemyHit', { damage: proj.damage || 0, shipType: enemy.type });
+            }
 
             // Check if projectile is explosive (e.g., nuclear missile)
             if (proj.explosive) {
@@ -839,7 +905,7 @@ export class PhysicsEngine {
             const sizeSq = asteroid.size * asteroid.size;
 
             if (distSq < sizeSq) {
-              this.game.collisionSystem.handleWeaponDamageToAsteroid(asteroidPos, asteroid, proj.damage, this.game.particles);
+              this.game.collisionSystem.handleWeaponDamageToAsteroid(asteroidPos, asteroid, proj.damage);
 
               // Check if projectile is explosive
               if (proj.explosive) {
@@ -882,7 +948,7 @@ export class PhysicsEngine {
             const radiusSq = radius * radius;
 
             if (distSq < radiusSq) {
-              this.game.collisionSystem.handleWeaponDamageToComet(cometPos, comet, proj.damage, this.game.particles);
+              this.game.collisionSystem.handleWeaponDamageToComet(cometPos, comet, proj.damage);
 
               // Check if projectile is explosive
               if (proj.explosive) {
@@ -922,7 +988,7 @@ export class PhysicsEngine {
             const dist = Math.sqrt(dx * dx + dy * dy);
 
             if (dist < (station.size || 40)) {
-              this.game.collisionSystem.handleWeaponDamageToStation(stationPos, station, proj.damage, this.game.particles);
+              this.game.collisionSystem.handleWeaponDamageToStation(stationPos, station, proj.damage);
 
               // Check if projectile is explosive
               if (proj.explosive) {
@@ -981,7 +1047,8 @@ export class PhysicsEngine {
               'nightmare': 2.0,
             };
             const damageMult = difficultyDamageMultipliers[this.game.gameConfig.difficulty] || 1.0;
-            const modifiedDamage = proj.damage * damageMult;
+            // Fitted armor plates take their share first (untyped enemy rounds count as kinetic)
+            const modifiedDamage = this.game.armorSystem.processDamage(proj.damage * damageMult, proj.type || 'kinetic');
 
             // HUD UI OVERHAUL: Apply damage to ship sections
             if (this.game.shipDamageSystem) {
@@ -989,6 +1056,7 @@ export class PhysicsEngine {
             }
             p.hull -= modifiedDamage;
             p.damageFlash = 1;
+            this.game.events.emit('hullDamaged', { amount: modifiedDamage, source: 'projectile', hull: p.hull });
             this.game.createHitSparks(proj.x, proj.y);
           }
           this.game.projectiles.splice(i, 1);
@@ -1214,13 +1282,19 @@ export class PhysicsEngine {
       p.isDying = true;
       this.game.createExplosion(p.x, p.y, 50);
 
+      if (this.game.crewSystem) {
+        this.game.crewSystem.handleShipDestroyed();
+      }
+
       // PERMADEATH MODE: Game over on death (no respawn)
       if (this.game.gameConfig.permadeath) {
-        setTimeout(() => {
-          this.game.gameOver = true;
-          this.game.statistics.deaths++;
-          console.log('[Game] PERMADEATH: Game Over');
-        }, 2000);
+        // End the run right away so quitting during the explosion can't save it
+        this.game.statistics.deaths++;
+        const systemName = this.game.currentSystemData ? this.game.currentSystemData.name : 'deep space';
+        this.game.saveSystem.endRun(`Ship destroyed in ${systemName}`).catch(error => {
+          console.error('[Game] Failed to end permadeath run:', error);
+        });
+        console.log('[Game] PERMADEATH: Game Over');
       } else {
         // Normal mode: respawn after delay
         setTimeout(() => {
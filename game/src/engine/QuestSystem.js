@@ -0,0 +1,468 @@
+/**
+ * QuestSystem - Multi-step quests and the objective tracker
+ *
+ * Quests are data (QUESTS below): a start step and a map of steps, each with
+ * objective text, an optional waypoint target and a list of outcomes. An
+ * outcome is a condition on a game event - its type, payload fields that
+ * must match and how many times it has to happen - and what follows when it
+ * is met: the next step, or the end of the quest (completed or failed).
+ * A step with several outcomes branches on whichever is met first.
+ *
+ * Condition events, translated from game.events by the handle* hooks:
+ * - systemVisited { systemIndex, firstVisit }
+ * - itemCollected { category: 'resource' | 'artifact', id, quantity }
+ * - enemyKilled { shipType, hostile, bounty }
+ * - docked { systemIndex, station, factionId, lawless }
+ *
+ * The journal screen (O key) lists every quest and its log; the tracked
+ * quest's objective and waypoints show on the HUD.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Objects a step's waypoint can point at (nearest one in the current system)
+const WAYPOINT_TARGETS = ['station', 'planet', 'asteroid', 'artifact', 'gate', 'enemy'];
+
+const QUESTS = {
+  shakedown: {
+    title: 'Shakedown Cruise',
+    summary: 'Put the new ship through its paces before taking on real work.',
+    autoStart: true,
+    start: 'dock',
+    steps: {
+      dock: {
+        text: 'Dock at a station',
+        target: 'station',
+        outcomes: [{ event: 'docked', next: 'mine' }]
+      },
+      mine: {
+        text: 'Mine 10 units of ore',
+        target: 'asteroid',
+        outcomes: [{ event: 'itemCollected', where: { category: 'resource' }, count: 10, next: 'jump' }]
+      },
+      jump: {
+        text: 'Travel to a system you have never visited',
+        target: 'gate',
+        outcomes: [{
+          event: 'systemVisited',
+          where: { firstVisit: true },
+          result: 'completed',
+          reward: { credits: 500, unlocks: ['pirate_problem', 'ghost_signal'] }
+        }]
+      }
+    }
+  },
+
+  pirate_problem: {
+    title: 'Pirate Problem',
+    summary: 'Raiders are preying on the trade lanes. Stop them - or profit from them.',
+    timeLimit: 60 * MINUTE,
+    start: 'choose',
+    steps: {
+      choose: {
+        text: 'Destroy 3 hostile ships, or sell patrol schedules at a lawless station',
+        target: 'enemy',
+        outcomes: [
+          { event: 'enemyKilled', where: { hostile: true }, count: 3, next: 'report', log: 'Took the fight to the raiders' },
+          {
+            event: 'docked',
+            where: { lawless: true },
+            result: 'completed',
+            log: 'Sold the patrol schedules to the raiders',
+            reward: { credits: 1500, reputation: -10, faction: 'terran_coalition' }
+          }
+        ]
+      },
+      report: {
+        text: 'Report the kills at a lawful station',
+        target: 'station',
+        outcomes: [{
+          event: 'docked',
+          where: { lawless: false },
+          result: 'completed',
+          reward: { credits: 1200, reputation: 8 }
+        }]
+      }
+    }
+  },
+
+  ghost_signal: {
+    title: 'Ghost Signal',
+    summary: 'Derelict alien relics are broadcasting on a dead frequency.',
+    start: 'find',
+    steps: {
+      find: {
+        text: 'Recover an alien artifact',
+        target: 'artifact',
+        outcomes: [{ event: 'itemCollected', where: { category: 'artifact' }, next: 'decide' }]
+      },
+      decide: {
+        text: 'Sell the signal data at a station, or recover a second artifact to decode it',
+        target: 'artifact',
+        outcomes: [
+          {
+            event: 'docked',
+            result: 'completed',
+            log: 'Sold the signal data',
+            reward: { credits: 800 }
+          },
+          { event: 'itemCollected', where: { category: 'artifact' }, next: 'decode', log: 'Recovered a second piece' }
+        ]
+      },
+      decode: {
+        text: 'Follow the decoded signal to an unvisited system',
+        target: 'gate',
+        outcomes: [{
+          event: 'systemVisited',
+          where: { firstVisit: true },
+          result: 'completed',
+          reward: { credits: 3000, reputation: 5, faction: 'independent_worlds' }
+        }]
+      }
+    }
+  }
+};
+
+export class QuestSystem {
+  constructor(game) {
+    this.game = game;
+
+    // Quest state by id { id, status, step, progress, log, startedAt }
+    this.quests = {};
+    this.trackedId = null;
+    this.visitedSystems = new Set();
+
+    game.events.on('systemEntered', (event) => this.handleSystemEntered(event.systemIndex));
+    game.events.on('docked', (event) => this.handleDocked(event));
+    game.events.on('enemyDestroyed', (event) => this.handleEnemyDestroyed(event));
+    game.events.on('artifactCollected', (event) => this.handleArtifactCollected(event));
+    game.events.on('cargoChanged', (event) => {
+      if (event.reason === 'mined') this.handleMined(event);
+    });
+
+    this.startAutoQuests();
+  }
+
+  /**
+   * Quest definition
+   */
+  getDefinition(questId) {
+    return QUESTS[questId] || null;
+  }
+
+  /**
+   * Start every autoStart quest that hasn't been started yet
+   */
+  startAutoQuests() {
+    for (const [id, quest] of Object.entries(QUESTS)) {
+      if (quest.autoStart && !this.quests[id]) {
+        this.start(id, true);
+      }
+    }
+  }
+
+  /**
+   * Start a quest at its first step
+   * @param {string} questId
+   * @param {boolean} silent - Skip the notification (new game)
+   */
+  start(questId, silent = false) {
+    const quest = QUESTS[questId];
+    if (!quest || this.quests[questId]) return;
+
+    this.quests[questId] = {
+      id: questId,
+      status: 'active',
+      step: quest.start,
+      progress: [],
+      log: [],
+      startedAt: this.game.playtime || 0
+    };
+    if (!this.trackedId) this.trackedId = questId;
+
+    if (!silent) {
+      this.game.showNotification(`New quest: ${quest.title}`, 'info');
+    }
+    console.log(`[QuestSystem] Started ${questId}`);
+  }
+
+  /**
+   * Quests in progress
+   */
+  getActive() {
+    return Object.values(this.quests).filter(state => state.status === 'active');
+  }
+
+  /**
+   * Quest shown on the HUD
+   */
+  getTracked() {
+    const state = this.quests[this.trackedId];
+    return state && state.status === 'active' ? state : null;
+  }
+
+  track(questId) {
+    if (this.quests[questId] && this.quests[questId].status === 'active') {
+      this.trackedId = questId;
+    }
+  }
+
+  /**
+   * Current objective of a quest { text, progress, target }
+   */
+  getObjective(state) {
+    const step = QUESTS[state.id].steps[state.step];
+    const counted = step.outcomes
+      .map((outcome, i) => ({ count: outcome.count || 1, done: state.progress[i] || 0 }))
+      .filter(entry => entry.count > 1);
+
+    return {
+      text: step.text,
+      progress: counted.map(entry => `${entry.done}/${entry.count}`).join(' '),
+      target: step.target || null
+    };
+  }
+
+  /**
+   * Feed a game event to every active quest's current step
+   * @param {string} type - Condition event type
+   * @param {Object} payload - Event fields (quantity counts toward outcome.count)
+   */
+  handleEvent(type, payload = {}) {
+    for (const state of this.getActive()) {
+      const step = QUESTS[state.id].steps[state.step];
+
+      for (let i = 0; i < step.outcomes.length; i++) {
+        const outcome = step.outcomes[i];
+        if (outcome.event !== type || !this.matches(outcome.where, payload)) continue;
+
+        state.progress[i] = (state.progress[i] || 0) + (payload.quantity || 1);
+        if (state.progress[i] >= (outcome.count || 1)) {
+          this.resolve(state, outcome);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Every field in `where` equals the payload's
+   */
+  matches(where, payload) {
+    if (!where) return true;
+    return Object.entries(where).every(([key, value]) => payload[key] === value);
+  }
+
+  /**
+   * An outcome was met - move to the next step or end the quest
+   */
+  resolve(state, outcome) {
+    const quest = QUESTS[state.id];
+    const step = quest.steps[state.step];
+
+    state.log.push({ text: outcome.log || step.text, playtime: this.game.playtime || 0 });
+    if (outcome.reward) {
+      this.grantReward(outcome.reward);
+    }
+
+    if (outcome.next) {
+      state.step = outcome.next;
+      state.progress = [];
+      this.game.showNotification(`${quest.title}: ${quest.steps[outcome.next].text}`, 'info');
+    } else {
+      this.finish(state, outcome.result || 'completed');
+    }
+  }
+
+  /**
+   * End a quest
+   */
+  finish(state, result) {
+    const quest = QUESTS[state.id];
+    state.status = result;
+    state.finishedAt = this.game.playtime || 0;
+
+    if (result === 'completed') {
+      if (this.game.statistics) {
+        this.game.statistics.questsCompleted = (this.game.statistics.questsCompleted || 0) + 1;
+      }
+      this.game.showNotification(`Quest complete: ${quest.title}`, 'success');
+    } else {
+      this.game.showNotification(`Quest failed: ${quest.title}`, 'warning');
+    }
+    console.log(`[QuestSystem] ${state.id} ${result}`);
+
+    if (this.trackedId === state.id) {
+      const next = this.getActive()[0];
+      this.trackedId = next ? next.id : null;
+    }
+  }
+
+  /**
+   * Pay a reward - credits, reputation (with the named faction or the
+   * current system's) and follow-up quests
+   */
+  grantReward(reward) {
+    const game = this.game;
+
+    if (reward.credits && game.economySystem) {
+      game.economySystem.credits += reward.credits;
+    }
+    if (reward.reputation && game.factionSystem) {
+      const factionId = reward.faction ||
+        game.factionSystem.getSystemFaction(game.currentSystemIndex, game.currentSystemData);
+      game.factionSystem.modifyReputation(factionId, reward.reputation);
+    }
+    for (const questId of reward.unlocks || []) {
+      this.start(questId);
+    }
+  }
+
+  /**
+   * Time limits
+   */
+  update() {
+    const playtime = this.game.playtime || 0;
+    for (const state of this.getActive()) {
+      const limit = QUESTS[state.id].timeLimit;
+      if (limit && playtime - state.startedAt > limit) {
+        state.log.push({ text: 'Ran out of time', playtime });
+        this.finish(state, 'failed');
+      }
+    }
+  }
+
+  /**
+   * World positions of the tracked objective's targets in the current system
+   * @returns {Array} { x, y, label }
+   */
+  getWaypoints() {
+    const state = this.getTracked();
+    if (!state) return [];
+
+    const target = this.getObjective(state).target;
+    if (!WAYPOINT_TARGETS.includes(target)) return [];
+
+    const nearest = this.findNearest(target);
+    return nearest ? [{ ...nearest, label: target.toUpperCase() }] : [];
+  }
+
+  /**
+   * Nearest object of a waypoint target type to the player
+   */
+  findNearest(target) {
+    const game = this.game;
+    const star = game.star;
+    const player = game.player;
+    if (!star || !player) return null;
+
+    const orbit = (body) => ({
+      x: star.x + Math.cos(body.angle) * body.distance,
+      y: star.y + Math.sin(body.angle) * body.distance
+    });
+
+    let positions = [];
+    switch (target) {
+      case 'station':
+        positions = (game.stations || []).filter(s => !s.destroyed).map(orbit);
+        break;
+      case 'planet':
+        positions = (game.planets || []).map(orbit);
+        break;
+      case 'asteroid':
+        positions = (game.asteroids || []).filter(a => !a.destroyed).map(orbit);
+        break;
+      case 'artifact':
+        positions = (game.systemArtifacts || []).filter(a => !a.collected).map(a => ({ x: a.x, y: a.y }));
+        break;
+      case 'gate':
+        positions = (game.systemWarpGates || []).map((gate, index, gates) =>
+          game.warpGateSystem.getGatePosition(gate, star.x, star.y, gates.length, index));
+        break;
+      case 'enemy':
+        positions = (game.enemies || []).filter(e => e.isHostile && !e.isDead).map(e => ({ x: e.x, y: e.y }));
+        break;
+    }
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const pos of positions) {
+      const dist = Math.hypot(pos.x - player.x, pos.y - player.y);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = pos;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Entered a star system (systemEntered event)
+   */
+  handleSystemEntered(systemIndex) {
+    const firstVisit = !this.visitedSystems.has(systemIndex);
+    this.visitedSystems.add(systemIndex);
+    this.handleEvent('systemVisited', { systemIndex, firstVisit });
+  }
+
+  /**
+   * Docked at a station (docked event)
+   */
+  handleDocked({ systemIndex, station }) {
+    const game = this.game;
+    const factionId = game.factionSystem
+      ? game.factionSystem.getSystemFaction(systemIndex, game.currentSystemData)
+      : null;
+    const lawless = game.customsSystem ? !game.customsSystem.getAuthority(systemIndex) : false;
+
+    this.handleEvent('docked', { systemIndex, station, factionId, lawless });
+  }
+
+  /**
+   * An enemy ship was destroyed (enemyDestroyed event)
+   */
+  handleEnemyDestroyed(event) {
+    this.handleEvent('enemyKilled', {
+      shipType: event.shipType,
+      hostile: event.hostile,
+      bounty: !!event.bountyContractId
+    });
+  }
+
+  /**
+   * A resource was mined (cargoChanged event)
+   */
+  handleMined({ id, quantity }) {
+    this.handleEvent('itemCollected', { category: 'resource', id, quantity });
+  }
+
+  /**
+   * An artifact was picked up (artifactCollected event)
+   */
+  handleArtifactCollected({ typeId }) {
+    this.handleEvent('itemCollected', { category: 'artifact', id: typeId });
+  }
+
+  /**
+   * Serialize quest state for saving
+   */
+  serialize() {
+    return {
+      quests: this.quests,
+      trackedId: this.trackedId,
+      visitedSystems: Array.from(this.visitedSystems)
+    };
+  }
+
+  /**
+   * Restore quest state from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    // Drop quests whose definitions no longer exist
+    this.quests = Object.fromEntries(Object.entries(data.quests || {}).filter(([id]) => QUESTS[id]));
+    this.trackedId = data.trackedId || null;
+    this.visitedSystems = new Set(data.visitedSystems || []);
+    this.startAutoQuests();
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * RoutePlanner - Multi-jump routes across the galaxy
+ *
+ * The player queues waypoints on the galaxy map and the planner plots the
+ * route through them with A* over the star systems. A leg is either a
+ * hyperspace jump to any system within JUMP_RANGE or a warp gate link
+ * (WarpGateSystem). Legs are weighed by:
+ * - fuel, from the economy fuel tank (EconomySystem.consumeFuel)
+ * - the danger level of the arrival system (GalaxyGenerator.calculateDangerLevel)
+ * - arriving in the space of a faction that is hostile to the player
+ *
+ * The search tracks the fuel left in the tank, so a route too long for one
+ * tank stops to refuel on the way (every system has stations to refuel at).
+ *
+ * An engaged route flies itself: one leg every LEG_DELAY of playtime,
+ * refuelling at its stops, until it arrives or something gets in the way.
+ */
+import { GATE_FUEL_PER_DISTANCE } from './WarpGateSystem.js';
+
+const JUMP_RANGE = 4000; // Furthest a hyperspace jump reaches
+const JUMP_FUEL = 3; // Fuel for a hyperspace jump
+const JUMP_FUEL_PER_DISTANCE = 0.006; // Extra fuel per galaxy unit jumped
+const JUMP_TIME = 20; // Seconds to spool up a jump
+const JUMP_TIME_PER_DISTANCE = 0.02; // Seconds in hyperspace per galaxy unit
+const DANGER_COST = 1.5; // Route cost per danger level of an arrival system
+const HOSTILE_COST = { hostile: 25, unfriendly: 8 }; // Route cost of arriving in such a faction's space
+const REFUEL_COST = 6; // Route cost of a refuel stop
+const LEG_DELAY = 4000; // ms of playtime between the legs of an engaged route
+
+// Binary min-heap on `priority`, for the A* open list
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].priority <= heap[i].priority) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+      if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+export class RoutePlanner {
+  constructor(game) {
+    this.game = game;
+
+    this.waypoints = []; // System indices, in order
+    this.plan = null; // Plotted route (plot)
+    this.stale = true; // Waypoints, position or fuel changed since plotting
+    this.executing = false;
+    this.legIndex = 0;
+    this.nextLegAt = 0;
+    this.jumping = false; // A leg's system is loading
+
+    game.events.on('systemEntered', () => {
+      if (!this.executing) this.stale = true;
+    });
+  }
+
+  get galaxy() {
+    return this.game.galaxy || [];
+  }
+
+  addWaypoint(index) {
+    if (this.executing) return { success: false, message: 'Abort the current route first' };
+    if (this.waypoints[this.waypoints.length - 1] === index) {
+      return { success: false, message: 'Already the last waypoint' };
+    }
+    this.waypoints.push(index);
+    this.stale = true;
+    return { success: true, message: `Waypoint ${this.waypoints.length}: ${this.galaxy[index].name}` };
+  }
+
+  clearWaypoints() {
+    this.waypoints = [];
+    this.plan = null;
+    this.stale = false;
+    this.executing = false;
+  }
+
+  /**
+   * The plotted route, replotted when out of date
+   */
+  getPlan() {
+    if (this.stale && !this.executing) this.plot();
+    return this.plan;
+  }
+
+  /**
+   * Plot the route through the waypoints from the current system
+   * @returns {Object|null} {legs, fuel, time, refuelStops} or null if a waypoint can't be reached
+   */
+  plot() {
+    this.stale = false;
+    this.plan = null;
+    if (this.waypoints.length === 0) return null;
+
+    const economy = this.game.economySystem;
+    let from = this.game.currentSystemIndex;
+    let fuel = economy.fuel;
+    const legs = [];
+
+    for (const waypoint of this.waypoints) {
+      if (waypoint === from) continue;
+      const segment = this.findPath(from, waypoint, fuel, economy.maxFuel);
+      if (!segment) return null;
+
+      legs.push(...segment.legs);
+      from = waypoint;
+      fuel = segment.fuelLeft;
+    }
+
+    this.plan = {
+      legs,
+      fuel: legs.reduce((sum, leg) => sum + leg.fuel, 0),
+      time: legs.reduce((sum, leg) => sum + leg.time, 0),
+      refuelStops: legs.filter(leg => leg.refuel).map(leg => leg.from)
+    };
+    return this.plan;
+  }
+
+  /**
+   * Legs out of a system: jumps in range and gate links
+   */
+  getLegs(from) {
+    const legs = [];
+    const origin = this.galaxy[from];
+
+    this.galaxy.forEach((system, to) => {
+      if (to === from) return;
+      const distance = Math.hypot(system.position.x - origin.position.x, system.position.y - origin.position.y);
+      if (distance > JUMP_RANGE) return;
+      legs.push({
+        from, to, mode: 'jump',
+        fuel: JUMP_FUEL + distance * JUMP_FUEL_PER_DISTANCE,
+        time: JUMP_TIME + distance * JUMP_TIME_PER_DISTANCE
+      });
+    });
+
+    const gates = this.game.warpGateSystem;
+    if (gates) {
+      for (const to of gates.getConnectedSystems(from)) {
+        legs.push({ from, to, mode: 'gate', ...gates.getJumpCost(from, to) });
+      }
+    }
+    return legs;
+  }
+
+  /**
+   * Route cost of arriving in a system: its danger and how its owner sees the player
+   */
+  getArrivalCost(index) {
+    const system = this.galaxy[index];
+    const danger = system.dangerLevel ?? (this.game.galaxyGenerator ? this.game.galaxyGenerator.getDangerLevel(index) : 5);
+
+    let relation = null;
+    if (this.game.factionSystem) {
+      relation = this.game.factionSystem.getRelation(this.game.factionSystem.getSystemFaction(index, system));
+    }
+    return { danger, relation, cost: danger * DANGER_COST + (HOSTILE_COST[relation] || 0) };
+  }
+
+  /**
+   * A* from one system to another, tracking the fuel in the tank
+   * States are (system, fuel left); a state beaten on both cost and fuel by
+   * another in the same system is dropped. Refuelling fills the tank.
+   * @returns {{legs: Array, fuelLeft: number}|null}
+   */
+  findPath(from, to, fuel, maxFuel) {
+    const goal = this.galaxy[to].position;
+    const estimate = (index) => {
+      const position = this.galaxy[index].position;
+      return Math.hypot(goal.x - position.x, goal.y - position.y) * GATE_FUEL_PER_DISTANCE;
+    };
+    const arrivalCosts = new Map();
+    const arrivalCost = (index) => {
+      if (!arrivalCosts.has(index)) arrivalCosts.set(index, this.getArrivalCost(index));
+      return arrivalCosts.get(index);
+    };
+
+    const start = { index: from, fuel, cost: 0, priority: estimate(from), leg: null, parent: null };
+    const labels = new Map([[from, [start]]]); // system -> states not beaten on both cost and fuel
+    const open = [start];
+    const legsFrom = new Map();
+
+    while (open.length > 0) {
+      const node = heapPop(open);
+      if (node.dominated) continue;
+
+      if (node.index === to) {
+        const legs = [];
+        for (let step = node; step.leg; step = step.parent) legs.unshift(step.leg);
+        return { legs, fuelLeft: node.fuel };
+      }
+
+      const visit = (next) => {
+        const states = labels.get(next.index) || [];
+        if (states.some(state => state.cost <= next.cost && state.fuel >= next.fuel)) return;
+        for (const state of states) {
+          if (state.cost >= next.cost && state.fuel <= next.fuel) state.dominated = true;
+        }
+        labels.set(next.index, [...states.filter(state => !state.dominated), next]);
+        next.priority = next.cost + estimate(next.index);
+        heapPush(open, next);
+      };
+
+      // Refuel stop: fill the tank here before the next leg
+      const canRefuel = node.fuel < maxFuel - 1 && (this.galaxy[node.index].stationCount ?? 1) > 0;
+
+      if (!legsFrom.has(node.index)) legsFrom.set(node.index, this.getLegs(node.index));
+      for (const leg of legsFrom.get(node.index)) {
+        const arrival = arrivalCost(leg.to);
+        const details = { ...leg, danger: arrival.danger, relation: arrival.relation, refuel: false };
+
+        if (leg.fuel <= node.fuel) {
+          visit({ index: leg.to, fuel: node.fuel - leg.fuel, cost: node.cost + leg.fuel + arrival.cost, leg: details, parent: node });
+        }
+        if (canRefuel && leg.fuel <= maxFuel) {
+          visit({
+            index: leg.to,
+            fuel: maxFuel - leg.fuel,
+            cost: node.cost + REFUEL_COST + leg.fuel + arrival.cost,
+            leg: { ...details, refuel: true },
+            parent: node
+          });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start flying the plotted route
+   */
+  engage() {
+    this.plot();
+    if (!this.plan) return { success: false, message: 'No route to the waypoints' };
+    if (this.plan.legs.length === 0) return { success: false, message: 'Already at the destination' };
+
+    this.executing = true;
+    this.legIndex = 0;
+    this.nextLegAt = (this.game.playtime || 0) + LEG_DELAY;
+    return { success: true, message: `Route engaged: ${this.plan.legs.length} jumps` };
+  }
+
+  abort(reason = 'Route aborted') {
+    if (!this.executing) return;
+    this.executing = false;
+    this.stale = true;
+    this.game.showNotification(reason, 'warning');
+  }
+
+  update() {
+    if (!this.executing || this.jumping || (this.game.playtime || 0) < this.nextLegAt) return;
+    this.executeLeg();
+  }
+
+  /**
+   * Fly the next leg of the engaged route; a destination that fails to load
+   * aborts the route
+   */
+  async executeLeg() {
+    const game = this.game;
+    const leg = this.plan.legs[this.legIndex];
+
+    if (game.currentSystemIndex !== leg.from) {
+      this.abort('Route interrupted: off course');
+      return;
+    }
+    if (game.player && (game.player.docked || game.player.landed)) {
+      this.nextLegAt = game.playtime + LEG_DELAY; // Wait for the ship to be under way
+      return;
+    }
+
+    if (leg.refuel) {
+      const result = game.economySystem.refuel(game.economySystem.maxFuel, leg.from);
+      if (!result.success && game.economySystem.fuel < leg.fuel) {
+        this.abort(`Route halted: ${result.message}`);
+        return;
+      }
+      if (result.success) game.showNotification(result.message, 'info');
+    }
+    if (game.economySystem.fuel < leg.fuel) {
+      this.abort('Route halted: not enough fuel');
+      return;
+    }
+
+    game.economySystem.consumeFuel(leg.fuel);
+    this.jumping = true;
+    try {
+      // The star is in place before the system's sprites finish loading
+      const loading = game.loadStarSystem(leg.to);
+      game.player.x = game.star.x;
+      game.player.y = game.star.y - 500;
+      await loading;
+    } catch (error) {
+      console.error('Failed to load system on route:', error);
+      game.systemLoading = false;
+      this.abort(`Route halted: jump to ${this.galaxy[leg.to].name} failed`);
+      return;
+    } finally {
+      this.jumping = false;
+    }
+    if (!this.executing) return; // Aborted while the system loaded
+
+    this.legIndex++;
+    if (this.legIndex >= this.plan.legs.length) {
+      game.showNotification(`Route complete: arrived at ${this.galaxy[leg.to].name}`, 'success');
+      this.clearWaypoints();
+      return;
+    }
+
+    if (this.waypoints.length > 0 && this.waypoints[0] === leg.to) this.waypoints.shift();
+    game.showNotification(`Jump ${this.legIndex}/${this.plan.legs.length}: ${this.galaxy[leg.to].name}`, 'info');
+    this.nextLegAt = game.playtime + LEG_DELAY;
+  }
+
+  serialize() {
+    return { waypoints: [...this.waypoints] };
+  }
+
+  deserialize(data) {
+    this.waypoints = data && Array.isArray(data.waypoints) ? data.waypoints : [];
+    this.plan = null;
+    this.stale = true;
+    this.executing = false;
+  }
+}
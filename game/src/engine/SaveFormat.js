@@ -0,0 +1,387 @@
+/**
+ * SaveFormat - Save format versions and the migration chain between them
+ *
+ * Versions:
+ * - 0: launcher saves written by utils/GameStateManager (flat player hp/shield,
+ *      top-level seed/credits/difficulty, no saveFormatVersion)
+ * - 1: SaveSystem saves (player/galaxy/economy/artifacts blocks)
+ * - 2: unified format used by both SaveSystem and GameStateManager
+ *      (new-game config, statistics, view state, every subsystem in `systems`)
+ *
+ * Each migration upgrades exactly one version. migrateSave() runs them in
+ * order, so a version 0 save goes 0 -> 1 -> 2. Migrations work on a copy
+ * and never touch the stored save.
+ *
+ * Ironman saves carry a checksum over their JSON; edited ones are refused.
+ * A save can't opt out by dropping its own ironman flag: saves in ironman
+ * slots, and saves of runs this browser knows as ironman, need the checksum.
+ */
+
+export const SAVE_FORMAT_VERSION = 2;
+
+// Largest save (uncompressed JSON) anything stores: local backends and the
+// cloud server share it, so a save that fits locally can always sync
+export const MAX_SAVE_SIZE = 8 * 1024 * 1024;
+
+// Seed Game falls back to when none was configured
+const DEFAULT_SEED = 12345;
+
+// Storage slot prefix of an ironman run's single save ('ironman_<runId>')
+export const IRONMAN_SLOT_PREFIX = 'ironman_';
+
+// localStorage key listing the run ids of ironman runs that have saved here
+const IRONMAN_RUNS_KEY = 'pixelversum_ironman_runs';
+
+/**
+ * What caused an autosave (saveData.autosaveTrigger) and how it's labelled
+ */
+export const AUTOSAVE_TRIGGERS = {
+  timer: 'Timer',
+  warp: 'Warp Jump',
+  dock: 'Docked',
+  boss: 'Boss Encounter'
+};
+
+/**
+ * Work out which format version a parsed save is in
+ * @param {Object} data - Parsed save JSON
+ * @returns {number|null} Version, or null if it isn't a save at all
+ */
+export function detectSaveVersion(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  if (Number.isInteger(data.saveFormatVersion)) return data.saveFormatVersion;
+
+  // SaveSystem layout with the version field stripped (hand-edited exports)
+  if (data.galaxy && data.player) return 1;
+
+  // Launcher saves / launcher game state
+  if (data.player && typeof data.player === 'object') return 0;
+
+  return null;
+}
+
+/**
+ * Checksum over a save's JSON (without its own `checksum` field)
+ * FNV-1a - enough to catch hand-edited ironman saves.
+ * @param {Object} data - Save data
+ * @returns {string} 8 hex digits
+ */
+export function computeSaveChecksum(data) {
+  const { checksum, ...rest } = data;
+  const json = JSON.stringify(rest);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function readIronmanRuns() {
+  try {
+    const runs = JSON.parse(localStorage.getItem(IRONMAN_RUNS_KEY));
+    return Array.isArray(runs) ? runs : [];
+  } catch (error) {
+    return []; // No localStorage (server, tests) or unreadable
+  }
+}
+
+/**
+ * Remember that a run is ironman, so its saves are checked even if edited
+ * to drop the flag (SaveSystem calls this on every ironman save)
+ * @param {string} runId - gameConfig.runId
+ */
+export function registerIronmanRun(runId) {
+  if (!runId) return;
+  const runs = readIronmanRuns();
+  if (runs.includes(runId)) return;
+  try {
+    localStorage.setItem(IRONMAN_RUNS_KEY, JSON.stringify([...runs, runId]));
+  } catch (error) {
+    console.warn('[SaveFormat] Could not record ironman run:', error.message);
+  }
+}
+
+export function isIronmanRun(runId) {
+  return !!runId && readIronmanRuns().includes(runId);
+}
+
+/**
+ * Whether a save must carry a valid checksum: it says it's ironman or has a
+ * checksum, it sits in an ironman slot, or its run is a known ironman run
+ * @param {Object} data - Parsed save JSON
+ * @param {string} [slot] - Storage slot it was read from
+ */
+export function requiresChecksum(data, slot) {
+  const config = data.config || {};
+  return !!config.ironman ||
+    data.checksum !== undefined ||
+    (typeof slot === 'string' && slot.startsWith(IRONMAN_SLOT_PREFIX)) ||
+    isIronmanRun(config.runId);
+}
+
+/**
+ * Ordered migration steps. `migrate` receives a private copy of the save and
+ * returns the upgraded save (it may mutate its argument). Throwing marks the
+ * save as unmigratable and the message is shown to the player.
+ */
+export const MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    description: 'Convert launcher saves to the SaveSystem layout',
+    migrate: (data) => {
+      const player = data.player || {};
+      const statistics = data.statistics || {};
+      const seed = data.seed === null || data.seed === undefined ? DEFAULT_SEED : data.seed;
+
+      if (!Number.isFinite(seed)) {
+        throw new Error('Galaxy seed is not a number');
+      }
+
+      const x = player.x || 0;
+      const y = player.y || 0;
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error('Ship position is corrupted');
+      }
+
+      const credits = data.credits || 0;
+
+      return {
+        version: data.version || '0.2.0',
+        saveFormatVersion: 1,
+        saveName: data.name || 'Launcher Save',
+        timestamp: data.timestamp || 0,
+        playtime: data.playtime || 0,
+        saveType: 'manual',
+
+        player: {
+          callsign: player.callsign || data.callsign || 'PILOT',
+          shipName: player.shipName || data.shipName || 'WANDERER',
+          shipColor: player.color || data.shipColor || 'blue',
+          x,
+          y,
+          vx: player.vx || 0,
+          vy: player.vy || 0,
+          rotation: player.rotation || 0,
+          hull: player.hp !== undefined ? player.hp : 100,
+          maxHull: player.maxHp || 100,
+          shields: player.shield !== undefined ? player.shield : 100,
+          maxShields: player.maxShield || 100,
+          power: player.power !== undefined ? player.power : 100,
+          maxPower: player.maxPower || 100,
+          fuel: player.fuel !== undefined ? player.fuel : 100,
+          maxFuel: player.maxFuel || 100,
+          credits,
+          kills: statistics.enemiesDestroyed || 0,
+          score: 0,
+          level: 1,
+          experience: 0
+        },
+
+        galaxy: {
+          seed,
+          currentSystemIndex: data.currentSystemIndex || 0,
+          exploredSystems: [],
+          discoveredSystems: data.discoveredSystems || []
+        },
+
+        economy: {
+          cargo: data.cargo || [],
+          cargoCapacity: 50,
+          credits
+        },
+
+        artifacts: {
+          inventory: [],
+          assembled: []
+        },
+
+        stats: {
+          systemsVisited: data.systemsExplored || 0,
+          warpJumps: statistics.jumpsExecuted || 0,
+          totalDistance: 0,
+          enemiesDestroyed: statistics.enemiesDestroyed || 0,
+          creditsEarned: statistics.totalCreditsEarned || 0
+        },
+
+        flags: {
+          tutorialCompleted: false,
+          firstWarpGateUsed: false
+        },
+
+        // Launcher-only fields, picked up by the 1 -> 2 step
+        launcher: {
+          difficulty: data.difficulty,
+          galaxySize: data.galaxySize,
+          statistics: data.statistics,
+          gameOver: data.gameOver || false,
+          scene: data.scene,
+          camera: data.camera,
+          interstellarX: data.interstellarPlayerX,
+          interstellarY: data.interstellarPlayerY
+        }
+      };
+    }
+  },
+  {
+    from: 1,
+    to: 2,
+    description: 'Move economy/artifacts into subsystem sections, add config and view state',
+    migrate: (data) => {
+      const launcher = data.launcher || {};
+      const systems = data.systems || {};
+
+      // Version 1 kept cargo and artifacts in their own top-level blocks
+      if (!systems.economy && data.economy) {
+        systems.economy = {
+          credits: data.economy.credits,
+          cargoCapacity: data.economy.cargoCapacity,
+          cargo: (data.economy.cargo || []).map(({ commodity, ...item }) => item)
+        };
+      }
+      if (!systems.artifacts && data.artifacts) {
+        systems.artifacts = {
+          discovered: data.artifacts.inventory || [],
+          assembled: data.artifacts.assembled || []
+        };
+      }
+
+      const config = {
+        seed: data.galaxy.seed,
+        callsign: data.player.callsign,
+        shipName: data.player.shipName,
+        shipColor: data.player.shipColor
+      };
+      if (launcher.difficulty) config.difficulty = launcher.difficulty;
+      if (launcher.galaxySize) config.galaxySize = launcher.galaxySize;
+
+      const migrated = {
+        ...data,
+        saveFormatVersion: 2,
+        config,
+        statistics: launcher.statistics || null,
+        view: {
+          scene: launcher.scene || 'system',
+          camera: launcher.camera || null,
+          interstellarX: launcher.interstellarX || 0,
+          interstellarY: launcher.interstellarY || 0
+        },
+        gameOver: launcher.gameOver || false,
+        systems
+      };
+
+      delete migrated.economy;
+      delete migrated.artifacts;
+      delete migrated.launcher;
+
+      return migrated;
+    }
+  }
+];
+
+/**
+ * Upgrade a parsed save of any known version to SAVE_FORMAT_VERSION
+ * @param {Object} data - Parsed save JSON (left untouched; returned as-is if already current)
+ * @param {Object} [options]
+ * @param {string} [options.slot] - Storage slot the save was read from (ironman check)
+ * @returns {Object} { success, saveData, fromVersion, migrated } or { success: false, error, fromVersion }
+ */
+export function migrateSave(data, options = {}) {
+  const fromVersion = detectSaveVersion(data);
+
+  if (fromVersion === null) {
+    return { success: false, error: 'Not a Pixelversum save', fromVersion };
+  }
+
+  if (fromVersion > SAVE_FORMAT_VERSION) {
+    return {
+      success: false,
+      error: `Save is from a newer game version (format ${fromVersion})`,
+      fromVersion
+    };
+  }
+
+  if (requiresChecksum(data, options.slot) && data.checksum !== computeSaveChecksum(data)) {
+    return { success: false, error: 'Ironman save has been modified', fromVersion };
+  }
+
+  // Current saves need no work (and can be large) - hand them back as-is
+  if (fromVersion === SAVE_FORMAT_VERSION) {
+    return { success: true, saveData: data, fromVersion, migrated: false };
+  }
+
+  let saveData = JSON.parse(JSON.stringify(data));
+
+  for (const step of MIGRATIONS) {
+    if (step.from !== detectSaveVersion(saveData)) continue;
+
+    try {
+      saveData = step.migrate(saveData);
+      saveData.saveFormatVersion = step.to;
+    } catch (error) {
+      console.error(`[SaveFormat] Migration ${step.from} -> ${step.to} failed:`, error);
+      return {
+        success: false,
+        error: `Upgrade from format ${step.from} failed: ${error.message}`,
+        fromVersion
+      };
+    }
+  }
+
+  if (saveData.saveFormatVersion !== SAVE_FORMAT_VERSION) {
+    return {
+      success: false,
+      error: `No upgrade path from format ${saveData.saveFormatVersion}`,
+      fromVersion
+    };
+  }
+
+  console.log(`[SaveFormat] Migrated save from format ${fromVersion} to ${SAVE_FORMAT_VERSION}`);
+  return { success: true, saveData, fromVersion, migrated: true };
+}
+
+/**
+ * Summary fields for save lists, from a save of any version
+ * @param {Object} data - Parsed save JSON
+ * @param {string} [slot] - Storage slot it was read from
+ * @returns {Object} Display fields; `error` is set when the save can't be migrated
+ */
+export function summarizeSave(data, slot) {
+  const result = migrateSave(data, { slot });
+
+  if (!result.success) {
+    return {
+      saveName: (data && (data.saveName || data.name)) || 'UNKNOWN SAVE',
+      timestamp: (data && data.timestamp) || 0,
+      error: result.error
+    };
+  }
+
+  const save = result.saveData;
+  const config = save.config || {};
+
+  return {
+    saveName: save.saveName,
+    timestamp: save.timestamp,
+    playtime: save.playtime || 0,
+    callsign: save.player.callsign,
+    shipName: save.player.shipName,
+    level: save.player.level || 1,
+    credits: save.player.credits || 0,
+    currentSystem: save.galaxy.currentSystemIndex,
+    systemsVisited: save.stats ? save.stats.systemsVisited : 0,
+    difficulty: config.difficulty,
+    galaxySize: config.galaxySize,
+    runId: config.runId || null,
+    ironman: !!config.ironman,
+    permadeath: !!config.permadeath,
+    crewAlive: !(save.player.hull <= 0),
+    gameOver: save.gameOver || false,
+    saveType: save.saveType || 'manual',
+    autosaveTrigger: save.autosaveTrigger || null,
+    fromVersion: result.fromVersion
+  };
+}
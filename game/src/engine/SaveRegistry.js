@@ -0,0 +1,111 @@
+/**
+ * SaveRegistry - Subsystem save sections
+ *
+ * Each engine subsystem registers a named section with a save and a load
+ * callback. SaveSystem gathers every section into `saveData.systems` and
+ * hands each section back to its owner on load.
+ *
+ * Load phases:
+ * - 'world': restored before the current star system is (re)loaded
+ *            (markets, reputations, loadouts)
+ * - 'system': restored after the star system has been generated
+ *            (planet positions and other per-system state)
+ */
+
+export class SaveRegistry {
+  constructor() {
+    this.sections = new Map(); // id -> { save, load, phase, order }
+  }
+
+  /**
+   * Register a save section
+   * @param {string} id - Section key in saveData.systems
+   * @param {Object} handlers
+   * @param {Function} handlers.save - Returns JSON-safe data (undefined = skip)
+   * @param {Function} handlers.load - Receives the saved data
+   * @param {string} handlers.phase - 'world' (default) or 'system'
+   * @param {number} handlers.order - Lower loads first within a phase
+   */
+  register(id, { save, load, phase = 'world', order = 0 }) {
+    if (this.sections.has(id)) {
+      console.warn(`[SaveRegistry] Section "${id}" re-registered`);
+    }
+    this.sections.set(id, { save, load, phase, order });
+  }
+
+  /**
+   * Register a subsystem exposing serialize()/deserialize(data).
+   * The getter is resolved at save/load time so recreated instances
+   * (e.g. after respawn) are picked up.
+   * @param {string} id - Section key
+   * @param {Function} getSystem - Returns the current subsystem instance (or null)
+   * @param {Object} options - phase/order (see register)
+   */
+  registerSystem(id, getSystem, options = {}) {
+    this.register(id, {
+      ...options,
+      save: () => {
+        const system = getSystem();
+        return system ? system.serialize() : undefined;
+      },
+      load: (data) => {
+        const system = getSystem();
+        if (system) system.deserialize(data);
+      }
+    });
+  }
+
+  unregister(id) {
+    this.sections.delete(id);
+  }
+
+  /**
+   * Collect every section. A failing section is logged and skipped so one
+   * broken subsystem can't block saving the rest.
+   * @returns {Object} id -> section data
+   */
+  gather() {
+    const result = {};
+
+    for (const [id, section] of this.sections) {
+      try {
+        const data = section.save();
+        if (data !== undefined) {
+          result[id] = data;
+        }
+      } catch (error) {
+        console.error(`[SaveRegistry] Failed to save section "${id}":`, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Restore sections of one phase
+   * @param {Object} data - saveData.systems
+   * @param {string} phase - 'world' or 'system'
+   * @returns {Array<string>} Ids of sections that failed to load
+   */
+  restore(data, phase = 'world') {
+    const failed = [];
+    if (!data) return failed;
+
+    const ordered = [...this.sections.entries()]
+      .filter(([, section]) => section.phase === phase)
+      .sort((a, b) => a[1].order - b[1].order);
+
+    for (const [id, section] of ordered) {
+      if (data[id] === undefined) continue;
+
+      try {
+        section.load(data[id]);
+      } catch (error) {
+        console.error(`[SaveRegistry] Failed to load section "${id}":`, error);
+        failed.push(id);
+      }
+    }
+
+    return failed;
+  }
+}
@@ -0,0 +1,775 @@
+/**
+ * SaveStorage - Pluggable storage backends for SaveSystem
+ *
+ * Backends:
+ * - IndexedDBSaveBackend: gzip-compressed saves split into chunk records
+ *   (default wherever IndexedDB is available, no 4MB ceiling)
+ * - LocalSaveBackend: LocalStorage slots (fallback when IndexedDB is missing)
+ * - CloudSaveBackend: Express API slots (/api/savegame/:playerId/slots/:slot)
+ *
+ * Local backends share one async interface: read, write, remove, rename,
+ * list and estimate, plus a synchronous writeNow for page unload. Slots are
+ * plain names ('autosave', 'save_3', ...).
+ *
+ * The cloud backend keeps an offline queue of pending pushes/deletes that
+ * replays once the server is reachable again, and remembers the last synced
+ * revision per slot so the server can reject stale writes (HTTP 409).
+ *
+ * Wire format is the same JSON object SaveSystem.exportSave writes to disk.
+ */
+import { MAX_SAVE_SIZE, detectSaveVersion, summarizeSave } from './SaveFormat.js';
+
+const PLAYER_ID_KEY = 'pixelversum_player_id';
+const SYNC_QUEUE_KEY = 'pixelversum_sync_queue';
+const SYNC_STATE_KEY = 'pixelversum_sync_state';
+
+const DB_NAME = 'pixelversum_saves';
+const DB_VERSION = 1;
+const CHUNK_SIZE = 1024 * 1024; // 1MB of compressed bytes per record
+
+// Older autosave copies made by storeSave ('autosave_2', 'save_autosave_1', ...)
+const ROTATED_COPY_PATTERN = /autosave_\d+$/;
+
+/**
+ * Storage-full errors across browsers
+ */
+export function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Gzip a string with the built-in CompressionStream (stored as-is without it)
+ * @returns {Promise<{bytes: Uint8Array, encoding: string}>}
+ */
+async function compressText(text) {
+  if (typeof CompressionStream === 'undefined') {
+    return { bytes: new TextEncoder().encode(text), encoding: 'none' };
+  }
+
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const buffer = await new Response(stream).arrayBuffer();
+  return { bytes: new Uint8Array(buffer), encoding: 'gzip' };
+}
+
+/**
+ * Reassemble and inflate stored chunks
+ */
+async function decompressChunks(chunks, encoding) {
+  const blob = new Blob(chunks);
+
+  if (encoding !== 'gzip') {
+    return blob.text();
+  }
+
+  const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+/**
+ * Promise for a single IDBRequest
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run fn inside a transaction; resolves with fn's result once committed.
+ * Everything in one transaction lands together or not at all.
+ */
+function runTransaction(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['slots', 'chunks'], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    result = fn(tx.objectStore('slots'), tx.objectStore('chunks'));
+  });
+}
+
+/**
+ * Delete every chunk record of a slot manifest
+ */
+function deleteChunks(chunkStore, manifest) {
+  for (let i = 0; i < manifest.chunkCount; i++) {
+    chunkStore.delete(`${manifest.blobId}:${i}`);
+  }
+}
+
+/**
+ * LocalStorage slot backend
+ */
+export class LocalSaveBackend {
+  constructor(prefix = 'pixelversum_') {
+    this.prefix = prefix;
+    // LocalStorage holds 5-10MB per origin; stay well below it
+    this.maxSaveSize = 4 * 1024 * 1024;
+  }
+
+  /**
+   * LocalStorage key for a slot ('autosave' -> 'pixelversum_autosave')
+   */
+  keyFor(slot) {
+    return `${this.prefix}${slot}`;
+  }
+
+  read(slot) {
+    return localStorage.getItem(this.keyFor(slot));
+  }
+
+  write(slot, json) {
+    localStorage.setItem(this.keyFor(slot), json);
+    return { rawSize: json.length, storedSize: json.length * 2 };
+  }
+
+  /**
+   * Synchronous write, for when the page is closing and won't wait for promises
+   */
+  writeNow(slot, json) {
+    return this.write(slot, json);
+  }
+
+  remove(slot) {
+    localStorage.removeItem(this.keyFor(slot));
+  }
+
+  /**
+   * Move a slot (replacing the target). Returns false if the source is empty.
+   */
+  rename(from, to) {
+    const json = this.read(from);
+    if (json === null) return false;
+    localStorage.setItem(this.keyFor(to), json);
+    this.remove(from);
+    return true;
+  }
+
+  /**
+   * Every stored save with its size and list metadata
+   */
+  list() {
+    const slots = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith(this.prefix)) continue;
+
+      try {
+        const json = localStorage.getItem(key);
+        const data = JSON.parse(json);
+        if (detectSaveVersion(data) === null) continue; // settings, sync state, ...
+
+        slots.push({
+          slot: key.slice(this.prefix.length),
+          rawSize: json.length,
+          storedSize: json.length * 2, // UTF-16
+          encoding: 'none',
+          updatedAt: data.timestamp || 0,
+          meta: summarizeSave(data, key.slice(this.prefix.length))
+        });
+      } catch (error) {
+        // Not JSON - not a save
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Storage usage, or null if the browser doesn't report it
+   */
+  async estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    return navigator.storage.estimate();
+  }
+}
+
+/**
+ * IndexedDB slot backend with compression and chunking
+ *
+ * Store 'slots' holds one manifest per slot:
+ *   { slot, blobId, chunkCount, encoding, rawSize, storedSize, updatedAt, meta }
+ * Store 'chunks' holds the compressed bytes under '<blobId>:<index>'.
+ * A rewrite gets a fresh blobId, so renaming a slot only moves its manifest.
+ *
+ * Falls back to LocalSaveBackend if the database can't be opened
+ * (e.g. private browsing), and moves old LocalStorage saves into the
+ * database the first time it opens.
+ */
+export class IndexedDBSaveBackend {
+  constructor(prefix = 'pixelversum_') {
+    this.local = new LocalSaveBackend(prefix);
+    this.maxSaveSize = MAX_SAVE_SIZE; // Uncompressed JSON, same as the cloud server
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unusable
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('slots', { keyPath: 'slot' });
+          db.createObjectStore('chunks');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+        .then(async (db) => {
+          await this.importLocalSaves(db);
+          return db;
+        })
+        .catch((error) => {
+          console.warn('[SaveStorage] IndexedDB unavailable, using LocalStorage:', error);
+          this.maxSaveSize = this.local.maxSaveSize;
+          return null;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Move saves written by older versions from LocalStorage into the database
+   */
+  async importLocalSaves(db) {
+    for (const entry of this.local.list()) {
+      try {
+        const json = this.local.read(entry.slot);
+        await this.writeTo(db, entry.slot, json, entry.meta);
+        this.local.remove(entry.slot);
+        console.log(`[SaveStorage] Moved ${entry.slot} from LocalStorage to IndexedDB`);
+      } catch (error) {
+        console.error(`[SaveStorage] Failed to move ${entry.slot} to IndexedDB:`, error);
+      }
+    }
+  }
+
+  async read(slot) {
+    const db = await this.open();
+    if (!db) return this.local.read(slot);
+
+    const { manifest, chunks } = await runTransaction(db, 'readonly', (slots, chunkStore) => {
+      const found = { manifest: null, chunks: [] };
+      requestResult(slots.get(slot)).then((manifest) => {
+        if (!manifest) return;
+        found.manifest = manifest;
+        for (let i = 0; i < manifest.chunkCount; i++) {
+          requestResult(chunkStore.get(`${manifest.blobId}:${i}`)).then((chunk) => {
+            found.chunks[i] = chunk;
+          });
+        }
+      });
+      return found;
+    });
+
+    if (!manifest) return null;
+    return decompressChunks(chunks, manifest.encoding);
+  }
+
+  /**
+   * Compress and store a save
+   * @param {string} slot - Slot name
+   * @param {string} json - Save JSON
+   * @param {Object} meta - List metadata (summarizeSave)
+   * @returns {Promise<{rawSize: number, storedSize: number}>}
+   */
+  async write(slot, json, meta) {
+    const db = await this.open();
+    if (!db) return this.local.write(slot, json);
+
+    const sizes = await this.writeTo(db, slot, json, meta);
+    this.local.remove(slot); // Supersedes a writeNow() copy of the slot
+    return sizes;
+  }
+
+  /**
+   * Synchronous write, for when the page is closing and won't wait for
+   * promises. IndexedDB has no synchronous API, so the save goes to
+   * LocalStorage and is moved into the database the next time it opens.
+   */
+  writeNow(slot, json) {
+    return this.local.write(slot, json);
+  }
+
+  async writeTo(db, slot, json, meta) {
+    const { bytes, encoding } = await compressText(json);
+    const chunkCount = Math.max(1, Math.ceil(bytes.length / CHUNK_SIZE));
+    const manifest = {
+      slot,
+      blobId: `${slot}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      chunkCount,
+      encoding,
+      rawSize: json.length,
+      storedSize: bytes.length,
+      updatedAt: Date.now(),
+      meta: meta || null
+    };
+
+    await runTransaction(db, 'readwrite', (slots, chunkStore) => {
+      requestResult(slots.get(slot)).then((previous) => {
+        if (previous) deleteChunks(chunkStore, previous);
+      });
+      for (let i = 0; i < chunkCount; i++) {
+        chunkStore.put(bytes.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE), `${manifest.blobId}:${i}`);
+      }
+      slots.put(manifest);
+    });
+
+    return { rawSize: manifest.rawSize, storedSize: manifest.storedSize };
+  }
+
+  async remove(slot) {
+    const db = await this.open();
+    this.local.remove(slot);
+    if (!db) return;
+
+    await runTransaction(db, 'readwrite', (slots, chunkStore) => {
+      requestResult(slots.get(slot)).then((manifest) => {
+        if (!manifest) return;
+        deleteChunks(chunkStore, manifest);
+        slots.delete(slot);
+      });
+    });
+  }
+
+  /**
+   * Move a slot (replacing the target). Returns false if the source is empty.
+   */
+  async rename(from, to) {
+    const db = await this.open();
+    if (!db) return this.local.rename(from, to);
+
+    const state = await runTransaction(db, 'readwrite', (slots, chunkStore) => {
+      const result = { moved: false };
+      Promise.all([requestResult(slots.get(from)), requestResult(slots.get(to))])
+        .then(([source, target]) => {
+          if (!source) return;
+          if (target) deleteChunks(chunkStore, target);
+          slots.put({ ...source, slot: to });
+          slots.delete(from);
+          result.moved = true;
+        });
+      return result;
+    });
+
+    return state.moved;
+  }
+
+  /**
+   * Every stored save manifest (sizes + list metadata, no save data)
+   */
+  async list() {
+    const db = await this.open();
+    if (!db) return this.local.list();
+
+    return runTransaction(db, 'readonly', (slots) => {
+      const result = [];
+      requestResult(slots.getAll()).then((manifests) => result.push(...manifests));
+      return result;
+    });
+  }
+
+  estimate() {
+    return this.local.estimate();
+  }
+}
+
+/**
+ * Local save backend for this browser
+ */
+export function createSaveBackend() {
+  return IndexedDBSaveBackend.isSupported() ? new IndexedDBSaveBackend() : new LocalSaveBackend();
+}
+
+/**
+ * Numbered older copies of a slot ('autosave_1' is the most recent)
+ */
+function copySlot(slot, index) {
+  return `${slot}_${index}`;
+}
+
+/**
+ * Slot a rotating save is written to before the ring moves up
+ */
+function pendingSlot(slot) {
+  return `${slot}_pending`;
+}
+
+/**
+ * Write a save. With keepCopies > 0 the previous contents of the slot are
+ * rotated into '<slot>_1' .. '<slot>_<keepCopies>' (the oldest drops out) -
+ * only once the new save is written, so a failed write leaves the ring as it
+ * was. When storage is full, the oldest rotated copies anywhere are deleted
+ * until the write fits.
+ *
+ * @param {Object} storage - Local save backend
+ * @param {string} slot - Slot name
+ * @param {string} json - Save JSON
+ * @param {Object} meta - List metadata
+ * @param {Object} options
+ * @param {number} options.keepCopies - Older copies to keep (autosaves)
+ * @returns {Promise<{rawSize: number, storedSize: number}>}
+ */
+export async function storeSave(storage, slot, json, meta, { keepCopies = 0 } = {}) {
+  const target = keepCopies > 0 ? pendingSlot(slot) : slot;
+
+  let sizes;
+  for (;;) {
+    try {
+      sizes = await storage.write(target, json, meta);
+      break;
+    } catch (error) {
+      if (isQuotaError(error) && await dropOldestCopy(storage, slot)) {
+        continue;
+      }
+
+      if (target !== slot) {
+        try {
+          await storage.remove(target);
+        } catch (cleanupError) {
+          // Report the write failure, not the cleanup
+        }
+      }
+      throw error;
+    }
+  }
+
+  if (keepCopies > 0) {
+    for (let i = keepCopies - 1; i >= 1; i--) {
+      await storage.rename(copySlot(slot, i), copySlot(slot, i + 1));
+    }
+    await storage.rename(slot, copySlot(slot, 1));
+    await storage.rename(target, slot);
+  }
+
+  return sizes;
+}
+
+/**
+ * Delete the oldest rotated autosave copy ('..autosave_<n>') to free space.
+ * Manual saves are never touched. The copy just rotated out of `keepSlot`
+ * is kept as long as anything else can go.
+ * @returns {Promise<boolean>} false if there was nothing left to delete
+ */
+async function dropOldestCopy(storage, keepSlot) {
+  const copies = (await storage.list())
+    .filter(entry => ROTATED_COPY_PATTERN.test(entry.slot) && entry.slot !== copySlot(keepSlot, 1))
+    .sort((a, b) => a.updatedAt - b.updatedAt);
+
+  if (copies.length === 0) return false;
+
+  console.warn(`[SaveStorage] Storage full, removing old copy ${copies[0].slot}`);
+  await storage.remove(copies[0].slot);
+  return true;
+}
+
+/**
+ * Decide which copy of a save wins.
+ * A save that is newer AND has at least as much playtime is a straight
+ * continuation of the other. If newer-by-timestamp and more-playtime point
+ * at different copies the histories have diverged (played on two devices).
+ *
+ * @param {Object|null} local - Local save metadata ({ timestamp, playtime })
+ * @param {Object|null} remote - Remote save metadata
+ * @returns {string} 'local' | 'remote' | 'same' | 'conflict'
+ */
+export function compareSaves(local, remote) {
+  if (!local && !remote) return 'same';
+  if (!remote) return 'local';
+  if (!local) return 'remote';
+
+  const localTime = local.timestamp || 0;
+  const remoteTime = remote.timestamp || 0;
+  const localPlaytime = local.playtime || 0;
+  const remotePlaytime = remote.playtime || 0;
+
+  if (localTime === remoteTime && localPlaytime === remotePlaytime) return 'same';
+  if (remoteTime >= localTime && remotePlaytime >= localPlaytime) return 'remote';
+  if (localTime >= remoteTime && localPlaytime >= remotePlaytime) return 'local';
+  return 'conflict';
+}
+
+/**
+ * Express API slot backend with offline queue
+ */
+export class CloudSaveBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API origin ('' uses the Vite /api proxy)
+   * @param {number} options.retryInterval - Offline queue retry interval in ms
+   */
+  constructor(options = {}) {
+    const envUrl = (import.meta.env && import.meta.env.VITE_API_URL) || '';
+    this.baseUrl = options.baseUrl !== undefined ? options.baseUrl : envUrl;
+    this.retryInterval = options.retryInterval || 30 * 1000;
+    this.playerId = this.getOrCreatePlayerId();
+
+    this.online = true;
+    this.replaying = false;
+    this.retryTimer = null;
+
+    // Pending operations: [{ op: 'push' | 'delete', slot }]
+    this.queue = this.readJSON(SYNC_QUEUE_KEY, []);
+    // Last synced state per slot: { [slot]: { revision, timestamp, playtime } }
+    this.syncState = this.readJSON(SYNC_STATE_KEY, {});
+
+    // Callback used to read the latest local copy when replaying the queue
+    this.readLocal = null;
+    // Optional hooks set by SaveSystem
+    this.onConflict = null;
+    this.onStatusChange = null;
+
+    this.handleOnline = () => this.replayQueue();
+    window.addEventListener('online', this.handleOnline);
+
+    if (this.queue.length > 0) {
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Stable anonymous player id for this browser
+   */
+  getOrCreatePlayerId() {
+    let id = localStorage.getItem(PLAYER_ID_KEY);
+    if (!id) {
+      const random = Math.random().toString(36).slice(2, 10);
+      id = `player_${Date.now().toString(36)}_${random}`;
+      localStorage.setItem(PLAYER_ID_KEY, id);
+    }
+    return id;
+  }
+
+  readJSON(key, fallback) {
+    try {
+      const json = localStorage.getItem(key);
+      return json ? JSON.parse(json) : fallback;
+    } catch (error) {
+      console.warn(`[CloudSave] Ignoring corrupt ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  persist() {
+    localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(this.queue));
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(this.syncState));
+  }
+
+  slotUrl(slot) {
+    return `${this.baseUrl}/api/savegame/${encodeURIComponent(this.playerId)}/slots/${encodeURIComponent(slot)}`;
+  }
+
+  setOnline(online) {
+    if (this.online !== online) {
+      this.online = online;
+      console.log(`[CloudSave] Server ${online ? 'reachable' : 'unreachable'}`);
+      if (this.onStatusChange) this.onStatusChange(online);
+    }
+  }
+
+  /**
+   * fetch wrapper: network failures and 5xx mark the backend offline
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async request(url, options = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+      });
+    } catch (error) {
+      this.setOnline(false);
+      throw error;
+    }
+
+    if (response.status >= 500) {
+      this.setOnline(false);
+      throw new Error(`Server error ${response.status}`);
+    }
+
+    this.setOnline(true);
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, body };
+  }
+
+  /**
+   * Remember what the server holds for a slot after a successful sync
+   */
+  recordSync(slot, slotInfo) {
+    this.syncState[slot] = {
+      revision: slotInfo.revision,
+      timestamp: slotInfo.timestamp,
+      playtime: slotInfo.playtime
+    };
+    this.persist();
+  }
+
+  enqueue(op, slot) {
+    // Only the latest operation per slot matters
+    this.queue = this.queue.filter(item => item.slot !== slot);
+    this.queue.push({ op, slot });
+    this.persist();
+    this.scheduleRetry();
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replayQueue();
+    }, this.retryInterval);
+  }
+
+  /**
+   * Push a save to the server.
+   * Queues the push when the server is unreachable or failing; 'conflict'
+   * only comes from a 409 (slot updated elsewhere), 'rejected' from a save
+   * the server refuses outright (too large, invalid).
+   * @returns {Promise<string>} 'synced' | 'queued' | 'conflict' | 'rejected'
+   */
+  async push(slot, saveData) {
+    const known = this.syncState[slot];
+
+    try {
+      const { status, body } = await this.request(this.slotUrl(slot), {
+        method: 'PUT',
+        body: JSON.stringify({ saveData, baseRevision: known ? known.revision : null })
+      });
+
+      if (status === 409) {
+        return this.resolvePushConflict(slot, saveData, body.current);
+      }
+      if (status === 408 || status === 429) {
+        // Timed out or rate limited: worth another try later
+        this.enqueue('push', slot);
+        return 'queued';
+      }
+      if (status !== 200) {
+        console.error(`[CloudSave] Push rejected for ${slot} (${status}):`, body.error);
+        return 'rejected';
+      }
+
+      this.recordSync(slot, body.slot);
+      return 'synced';
+
+    } catch (error) {
+      console.warn(`[CloudSave] Push failed for ${slot}, queued for retry`);
+      this.enqueue('push', slot);
+      return 'queued';
+    }
+  }
+
+  /**
+   * Slot changed on the server since our last sync (another device).
+   * Overwrite only when our copy is a continuation of the server copy.
+   */
+  async resolvePushConflict(slot, saveData, current) {
+    const winner = compareSaves(
+      { timestamp: saveData.timestamp, playtime: saveData.playtime },
+      current
+    );
+
+    if (winner === 'local' || winner === 'same') {
+      this.syncState[slot] = { revision: current.revision };
+      return this.push(slot, saveData);
+    }
+
+    console.warn(`[CloudSave] Conflict on ${slot}: server copy kept`);
+    if (this.onConflict) this.onConflict(slot, winner, current);
+    return 'conflict';
+  }
+
+  /**
+   * Fetch the server copy of a slot
+   * @returns {Promise<{saveData: Object, slot: Object}|null>} null if absent or offline
+   */
+  async pull(slot) {
+    try {
+      const { status, body } = await this.request(this.slotUrl(slot));
+      if (status !== 200) return null;
+      return { saveData: body.saveData, slot: body.slot };
+    } catch (error) {
+      console.warn(`[CloudSave] Pull failed for ${slot}, using local copy`);
+      return null;
+    }
+  }
+
+  /**
+   * Delete the server copy of a slot (queued when offline)
+   */
+  async remove(slot) {
+    try {
+      await this.request(this.slotUrl(slot), { method: 'DELETE' });
+      delete this.syncState[slot];
+      this.persist();
+      return true;
+    } catch (error) {
+      this.enqueue('delete', slot);
+      return false;
+    }
+  }
+
+  /**
+   * Mark that a pulled server copy has been adopted locally
+   */
+  acceptRemote(slot, slotInfo) {
+    this.recordSync(slot, slotInfo);
+  }
+
+  /**
+   * Replay queued operations in order. Stops at the first network failure
+   * (remaining items stay queued and a retry is scheduled).
+   */
+  async replayQueue() {
+    if (this.replaying || this.queue.length === 0) return;
+    this.replaying = true;
+
+    try {
+      console.log(`[CloudSave] Replaying ${this.queue.length} queued operation(s)`);
+
+      while (this.queue.length > 0) {
+        const item = this.queue.shift();
+        this.persist();
+
+        if (item.op === 'delete') {
+          if (!(await this.remove(item.slot))) break;
+          continue;
+        }
+
+        const json = this.readLocal ? await this.readLocal(item.slot) : null;
+        if (!json) continue; // Deleted locally since it was queued
+
+        const result = await this.push(item.slot, JSON.parse(json));
+        if (result === 'queued') break;
+      }
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  get pendingCount() {
+    return this.queue.length;
+  }
+
+  destroy() {
+    window.removeEventListener('online', this.handleOnline);
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
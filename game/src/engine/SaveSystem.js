@@ -1,28 +1,286 @@
 /**
- * SaveSystem - Handles game save/load functionality with LocalStorage
+ * SaveSystem - Handles game save/load functionality
  *
  * Features:
  * - Manual save to multiple slots (1-10)
- * - Autosave system with configurable interval
+ * - Autosave ring (timer, warp jumps, docking, boss encounters) with
+ *   configurable interval and history length
  * - Save data validation and error recovery
  * - Export/import save files
- * - Version compatibility checking
+ * - Ironman runs: a single checksummed save written at autosave points and
+ *   on exit; permadeath deletes the run's saves and records an obituary
+ * - Compressed, chunked IndexedDB storage (LocalStorage fallback)
+ * - Versioned save format, older saves migrated step by step (SaveFormat.js)
+ * - Optional cloud sync through the Express API (see SaveStorage.js)
  */
+import { createSaveBackend, storeSave, isQuotaError, CloudSaveBackend, compareSaves } from './SaveStorage.js';
+import { SaveRegistry } from './SaveRegistry.js';
+import {
+  SAVE_FORMAT_VERSION,
+  AUTOSAVE_TRIGGERS,
+  IRONMAN_SLOT_PREFIX,
+  computeSaveChecksum,
+  registerIronmanRun,
+  migrateSave,
+  summarizeSave
+} from './SaveFormat.js';
+import { recordObituary } from '../utils/GameStateManager.js';
 
 export class SaveSystem {
   constructor(game) {
     this.game = game;
 
     // Autosave configuration
+    this.autosaveEnabled = true;
     this.autosaveInterval = 5 * 60 * 1000; // 5 minutes in ms
     this.autosaveTimer = null;
     this.lastAutosaveTime = 0;
+    this.AUTOSAVE_MIN_GAP = 60 * 1000; // Event autosaves closer together than this are skipped
+    this.AUTOSAVE_MILESTONES = ['boss', 'dock']; // Checkpoints that are always written
+    this.applyingSave = false; // No autosaves while a save is being loaded
 
     // Save format version for compatibility
-    this.SAVE_FORMAT_VERSION = 1;
+    this.SAVE_FORMAT_VERSION = SAVE_FORMAT_VERSION;
 
     // Maximum number of save slots
     this.MAX_SAVE_SLOTS = 10;
+
+    // Older autosaves kept next to the latest one (autosave_1..autosave_N)
+    this.AUTOSAVE_COPIES = 4;
+
+    // Storage backends: local is always used, cloud is optional
+    this.storage = createSaveBackend();
+    this.cloud = null;
+
+    // Slot -> list metadata and sizes, so menus can list saves synchronously
+    this.saveIndex = new Map();
+    this.ready = this.refreshSaveIndex();
+
+    // Per-subsystem save sections (saveData.systems)
+    this.registry = new SaveRegistry();
+    this.registerCoreSections();
+  }
+
+  /**
+   * Register the save sections of the built-in engine subsystems.
+   * Other systems can add their own through this.registry.register().
+   */
+  registerCoreSections() {
+    const game = this.game;
+    const registry = this.registry;
+
+    // Ship loadout
+    registry.registerSystem('weapons', () => game.weaponSystem);
+    registry.registerSystem('shields', () => game.shieldSystem);
+    registry.registerSystem('armor', () => game.armorSystem);
+    registry.register('shipDamage', {
+      save: () => game.shipDamageSystem ? game.shipDamageSystem.getSaveData() : undefined,
+      load: (data) => game.shipDamageSystem && game.shipDamageSystem.loadSaveData(data)
+    });
+
+    // Holds
+    registry.registerSystem('resources', () => game.resourceSystem);
+    registry.registerSystem('cargoHold', () => game.cargoSystem);
+
+    // Universe
+    registry.registerSystem('artifacts', () => game.artifactSystem);
+    registry.registerSystem('alienRaces', () => game.alienRaceSystem);
+    registry.registerSystem('economy', () => game.economySystem);
+    registry.registerSystem('galacticEconomy', () => game.galacticEconomy);
+    registry.registerSystem('customs', () => game.customsSystem);
+    registry.registerSystem('missions', () => game.missionSystem);
+    registry.registerSystem('quests', () => game.questSystem);
+    registry.registerSystem('diplomacy', () => game.diplomacySystem);
+    registry.registerSystem('war', () => game.warSystem);
+    registry.registerSystem('route', () => game.routePlanner);
+    registry.registerSystem('crew', () => game.crewSystem);
+    registry.registerSystem('itemEffects', () => game.itemEffects);
+    registry.registerSystem('shipStats', () => game.shipStats);
+    registry.registerSystem('crafting', () => game.craftingSystem);
+    registry.registerSystem('mining', () => game.miningSystem);
+    registry.registerSystem('surface', () => game.surfaceSystem);
+
+    // Orbits of the current system - restored after the system is regenerated
+    registry.register('orbits', {
+      phase: 'system',
+      save: () => ({
+        time: game.time || 0,
+        orbital: game.orbitalMechanics ? game.orbitalMechanics.serialize() : null,
+        planets: (game.planets || []).map(planet => ({
+          x: planet.x,
+          y: planet.y,
+          angle: planet.angle,
+          rotation: planet.rotation
+        }))
+      }),
+      load: (data) => {
+        game.time = data.time || game.time;
+        (data.planets || []).forEach((saved, i) => {
+          const planet = game.planets && game.planets[i];
+          if (planet) Object.assign(planet, saved);
+        });
+        if (game.orbitalMechanics && data.orbital) {
+          game.orbitalMechanics.deserialize(data.orbital, [game.star, ...(game.planets || [])]);
+        }
+      }
+    });
+  }
+
+  /**
+   * Show a notification through whichever notification path the game has
+   */
+  notify(message, type) {
+    if (this.game.notificationSystem) {
+      this.game.notificationSystem.show(message, type);
+    } else if (typeof this.game.showNotification === 'function') {
+      this.game.showNotification(message, type);
+    }
+  }
+
+  /**
+   * Whether the current run is an ironman run (one save slot, written at
+   * autosave checkpoints and on exit)
+   */
+  isIronman() {
+    return !!(this.game.gameConfig && this.game.gameConfig.ironman);
+  }
+
+  /**
+   * The ironman run's only save slot
+   */
+  get ironmanSlot() {
+    return `${IRONMAN_SLOT_PREFIX}${this.game.gameConfig.runId}`;
+  }
+
+  /**
+   * Ironman runs save when the player leaves the game. A closing page
+   * doesn't wait for the async save, so the run is first written
+   * synchronously (storage.writeNow), then stored the normal way in case
+   * the page stays open.
+   * @returns {Promise<boolean>|boolean} Success status (false outside ironman runs)
+   */
+  saveOnExit() {
+    if (!this.isIronman() || this.game.gameOver) {
+      return false;
+    }
+
+    try {
+      this.storage.writeNow(this.ironmanSlot, JSON.stringify(this.buildSaveData('Ironman')));
+    } catch (error) {
+      console.error('[SaveSystem] Exit save failed:', error);
+    }
+    return this.saveGame(this.ironmanSlot, 'Ironman');
+  }
+
+  /**
+   * Permadeath: record an obituary and delete every save of the run
+   * @param {string} cause - How the run ended
+   * @returns {Promise<Object>} The obituary
+   */
+  async endRun(cause) {
+    const game = this.game;
+    const runId = game.gameConfig.runId;
+
+    this.stopAutosave();
+    game.gameOver = true;
+
+    const obituary = {
+      runId,
+      callsign: game.player.callsign || game.gameConfig.callsign || 'PILOT',
+      shipName: game.player.shipName || game.gameConfig.shipName || 'WANDERER',
+      cause,
+      difficulty: game.gameConfig.difficulty,
+      seed: game.seed,
+      ironman: this.isIronman(),
+      playtime: game.playtime || 0,
+      systemsVisited: game.exploredSystems ? game.exploredSystems.length : 0,
+      kills: game.player.kills || 0,
+      credits: game.economySystem ? game.economySystem.credits : (game.player.credits || 0),
+      crewLost: game.crewSystem ? game.crewSystem.casualties.length : 0,
+      timestamp: Date.now()
+    };
+
+    if (game.statistics) {
+      game.statistics.obituary = obituary;
+    }
+    recordObituary(obituary);
+
+    // Every slot written by this run (manual, autosaves, ironman)
+    await this.ready;
+    const runSlots = [...this.saveIndex.entries()]
+      .filter(([, meta]) => runId && meta.runId === runId)
+      .map(([slot]) => slot);
+
+    for (const slot of runSlots) {
+      await this.storage.remove(slot);
+      if (this.cloud) {
+        this.cloud.remove(slot);
+      }
+    }
+    await this.refreshSaveIndex();
+
+    console.log(`[SaveSystem] Permadeath: run ${runId} ended (${cause}), ${runSlots.length} saves deleted`);
+    return obituary;
+  }
+
+  /**
+   * Enable syncing save slots to the API server
+   * @param {Object} options - CloudSaveBackend options
+   */
+  enableCloudSync(options = {}) {
+    if (this.cloud) return;
+
+    this.cloud = new CloudSaveBackend(options);
+    this.cloud.readLocal = (slot) => this.storage.read(slot);
+    this.cloud.onConflict = (slot) => {
+      this.notify(`Cloud save conflict in ${slot}: newer cloud copy kept`, 'warning');
+    };
+    this.cloud.onStatusChange = (online) => {
+      if (online && this.cloud.pendingCount > 0) {
+        this.cloud.replayQueue();
+      }
+    };
+
+    console.log(`[SaveSystem] Cloud sync enabled (player: ${this.cloud.playerId})`);
+    this.cloud.replayQueue();
+  }
+
+  /**
+   * Disable cloud sync (queued operations are kept for next time)
+   */
+  disableCloudSync() {
+    if (!this.cloud) return;
+    this.cloud.destroy();
+    this.cloud = null;
+    console.log('[SaveSystem] Cloud sync disabled');
+  }
+
+  /**
+   * Apply autosave settings (restarts the timer if it's running)
+   * @param {Object} options - { enabled, intervalMinutes, slots }
+   */
+  configureAutosave({ enabled, intervalMinutes, slots } = {}) {
+    if (enabled !== undefined) {
+      this.autosaveEnabled = enabled;
+    }
+
+    if (intervalMinutes > 0) {
+      this.autosaveInterval = intervalMinutes * 60 * 1000;
+    }
+
+    if (slots >= 1) {
+      const copies = Math.round(slots) - 1;
+      if (copies < this.AUTOSAVE_COPIES) {
+        this.pruneAutosaves(copies);
+      }
+      this.AUTOSAVE_COPIES = copies;
+    }
+
+    if (!this.autosaveEnabled) {
+      this.stopAutosave();
+    } else if (this.autosaveTimer) {
+      this.startAutosave();
+    }
   }
 
   /**
@@ -33,12 +291,20 @@ export class SaveSystem {
       this.stopAutosave();
     }
 
+    if (!this.autosaveEnabled) {
+      console.log('[SaveSystem] Autosave disabled');
+      return;
+    }
+
     this.lastAutosaveTime = Date.now();
     this.autosaveTimer = setInterval(() => {
-      this.saveGame('autosave', 'Autosave');
+      if (!this.game.paused) {
+        this.autosave('timer');
+      }
     }, this.autosaveInterval);
 
-    console.log('[SaveSystem] Autosave started (interval: 5 minutes)');
+    const minutes = this.autosaveInterval / 60000;
+    console.log(`[SaveSystem] Autosave started (interval: ${minutes} minutes, keeping ${this.AUTOSAVE_COPIES + 1})`);
   }
 
   /**
@@ -52,18 +318,91 @@ export class SaveSystem {
     }
   }
 
+  /**
+   * Write an autosave into the ring ('autosave', older ones in autosave_1..N),
+   * or into the run's save slot in ironman
+   * Event triggers right after another autosave are skipped, except for
+   * milestone checkpoints (AUTOSAVE_MILESTONES).
+   * @param {string} trigger - Key of AUTOSAVE_TRIGGERS ('timer', 'warp', 'dock', 'boss')
+   * @returns {Promise<boolean>} Whether a save was written
+   */
+  async autosave(trigger) {
+    if (!this.autosaveEnabled || this.applyingSave || this.game.gameOver) {
+      return false;
+    }
+
+    const now = Date.now();
+    const exempt = trigger === 'timer' || this.AUTOSAVE_MILESTONES.includes(trigger);
+    if (!exempt && now - this.lastAutosaveTime < this.AUTOSAVE_MIN_GAP) {
+      return false;
+    }
+    this.lastAutosaveTime = now;
+
+    this.game.autosaving = true;
+    try {
+      // Ironman checkpoints overwrite the run's only save - there's no ring to roll back to
+      if (this.isIronman()) {
+        return await this.saveGame(this.ironmanSlot, 'Ironman', { trigger });
+      }
+      return await this.saveGame('autosave', `Autosave - ${AUTOSAVE_TRIGGERS[trigger] || trigger}`, { trigger });
+    } finally {
+      this.game.autosaving = false;
+    }
+  }
+
+  /**
+   * Remove autosave copies beyond the ring size
+   * @param {number} copies - Number of older autosaves to keep
+   */
+  async pruneAutosaves(copies) {
+    try {
+      await this.ready;
+      for (const slot of this.saveIndex.keys()) {
+        const match = /^autosave_(\d+)$/.exec(slot);
+        if (match && Number(match[1]) > copies) {
+          await this.storage.remove(slot);
+        }
+      }
+      await this.refreshSaveIndex();
+    } catch (error) {
+      console.warn('[SaveSystem] Failed to prune autosaves:', error);
+    }
+  }
+
+  /**
+   * Reload the slot index from storage
+   */
+  async refreshSaveIndex() {
+    try {
+      const entries = await this.storage.list();
+      this.saveIndex = new Map(entries.map(entry => [entry.slot, {
+        ...(entry.meta || {}),
+        rawSize: entry.rawSize,
+        storedSize: entry.storedSize
+      }]));
+    } catch (error) {
+      console.error('[SaveSystem] Failed to read save index:', error);
+    }
+  }
+
   /**
    * Save game to specified slot
    * @param {string} slot - 'autosave', 'save_1', 'save_2', etc.
    * @param {string} saveName - User-friendly name for save
-   * @returns {boolean} Success status
+   * @param {Object} options - { trigger } for autosaves
+   * @returns {Promise<boolean>} Success status
    */
-  saveGame(slot, saveName) {
+  async saveGame(slot, saveName, options = {}) {
+    if (this.isIronman() && slot !== this.ironmanSlot) {
+      this.notify('Ironman: the game saves at checkpoints and when you quit', 'warning');
+      return false;
+    }
+
     try {
       console.log(`[SaveSystem] Saving to ${slot}: ${saveName}`);
 
       // Gather all game state
-      const saveData = this.gatherSaveData(saveName);
+      const saveData = this.buildSaveData(saveName, options.trigger);
 
       // Serialize to JSON
       const json = JSON.stringify(saveData);
@@ -72,20 +411,27 @@ export class SaveSystem {
       const sizeKB = (json.length / 1024).toFixed(2);
       console.log(`[SaveSystem] Save size: ${sizeKB} KB`);
 
-      // PERFORMANCE FIX: Check localStorage size before saving to prevent quota exceeded crash
-      // Most browsers have 5-10MB limit, we'll enforce 4MB to be safe
-      const MAX_SAVE_SIZE = 4 * 1024 * 1024; // 4MB in bytes
-      if (json.length > MAX_SAVE_SIZE) {
-        console.error(`[SaveSystem] Save too large: ${sizeKB} KB exceeds 4MB limit`);
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Save too large! Game state exceeds storage limit.', 'error');
-        }
+      // Backend limit: 4MB for the LocalStorage fallback, MAX_SAVE_SIZE otherwise
+      if (this.storage.open) await this.storage.open(); // Settles the IndexedDB/LocalStorage choice
+      const maxSize = this.storage.maxSaveSize;
+      if (json.length > maxSize) {
+        const maxMB = Math.round(maxSize / (1024 * 1024));
+        console.error(`[SaveSystem] Save too large: ${sizeKB} KB exceeds ${maxMB}MB limit`);
+        this.notify('Save too large! Game state exceeds storage limit.', 'error');
         return false;
       }
 
-      // Save to localStorage
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      localStorage.setItem(key, json);
+      // Compress and store (autosaves rotate the previous one into autosave_1)
+      const { storedSize } = await storeSave(this.storage, slot, json, summarizeSave(saveData, slot), {
+        keepCopies: slot === 'autosave' ? this.AUTOSAVE_COPIES : 0
+      });
+      console.log(`[SaveSystem] Stored ${(storedSize / 1024).toFixed(2)} KB`);
+      await this.refreshSaveIndex();
+
+      // Push to the server in the background (queued if offline)
+      if (this.cloud) {
+        this.cloud.push(slot, saveData);
+      }
 
       // Update last save timestamp
       if (this.game.lastSaveTime !== undefined) {
@@ -93,9 +439,7 @@ export class SaveSystem {
       }
 
       // Show notification
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show(`Game saved: ${saveName}`, 'success');
-      }
+      this.notify(`Game saved: ${saveName}`, 'success');
 
       console.log(`[SaveSystem] Save successful: ${slot}`);
       return true;
@@ -104,59 +448,76 @@ export class SaveSystem {
       console.error('[SaveSystem] Save failed:', error);
 
       // Handle quota exceeded error
-      if (error.name === 'QuotaExceededError') {
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Save failed! Storage full.', 'error');
-        }
+      if (isQuotaError(error)) {
+        this.notify('Save failed! Storage full.', 'error');
       } else {
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Save failed! Unknown error.', 'error');
-        }
+        this.notify('Save failed! Unknown error.', 'error');
       }
 
       return false;
     }
   }
 
+  /**
+   * Gather the game state for a save; ironman saves are checksummed so
+   * edits are detected on load
+   */
+  buildSaveData(saveName, trigger = null) {
+    const saveData = this.gatherSaveData(saveName, trigger);
+    if (this.isIronman()) {
+      registerIronmanRun(this.game.gameConfig.runId);
+      saveData.checksum = computeSaveChecksum(saveData);
+    }
+    return saveData;
+  }
+
   /**
    * Load game from specified slot
+   * Pulls the cloud copy first when cloud sync is enabled.
    * @param {string} slot - 'autosave', 'save_1', 'save_2', etc.
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  loadGame(slot) {
+  async loadGame(slot) {
+    if (this.isIronman()) {
+      this.notify('Ironman: loading is disabled during the run', 'warning');
+      return false;
+    }
+
     try {
       console.log(`[SaveSystem] Loading from ${slot}`);
 
-      // Get save data from localStorage
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      const json = localStorage.getItem(key);
+      // Get save data from local storage (or a newer cloud copy)
+      let json = await this.storage.read(slot);
+      if (this.cloud) {
+        json = await this.pullNewerSave(slot, json);
+      }
 
       if (!json) {
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('No save found in this slot', 'warning');
-        }
+        this.notify('No save found in this slot', 'warning');
         return false;
       }
 
-      // Parse JSON
-      const saveData = JSON.parse(json);
+      // Parse JSON and bring it up to the current format
+      const migration = migrateSave(JSON.parse(json), { slot });
+      if (!migration.success) {
+        console.error(`[SaveSystem] Cannot migrate ${slot}: ${migration.error}`);
+        this.notify(`Save can't be loaded: ${migration.error}`, 'error');
+        return false;
+      }
+      const saveData = migration.saveData;
 
       // Validate save data
       if (!this.validateSaveData(saveData)) {
         console.error('[SaveSystem] Save data validation failed');
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Save data corrupted!', 'error');
-        }
+        this.notify('Save data corrupted!', 'error');
         return false;
       }
 
       // Apply save data to game
-      this.applySaveData(saveData);
+      await this.applySaveData(saveData);
 
       // Show notification
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show(`Game loaded: ${saveData.saveName}`, 'success');
-      }
+      this.notify(`Game loaded: ${saveData.saveName}`, 'success');
 
       console.log(`[SaveSystem] Load successful: ${slot}`);
       return true;
@@ -170,18 +531,60 @@ export class SaveSystem {
         return this.loadGame('autosave');
       }
 
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show('Load failed! Save corrupted.', 'error');
-      }
+      this.notify('Load failed! Save corrupted.', 'error');
 
       return false;
     }
   }
 
+  /**
+   * Compare the local copy of a slot with the server copy and keep the newer.
+   * On diverged histories the copy with more playtime wins and the other is
+   * kept locally under '<slot>_conflict' so nothing is lost.
+   * @param {string} slot - Save slot name
+   * @param {string|null} localJson - Local save JSON
+   * @returns {Promise<string|null>} JSON to load
+   */
+  async pullNewerSave(slot, localJson) {
+    const remote = await this.cloud.pull(slot);
+    if (!remote) {
+      return localJson;
+    }
+
+    const local = localJson ? JSON.parse(localJson) : null;
+    const remoteJson = JSON.stringify(remote.saveData);
+    let winner = compareSaves(local, remote.saveData);
+
+    if (winner === 'conflict') {
+      const remoteWins = (remote.saveData.playtime || 0) > (local.playtime || 0);
+      const loser = remoteWins ? local : remote.saveData;
+      await this.storage.write(`${slot}_conflict`, remoteWins ? localJson : remoteJson, summarizeSave(loser, slot));
+      this.notify('Save conflict: kept the copy with more playtime', 'warning');
+      winner = remoteWins ? 'remote' : 'local';
+    }
+
+    if (winner === 'remote') {
+      console.log(`[SaveSystem] Cloud copy of ${slot} is newer, using it`);
+      await this.storage.write(slot, remoteJson, summarizeSave(remote.saveData, slot));
+      await this.refreshSaveIndex();
+      this.cloud.acceptRemote(slot, remote.slot);
+      return remoteJson;
+    }
+
+    if (winner === 'local') {
+      // Server is behind (e.g. saved while offline) - bring it up to date
+      this.cloud.push(slot, local);
+    }
+
+    return localJson;
+  }
+
   /**
    * Gather all game state into save data object
+   * @param {string} saveName - User-friendly name for save
+   * @param {string|null} trigger - Autosave trigger, null for manual saves
    */
-  gatherSaveData(saveName) {
+  gatherSaveData(saveName, trigger = null) {
     const game = this.game;
     const player = game.player;
 
@@ -192,7 +595,8 @@ export class SaveSystem {
       saveName: saveName,
       timestamp: Date.now(),
       playtime: game.playtime || 0,
-      saveType: 'manual',
+      saveType: trigger ? 'autosave' : 'manual',
+      autosaveTrigger: trigger,
 
       // === PLAYER DATA ===
       player: {
@@ -216,7 +620,7 @@ export class SaveSystem {
         maxPower: player.maxPower,
         fuel: player.fuel || 100,
         maxFuel: player.maxFuel || 100,
-        credits: player.credits || 0,
+        credits: game.economySystem ? game.economySystem.credits : (player.credits || 0),
 
         // Stats
         kills: player.kills || 0,
@@ -229,26 +633,13 @@ export class SaveSystem {
       galaxy: {
         seed: game.seed,
         currentSystemIndex: game.currentSystemIndex,
-        exploredSystems: game.exploredSystems || [],
-        discoveredSystems: game.discoveredSystems || []
-      },
-
-      // === ECONOMY & CARGO ===
-      economy: {
-        cargo: game.economySystem ? game.economySystem.cargo : [],
-        cargoCapacity: game.economySystem ? game.economySystem.cargoCapacity : 50,
-        credits: player.credits || 0
+        exploredSystems: Array.from(game.exploredSystems || []),
+        discoveredSystems: Array.from(game.discoveredSystems || [])
       },
 
       // === FACTION RELATIONSHIPS ===
       factions: game.factionSystem ? game.factionSystem.factions : {},
 
-      // === ARTIFACTS ===
-      artifacts: {
-        inventory: game.artifactSystem ? game.artifactSystem.inventory : [],
-        assembled: game.artifactSystem ? game.artifactSystem.assembledArtifacts : []
-      },
-
       // === STATISTICS ===
       stats: {
         systemsVisited: game.exploredSystems ? game.exploredSystems.length : 0,
@@ -258,11 +649,31 @@ export class SaveSystem {
         creditsEarned: game.creditsEarned || 0
       },
 
+      // === NEW GAME OPTIONS ===
+      // Read back by the Game constructor (difficulty, ironman, ...)
+      config: game.gameConfig ? { ...game.gameConfig, seed: game.seed } : { seed: game.seed },
+
+      // === STATISTICS SCREEN ===
+      statistics: game.statistics ? { ...game.statistics } : null,
+
+      // === VIEW ===
+      view: {
+        scene: game.scene || 'system',
+        camera: game.camera ? { x: game.camera.x, y: game.camera.y, zoom: game.camera.zoom } : null,
+        interstellarX: game.interstellarPlayerX || 0,
+        interstellarY: game.interstellarPlayerY || 0
+      },
+      gameOver: game.gameOver || false,
+
       // === FLAGS & PROGRESS ===
       flags: {
         tutorialCompleted: game.tutorialCompleted || false,
         firstWarpGateUsed: game.firstWarpGateUsed || false
-      }
+      },
+
+      // === SUBSYSTEMS ===
+      // Weapons, shields, armor, damage, holds, artifacts, markets, orbits
+      systems: this.registry.gather()
     };
   }
 
@@ -291,92 +702,107 @@ export class SaveSystem {
       return false;
     }
 
-    // Version compatibility check (warn if newer version)
-    const saveVersion = saveData.version.split('.')[0];
-    const gameVersion = (this.game.VERSION || '0.2.0').split('.')[0];
-
-    if (parseInt(saveVersion) > parseInt(gameVersion)) {
-      console.warn('[SaveSystem] Save from newer game version, may have compatibility issues');
-    }
-
     return true;
   }
 
   /**
    * Apply loaded save data to game
    */
-  applySaveData(saveData) {
+  async applySaveData(saveData) {
     const game = this.game;
 
     console.log('[SaveSystem] Applying save data...');
 
-    // Apply player data
-    const p = game.player;
-    p.x = saveData.player.x;
-    p.y = saveData.player.y;
-    p.vx = saveData.player.vx;
-    p.vy = saveData.player.vy;
-    p.rotation = saveData.player.rotation;
-    p.hull = saveData.player.hull;
-    p.maxHull = saveData.player.maxHull;
-    p.shields = saveData.player.shields;
-    p.maxShields = saveData.player.maxShields;
-    p.power = saveData.player.power;
-    p.maxPower = saveData.player.maxPower;
-    p.fuel = saveData.player.fuel;
-    p.maxFuel = saveData.player.maxFuel;
-    p.credits = saveData.player.credits;
-    p.kills = saveData.player.kills;
-    p.score = saveData.player.score;
-    p.level = saveData.player.level || 1;
-    p.experience = saveData.player.experience || 0;
-    p.callsign = saveData.player.callsign || 'PILOT';
-    p.shipName = saveData.player.shipName || 'WANDERER';
-
-    // Apply galaxy state
-    game.seed = saveData.galaxy.seed;
-    game.currentSystemIndex = saveData.galaxy.currentSystemIndex;
-    game.exploredSystems = saveData.galaxy.exploredSystems || [];
-    game.discoveredSystems = saveData.galaxy.discoveredSystems || [];
-
-    // Regenerate galaxy from seed (if galaxy generator exists)
-    if (game.galaxyGenerator && typeof game.galaxyGenerator.setSeed === 'function') {
-      game.galaxyGenerator.setSeed(saveData.galaxy.seed);
-      game.galaxy = game.galaxyGenerator.generate();
-    }
-
-    // Load current star system
-    if (typeof game.loadStarSystem === 'function') {
-      game.loadStarSystem(saveData.galaxy.currentSystemIndex);
-    }
-
-    // Apply economy data
-    if (game.economySystem && saveData.economy) {
-      game.economySystem.cargo = saveData.economy.cargo || [];
-      game.economySystem.cargoCapacity = saveData.economy.cargoCapacity || 50;
-    }
-
-    // Apply faction data
-    if (game.factionSystem && saveData.factions) {
-      game.factionSystem.factions = saveData.factions;
-    }
-
-    // Apply artifact data
-    if (game.artifactSystem && saveData.artifacts) {
-      game.artifactSystem.inventory = saveData.artifacts.inventory || [];
-      game.artifactSystem.assembledArtifacts = saveData.artifacts.assembled || [];
-    }
-
-    // Apply playtime
-    game.playtime = saveData.playtime || 0;
-
-    // Apply flags
-    if (saveData.flags) {
-      game.tutorialCompleted = saveData.flags.tutorialCompleted || false;
-      game.firstWarpGateUsed = saveData.flags.firstWarpGateUsed || false;
-    }
-
-    console.log('[SaveSystem] Save data applied successfully');
+    // Galaxy setup resets faction territories and gates - let it finish
+    // before the saved state goes on top, not after
+    if (game.galaxyReady) {
+      await game.galaxyReady;
+    }
+
+    // Loading a system shouldn't trigger the warp autosave
+    this.applyingSave = true;
+    try {
+      // Apply player data
+      const p = game.player;
+      p.x = saveData.player.x;
+      p.y = saveData.player.y;
+      p.vx = saveData.player.vx;
+      p.vy = saveData.player.vy;
+      p.rotation = saveData.player.rotation;
+      p.hull = saveData.player.hull;
+      p.maxHull = saveData.player.maxHull;
+      p.shields = saveData.player.shields;
+      p.maxShields = saveData.player.maxShields;
+      p.power = saveData.player.power;
+      p.maxPower = saveData.player.maxPower;
+      p.fuel = saveData.player.fuel;
+      p.maxFuel = saveData.player.maxFuel;
+      p.credits = saveData.player.credits;
+      p.kills = saveData.player.kills;
+      p.score = saveData.player.score;
+      p.level = saveData.player.level || 1;
+      p.experience = saveData.player.experience || 0;
+      p.callsign = saveData.player.callsign || 'PILOT';
+      p.shipName = saveData.player.shipName || 'WANDERER';
+
+      // Apply galaxy state
+      game.seed = saveData.galaxy.seed;
+      game.currentSystemIndex = saveData.galaxy.currentSystemIndex;
+      game.exploredSystems = saveData.galaxy.exploredSystems || [];
+      game.discoveredSystems = new Set(saveData.galaxy.discoveredSystems || []);
+
+      // Regenerate galaxy when the save is from a different seed
+      if (game.galaxyGenerator && game.galaxyGenerator.seed !== game.seed &&
+          typeof game.regenerateGalaxy === 'function') {
+        game.regenerateGalaxy();
+      }
+
+      // New game options, statistics and view
+      if (game.gameConfig && saveData.config) {
+        Object.assign(game.gameConfig, saveData.config);
+      }
+      if (saveData.statistics) {
+        game.statistics = { ...game.statistics, ...saveData.statistics };
+      }
+      if (saveData.view) {
+        game.scene = saveData.view.scene || 'system';
+        game.interstellarPlayerX = saveData.view.interstellarX || 0;
+        game.interstellarPlayerY = saveData.view.interstellarY || 0;
+        if (game.camera && saveData.view.camera) {
+          Object.assign(game.camera, saveData.view.camera);
+        }
+      }
+      game.gameOver = saveData.gameOver || false;
+
+      // Apply playtime (markets evolve with it while the system loads)
+      game.playtime = saveData.playtime || 0;
+
+      // Subsystems that must be in place before the system loads (e.g. markets)
+      this.registry.restore(saveData.systems, 'world');
+
+      // Load current star system
+      if (typeof game.loadStarSystem === 'function') {
+        await game.loadStarSystem(saveData.galaxy.currentSystemIndex);
+      }
+
+      // Per-system state (planet positions, orbits)
+      this.registry.restore(saveData.systems, 'system');
+
+      // Apply faction data
+      if (game.factionSystem && saveData.factions) {
+        game.factionSystem.restore(saveData.factions);
+      }
+
+      // Apply flags
+      if (saveData.flags) {
+        game.tutorialCompleted = saveData.flags.tutorialCompleted || false;
+        game.firstWarpGateUsed = saveData.flags.firstWarpGateUsed || false;
+      }
+
+      console.log('[SaveSystem] Save data applied successfully');
+    } finally {
+      this.applyingSave = false;
+    }
   }
 
   /**
@@ -406,51 +832,29 @@ export class SaveSystem {
   }
 
   /**
-   * Get metadata for a save without fully loading it
+   * Get metadata for a save without loading it (from the slot index)
    * @param {string} slot - Save slot name
-   * @returns {Object|null} Save metadata or null if not found
+   * @returns {Object|null} Save metadata (incl. rawSize/storedSize) or null if not found
    */
   getSaveMetadata(slot) {
-    try {
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      const json = localStorage.getItem(key);
-
-      if (!json) return null;
-
-      const saveData = JSON.parse(json);
-
-      // Extract only metadata
-      return {
-        saveName: saveData.saveName,
-        timestamp: saveData.timestamp,
-        playtime: saveData.playtime,
-        callsign: saveData.player.callsign,
-        shipName: saveData.player.shipName,
-        level: saveData.player.level || 1,
-        credits: saveData.player.credits || 0,
-        currentSystem: saveData.galaxy.currentSystemIndex,
-        systemsVisited: saveData.stats ? saveData.stats.systemsVisited : 0
-      };
-
-    } catch (error) {
-      console.error('[SaveSystem] Failed to read save metadata:', error);
-      return null;
-    }
+    return this.saveIndex.get(slot) || null;
   }
 
   /**
    * Delete save from slot
    * @param {string} slot - Save slot name
    */
-  deleteSave(slot) {
+  async deleteSave(slot) {
     try {
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      localStorage.removeItem(key);
+      await this.storage.remove(slot);
+      await this.refreshSaveIndex();
 
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show('Save deleted', 'success');
+      if (this.cloud) {
+        this.cloud.remove(slot);
       }
 
+      this.notify('Save deleted', 'success');
+
       console.log(`[SaveSystem] Deleted save: ${slot}`);
       return true;
 
@@ -464,15 +868,12 @@ export class SaveSystem {
    * Export save to downloadable file
    * @param {string} slot - Save slot name
    */
-  exportSave(slot) {
+  async exportSave(slot) {
     try {
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      const json = localStorage.getItem(key);
+      const json = await this.storage.read(slot);
 
       if (!json) {
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('No save to export', 'warning');
-        }
+        this.notify('No save to export', 'warning');
         return false;
       }
 
@@ -487,18 +888,14 @@ export class SaveSystem {
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
 
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show('Save exported!', 'success');
-      }
+      this.notify('Save exported!', 'success');
 
       console.log(`[SaveSystem] Exported save: ${slot}`);
       return true;
 
     } catch (error) {
       console.error('[SaveSystem] Export failed:', error);
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show('Export failed!', 'error');
-      }
+      this.notify('Export failed!', 'error');
       return false;
     }
   }
@@ -511,41 +908,48 @@ export class SaveSystem {
   importSave(file, slot) {
     const reader = new FileReader();
 
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
-        const json = e.target.result;
-        const saveData = JSON.parse(json);
+        // Upgrade older exports (and launcher saves) to the current format
+        const migration = migrateSave(JSON.parse(e.target.result));
+        if (!migration.success) {
+          this.notify(`Invalid save file: ${migration.error}`, 'error');
+          return;
+        }
+        const saveData = migration.saveData;
 
         // Validate
         if (!this.validateSaveData(saveData)) {
-          if (this.game.notificationSystem) {
-            this.game.notificationSystem.show('Invalid save file!', 'error');
-          }
+          this.notify('Invalid save file!', 'error');
+          return;
+        }
+
+        // An imported copy would let ironman runs be rewound
+        if (this.isIronman() || (saveData.config && saveData.config.ironman)) {
+          this.notify('Ironman saves cannot be imported', 'error');
           return;
         }
 
         // Save to slot
-        const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-        localStorage.setItem(key, json);
+        await this.storage.write(slot, JSON.stringify(saveData), summarizeSave(saveData));
+        await this.refreshSaveIndex();
 
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Save imported!', 'success');
+        if (this.cloud) {
+          this.cloud.push(slot, saveData);
         }
 
+        this.notify('Save imported!', 'success');
+
         console.log(`[SaveSystem] Imported save to: ${slot}`);
 
       } catch (error) {
         console.error('[SaveSystem] Import failed:', error);
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Import failed! Corrupted file?', 'error');
-        }
+        this.notify('Import failed! Corrupted file?', 'error');
       }
     };
 
     reader.onerror = () => {
-      if (this.game.notificationSystem) {
-        this.game.notificationSystem.show('Failed to read file!', 'error');
-      }
+      this.notify('Failed to read file!', 'error');
     };
 
     reader.readAsText(file);
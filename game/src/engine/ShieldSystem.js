@@ -12,6 +12,7 @@ export class ShieldSystem {
   constructor() {
     this.shields = [];
     this.activeShieldIndex = 0;
+    this.modifyStat = (stat, value) => value; // Item effects hook (ItemEffectSystem)
     this.totalShieldStrength = 0;
     this.maxTotalShieldStrength = 0;
 
@@ -308,7 +309,7 @@ export class ShieldSystem {
           shield.rechargeRate > 0) {
         shield.strength = Math.min(
           shield.maxStrength,
-          shield.strength + shield.rechargeRate * dt
+          shield.strength + this.modifyStat('shieldRegen', shield.rechargeRate) * dt
         );
       }
 
@@ -1149,4 +1150,47 @@ export class ShieldSystem {
     }
     this.updateTotalStrength();
   }
+
+  /**
+   * Serialize shield generators and modes for saving
+   * (visual particle state is not saved)
+   */
+  serialize() {
+    return {
+      activeShieldIndex: this.activeShieldIndex,
+      shields: this.shields.map(shield => ({ ...shield })),
+      modulationMode: this.modulationMode,
+      useSectionalShields: this.useSectionalShields,
+      sectionalShields: JSON.parse(JSON.stringify(this.sectionalShields)),
+      overloadCooldown: this.overloadCooldown,
+      emergencyBoostAvailable: this.emergencyBoostAvailable,
+      emergencyBoostCooldown: this.emergencyBoostCooldown
+    };
+  }
+
+  /**
+   * Load shield generators and modes from saved data
+   */
+  deserialize(data) {
+    if (!data || !Array.isArray(data.shields)) return;
+
+    this.shields = data.shields.map(saved => ({
+      ...this.createShield(saved.type, saved.tier || 1),
+      ...saved
+    }));
+    this.activeShieldIndex = Math.min(data.activeShieldIndex || 0, Math.max(0, this.shields.length - 1));
+    this.modulationMode = data.modulationMode || 'balanced';
+    this.useSectionalShields = data.useSectionalShields || false;
+    if (data.sectionalShields) {
+      this.sectionalShields = data.sectionalShields;
+    }
+    this.overloadActive = false;
+    this.overloadTimer = 0;
+    this.overloadCooldown = data.overloadCooldown || 0;
+    this.emergencyBoostAvailable = data.emergencyBoostAvailable !== false;
+    this.emergencyBoostCooldown = data.emergencyBoostCooldown || 0;
+
+    this.calculateHarmonics();
+    this.updateTotalStrength();
+  }
 }
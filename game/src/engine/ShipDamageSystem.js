@@ -118,6 +118,9 @@ export class ShipDamageSystem {
     this.totalDamageTaken = 0;
     this.totalRepairs = 0;
     this.sectionsDestroyed = 0;
+
+    // Ship stat modifiers of the damaged sections (applyPerformancePenalties)
+    this.performancePenalties = [];
   }
 
   /**
@@ -145,6 +148,11 @@ export class ShipDamageSystem {
       section.repairProgress = 0;
       this.sectionsDestroyed++;
 
+      // Crew stationed in the section are hit
+      if (this.game.crewSystem) {
+        this.game.crewSystem.handleSectionDestroyed(sectionName, section.name);
+      }
+
       // Trigger visual feedback and notification
       this.game.showNotification(
         `⚠ ${section.name.toUpperCase()} DESTROYED! Seek station repairs immediately!`,
@@ -294,18 +302,11 @@ export class ShipDamageSystem {
 
   /**
    * Apply performance penalties based on damaged sections
+   * The penalties are ship stat modifiers (ShipStats)
    */
   applyPerformancePenalties() {
-    const player = this.game.player;
-    if (!player) return;
-
-    // Reset modifiers
-    player.speedModifier = 1.0;
-    player.powerModifier = 1.0;
-    player.weaponModifier = 1.0;
-    player.shieldModifier = 1.0;
-    player.scannerModifier = 1.0;
-    player.cargoModifier = 1.0;
+    const penalties = [];
+    const penalize = (section, stat, value) => penalties.push({ stat, op: 'mul', value, source: section.name });
 
     // Apply penalties for each damaged/destroyed section
     for (const [key, section] of Object.entries(this.sections)) {
@@ -315,45 +316,56 @@ export class ShipDamageSystem {
         // Severe penalties for destroyed or critical sections
         switch (key) {
           case 'engine':
-            player.speedModifier *= section.destroyed ? 0.3 : 0.5;
+            penalize(section, 'speed', section.destroyed ? 0.3 : 0.5);
+            penalize(section, 'turnRate', section.destroyed ? 0.5 : 0.7);
             break;
           case 'reactor':
-            player.powerModifier *= section.destroyed ? 0.4 : 0.6;
-            player.weaponModifier *= section.destroyed ? 0.5 : 0.7;
+            penalize(section, 'powerRegen', section.destroyed ? 0.4 : 0.6);
+            penalize(section, 'weaponDamage', section.destroyed ? 0.5 : 0.7);
             break;
           case 'bridge':
-            player.scannerModifier *= section.destroyed ? 0.3 : 0.5;
-            player.weaponModifier *= section.destroyed ? 0.6 : 0.8;
+            penalize(section, 'sensorRange', section.destroyed ? 0.3 : 0.5);
+            penalize(section, 'weaponDamage', section.destroyed ? 0.6 : 0.8);
             break;
           case 'shieldGenerator':
-            player.shieldModifier *= section.destroyed ? 0.2 : 0.4;
+            penalize(section, 'shieldRegen', section.destroyed ? 0.2 : 0.4);
             break;
           case 'backSection':
-            player.speedModifier *= section.destroyed ? 0.6 : 0.8;
+            penalize(section, 'speed', section.destroyed ? 0.6 : 0.8);
             break;
           case 'middleSection':
-            player.cargoModifier *= section.destroyed ? 0.5 : 0.7;
-            player.powerModifier *= section.destroyed ? 0.8 : 0.9;
+            penalize(section, 'cargoCapacity', section.destroyed ? 0.5 : 0.7);
+            penalize(section, 'powerRegen', section.destroyed ? 0.8 : 0.9);
             break;
           case 'frontSection':
-            player.weaponModifier *= section.destroyed ? 0.7 : 0.85;
+            penalize(section, 'weaponDamage', section.destroyed ? 0.7 : 0.85);
             break;
         }
       } else if (healthPercent < section.warningThreshold / 100) {
         // Minor penalties for warning-level damage
         switch (key) {
           case 'engine':
-            player.speedModifier *= 0.9;
+            penalize(section, 'speed', 0.9);
             break;
           case 'reactor':
-            player.powerModifier *= 0.95;
+            penalize(section, 'powerRegen', 0.95);
             break;
           case 'shieldGenerator':
-            player.shieldModifier *= 0.85;
+            penalize(section, 'shieldRegen', 0.85);
             break;
         }
       }
     }
+
+    this.performancePenalties = penalties;
+    if (this.game.shipStats) this.game.shipStats.invalidate();
+  }
+
+  /**
+   * Current performance penalties, as ship stat modifiers
+   */
+  getPerformanceModifiers() {
+    return this.performancePenalties;
   }
 
   /**
@@ -0,0 +1,209 @@
+/**
+ * ShipStats - One modifier stack per player ship stat
+ *
+ * Every source of stat changes contributes modifiers ({ stat, op: 'add' |
+ * 'mul', value }) to the same stacks:
+ * - hull damage: performance penalties of damaged sections (ShipDamageSystem)
+ * - assembled artifacts (ArtifactSystem)
+ * - the pilot trait chosen at new game setup (gameConfig.trait)
+ * - fitted and consumed items (ItemEffectSystem)
+ *
+ * A stat's effective value is (base + sum of adds) * product of muls. Sources
+ * call invalidate() when their modifiers change and the stacks are summed
+ * again on the next read. Rates (speed, weapon damage, shield regen...) are
+ * read through get() where they are used; capacities (max hull, shields,
+ * power, cargo) are stored values, so their bonus is written into them on
+ * change and taken back out on the next. Cargo capacity is written into
+ * both holds: traded goods (EconomySystem) and resources (CargoSystem).
+ *
+ * getBreakdown() lists where a value comes from, for the HUD.
+ */
+
+// Player ship stats and the part of the ship each belongs to
+export const SHIP_STATS = {
+  speed: { label: 'Speed', target: 'player' },
+  acceleration: { label: 'Acceleration', target: 'player' },
+  turnRate: { label: 'Turn Rate', target: 'player' },
+  fuelUse: { label: 'Fuel Use', target: 'player' },
+  warpSpeed: { label: 'Warp Speed', target: 'player' },
+  maxHull: { label: 'Max Hull', target: 'player' },
+  maxPower: { label: 'Max Power', target: 'player' },
+  powerRegen: { label: 'Power Regen', target: 'player' },
+  sensorRange: { label: 'Scanner Range', target: 'player' },
+  signature: { label: 'Sensor Signature', target: 'player' }, // Range enemies notice the ship at
+  cargoCapacity: { label: 'Cargo Capacity', target: 'player' },
+  weaponDamage: { label: 'Weapon Damage', target: 'weapon' },
+  fireRate: { label: 'Fire Rate', target: 'weapon' },
+  energyCost: { label: 'Weapon Energy Cost', target: 'weapon' },
+  accuracy: { label: 'Accuracy', target: 'weapon' },
+  maxShields: { label: 'Max Shields', target: 'shield' },
+  shieldRegen: { label: 'Shield Regen', target: 'shield' },
+  armorRating: { label: 'Armor Rating', target: 'armor' }
+};
+
+// Capacities by the id their bonus is kept under: the stat, the object and
+// field holding it, the value it caps and whether Game.initPlayer rebuilds it
+const CAPACITIES = {
+  maxHull: { stat: 'maxHull', owner: (game) => game.player, key: 'maxHull', current: 'hull', rebuilt: true },
+  maxShields: { stat: 'maxShields', owner: (game) => game.player, key: 'maxShields', current: 'shields', rebuilt: true },
+  maxPower: { stat: 'maxPower', owner: (game) => game.player, key: 'maxPower', current: 'power', rebuilt: true },
+  cargoCapacity: { stat: 'cargoCapacity', owner: (game) => game.economySystem, key: 'cargoCapacity' },
+  resourceCapacity: { stat: 'cargoCapacity', owner: (game) => game.cargoSystem, key: 'maxCapacity', rebuilt: true }
+};
+
+// Pilot traits and their ship stat modifiers (lucky, veteran and trader have none)
+const PILOT_TRAITS = {
+  engineer: [{ stat: 'powerRegen', op: 'mul', value: 1.1 }, { stat: 'fuelUse', op: 'mul', value: 0.9 }], // +ship efficiency
+  explorer: [{ stat: 'sensorRange', op: 'mul', value: 1.3 }], // +scan range
+  survivor: [{ stat: 'maxHull', op: 'mul', value: 1.2 }, { stat: 'armorRating', op: 'add', value: 0.05 }] // +20% health, +damage resistance
+};
+
+export class ShipStats {
+  constructor(game) {
+    this.game = game;
+
+    this.sources = []; // { id, label, getModifiers }
+    this.totals = null; // Cached stat -> { add, mul }
+    this.bonuses = {}; // Capacity id -> bonus written into it
+    this.capacitiesStale = false;
+
+    this.registerSource('damage', 'Hull damage', () =>
+      game.shipDamageSystem ? game.shipDamageSystem.getPerformanceModifiers() : []);
+    this.registerSource('artifacts', 'Artifacts', () =>
+      game.artifactSystem ? game.artifactSystem.getModifiers() : []);
+    this.registerSource('trait', 'Pilot trait', () =>
+      (PILOT_TRAITS[game.gameConfig && game.gameConfig.trait] || []).map(modifier => ({ ...modifier, source: game.gameConfig.trait })));
+    this.registerSource('items', 'Items', () =>
+      game.itemEffects ? game.itemEffects.getActiveModifiers() : []);
+  }
+
+  /**
+   * Add a source of modifiers
+   * @param {Function} getModifiers - () => [{ stat, op, value, source? }], source naming the part responsible
+   */
+  registerSource(id, label, getModifiers) {
+    this.sources.push({ id, label, getModifiers });
+    this.totals = null;
+    this.capacitiesStale = true;
+  }
+
+  /**
+   * A source's modifiers changed: recompute, and rewrite the capacity bonuses
+   */
+  invalidate() {
+    this.totals = null;
+    this.capacitiesStale = true;
+    this.syncCapacities();
+  }
+
+  /**
+   * Modifiers in force, from every source
+   * @returns {Array<{sourceId, sourceLabel, source, stat, op, value}>}
+   */
+  getModifiers() {
+    const modifiers = [];
+    for (const source of this.sources) {
+      for (const modifier of source.getModifiers()) {
+        modifiers.push({ sourceId: source.id, sourceLabel: source.label, ...modifier });
+      }
+    }
+    return modifiers;
+  }
+
+  getTotals() {
+    if (!this.totals) {
+      this.totals = {};
+      for (const modifier of this.getModifiers()) {
+        const total = this.totals[modifier.stat] || (this.totals[modifier.stat] = { add: 0, mul: 1 });
+        if (modifier.op === 'mul') total.mul *= modifier.value;
+        else total.add += modifier.value;
+      }
+    }
+    return this.totals;
+  }
+
+  /**
+   * Effective value of a stat from its base
+   */
+  get(stat, base) {
+    const total = this.getTotals()[stat];
+    return total ? (base + total.add) * total.mul : base;
+  }
+
+  /**
+   * Base of a capacity: its stored value without the bonus written in
+   * (cargo: the traded goods hold)
+   */
+  getCapacityBase(stat) {
+    const capacity = CAPACITIES[stat];
+    const owner = capacity && capacity.owner(this.game);
+    return owner ? owner[capacity.key] - (this.bonuses[stat] || 0) : 0;
+  }
+
+  /**
+   * Where a stat's value comes from
+   * @param {number} [base] - Defaults to the stored base of a capacity
+   * @returns {{stat, label, base, value, entries: Array<{source, text}>}}
+   */
+  getBreakdown(stat, base = this.getCapacityBase(stat)) {
+    const entries = this.getModifiers()
+      .filter(modifier => modifier.stat === stat)
+      .map(modifier => ({
+        source: modifier.source ? `${modifier.sourceLabel}: ${modifier.source}` : modifier.sourceLabel,
+        text: modifier.op === 'mul' ? `x${modifier.value.toFixed(2)}` : `${modifier.value >= 0 ? '+' : ''}${modifier.value}`
+      }));
+
+    return {
+      stat,
+      label: SHIP_STATS[stat] ? SHIP_STATS[stat].label : stat,
+      base,
+      value: this.get(stat, base),
+      entries
+    };
+  }
+
+  /**
+   * Write the capacity bonuses into the stored values
+   * (not while a save is applied: its capacities already include its bonuses)
+   */
+  syncCapacities() {
+    if (this.game.saveSystem && this.game.saveSystem.applyingSave) return;
+
+    for (const [id, capacity] of Object.entries(CAPACITIES)) {
+      const owner = capacity.owner(this.game);
+      if (!owner || typeof owner[capacity.key] !== 'number') continue;
+
+      const base = owner[capacity.key] - (this.bonuses[id] || 0);
+      const value = Math.round(this.get(capacity.stat, base));
+      owner[capacity.key] = value;
+      this.bonuses[id] = value - base;
+      if (capacity.current && owner[capacity.current] > value) owner[capacity.current] = value;
+    }
+    this.capacitiesStale = false;
+  }
+
+  /**
+   * The ship was rebuilt (Game.resetGame): its capacities are back to base,
+   * so the bonuses are written in again
+   */
+  handleRespawn() {
+    for (const [id, capacity] of Object.entries(CAPACITIES)) {
+      if (capacity.rebuilt) delete this.bonuses[id];
+    }
+    this.invalidate();
+  }
+
+  update() {
+    // Catch up on changes made while a save was applied
+    if (this.capacitiesStale) this.syncCapacities();
+  }
+
+  serialize() {
+    return { bonuses: { ...this.bonuses } };
+  }
+
+  deserialize(data) {
+    this.bonuses = (data && data.bonuses) || {};
+    this.invalidate();
+  }
+}
@@ -0,0 +1,750 @@
+/**
+ * Surface System - Planetary surface exploration by rover
+ *
+ * Landing (Game.performLanding) sets the ship down on a tile map of the body:
+ * - the map is generated from a seed of the body, so a world always has the
+ *   same surface; its terrain follows the planet (or moon) type, and its
+ *   habitability (EnhancedSystemGenerator.calculateHabitability) adds plant
+ *   life and ruins
+ * - the climate (body type and temperature) decides the hazards: lava flows
+ *   and vents on hot worlds, crevasses and cryo geysers on cold ones, acid
+ *   bogs on temperate ones. Hazards damage the rover while it crosses them
+ * - the player drives a rover out from the lander, finds resource deposits
+ *   (drilled into the rover bay) and ruins (excavated for artifacts)
+ * - driving back onto the lander unloads the bay into the ship's hold and
+ *   recharges the rover; the ship launches (Game.launchFromSurface) from there
+ * - a wrecked rover loses its bay and is towed back to the lander
+ * - worked deposits and ruins stay worked between landings
+ */
+
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { generateRandomArtifact } from './EnhancedItems.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const MAP_WIDTH = 64; // Tiles
+const MAP_HEIGHT = 48;
+const TILE_SIZE = 32; // Pixels
+const SCAN_RADIUS = 6; // Tiles around the rover in which sites are found
+const INTERACT_RANGE = 1.5; // Tiles
+const LANDER_RANGE = 1.5; // Tiles from the lander that count as docked
+const BAY_CAPACITY = 40; // Units the rover carries back to the lander
+const DRILL_YIELD = 8; // Units per drilling
+const DRILL_POWER = 3;
+const ROVER_SPEED = 110; // Pixels/s on open ground
+const ROVER_TURN = 2.6; // Radians/s
+const ROVER_MAX_HULL = 100;
+const ROVER_MAX_POWER = 100;
+const POWER_DRAIN = 1.5; // Power/s at full throttle, before the climate
+const LANDER_RECHARGE = 25; // Power and hull/s while at the lander
+const HOT_TEMPERATURE = 10; // calculatePlanetTemperature: inner worlds read 10-12
+const COLD_TEMPERATURE = 6; // ... and the outer ones below 6
+
+// Tile kinds and the rover's speed on them (0 = impassable)
+const TILES = {
+  ground: { speed: 1.0 },
+  highland: { speed: 0.7 },
+  mountain: { speed: 0 },
+  basin: { speed: 0.5 }, // Impassable where the surface's basin is liquid
+  flora: { speed: 0.6 },
+  hazard: { speed: 0.8 },
+  pad: { speed: 1.0 }
+};
+
+// Surfaces by planet type (moons by subtype): colors, what fills the low
+// ground, plant cover and the minerals found in deposits
+const SURFACES = {
+  terran_planet: { label: 'Temperate', colors: { ground: '#4a6b3c', highland: '#6b6a4e', mountain: '#57524a', basin: '#1d4f7a' }, basin: { label: 'Sea', level: 0.36, liquid: true }, flora: 0.3, deposits: { water: 0.3, carbon: 0.3, iron: 0.2, silicon: 0.2 } },
+  ocean_planet: { label: 'Oceanic', colors: { ground: '#5a6e55', highland: '#6e6e5a', mountain: '#55524c', basin: '#1a4a80' }, basin: { label: 'Ocean', level: 0.48, liquid: true }, flora: 0.2, deposits: { water: 0.45, deuterium: 0.25, carbon: 0.2, copper: 0.1 } },
+  super_earth: { label: 'Heavy', colors: { ground: '#6a6048', highland: '#7a6e58', mountain: '#4e4840', basin: '#2a4e6a' }, basin: { label: 'Lake', level: 0.28, liquid: true }, flora: 0.12, deposits: { iron: 0.3, titanium: 0.25, silicon: 0.25, water: 0.2 } },
+  rocky_planet: { label: 'Barren rock', colors: { ground: '#6e6258', highland: '#7e7266', mountain: '#4a443e', basin: '#55493f' }, basin: { label: 'Crater field', level: 0.3 }, flora: 0, deposits: { iron: 0.4, silicon: 0.3, titanium: 0.2, copper: 0.1 } },
+  desert_planet: { label: 'Desert', colors: { ground: '#b08a52', highland: '#9a7446', mountain: '#6e5236', basin: '#c8a464' }, basin: { label: 'Dune sea', level: 0.36 }, flora: 0, deposits: { silicon: 0.45, copper: 0.2, iron: 0.2, rare_isotopes: 0.15 } },
+  lava_planet: { label: 'Volcanic', colors: { ground: '#3a2a26', highland: '#4a3630', mountain: '#2a201e', basin: '#8a2a10' }, basin: { label: 'Lava sea', level: 0.3, liquid: true }, flora: 0, deposits: { iron: 0.3, platinum: 0.25, titanium: 0.2, rare_isotopes: 0.15, exotic_matter: 0.1 } },
+  ice_planet: { label: 'Glacial', colors: { ground: '#b4c4d0', highland: '#9aacbc', mountain: '#6a7a8a', basin: '#d8e6f0' }, basin: { label: 'Ice sheet', level: 0.4 }, flora: 0, deposits: { water: 0.5, deuterium: 0.3, silicon: 0.1, crystalline_matrix: 0.1 } },
+  dwarf_planet: { label: 'Frozen rock', colors: { ground: '#807a76', highland: '#8e8884', mountain: '#55504c', basin: '#6a6460' }, basin: { label: 'Crater field', level: 0.3 }, flora: 0, deposits: { water: 0.3, iron: 0.3, deuterium: 0.2, rare_isotopes: 0.2 } },
+  carbon_planet: { label: 'Carbon', colors: { ground: '#2e2c2a', highland: '#3c3936', mountain: '#1e1c1a', basin: '#141210' }, basin: { label: 'Tar pits', level: 0.3 }, flora: 0, deposits: { carbon: 0.5, crystalline_matrix: 0.2, silicon: 0.2, copper: 0.1 } },
+  ice_moon: { label: 'Icy', colors: { ground: '#c4d2de', highland: '#a8b8c8', mountain: '#72849a', basin: '#3a5a7a' }, basin: { label: 'Frozen sea', level: 0.3 }, flora: 0, deposits: { water: 0.55, deuterium: 0.3, crystalline_matrix: 0.15 } },
+  volcanic_moon: { label: 'Sulphurous', colors: { ground: '#a89a3a', highland: '#8a7a30', mountain: '#4e4420', basin: '#9a3a14' }, basin: { label: 'Lava lake', level: 0.28, liquid: true }, flora: 0, deposits: { iron: 0.35, copper: 0.3, rare_isotopes: 0.2, platinum: 0.15 } },
+  titan_moon: { label: 'Hazy', colors: { ground: '#8a7048', highland: '#7a623e', mountain: '#4e3e28', basin: '#3a3020' }, basin: { label: 'Methane lake', level: 0.32, liquid: true }, flora: 0, deposits: { carbon: 0.4, deuterium: 0.3, water: 0.2, silicon: 0.1 } },
+  captured_asteroid: { label: 'Regolith', colors: { ground: '#6a6a6a', highland: '#7a7a7a', mountain: '#444444', basin: '#585858' }, basin: { label: 'Crater field', level: 0.34 }, flora: 0, deposits: { iron: 0.3, silicon: 0.3, titanium: 0.2, platinum: 0.2 } },
+  rocky_moon: { label: 'Cratered', colors: { ground: '#8a8a8a', highland: '#9a9a9a', mountain: '#5a5a5a', basin: '#707070' }, basin: { label: 'Crater field', level: 0.3 }, flora: 0, deposits: { iron: 0.4, silicon: 0.35, titanium: 0.25 } }
+};
+
+// Bodies whose type sets the climate whatever their temperature
+const HOT_BODIES = ['lava_planet', 'desert_planet', 'volcanic_moon'];
+const COLD_BODIES = ['ice_planet', 'dwarf_planet', 'ice_moon', 'titan_moon'];
+
+// Climates: their hazards (damage/s to the rover), hazard fields per map and
+// the extra power the rover spends keeping warm or cool
+const CLIMATES = {
+  hot: { label: 'Scorching', hazards: [{ label: 'Lava flow', damage: 14, color: '#ff5a1f' }, { label: 'Thermal vent', damage: 8, color: '#ffaa33' }], fields: 12, drain: 1.6 },
+  cold: { label: 'Frozen', hazards: [{ label: 'Crevasse', damage: 12, color: '#cceeff' }, { label: 'Cryo geyser', damage: 8, color: '#66ccee' }], fields: 12, drain: 1.4 },
+  temperate: { label: 'Mild', hazards: [{ label: 'Acid bog', damage: 6, color: '#8aaa2a' }, { label: 'Sinkhole', damage: 6, color: '#3a2a1a' }], fields: 6, drain: 1.0 }
+};
+
+// Types with no solid surface
+const GIANT_TYPES = ['gas_giant', 'ice_giant', 'super_jupiter', 'hot_jupiter', 'brown_dwarf'];
+
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Smooth noise (0-1) over the map: random values on a lattice of the given
+ * cell size, interpolated between
+ */
+function noiseField(rng, cell) {
+  const cols = Math.ceil(MAP_WIDTH / cell) + 1;
+  const rows = Math.ceil(MAP_HEIGHT / cell) + 1;
+  const lattice = Array.from({ length: cols * rows }, () => rng.next());
+  const at = (cx, cy) => lattice[cy * cols + cx];
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  const field = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+  for (let y = 0; y < MAP_HEIGHT; y++) {
+    for (let x = 0; x < MAP_WIDTH; x++) {
+      const cx = Math.floor(x / cell);
+      const cy = Math.floor(y / cell);
+      const tx = smooth((x % cell) / cell);
+      const ty = smooth((y % cell) / cell);
+      const top = at(cx, cy) + (at(cx + 1, cy) - at(cx, cy)) * tx;
+      const bottom = at(cx, cy + 1) + (at(cx + 1, cy + 1) - at(cx, cy + 1)) * tx;
+      field[y * MAP_WIDTH + x] = top + (bottom - top) * ty;
+    }
+  }
+  return field;
+}
+
+function pickWeighted(rng, weights) {
+  const entries = Object.entries(weights);
+  let roll = rng.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+  for (const [id, weight] of entries) {
+    roll -= weight;
+    if (roll <= 0) return id;
+  }
+  return entries[entries.length - 1][0];
+}
+
+export class SurfaceSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.active = false;
+    this.body = null;
+    this.bodyKey = null;
+    this.surface = null;
+    this.climate = null;
+    this.tiles = []; // Tile kind per tile, row by row
+    this.hazards = new Map(); // Tile index -> hazard
+    this.sites = []; // { kind: 'deposit' | 'ruins', tx, ty, resource?, amount, discovered }
+    this.pad = { tx: MAP_WIDTH / 2, ty: MAP_HEIGHT / 2 };
+    this.terrainCanvas = null;
+
+    this.rover = null;
+    this.nearbySite = null;
+    this.atLander = true;
+    this.currentHazard = null;
+
+    this.worked = {}; // Body key -> { site index: amount left }
+  }
+
+  getBodyType(body) {
+    return body.subtype || body.type || 'rocky_planet';
+  }
+
+  canLand(body) {
+    const type = this.getBodyType(body).toLowerCase();
+    return !GIANT_TYPES.includes(type) && !type.includes('gas');
+  }
+
+  getSurface(body) {
+    return SURFACES[this.getBodyType(body)] || SURFACES.rocky_planet;
+  }
+
+  /**
+   * Climate of a body: its type where that settles it, its temperature otherwise
+   * @returns {'hot'|'cold'|'temperate'}
+   */
+  getClimate(body) {
+    const type = this.getBodyType(body);
+    if (HOT_BODIES.includes(type)) return 'hot';
+    if (COLD_BODIES.includes(type)) return 'cold';
+    if (typeof body.temperature !== 'number') return 'temperate';
+    if (body.temperature >= HOT_TEMPERATURE) return 'hot';
+    if (body.temperature < COLD_TEMPERATURE) return 'cold';
+    return 'temperate';
+  }
+
+  getBodyKey(body) {
+    return `${this.game.currentSystemIndex}:${body.name}:${Math.round(body.distance || 0)}`;
+  }
+
+  /**
+   * Land: generate the body's surface and put the rover out by the lander
+   */
+  enter(body) {
+    const key = this.getBodyKey(body);
+    if (key !== this.bodyKey) this.generate(body, key);
+
+    this.body = body;
+    this.active = true;
+    this.rover = {
+      x: (this.pad.tx + 0.5) * TILE_SIZE,
+      y: (this.pad.ty + 1.5) * TILE_SIZE,
+      angle: Math.PI / 2,
+      hull: ROVER_MAX_HULL,
+      power: ROVER_MAX_POWER,
+      bay: {}, // Resource id -> units
+      items: [] // Artifact ids
+    };
+    this.atLander = true;
+    this.nearbySite = null;
+    this.currentHazard = null;
+    this.revealSites();
+  }
+
+  leave() {
+    this.active = false;
+    this.rover = null;
+    this.nearbySite = null;
+  }
+
+  /**
+   * Build the tile map, hazards and sites of a body from its seed
+   */
+  generate(body, key) {
+    const surface = this.getSurface(body);
+    const climate = CLIMATES[this.getClimate(body)];
+    const habitability = body.habitability || 0;
+    const rng = new SeededRandom((hashString(key) + Math.round(body.radius || 0) * 131 + 7919) % 233280);
+
+    this.bodyKey = key;
+    this.surface = surface;
+    this.climate = climate;
+    this.terrainCanvas = null;
+    this.hazards = new Map();
+    this.sites = [];
+
+    // Terrain from elevation, plant cover from moisture
+    const elevation = noiseField(rng, 8);
+    const detail = noiseField(rng, 4);
+    const moisture = noiseField(rng, 6);
+    const floraShare = surface.flora > 0 || habitability > 0 ? surface.flora + habitability * 0.3 : 0;
+
+    this.tiles = new Array(MAP_WIDTH * MAP_HEIGHT);
+    for (let i = 0; i < this.tiles.length; i++) {
+      const height = elevation[i] * 0.7 + detail[i] * 0.3;
+      if (height < surface.basin.level) this.tiles[i] = 'basin';
+      else if (height > 0.72) this.tiles[i] = 'mountain';
+      else if (height > 0.6) this.tiles[i] = 'highland';
+      else if (moisture[i] > 1 - floraShare) this.tiles[i] = 'flora';
+      else this.tiles[i] = 'ground';
+    }
+
+    // Level ground around the landing pad
+    for (let ty = this.pad.ty - 2; ty <= this.pad.ty + 2; ty++) {
+      for (let tx = this.pad.tx - 2; tx <= this.pad.tx + 2; tx++) {
+        this.tiles[ty * MAP_WIDTH + tx] = 'ground';
+      }
+    }
+    this.tiles[this.pad.ty * MAP_WIDTH + this.pad.tx] = 'pad';
+
+    // Hazards and sites only go where the rover can drive to, clear of the pad
+    const reachable = this.findReachable();
+    const candidates = reachable.filter(index => this.getPadDistance(index) >= 4);
+    const used = new Set();
+
+    for (let field = 0; field < climate.fields && candidates.length > 0; field++) {
+      const center = rng.choice(candidates);
+      const hazard = rng.choice(climate.hazards);
+      const radius = rng.int(1, 2);
+      const cx = center % MAP_WIDTH;
+      const cy = Math.floor(center / MAP_WIDTH);
+      for (let ty = cy - radius; ty <= cy + radius; ty++) {
+        for (let tx = cx - radius; tx <= cx + radius; tx++) {
+          const index = ty * MAP_WIDTH + tx;
+          if (tx < 0 || ty < 0 || tx >= MAP_WIDTH || ty >= MAP_HEIGHT) continue;
+          if (!this.isPassable(index) || this.getPadDistance(index) < 3) continue;
+          if (Math.hypot(tx - cx, ty - cy) > radius + 0.5) continue;
+          this.tiles[index] = 'hazard';
+          this.hazards.set(index, hazard);
+          used.add(index);
+        }
+      }
+    }
+
+    const placeSite = (site) => {
+      for (let attempt = 0; attempt < 20 && candidates.length > 0; attempt++) {
+        const index = rng.choice(candidates);
+        if (used.has(index) || this.tiles[index] === 'hazard') continue;
+        used.add(index);
+        this.sites.push({ ...site, tx: index % MAP_WIDTH, ty: Math.floor(index / MAP_WIDTH), discovered: false });
+        return;
+      }
+    };
+
+    const depositCount = rng.int(8, 12);
+    for (let i = 0; i < depositCount; i++) {
+      placeSite({ kind: 'deposit', resource: pickWeighted(rng, surface.deposits), amount: rng.int(15, 40) });
+    }
+
+    // Ruins are likelier the more habitable the world was
+    const ruinCount = rng.int(0, 1) + (surface.flora > 0 ? 1 : 0) + Math.round(habitability * 3);
+    for (let i = 0; i < ruinCount; i++) {
+      placeSite({ kind: 'ruins', amount: 1 });
+    }
+
+    // Sites worked on earlier landings
+    const worked = this.worked[key] || {};
+    this.sites.forEach((site, index) => {
+      if (worked[index] !== undefined) site.amount = worked[index];
+    });
+  }
+
+  isPassable(index) {
+    const kind = this.tiles[index];
+    if (kind === 'basin' && this.surface.basin.liquid) return false;
+    return TILES[kind].speed > 0;
+  }
+
+  getPadDistance(index) {
+    return Math.hypot(index % MAP_WIDTH - this.pad.tx, Math.floor(index / MAP_WIDTH) - this.pad.ty);
+  }
+
+  /**
+   * Tiles the rover can drive to from the pad
+   * @returns {number[]} Tile indices
+   */
+  findReachable() {
+    const start = this.pad.ty * MAP_WIDTH + this.pad.tx;
+    const seen = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const index = queue.shift();
+      const tx = index % MAP_WIDTH;
+      const neighbours = [
+        tx > 0 ? index - 1 : -1,
+        tx < MAP_WIDTH - 1 ? index + 1 : -1,
+        index - MAP_WIDTH,
+        index + MAP_WIDTH
+      ];
+      for (const next of neighbours) {
+        if (next < 0 || next >= this.tiles.length || seen.has(next) || !this.isPassable(next)) continue;
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+    return [...seen];
+  }
+
+  getTileIndexAt(x, y) {
+    const tx = Math.floor(x / TILE_SIZE);
+    const ty = Math.floor(y / TILE_SIZE);
+    if (tx < 0 || ty < 0 || tx >= MAP_WIDTH || ty >= MAP_HEIGHT) return -1;
+    return ty * MAP_WIDTH + tx;
+  }
+
+  getSiteDistance(site) {
+    return Math.hypot(this.rover.x / TILE_SIZE - (site.tx + 0.5), this.rover.y / TILE_SIZE - (site.ty + 0.5));
+  }
+
+  getBayUsed() {
+    return Object.values(this.rover.bay).reduce((sum, quantity) => sum + quantity, 0);
+  }
+
+  getResourceName(id) {
+    const resource = RESOURCE_TYPES[id.toUpperCase()];
+    return resource ? resource.name : id;
+  }
+
+  update(dt) {
+    if (!this.active || !this.rover) return;
+
+    const rover = this.rover;
+    const input = this.game.input;
+
+    // Tank steering: turn in place, drive forward or back
+    rover.angle += input.rotation * ROVER_TURN * dt;
+
+    if (input.thrust !== 0) {
+      const tile = this.tiles[this.getTileIndexAt(rover.x, rover.y)];
+      const flat = rover.power > 0 ? 1 : 0.25; // Flat batteries: crawling on reserve
+      const distance = input.thrust * ROVER_SPEED * TILES[tile].speed * flat * dt;
+      const nextX = rover.x + Math.cos(rover.angle) * distance;
+      const nextY = rover.y + Math.sin(rover.angle) * distance;
+
+      // Each axis on its own, so the rover slides along what it can't cross
+      const acrossX = this.getTileIndexAt(nextX, rover.y);
+      if (acrossX >= 0 && this.isPassable(acrossX)) rover.x = nextX;
+      const acrossY = this.getTileIndexAt(rover.x, nextY);
+      if (acrossY >= 0 && this.isPassable(acrossY)) rover.y = nextY;
+
+      rover.power = Math.max(0, rover.power - Math.abs(input.thrust) * POWER_DRAIN * this.climate.drain * dt);
+    }
+
+    // Hazards
+    const hazard = this.hazards.get(this.getTileIndexAt(rover.x, rover.y)) || null;
+    if (hazard && hazard !== this.currentHazard) {
+      this.game.showNotification(`${hazard.label}! Rover taking damage`, 'warning');
+    }
+    this.currentHazard = hazard;
+    if (hazard) {
+      rover.hull -= hazard.damage * dt;
+      if (rover.hull <= 0) {
+        this.wreckRover();
+        return;
+      }
+    }
+
+    // The lander recharges the rover and takes its bay on arrival
+    const atLander = Math.hypot(rover.x / TILE_SIZE - (this.pad.tx + 0.5), rover.y / TILE_SIZE - (this.pad.ty + 0.5)) <= LANDER_RANGE;
+    if (atLander) {
+      rover.power = Math.min(ROVER_MAX_POWER, rover.power + LANDER_RECHARGE * dt);
+      rover.hull = Math.min(ROVER_MAX_HULL, rover.hull + LANDER_RECHARGE * dt);
+      if (!this.atLander) {
+        const result = this.unload();
+        if (result.success) this.game.showNotification(result.message, 'success');
+      }
+    }
+    this.atLander = atLander;
+
+    this.revealSites();
+    this.nearbySite = this.sites.find(site => site.amount > 0 && this.getSiteDistance(site) <= INTERACT_RANGE) || null;
+  }
+
+  /**
+   * Sites within scanner range of the rover show up
+   */
+  revealSites() {
+    for (const site of this.sites) {
+      if (site.discovered || this.getSiteDistance(site) > SCAN_RADIUS) continue;
+      site.discovered = true;
+      if (site.amount > 0) {
+        const label = site.kind === 'ruins' ? 'Ancient ruins' : `${this.getResourceName(site.resource)} deposit`;
+        this.game.showNotification(`Survey: ${label} located`, 'info');
+      }
+    }
+  }
+
+  /**
+   * Work the site at hand: drill a deposit, excavate ruins, or unload at the lander
+   * @returns {{success: boolean, message: string}}
+   */
+  interact() {
+    if (!this.active || !this.rover) return { success: false, message: 'Not on a surface' };
+
+    const site = this.nearbySite;
+    if (!site) {
+      if (this.atLander) return this.unload();
+      return { success: false, message: 'Nothing to work here - find a deposit or ruins' };
+    }
+    if (site.kind === 'ruins') return this.excavate(site);
+    return this.drill(site);
+  }
+
+  drill(site) {
+    const rover = this.rover;
+    const space = BAY_CAPACITY - this.getBayUsed();
+    if (space <= 0) return { success: false, message: 'Rover bay full - return to the lander' };
+    if (rover.power < DRILL_POWER) return { success: false, message: 'Rover power too low to drill - recharge at the lander' };
+
+    const quantity = Math.min(DRILL_YIELD, site.amount, space);
+    rover.power -= DRILL_POWER;
+    rover.bay[site.resource] = (rover.bay[site.resource] || 0) + quantity;
+    this.setSiteAmount(site, site.amount - quantity);
+
+    const name = this.getResourceName(site.resource);
+    return {
+      success: true,
+      message: site.amount > 0 ? `Drilled ${quantity} ${name}` : `Drilled ${quantity} ${name} - deposit exhausted`
+    };
+  }
+
+  excavate(site) {
+    const habitability = this.body.habitability || 0;
+    const item = generateRandomArtifact(1 + habitability);
+    this.rover.items.push(item.id);
+    this.setSiteAmount(site, 0);
+    return { success: true, message: `Excavated ${item.name} from the ruins` };
+  }
+
+  setSiteAmount(site, amount) {
+    site.amount = amount;
+    const worked = this.worked[this.bodyKey] || (this.worked[this.bodyKey] = {});
+    worked[this.sites.indexOf(site)] = amount;
+  }
+
+  /**
+   * Move the rover bay into the ship: resources into the hold (what doesn't
+   * fit stays in the bay), artifacts into the item hold
+   */
+  unload() {
+    const game = this.game;
+    const rover = this.rover;
+    const unloaded = [];
+
+    for (const [id, quantity] of Object.entries(rover.bay)) {
+      const result = game.cargoSystem.addCargo(id, quantity);
+      const added = result.success === true ? quantity : result.success === 'partial' ? result.added : 0;
+      if (added <= 0) continue;
+
+      game.resourceSystem.addResource(id, added);
+      game.events.emit('cargoChanged', { kind: 'resource', id, quantity: added, reason: 'surveyed' });
+      unloaded.push(`${added} ${this.getResourceName(id)}`);
+      if (added < quantity) rover.bay[id] = quantity - added;
+      else delete rover.bay[id];
+    }
+
+    for (const id of rover.items) {
+      if (game.itemEffects.addItem(id)) unloaded.push(game.itemEffects.getItem(id).name);
+    }
+    rover.items = [];
+
+    if (unloaded.length === 0) return { success: false, message: 'Rover bay empty' };
+
+    return {
+      success: true,
+      message: this.getBayUsed() > 0
+        ? `Unloaded ${unloaded.join(', ')} - hold full, the rest stays in the bay`
+        : `Unloaded ${unloaded.join(', ')}`
+    };
+  }
+
+  /**
+   * The rover broke down: its bay is lost and it is towed back to the lander
+   */
+  wreckRover() {
+    const rover = this.rover;
+    rover.bay = {};
+    rover.items = [];
+    rover.x = (this.pad.tx + 0.5) * TILE_SIZE;
+    rover.y = (this.pad.ty + 1.5) * TILE_SIZE;
+    rover.hull = ROVER_MAX_HULL / 2;
+    rover.power = ROVER_MAX_POWER / 2;
+    this.atLander = true;
+    this.currentHazard = null;
+    this.game.showNotification('Rover wrecked! Towed back to the lander - its bay was lost', 'warning');
+  }
+
+  isAtLander() {
+    return !this.active || this.atLander;
+  }
+
+  /**
+   * Readout for the surface panel (UIRenderer)
+   */
+  getStatus() {
+    const rover = this.rover;
+    let action = null;
+    if (this.nearbySite) {
+      action = this.nearbySite.kind === 'ruins'
+        ? 'Excavate ruins'
+        : `Drill ${this.getResourceName(this.nearbySite.resource)} (${this.nearbySite.amount} left)`;
+    } else if (this.atLander && (this.getBayUsed() > 0 || rover.items.length > 0)) {
+      action = 'Unload bay';
+    }
+
+    return {
+      name: this.body.name || this.getBodyType(this.body),
+      terrain: this.surface.label,
+      climate: this.climate.label,
+      hull: rover.hull,
+      maxHull: ROVER_MAX_HULL,
+      power: rover.power,
+      maxPower: ROVER_MAX_POWER,
+      bayUsed: this.getBayUsed(),
+      bayCapacity: BAY_CAPACITY,
+      bay: Object.entries(rover.bay).map(([id, quantity]) => ({ name: this.getResourceName(id), quantity })),
+      artifacts: rover.items.length,
+      sitesFound: this.sites.filter(site => site.discovered).length,
+      sitesLeft: this.sites.filter(site => site.discovered && site.amount > 0).length,
+      atLander: this.atLander,
+      action
+    };
+  }
+
+  // ===== RENDERING =====
+
+  /**
+   * Paint the static terrain once per surface
+   */
+  paintTerrain() {
+    const canvas = document.createElement('canvas');
+    canvas.width = MAP_WIDTH * TILE_SIZE;
+    canvas.height = MAP_HEIGHT * TILE_SIZE;
+    const ctx = canvas.getContext('2d');
+    const colors = this.surface.colors;
+    const rng = new SeededRandom(hashString(this.bodyKey) % 233280);
+
+    for (let i = 0; i < this.tiles.length; i++) {
+      const kind = this.tiles[i];
+      const x = (i % MAP_WIDTH) * TILE_SIZE;
+      const y = Math.floor(i / MAP_WIDTH) * TILE_SIZE;
+
+      ctx.fillStyle = colors[kind] || colors.ground;
+      ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+
+      // Grain
+      for (let speck = 0; speck < 4; speck++) {
+        ctx.fillStyle = rng.boolean() ? 'rgba(255, 255, 255, 0.06)' : 'rgba(0, 0, 0, 0.12)';
+        ctx.fillRect(x + rng.int(0, TILE_SIZE - 4), y + rng.int(0, TILE_SIZE - 4), 4, 4);
+      }
+
+      if (kind === 'mountain') {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.moveTo(x + 4, y + TILE_SIZE - 4);
+        ctx.lineTo(x + TILE_SIZE / 2, y + 4);
+        ctx.lineTo(x + TILE_SIZE - 4, y + TILE_SIZE - 4);
+        ctx.fill();
+      } else if (kind === 'flora') {
+        ctx.fillStyle = '#2f6b2a';
+        for (let plant = 0; plant < 3; plant++) {
+          ctx.fillRect(x + rng.int(2, TILE_SIZE - 10), y + rng.int(2, TILE_SIZE - 10), 8, 8);
+        }
+      } else if (kind === 'pad') {
+        ctx.strokeStyle = '#cccc44';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - TILE_SIZE + 4, y - TILE_SIZE + 4, TILE_SIZE * 3 - 8, TILE_SIZE * 3 - 8);
+      }
+    }
+    return canvas;
+  }
+
+  render(ctx) {
+    if (!this.active || !this.rover) return;
+
+    const { width, height } = this.game;
+    const rover = this.rover;
+    const mapWidth = MAP_WIDTH * TILE_SIZE;
+    const mapHeight = MAP_HEIGHT * TILE_SIZE;
+    const camX = Math.floor(Math.max(0, Math.min(rover.x - width / 2, mapWidth - width)));
+    const camY = Math.floor(Math.max(0, Math.min(rover.y - height / 2, mapHeight - height)));
+
+    if (!this.terrainCanvas) this.terrainCanvas = this.paintTerrain();
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(this.terrainCanvas, -camX, -camY);
+
+    // Hazards shimmer
+    const pulse = 0.35 + Math.sin(this.game.time * 4) * 0.15;
+    ctx.globalAlpha = pulse;
+    for (const [index, hazard] of this.hazards) {
+      const x = (index % MAP_WIDTH) * TILE_SIZE - camX;
+      const y = Math.floor(index / MAP_WIDTH) * TILE_SIZE - camY;
+      if (x < -TILE_SIZE || y < -TILE_SIZE || x > width || y > height) continue;
+      ctx.fillStyle = hazard.color;
+      ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+    }
+    ctx.globalAlpha = 1;
+
+    // Sites the rover has found
+    for (const site of this.sites) {
+      if (!site.discovered) continue;
+      const x = site.tx * TILE_SIZE - camX;
+      const y = site.ty * TILE_SIZE - camY;
+      if (site.kind === 'ruins') {
+        ctx.fillStyle = site.amount > 0 ? '#9a9488' : '#4a4844';
+        ctx.fillRect(x + 4, y + 8, 8, 20);
+        ctx.fillRect(x + 20, y + 4, 8, 24);
+        ctx.fillRect(x + 4, y + 4, 24, 4);
+      } else {
+        const resource = RESOURCE_TYPES[site.resource.toUpperCase()];
+        ctx.fillStyle = site.amount > 0 ? (resource ? resource.color : '#cccccc') : '#333333';
+        ctx.beginPath();
+        ctx.moveTo(x + TILE_SIZE / 2, y + 4);
+        ctx.lineTo(x + TILE_SIZE - 6, y + TILE_SIZE / 2);
+        ctx.lineTo(x + TILE_SIZE / 2, y + TILE_SIZE - 4);
+        ctx.lineTo(x + 6, y + TILE_SIZE / 2);
+        ctx.fill();
+      }
+    }
+
+    // Lander
+    const landerX = (this.pad.tx + 0.5) * TILE_SIZE - camX;
+    const landerY = (this.pad.ty + 0.5) * TILE_SIZE - camY;
+    ctx.fillStyle = '#5a5a66';
+    ctx.fillRect(landerX - 18, landerY - 12, 36, 24);
+    ctx.fillStyle = '#8a8a99';
+    ctx.fillRect(landerX - 10, landerY - 20, 20, 10);
+    ctx.fillStyle = '#2a4a66';
+    ctx.fillRect(landerX - 22, landerY + 10, 8, 6);
+    ctx.fillRect(landerX + 14, landerY + 10, 8, 6);
+
+    // Rover
+    ctx.save();
+    ctx.translate(rover.x - camX, rover.y - camY);
+    ctx.rotate(rover.angle);
+    ctx.fillStyle = '#222228';
+    ctx.fillRect(-11, -10, 8, 4);
+    ctx.fillRect(3, -10, 8, 4);
+    ctx.fillRect(-11, 6, 8, 4);
+    ctx.fillRect(3, 6, 8, 4);
+    ctx.fillStyle = this.currentHazard ? '#cc6644' : '#ccaa44';
+    ctx.fillRect(-12, -7, 24, 14);
+    ctx.fillStyle = '#2abbcc';
+    ctx.fillRect(5, -4, 5, 8);
+    ctx.restore();
+
+    // What can be done here
+    const status = this.getStatus();
+    const prompt = status.action ? `[E] ${status.action}` : status.atLander ? '[SPACE] Launch' : null;
+    if (prompt) {
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#eeeef5';
+      ctx.fillText(prompt, rover.x - camX, rover.y - camY - 24);
+    }
+
+    // Header
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#4488ff';
+    ctx.font = 'bold 20px DigitalDisco, monospace';
+    ctx.fillText(`SURFACE: ${status.name.toUpperCase()}`, width / 2, 50);
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillStyle = '#8899aa';
+    ctx.fillText(`${status.terrain} - ${status.climate}`, width / 2, 75);
+
+    this.renderMinimap(ctx, width - 220, 20, 192);
+  }
+
+  renderMinimap(ctx, x, y, w) {
+    const scale = w / (MAP_WIDTH * TILE_SIZE);
+    const h = MAP_HEIGHT * TILE_SIZE * scale;
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(x - 2, y - 2, w + 4, h + 4);
+    ctx.drawImage(this.terrainCanvas, x, y, w, h);
+
+    for (const site of this.sites) {
+      if (!site.discovered || site.amount <= 0) continue;
+      ctx.fillStyle = site.kind === 'ruins' ? '#ffffff' : '#ffdd44';
+      ctx.fillRect(x + (site.tx + 0.5) * TILE_SIZE * scale - 2, y + (site.ty + 0.5) * TILE_SIZE * scale - 2, 4, 4);
+    }
+
+    ctx.fillStyle = '#2abbcc';
+    ctx.fillRect(x + (this.pad.tx + 0.5) * TILE_SIZE * scale - 3, y + (this.pad.ty + 0.5) * TILE_SIZE * scale - 3, 6, 6);
+    ctx.fillStyle = '#ff4444';
+    ctx.fillRect(x + this.rover.x * scale - 2, y + this.rover.y * scale - 2, 4, 4);
+
+    ctx.strokeStyle = '#2a4a66';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 2, y - 2, w + 4, h + 4);
+  }
+
+  serialize() {
+    return { worked: this.worked };
+  }
+
+  deserialize(data) {
+    this.worked = (data && data.worked) || {};
+    // Surfaces are built again, with the loaded sites, on the next landing
+    this.bodyKey = null;
+    this.leave();
+  }
+}
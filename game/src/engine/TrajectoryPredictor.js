@@ -0,0 +1,243 @@
+/**
+ * TrajectoryPredictor - Where the ship will coast to
+ *
+ * Integrates the ship ahead with its engines off, through the same forces
+ * PhysicsEngine applies: gravity of the star and planets
+ * (AdvancedPhysics.applyGravity, from PhysicsEngine.getGravityBodies), gravity
+ * well hazards (EnvironmentalHazards.getGravityWellPull), the speed cap and
+ * drag.
+ *
+ * The predicted path is marked with:
+ * - periapsis and apoapsis around the body whose sphere of influence the ship is in
+ * - the first projected collision with the star or a planet
+ * - sphere of influence transitions (AdvancedPhysics.calculateSphereOfInfluence)
+ *
+ * How far ahead it looks, how fine the steps are and how often it replots
+ * follow the PerformanceOptimizer quality level.
+ */
+import { SHIP_DRAG } from './PhysicsEngine.js';
+
+const QUALITY = [
+  { horizon: 20, step: 0.2, interval: 0.5 }, // Low: seconds ahead, integration step, seconds between replots
+  { horizon: 40, step: 0.1, interval: 0.25 }, // Medium
+  { horizon: 60, step: 0.05, interval: 0.1 } // High
+];
+const MAX_SPEED = 400; // Speed cap outside warp (PhysicsEngine)
+const FRAME_RATE = 60; // Frames per second PhysicsEngine's per-frame drag is tuned for
+const MIN_SPEED = 5; // Slower than this, there is nothing to predict
+const POINT_SPACING = 20; // World units between the points of the drawn path
+const MAX_APSIDES = 4; // Apsis markers kept along the path
+
+export class TrajectoryPredictor {
+  constructor(game) {
+    this.game = game;
+
+    this.enabled = true;
+    this.prediction = null; // {points, markers}
+    this.timer = 0;
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+    this.prediction = null;
+    return this.enabled;
+  }
+
+  /**
+   * Quality settings for the current performance
+   */
+  getQuality() {
+    const optimizer = this.game.performanceOptimizer;
+    if (!optimizer) return QUALITY[1];
+
+    // Drop a level more while the frame rate is below acceptable
+    let level = optimizer.qualityLevel;
+    if (optimizer.averageFPS < optimizer.minAcceptableFPS) level--;
+    return QUALITY[Math.max(0, Math.min(QUALITY.length - 1, level))];
+  }
+
+  update(dt) {
+    const game = this.game;
+    const p = game.player;
+    if (!this.enabled || game.scene !== 'system' || !game.star ||
+        p.landed || p.docked || p.inOrbit || p.warpActive ||
+        Math.hypot(p.vx, p.vy) < MIN_SPEED) {
+      this.prediction = null;
+      return;
+    }
+
+    const quality = this.getQuality();
+    this.timer -= dt;
+    if (this.timer > 0 && this.prediction) return;
+    this.timer = quality.interval;
+    this.prediction = this.predict(quality);
+  }
+
+  /**
+   * Gravitating bodies t seconds from now, where PhysicsEngine pulls from
+   */
+  getBodies(t) {
+    const game = this.game;
+    const system = game.galaxy && game.galaxy[game.currentSystemIndex];
+    return game.physicsEngine.getGravityBodies(t).map((body, index) => ({
+      ...body,
+      name: index === 0 ? (system ? system.name : 'Star') : (game.planets[index - 1].name || 'Planet')
+    }));
+  }
+
+  /**
+   * Coast the ship forward and mark what happens on the way
+   */
+  predict(quality) {
+    const game = this.game;
+    const physics = game.advancedPhysics;
+    const hazards = game.environmentalHazards;
+    const p = game.player;
+    const ship = { x: p.x, y: p.y, vx: p.vx, vy: p.vy, mass: p.mass || 100 };
+
+    const points = [{ x: ship.x, y: ship.y }];
+    const markers = [];
+    let sinceLastPoint = 0;
+    let influence = physics ? physics.calculateSphereOfInfluence(ship, this.getBodies(0)) : null;
+    let apsides = 0;
+    let radii = []; // Last distances to the reference body, to spot apsides
+    const maxSpeed = game.physicsEngine.modifyStat('speed', MAX_SPEED);
+    const drag = Math.pow(SHIP_DRAG, FRAME_RATE * quality.step); // Per-frame drag over one step
+
+    for (let t = quality.step; t <= quality.horizon; t += quality.step) {
+      const bodies = this.getBodies(t);
+
+      if (physics) physics.applyGravity(ship, bodies, quality.step);
+      if (hazards) {
+        const pull = hazards.getGravityWellPull(ship.x, ship.y);
+        ship.vx += pull.ax * quality.step;
+        ship.vy += pull.ay * quality.step;
+      }
+      const speed = Math.hypot(ship.vx, ship.vy);
+      if (speed > maxSpeed) {
+        ship.vx = (ship.vx / speed) * maxSpeed;
+        ship.vy = (ship.vy / speed) * maxSpeed;
+      }
+      ship.vx *= drag;
+      ship.vy *= drag;
+      ship.x += ship.vx * quality.step;
+      ship.y += ship.vy * quality.step;
+
+      sinceLastPoint += speed * quality.step;
+      if (sinceLastPoint >= POINT_SPACING) {
+        points.push({ x: ship.x, y: ship.y });
+        sinceLastPoint = 0;
+      }
+
+      // Projected collision ends the prediction
+      const hit = bodies.find(body => Math.hypot(ship.x - body.x, ship.y - body.y) < body.radius);
+      if (hit) {
+        points.push({ x: ship.x, y: ship.y });
+        markers.push({ type: 'collision', x: ship.x, y: ship.y, t, label: `IMPACT ${hit.name}` });
+        break;
+      }
+
+      // Sphere of influence transitions
+      const dominant = physics ? physics.calculateSphereOfInfluence(ship, bodies) : null;
+      const dominantName = dominant ? dominant.name : null;
+      const influenceName = influence ? influence.name : null;
+      if (dominantName !== influenceName) {
+        markers.push({
+          type: 'soi',
+          x: ship.x,
+          y: ship.y,
+          t,
+          label: dominant ? `SOI ▸ ${dominant.name}` : `SOI ◂ ${influence.name}`
+        });
+        influence = dominant;
+        radii = [];
+      }
+
+      // Apsides around the body in charge (the star outside every sphere)
+      const reference = dominant || bodies[0];
+      radii.push(Math.hypot(ship.x - reference.x, ship.y - reference.y));
+      if (radii.length > 3) radii.shift();
+      if (radii.length === 3 && apsides < MAX_APSIDES) {
+        const [before, at, after] = radii;
+        const type = at < before && at <= after ? 'periapsis' : at > before && at >= after ? 'apoapsis' : null;
+        if (type) {
+          const altitude = Math.max(0, at - (reference.radius || 0));
+          markers.push({
+            type,
+            x: ship.x,
+            y: ship.y,
+            t,
+            label: `${type === 'periapsis' ? 'Pe' : 'Ap'} ${(altitude / 100).toFixed(1)}km`
+          });
+          apsides++;
+        }
+      }
+    }
+
+    if (points.length > 0) {
+      const last = points[points.length - 1];
+      if (last.x !== ship.x || last.y !== ship.y) points.push({ x: ship.x, y: ship.y });
+    }
+    return { points, markers };
+  }
+
+  /**
+   * Draw the predicted path and its markers in world space
+   */
+  render(ctx, camX, camY) {
+    if (!this.prediction) return;
+    const palette = this.game.PALETTE;
+    const { points, markers } = this.prediction;
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    const segments = points.length - 1;
+    for (let i = 0; i < segments; i++) {
+      // Fades out toward the end of the prediction
+      ctx.globalAlpha = 0.7 * (1 - i / segments) + 0.1;
+      ctx.strokeStyle = palette.warpBlue;
+      ctx.beginPath();
+      ctx.moveTo(points[i].x - camX, points[i].y - camY);
+      ctx.lineTo(points[i + 1].x - camX, points[i + 1].y - camY);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1.0;
+
+    ctx.font = 'bold 10px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+    for (const marker of markers) {
+      const x = marker.x - camX;
+      const y = marker.y - camY;
+      const color = marker.type === 'collision' ? palette.alertRed
+        : marker.type === 'soi' ? palette.cautionOrange : palette.statusGreen;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+
+      if (marker.type === 'collision') {
+        ctx.beginPath();
+        ctx.moveTo(x - 8, y - 8);
+        ctx.lineTo(x + 8, y + 8);
+        ctx.moveTo(x + 8, y - 8);
+        ctx.lineTo(x - 8, y + 8);
+        ctx.stroke();
+      } else if (marker.type === 'soi') {
+        ctx.beginPath();
+        ctx.arc(x, y, 7, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        // Apsides: triangle down for periapsis, up for apoapsis
+        const flip = marker.type === 'periapsis' ? 1 : -1;
+        ctx.beginPath();
+        ctx.moveTo(x, y + 6 * flip);
+        ctx.lineTo(x - 6, y - 5 * flip);
+        ctx.lineTo(x + 6, y - 5 * flip);
+        ctx.closePath();
+        ctx.fill();
+      }
+      ctx.fillText(`${marker.label} T-${Math.ceil(marker.t)}s`, x, y - 14);
+    }
+    ctx.restore();
+  }
+}
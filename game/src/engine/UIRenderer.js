@@ -8,6 +8,8 @@
  * - Pixelated retro sci-fi aesthetics
  * Uses DigitalDisco custom font throughout
  */
+import { ATTITUDE_PERKS, TREATIES } from './DiplomacySystem.js';
+import { RECIPE_CATEGORIES } from './CraftingSystem.js';
 
 export class UIRenderer {
   constructor(game) {
@@ -91,6 +93,10 @@ export class UIRenderer {
       this.renderDiplomacyScreen(ctx);
     } else if (this.game.uiState.showGalaxyMap) {
       this.renderGalaxyMapScreen(ctx);
+    } else if (this.game.uiState.showJournal) {
+      this.renderJournalScreen(ctx);
+    } else if (this.game.uiState.showCrafting) {
+      this.renderCraftingScreen(ctx);
     }
 
     // Render popup window if active
@@ -974,8 +980,8 @@ export class UIRenderer {
     });
 
     // Tab buttons
-    const tabs = ['CARGO', 'ARTIFACTS', 'SHIP STATUS'];
-    const tabNames = ['cargo', 'artifacts', 'ship'];
+    const tabs = ['CARGO', 'ARTIFACTS', 'SHIP STATUS', 'EFFECTS'];
+    const tabNames = ['cargo', 'artifacts', 'ship', 'effects'];
     const tabW = 200;
     const tabH = 40;
     const tabY = y + 80;
@@ -1006,6 +1012,8 @@ export class UIRenderer {
       this.renderCargoTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else if (this.game.uiState.selectedTab === 'artifacts') {
       this.renderArtifactsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTab === 'effects') {
+      this.renderItemEffectsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else {
       this.renderShipStatusTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     }
@@ -1313,11 +1321,18 @@ export class UIRenderer {
         }
         ctx.fillText(displayName, itemX + iconSize / 2, itemY + iconSize + 12);
 
-        // Item quantity (if stackable) or category
+        // Copies in the hold and fitted, or the category if none are carried
+        const itemEffects = this.game.itemEffects;
+        const owned = itemEffects ? itemEffects.getCount(item.id) : 0;
+        const fitted = itemEffects ? itemEffects.getInstalledCount(item.id) : 0;
         ctx.shadowBlur = 0;
-        ctx.fillStyle = '#88aacc';
+        ctx.fillStyle = fitted > 0 ? palette.statusGreen : owned > 0 ? palette.statusBlue : '#88aacc';
         ctx.font = '8px DigitalDisco, monospace';
-        const subText = item.stackable ? 'x1' : item.category.substring(0, 8).toUpperCase();
+        let subText = item.category.substring(0, 8).toUpperCase();
+        if (owned > 0 || fitted > 0) {
+          subText = [owned > 0 ? `x${owned}` : null, fitted > 0 ? `FITTED${fitted > 1 ? ` x${fitted}` : ''}` : null]
+            .filter(Boolean).join(' ');
+        }
         ctx.fillText(subText, itemX + iconSize / 2, itemY + iconSize + 23);
 
         // Store bounds for click/hover
@@ -1327,8 +1342,10 @@ export class UIRenderer {
           w: iconSize,
           h: iconSize + 30,
           action: () => {
-            console.log('Selected item:', item.name);
-            // Future: Show item details panel
+            // Fit, remove or use the item
+            if (!this.game.itemEffects) return;
+            const result = this.game.itemEffects.activate(item.id);
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
           }
         });
       }
@@ -1477,6 +1494,75 @@ export class UIRenderer {
     ctx.fillText(line, x, yPos);
   }
 
+  /**
+   * Item effects in force: fitted items, their curses and timed effects
+   */
+  renderItemEffectsTab(ctx, x, y, w, h, palette) {
+    const effects = this.game.itemEffects ? this.game.itemEffects.getActiveEffects() : [];
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.shadowBlur = 8;
+    ctx.shadowColor = palette.warpBlue;
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 18px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('✦ ACTIVE ITEM EFFECTS', x + 15, y + 30);
+    ctx.shadowBlur = 0;
+
+    if (effects.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '16px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('NO ITEMS FITTED OR IN EFFECT', x + w / 2, y + h / 2 - 10);
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillStyle = '#445566';
+      ctx.fillText('Fit or use items from the ARTIFACTS tab', x + w / 2, y + h / 2 + 15);
+      ctx.restore();
+      return;
+    }
+
+    // Two columns of effect cards
+    const columnW = (w - 45) / 2;
+    const columnY = [y + 60, y + 60];
+    const kindColors = { fitted: palette.statusGreen, cursed: palette.alertRed, timed: palette.cautionOrange };
+
+    for (const effect of effects) {
+      const column = columnY[0] <= columnY[1] ? 0 : 1;
+      const cardX = x + 15 + column * (columnW + 15);
+      const cardY = columnY[column];
+      const cardH = 34 + effect.lines.length * 16;
+      if (cardY + cardH > y + h - 10) continue;
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.fillRect(cardX, cardY, columnW, cardH);
+      ctx.strokeStyle = kindColors[effect.kind];
+      ctx.lineWidth = 1;
+      ctx.strokeRect(cardX, cardY, columnW, cardH);
+
+      // Name, with stacks and time left
+      ctx.fillStyle = kindColors[effect.kind];
+      ctx.font = 'bold 13px DigitalDisco, monospace';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${effect.icon || '✦'} ${effect.name}${effect.stacks > 1 ? ` x${effect.stacks}` : ''}`, cardX + 10, cardY + 20);
+      ctx.textAlign = 'right';
+      ctx.font = '11px DigitalDisco, monospace';
+      const status = effect.kind === 'timed' ? `${Math.ceil(effect.remaining)}s` : effect.kind.toUpperCase();
+      ctx.fillText(status, cardX + columnW - 10, cardY + 20);
+
+      ctx.textAlign = 'left';
+      ctx.font = '11px DigitalDisco, monospace';
+      effect.lines.forEach((line, i) => {
+        ctx.fillStyle = line.curse ? palette.alertRed : '#aaccee';
+        ctx.fillText(`${line.curse ? '☠' : '•'} ${line.text}`, cardX + 18, cardY + 40 + i * 16);
+      });
+
+      columnY[column] += cardH + 10;
+    }
+    ctx.restore();
+  }
+
   renderShipStatusTab(ctx, x, y, w, h, palette) {
     const p = this.game.player;
     const weapons = this.game.weaponSystem.getAllWeapons();
@@ -1631,10 +1717,13 @@ export class UIRenderer {
     ctx.font = '14px DigitalDisco, monospace';
     ctx.textAlign = 'left';
     const systemName = this.game.currentSystemData ? this.game.currentSystemData.name : 'Unknown';
-    const factionName = this.game.currentSystemData && this.game.currentSystemData.faction
-      ? this.game.currentSystemData.faction.replace(/_/g, ' ').toUpperCase()
-      : 'INDEPENDENT';
-    ctx.fillText(`SYSTEM: ${systemName} | FACTION: ${factionName}`, x + 35, y + 100);
+    const factionId = this.game.factionSystem
+      ? this.game.factionSystem.getSystemFaction(this.game.currentSystemIndex, this.game.currentSystemData)
+      : null;
+    const factionName = factionId ? this.game.factionSystem.factions[factionId].name.toUpperCase() : 'INDEPENDENT';
+    const customsAuthority = this.game.customsSystem ? this.game.customsSystem.getAuthority() : null;
+    const customsLabel = customsAuthority ? `CUSTOMS: ${customsAuthority.label}` : 'BLACK MARKET';
+    ctx.fillText(`SYSTEM: ${systemName} | FACTION: ${factionName} | ${customsLabel}`, x + 35, y + 100);
 
     // Player credits with glow
     ctx.shadowBlur = 8;
@@ -1647,18 +1736,26 @@ export class UIRenderer {
     ctx.restore();
 
     // Tab buttons
-    const tabs = ['BUY', 'SELL', 'REFUEL'];
+    const tabs = ['BUY', 'SELL', 'REFUEL', 'CONTRACTS'];
     const tabW = 170;
     const tabH = 42;
     const tabY = y + 145;
 
     for (let i = 0; i < tabs.length; i++) {
       const tabX = x + 25 + i * (tabW + 15);
-      const isSelected = (i === 0 && this.game.uiState.selectedTradeTab === 'buy') ||
-                         (i === 1 && this.game.uiState.selectedTradeTab === 'sell') ||
-                         (i === 2 && this.game.uiState.selectedTradeTab === 'refuel');
+      const tabId = tabs[i].toLowerCase();
+      const isSelected = this.game.uiState.selectedTradeTab === tabId;
 
       this.drawTerminalButton(ctx, tabX, tabY, tabW, tabH, tabs[i], isSelected, palette);
+      this.game.tradingButtonBounds.push({
+        x: tabX,
+        y: tabY,
+        w: tabW,
+        h: tabH,
+        action: () => {
+          this.game.uiState.selectedTradeTab = tabId;
+        }
+      });
     }
 
     // Content area
@@ -1669,6 +1766,8 @@ export class UIRenderer {
       this.renderBuyTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else if (this.game.uiState.selectedTradeTab === 'sell') {
       this.renderSellTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'contracts') {
+      this.renderContractsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else {
       this.renderRefuelTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     }
@@ -1684,7 +1783,7 @@ export class UIRenderer {
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText('[T] Close Trading | [ESC] Close All UI | [1-3] Switch Tabs', x + w / 2, y + h - 25);
+    ctx.fillText('[T] Close Trading | [ESC] Close All UI | [1-4] Switch Tabs', x + w / 2, y + h - 25);
     ctx.restore();
   }
 
@@ -2135,6 +2234,110 @@ export class UIRenderer {
     ctx.restore();
   }
 
+  renderContractsTab(ctx, x, y, w, h, palette) {
+    const missionSystem = this.game.missionSystem;
+    if (!missionSystem) return;
+
+    const board = missionSystem.getBoard();
+    const active = missionSystem.active;
+    const colW = (w - 20) / 2;
+    const playtime = this.game.playtime || 0;
+
+    const formatMinutes = (ms) => `${Math.max(0, Math.ceil(ms / 60000))} MIN`;
+
+    // Station board (left) and accepted contracts (right)
+    const columns = [
+      {
+        x,
+        title: missionSystem.currentStation ? `◆ STATION BOARD - ${missionSystem.currentStation.name.toUpperCase()} ◆` : '◆ STATION BOARD ◆',
+        empty: missionSystem.currentStation ? 'NO CONTRACTS POSTED' : 'DOCK AT A STATION TO SEE ITS BOARD',
+        contracts: board,
+        button: 'ACCEPT',
+        status: (contract) => `${contract.destinationName.toUpperCase()} | ${formatMinutes(contract.duration)}`,
+        action: (contract) => {
+          const result = missionSystem.accept(contract.id);
+          this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+        }
+      },
+      {
+        x: x + colW + 20,
+        title: `◆ ACTIVE CONTRACTS (${active.length}) ◆`,
+        empty: 'NO ACTIVE CONTRACTS',
+        contracts: active,
+        button: 'ABANDON',
+        status: (contract) => contract.status === 'ready'
+          ? 'DONE - DOCK TO TURN IN'
+          : `${contract.progress}/${contract.quantity} | ${formatMinutes(contract.deadline - playtime)} LEFT`,
+        action: (contract) => missionSystem.abandon(contract.id)
+      }
+    ];
+
+    for (const column of columns) {
+      this.drawDataPanel(ctx, column.x, y, colW, h, palette);
+
+      ctx.save();
+      ctx.shadowBlur = 5;
+      ctx.shadowColor = palette.statusBlue;
+      ctx.fillStyle = palette.statusBlue;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.textAlign = 'left';
+      ctx.fillText(column.title, column.x + 15, y + 30);
+      ctx.shadowBlur = 0;
+
+      if (column.contracts.length === 0) {
+        ctx.fillStyle = '#556677';
+        ctx.font = '14px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(column.empty, column.x + colW / 2, y + 100);
+      }
+
+      let rowY = y + 55;
+      for (const contract of column.contracts) {
+        if (rowY + 80 > y + h) break;
+
+        ctx.fillStyle = '#0f0f18';
+        ctx.fillRect(column.x + 10, rowY, colW - 20, 80);
+        ctx.strokeStyle = contract.status === 'ready' ? palette.statusGreen : '#334455';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(column.x + 10, rowY, colW - 20, 80);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = palette.warpBlue;
+        ctx.font = 'bold 11px DigitalDisco, monospace';
+        ctx.fillText(contract.typeName.toUpperCase(), column.x + 22, rowY + 20);
+
+        ctx.fillStyle = '#aabbcc';
+        ctx.font = '12px DigitalDisco, monospace';
+        ctx.fillText(contract.title, column.x + 22, rowY + 42);
+
+        ctx.fillStyle = contract.status === 'ready' ? palette.statusGreen : '#88aacc';
+        ctx.font = '11px DigitalDisco, monospace';
+        ctx.fillText(column.status(contract), column.x + 22, rowY + 64);
+
+        ctx.fillStyle = palette.cautionOrange;
+        ctx.font = 'bold 12px DigitalDisco, monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${contract.reward} CR`, column.x + colW - 140, rowY + 20);
+
+        const btnW = 100;
+        const btnH = 28;
+        const btnX = column.x + colW - btnW - 25;
+        const btnY = rowY + 26;
+        this.drawTerminalButton(ctx, btnX, btnY, btnW, btnH, column.button, false, palette);
+        this.game.tradingButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => column.action(contract)
+        });
+
+        rowY += 90;
+      }
+      ctx.restore();
+    }
+  }
+
   renderRefuelTab(ctx, x, y, w, h, palette) {
     const market = this.game.currentMarket;
     const currentFuel = this.game.economySystem.fuel;
@@ -2221,6 +2424,7 @@ export class UIRenderer {
    */
   renderDiplomacyScreen(ctx) {
     const palette = this.game.PALETTE;
+    const factionSystem = this.game.factionSystem;
     const w = 1400;
     const h = 880;
     const x = (this.game.width - w) / 2;
@@ -2247,31 +2451,42 @@ export class UIRenderer {
         if (this.game.mobileControls) {
           this.game.mobileControls.buttons.diplomacy.active = false;
         }
+        this.game.updatePauseState();
       }
     });
 
     // Current system faction info panel
     this.drawDataPanel(ctx, x + 20, y + 75, w - 40, 50, palette);
 
-    const currentFaction = this.game.currentSystemData ? this.game.currentSystemData.faction : null;
+    const currentFaction = factionSystem.getSystemFaction(this.game.currentSystemIndex, this.game.currentSystemData);
+    ctx.save();
+    ctx.font = '15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
     if (currentFaction) {
-      const factionData = this.game.factionSystem.getFaction(currentFaction);
-      const factionColor = this.game.factionSystem.getFactionColor(currentFaction);
-
-      ctx.save();
+      const factionColor = factionSystem.getFactionColor(currentFaction);
       ctx.shadowBlur = 6;
       ctx.shadowColor = factionColor;
       ctx.fillStyle = factionColor;
-      ctx.font = '15px DigitalDisco, monospace';
-      ctx.textAlign = 'left';
-      ctx.fillText(`CURRENT TERRITORY: ${factionData.name}`, x + 35, y + 105);
+      ctx.fillText(`CURRENT TERRITORY: ${factionSystem.getFaction(currentFaction).name}`, x + 35, y + 105);
       ctx.shadowBlur = 0;
-      ctx.restore();
+    } else {
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText('CURRENT TERRITORY: UNCLAIMED SPACE', x + 35, y + 105);
     }
 
-    // Faction list (left side)
-    const factions = this.game.factionSystem.factions;
-    const factionList = Object.values(factions);
+    // Wars in progress
+    const wars = this.game.diplomacySystem ? this.game.diplomacySystem.getWars() : [];
+    ctx.fillStyle = wars.length > 0 ? palette.alertRed : '#88aacc';
+    ctx.font = '13px DigitalDisco, monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(`WARS IN PROGRESS: ${wars.length}`, x + w - 35, y + 105);
+    ctx.restore();
+
+    // Faction list (left side) - alien races once the player has found their space
+    const factionIds = factionSystem.getKnownFactions();
+    if (!factionIds.includes(this.game.uiState.selectedFaction)) {
+      this.game.uiState.selectedFaction = currentFaction || factionIds[0];
+    }
 
     const listX = x + 20;
     const listY = y + 145;
@@ -2285,45 +2500,49 @@ export class UIRenderer {
     ctx.shadowColor = palette.statusBlue;
     ctx.fillStyle = palette.statusBlue;
     ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
     ctx.fillText('KNOWN FACTIONS', listX + 15, listY + 30);
     ctx.shadowBlur = 0;
 
-    let factionY = listY + 55;
-    for (const faction of factionList) {
-      const isSelected = this.game.uiState.selectedFaction === faction.id;
-
-      // Faction button with depth
-      if (isSelected) {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-        ctx.fillRect(listX + 17, listY + 3, listW - 30, 55);
-      }
+    let factionY = listY + 50;
+    for (const factionId of factionIds) {
+      if (factionY + 46 > listY + h - 230) break;
+      const faction = factionSystem.getFaction(factionId);
+      const isSelected = this.game.uiState.selectedFaction === factionId;
 
       ctx.fillStyle = isSelected ? `${faction.color}33` : '#0a0a0f';
-      ctx.fillRect(listX + 15, factionY, listW - 30, 55);
+      ctx.fillRect(listX + 15, factionY, listW - 30, 46);
 
       ctx.shadowBlur = isSelected ? 10 : 0;
       ctx.shadowColor = faction.color;
       ctx.strokeStyle = isSelected ? faction.color : '#334455';
       ctx.lineWidth = isSelected ? 3 : 2;
-      ctx.strokeRect(listX + 15, factionY, listW - 30, 55);
+      ctx.strokeRect(listX + 15, factionY, listW - 30, 46);
       ctx.shadowBlur = 0;
 
-      // Faction name and flag
+      // Faction name and attitude
       ctx.shadowBlur = isSelected ? 8 : 4;
       ctx.shadowColor = faction.color;
       ctx.fillStyle = faction.color;
-      ctx.font = 'bold 15px DigitalDisco, monospace';
-      ctx.textAlign = 'left';
-      ctx.fillText(`${faction.flag} ${faction.name}`, listX + 25, factionY + 28);
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText(faction.name, listX + 25, factionY + 20);
       ctx.shadowBlur = 0;
 
-      // Faction type
       ctx.fillStyle = '#88aacc';
       ctx.font = '11px DigitalDisco, monospace';
-      ctx.fillText(faction.government, listX + 25, factionY + 45);
+      ctx.fillText(`${faction.government} | ${faction.attitude.toUpperCase()} (${Math.floor(faction.reputation)})`, listX + 25, factionY + 37);
+
+      this.game.diplomacyButtonBounds.push({
+        x: listX + 15,
+        y: factionY,
+        w: listW - 30,
+        h: 46,
+        action: () => {
+          this.game.uiState.selectedFaction = factionId;
+        }
+      });
 
-      factionY += 65;
-      if (factionY > y + h - 120) break;
+      factionY += 52;
     }
     ctx.restore();
 
@@ -2335,19 +2554,9 @@ export class UIRenderer {
 
     this.drawDataPanel(ctx, detailsX, detailsY, detailsW, detailsH, palette);
 
-    if (this.game.uiState.selectedFaction) {
-      const selectedFaction = this.game.factionSystem.getFaction(this.game.uiState.selectedFaction);
+    const selectedFaction = factionSystem.getFaction(this.game.uiState.selectedFaction);
+    if (selectedFaction) {
       this.renderFactionDetails(ctx, detailsX + 15, detailsY + 15, detailsW - 30, detailsH - 30, selectedFaction, palette);
-    } else {
-      ctx.save();
-      ctx.fillStyle = '#556677';
-      ctx.font = '18px DigitalDisco, monospace';
-      ctx.textAlign = 'center';
-      ctx.shadowBlur = 6;
-      ctx.shadowColor = palette.statusBlue;
-      ctx.fillText('← SELECT A FACTION TO VIEW DETAILS', detailsX + detailsW / 2, detailsY + 100);
-      ctx.shadowBlur = 0;
-      ctx.restore();
     }
 
     // CRT effects
@@ -2361,14 +2570,24 @@ export class UIRenderer {
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText('[F] Close Diplomacy | [ESC] Close All UI | Click faction to view details', x + w / 2, y + h - 25);
+    ctx.fillText('[D] Close Diplomacy | [ESC] Close All UI | Click faction to view details', x + w / 2, y + h - 25);
     ctx.restore();
   }
 
   renderFactionDetails(ctx, x, y, w, h, faction, palette) {
+    const diplomacy = this.game.diplomacySystem;
+    const tierColors = {
+      hostile: palette.alertRed,
+      unfriendly: palette.cautionOrange,
+      neutral: palette.statusBlue,
+      friendly: palette.plasmaGreen,
+      allied: palette.statusGreen
+    };
+
     ctx.save();
+    ctx.textAlign = 'left';
 
-    // Split into two columns: Info on left, Missions on right
+    // Split into two columns: standing with the player on the left, other factions on the right
     const col1W = (w * 0.55);
     const col2W = (w * 0.42);
     const col2X = x + col1W + 20;
@@ -2380,280 +2599,638 @@ export class UIRenderer {
     ctx.shadowColor = faction.color;
     ctx.fillStyle = faction.color;
     ctx.font = 'bold 18px DigitalDisco, monospace';
-    ctx.textAlign = 'left';
-    ctx.fillText(`${faction.flag} ${faction.name.toUpperCase()}`, x, y + 25);
+    ctx.fillText(faction.name.toUpperCase(), x, y + 25);
     ctx.shadowBlur = 0;
 
-    // Government type
     ctx.fillStyle = palette.statusBlue;
     ctx.font = '13px DigitalDisco, monospace';
-    ctx.fillText(`Government: ${faction.government}`, x, y + 48);
+    const warSystem = this.game.warSystem;
+    const fleet = warSystem ? ` | Fleet: ${warSystem.getFleetStrength(faction.id)}/${warSystem.getFleetCapacity(faction.id)}` : '';
+    ctx.fillText(`Government: ${faction.government} | Territory: ${faction.territory.length} systems${fleet}`, x, y + 48);
 
-    // === REPUTATION SYSTEM ===
-    let yPos = y + 75;
+    let yPos = y + 72;
+    ctx.fillStyle = '#aabbcc';
+    ctx.font = '11px DigitalDisco, monospace';
+    for (const line of this.wrapTextToArray(faction.description, col1W - 10, ctx).slice(0, 3)) {
+      ctx.fillText(line, x, yPos);
+      yPos += 16;
+    }
+    yPos += 14;
 
-    // Reputation header
+    // === REPUTATION ===
     ctx.shadowBlur = 6;
     ctx.shadowColor = palette.plasmaGreen;
     ctx.fillStyle = palette.plasmaGreen;
     ctx.font = 'bold 14px DigitalDisco, monospace';
     ctx.fillText('◆ REPUTATION STATUS', x, yPos);
     ctx.shadowBlur = 0;
-    yPos += 25;
-
-    // Calculate reputation (mock for now - would be stored in save game)
-    const reputation = faction.hostileToPlayer ? -500 : 250; // Range: -1000 to 1000
-    const repPercent = ((reputation + 1000) / 2000); // Convert to 0-1
+    yPos += 15;
 
-    // Reputation bar background
+    const reputation = Math.floor(faction.reputation);
+    const repColor = tierColors[faction.attitude] || palette.statusBlue;
     const barW = col1W - 20;
     const barH = 24;
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
     ctx.fillRect(x, yPos, barW, barH);
-
-    // Reputation bar border
     ctx.strokeStyle = palette.statusBlue;
     ctx.lineWidth = 2;
     ctx.strokeRect(x, yPos, barW, barH);
 
-    // Reputation bar fill (color based on reputation)
-    let repColor = palette.alertRed;
-    if (reputation > 500) repColor = palette.statusGreen;
-    else if (reputation > 0) repColor = palette.cautionOrange;
-
     ctx.fillStyle = repColor;
     ctx.shadowBlur = 8;
     ctx.shadowColor = repColor;
-    ctx.fillRect(x + 2, yPos + 2, (barW - 4) * repPercent, barH - 4);
+    ctx.fillRect(x + 2, yPos + 2, (barW - 4) * reputation / 100, barH - 4);
     ctx.shadowBlur = 0;
 
-    // Reputation text
-    let repStatus = 'HOSTILE';
-    if (reputation > 750) repStatus = 'ALLIED';
-    else if (reputation > 500) repStatus = 'FRIENDLY';
-    else if (reputation > 250) repStatus = 'NEUTRAL';
-    else if (reputation > 0) repStatus = 'UNFRIENDLY';
-    else if (reputation > -500) repStatus = 'HOSTILE';
-    else repStatus = 'AT WAR';
+    // Tier boundaries
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    for (const mark of [20, 40, 70, 90]) {
+      ctx.beginPath();
+      ctx.moveTo(x + barW * mark / 100, yPos);
+      ctx.lineTo(x + barW * mark / 100, yPos + barH);
+      ctx.stroke();
+    }
 
     ctx.fillStyle = '#ffffff';
     ctx.font = 'bold 11px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText(`${repStatus} (${reputation})`, x + barW / 2, yPos + barH / 2 + 4);
+    ctx.fillText(`${faction.attitude.toUpperCase()} (${reputation}/100)`, x + barW / 2, yPos + barH / 2 + 4);
     ctx.textAlign = 'left';
+    yPos += barH + 14;
 
-    yPos += 40;
-
-    // Description
-    ctx.fillStyle = '#aabbcc';
-    ctx.font = '11px DigitalDisco, monospace';
-    const descLines = this.wrapTextToArray(faction.description, col1W - 10, ctx);
-    for (let i = 0; i < Math.min(3, descLines.length); i++) {
-      ctx.fillText(descLines[i], x, yPos);
-      yPos += 16;
+    // Reputation history sparkline
+    const history = diplomacy ? diplomacy.getReputationHistory(faction.id) : [];
+    const graphH = 60;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(x, yPos, barW, graphH);
+    ctx.strokeStyle = '#334455';
+    ctx.strokeRect(x, yPos, barW, graphH);
+    if (history.length > 1) {
+      ctx.strokeStyle = repColor;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      history.forEach((sample, i) => {
+        const px = x + (barW * i) / (history.length - 1);
+        const py = yPos + graphH - (graphH * sample.reputation) / 100;
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+      });
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = '#556677';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('NO HISTORY YET', x + barW / 2, yPos + graphH / 2 + 4);
+      ctx.textAlign = 'left';
     }
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '10px DigitalDisco, monospace';
+    ctx.fillText('REPUTATION HISTORY', x + 5, yPos + 12);
+    yPos += graphH + 25;
 
-    yPos += 15;
-
-    // Traits section
+    // Perks per attitude tier (the current one highlighted)
     ctx.shadowBlur = 5;
     ctx.shadowColor = palette.statusBlue;
     ctx.fillStyle = palette.statusBlue;
     ctx.font = 'bold 12px DigitalDisco, monospace';
-    ctx.fillText('◆ TRAITS & BONUSES', x, yPos);
+    ctx.fillText('◆ PERKS BY ATTITUDE', x, yPos);
     ctx.shadowBlur = 0;
     yPos += 20;
 
-    ctx.fillStyle = '#aabbcc';
-    ctx.font = '10px DigitalDisco, monospace';
-    for (const trait of faction.traits.slice(0, 3)) {
-      ctx.fillText(`• ${trait}`, x + 5, yPos);
-      yPos += 16;
+    for (const [tier, perks] of Object.entries(ATTITUDE_PERKS)) {
+      const isCurrent = tier === faction.attitude;
+      ctx.fillStyle = isCurrent ? tierColors[tier] : '#556677';
+      ctx.font = `${isCurrent ? 'bold ' : ''}11px DigitalDisco, monospace`;
+      ctx.fillText(`${isCurrent ? '▶' : ' '} ${tier.toUpperCase()}`, x, yPos);
+      ctx.fillText(perks.perks.join(', '), x + 110, yPos);
+      yPos += 17;
     }
-
     yPos += 15;
 
-    // Statistics grid
+    // Actions
+    if (diplomacy) {
+      const btnW = (col1W - 30) / 2;
+      const btnH = 36;
+      const canTalk = !faction.noDiplomacy;
+      const cooldown = diplomacy.getTributeCooldown(faction.id);
+      const tributeLabel = cooldown > 0
+        ? `TRIBUTE (${Math.ceil(cooldown / 60000)}m)`
+        : `PAY TRIBUTE ${diplomacy.getTributeCost(faction.id)} CR`;
+
+      this.drawTerminalButton(ctx, x, yPos, btnW, btnH, tributeLabel, false, palette);
+      this.drawTerminalButton(ctx, x + btnW + 10, yPos, btnW, btnH, 'REQUEST FAVOUR', false, palette);
+
+      const report = (result) => {
+        this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+      };
+      this.game.diplomacyButtonBounds.push(
+        { x, y: yPos, w: btnW, h: btnH, action: () => report(diplomacy.payTribute(faction.id)) },
+        { x: x + btnW + 10, y: yPos, w: btnW, h: btnH, action: () => report(diplomacy.requestFavour(faction.id)) }
+      );
+
+      if (!canTalk) {
+        ctx.fillStyle = palette.alertRed;
+        ctx.font = '11px DigitalDisco, monospace';
+        ctx.fillText('This faction does not negotiate.', x, yPos + btnH + 18);
+      }
+    }
+
+    // === RIGHT COLUMN: RELATIONS WITH OTHER FACTIONS ===
+
+    ctx.shadowBlur = 8;
+    ctx.shadowColor = palette.plasmaGreen;
+    ctx.fillStyle = palette.plasmaGreen;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText('◆ FOREIGN RELATIONS', col2X, y + 25);
+    ctx.shadowBlur = 0;
+
+    const relationColors = {
+      war: palette.alertRed,
+      hostile: palette.alertRed,
+      unfriendly: palette.cautionOrange,
+      neutral: '#88aacc',
+      friendly: palette.plasmaGreen,
+      allied: palette.statusGreen
+    };
+
+    let relationY = y + 45;
+    const cardH = 58;
+    for (const otherId of this.game.factionSystem.getKnownFactions()) {
+      if (otherId === faction.id || !diplomacy) continue;
+      if (relationY + cardH > y + h) break;
+      const other = this.game.factionSystem.factions[otherId];
+      const relation = diplomacy.getRelation(faction.id, otherId);
+      const standing = diplomacy.getStanding(faction.id, otherId);
+      const color = relationColors[relation];
+
+      ctx.fillStyle = 'rgba(10, 10, 15, 0.7)';
+      ctx.fillRect(col2X, relationY, col2W, cardH);
+      ctx.strokeStyle = relation === 'war' ? palette.alertRed : '#334455';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(col2X, relationY, col2W, cardH);
+
+      ctx.fillStyle = other.color;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(other.name, col2X + 10, relationY + 18);
+
+      ctx.fillStyle = color;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${relation.toUpperCase()} (${standing > 0 ? '+' : ''}${standing})`, col2X + col2W - 10, relationY + 18);
+      ctx.textAlign = 'left';
+
+      // Standing bar (-100..100, centred)
+      const standingW = col2W - 20;
+      const centre = col2X + 10 + standingW / 2;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(col2X + 10, relationY + 25, standingW, 6);
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.min(centre, centre + standingW / 2 * standing / 100), relationY + 25, Math.abs(standingW / 2 * standing / 100), 6);
+
+      // Treaty badges
+      let badgeX = col2X + 10;
+      const badges = relation === 'war'
+        ? [{ text: 'WAR', color: palette.alertRed }]
+        : diplomacy.getTreaties(faction.id, otherId).map(type => ({ text: TREATIES[type].short, color: palette.statusBlue }));
+      for (const badge of badges) {
+        ctx.fillStyle = badge.color;
+        ctx.fillRect(badgeX, relationY + 36, 60, 15);
+        ctx.fillStyle = '#000000';
+        ctx.font = 'bold 9px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(badge.text, badgeX + 30, relationY + 47);
+        ctx.textAlign = 'left';
+        badgeX += 68;
+      }
+      if (badges.length === 0) {
+        ctx.fillStyle = '#556677';
+        ctx.font = '10px DigitalDisco, monospace';
+        ctx.fillText('No treaties', col2X + 10, relationY + 47);
+      }
+
+      relationY += cardH + 6;
+    }
+
+    ctx.restore();
+  }
+
+  // Helper function to wrap text into array of lines
+  wrapTextToArray(text, maxWidth, ctx) {
+    const words = text.split(' ');
+    const lines = [];
+    let currentLine = words[0];
+
+    for (let i = 1; i < words.length; i++) {
+      const word = words[i];
+      const width = ctx.measureText(currentLine + ' ' + word).width;
+      if (width < maxWidth) {
+        currentLine += ' ' + word;
+      } else {
+        lines.push(currentLine);
+        currentLine = word;
+      }
+    }
+    lines.push(currentLine);
+    return lines;
+  }
+
+  /**
+   * QUEST JOURNAL SCREEN - Terminal Style
+   */
+  renderJournalScreen(ctx) {
+    const palette = this.game.PALETTE;
+    const questSystem = this.game.questSystem;
+    const w = 1200;
+    const h = 800;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
+
+    this.game.journalButtonBounds = [];
+
+    this.drawTerminalPanel(ctx, x, y, w, h, '[LOG] QUEST JOURNAL', palette);
+
+    // Close button (X) in top-right corner
+    const closeButtonSize = 40;
+    const closeX = x + w - closeButtonSize - 20;
+    const closeY = y + 20;
+    this.drawTerminalButton(ctx, closeX, closeY, closeButtonSize, closeButtonSize, 'X', false, palette);
+    this.game.journalButtonBounds.push({
+      x: closeX,
+      y: closeY,
+      w: closeButtonSize,
+      h: closeButtonSize,
+      action: () => {
+        this.game.uiState.showJournal = false;
+        this.game.updatePauseState();
+      }
+    });
+
+    if (!questSystem) return;
+
+    // Active quests first, then finished ones
+    const order = { active: 0, completed: 1, failed: 2 };
+    const quests = Object.values(questSystem.quests).sort((a, b) => order[a.status] - order[b.status]);
+    if (!questSystem.quests[this.game.uiState.selectedQuest]) {
+      this.game.uiState.selectedQuest = questSystem.trackedId || (quests[0] && quests[0].id) || null;
+    }
+    const statusColors = { active: palette.statusBlue, completed: palette.statusGreen, failed: palette.alertRed };
+
+    // Quest list (left side)
+    const listX = x + 20;
+    const listY = y + 75;
+    const listW = 380;
+    const listH = h - 150;
+    this.drawDataPanel(ctx, listX, listY, listW, listH, palette);
+
+    ctx.save();
     ctx.shadowBlur = 5;
-    ctx.shadowColor = palette.cautionOrange;
-    ctx.fillStyle = palette.cautionOrange;
-    ctx.font = 'bold 12px DigitalDisco, monospace';
-    ctx.fillText('◆ FACTION DATA', x, yPos);
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('QUESTS', listX + 15, listY + 30);
     ctx.shadowBlur = 0;
-    yPos += 20;
 
-    const stats = [
-      { label: 'Territory', value: faction.territorySize.toUpperCase(), color: palette.statusBlue },
-      { label: 'Trade Bonus', value: `${(faction.tradeModifier * 100 - 100).toFixed(0)}%`, color: palette.plasmaGreen },
-      { label: 'Military', value: `${faction.patrolStrength}/5 ★`, color: palette.cautionOrange },
-      { label: 'Systems', value: `${faction.territorySize === 'large' ? '15-20' : faction.territorySize === 'medium' ? '8-14' : '3-7'}`, color: '#88aacc' }
-    ];
+    let rowY = listY + 50;
+    for (const state of quests) {
+      if (rowY + 55 > listY + listH) break;
+
+      const quest = questSystem.getDefinition(state.id);
+      const isSelected = this.game.uiState.selectedQuest === state.id;
+      const color = statusColors[state.status];
+
+      ctx.fillStyle = isSelected ? `${color}33` : '#0a0a0f';
+      ctx.fillRect(listX + 15, rowY, listW - 30, 55);
+      ctx.strokeStyle = isSelected ? color : '#334455';
+      ctx.lineWidth = isSelected ? 3 : 2;
+      ctx.strokeRect(listX + 15, rowY, listW - 30, 55);
+
+      ctx.fillStyle = color;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText(`${questSystem.trackedId === state.id ? '◆ ' : ''}${quest.title}`, listX + 25, rowY + 24);
+
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(state.status.toUpperCase(), listX + 25, rowY + 43);
+
+      this.game.journalButtonBounds.push({
+        x: listX + 15,
+        y: rowY,
+        w: listW - 30,
+        h: 55,
+        action: () => {
+          this.game.uiState.selectedQuest = state.id;
+        }
+      });
+
+      rowY += 65;
+    }
+
+    if (quests.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '14px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('NO QUESTS', listX + listW / 2, listY + 100);
+    }
+    ctx.restore();
+
+    // Quest details (right side)
+    const detailsX = x + 420;
+    const detailsY = listY;
+    const detailsW = w - 440;
+    this.drawDataPanel(ctx, detailsX, detailsY, detailsW, listH, palette);
+
+    const state = questSystem.quests[this.game.uiState.selectedQuest];
+    if (state) {
+      const quest = questSystem.getDefinition(state.id);
+      const textX = detailsX + 20;
+      const textW = detailsW - 40;
+
+      ctx.save();
+      ctx.textAlign = 'left';
+      ctx.shadowBlur = 8;
+      ctx.shadowColor = statusColors[state.status];
+      ctx.fillStyle = statusColors[state.status];
+      ctx.font = 'bold 20px DigitalDisco, monospace';
+      ctx.fillText(quest.title.toUpperCase(), textX, detailsY + 40);
+      ctx.shadowBlur = 0;
+
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '13px DigitalDisco, monospace';
+      let textY = detailsY + 70;
+      for (const line of this.wrapTextToArray(quest.summary, textW, ctx)) {
+        ctx.fillText(line, textX, textY);
+        textY += 20;
+      }
+
+      // Current objective
+      if (state.status === 'active') {
+        const objective = questSystem.getObjective(state);
+        textY += 20;
+        ctx.fillStyle = palette.cautionOrange;
+        ctx.font = 'bold 14px DigitalDisco, monospace';
+        ctx.fillText('CURRENT OBJECTIVE', textX, textY);
+        textY += 24;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px DigitalDisco, monospace';
+        for (const line of this.wrapTextToArray(objective.text, textW - 160, ctx)) {
+          ctx.fillText(line, textX, textY);
+          textY += 20;
+        }
+        if (objective.progress) {
+          ctx.fillStyle = palette.statusGreen;
+          ctx.fillText(`PROGRESS: ${objective.progress}`, textX, textY);
+          textY += 20;
+        }
+
+        const limit = quest.timeLimit;
+        if (limit) {
+          const left = Math.max(0, Math.ceil((state.startedAt + limit - (this.game.playtime || 0)) / 60000));
+          ctx.fillStyle = palette.cautionOrange;
+          ctx.fillText(`TIME LEFT: ${left} MIN`, textX, textY);
+          textY += 20;
+        }
+
+        // Track button
+        const isTracked = questSystem.trackedId === state.id;
+        const btnW = 140;
+        const btnH = 32;
+        const btnX = detailsX + detailsW - btnW - 20;
+        const btnY = detailsY + 20;
+        this.drawTerminalButton(ctx, btnX, btnY, btnW, btnH, isTracked ? 'TRACKED' : 'TRACK', isTracked, palette);
+        this.game.journalButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => questSystem.track(state.id)
+        });
+      }
+
+      // Log of finished steps
+      textY += 30;
+      ctx.fillStyle = palette.statusBlue;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText('LOG', textX, textY);
+      textY += 24;
+
+      ctx.font = '13px DigitalDisco, monospace';
+      for (const entry of state.log) {
+        if (textY > detailsY + listH - 20) break;
+        ctx.fillStyle = '#88aacc';
+        ctx.fillText(`[${Math.floor(entry.playtime / 60000)}m] • ${entry.text}`, textX, textY);
+        textY += 20;
+      }
+      if (state.log.length === 0) {
+        ctx.fillStyle = '#556677';
+        ctx.fillText('No entries yet', textX, textY);
+      }
+      ctx.restore();
+    }
+
+    // CRT effects
+    this.drawScanlines(ctx, x, y, w, h);
+    this.drawCRTNoise(ctx, x, y, w, h);
+
+    // Help text
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('[O] Close Journal | [ESC] Close All UI | Click quest to view, TRACK to show it on the HUD', x + w / 2, y + h - 25);
+    ctx.restore();
+  }
 
-    ctx.font = '10px DigitalDisco, monospace';
-    for (const stat of stats) {
-      ctx.fillStyle = '#88aacc';
-      ctx.fillText(stat.label + ':', x + 5, yPos);
-      ctx.fillStyle = stat.color;
-      ctx.font = 'bold 10px DigitalDisco, monospace';
-      ctx.fillText(stat.value, x + 120, yPos);
-      ctx.font = '10px DigitalDisco, monospace';
-      yPos += 16;
-    }
+  /**
+   * CRAFTING SCREEN - Recipe browser and fabrication queue
+   */
+  renderCraftingScreen(ctx) {
+    const palette = this.game.PALETTE;
+    const crafting = this.game.craftingSystem;
+    const w = 1200;
+    const h = 800;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
 
-    // === RIGHT COLUMN: MISSIONS ===
+    this.game.craftingButtonBounds = [];
 
-    // Mission board header
-    ctx.shadowBlur = 8;
-    ctx.shadowColor = palette.plasmaGreen;
-    ctx.fillStyle = palette.plasmaGreen;
-    ctx.font = 'bold 14px DigitalDisco, monospace';
-    ctx.fillText('◆ MISSION BOARD', col2X, y + 25);
-    ctx.shadowBlur = 0;
+    this.drawTerminalPanel(ctx, x, y, w, h, '[FAB] FABRICATION', palette);
 
-    // Mission cards
-    const missions = [
-      {
-        title: 'Escort Convoy',
-        type: 'ESCORT',
-        reward: 5000,
-        difficulty: 'Easy',
-        description: 'Protect trading convoy through hostile space.',
-        repGain: 50
-      },
-      {
-        title: 'Eliminate Pirates',
-        type: 'COMBAT',
-        reward: 8500,
-        difficulty: 'Medium',
-        description: 'Clear pirate presence from sector 7B.',
-        repGain: 75
-      },
-      {
-        title: 'Deliver Supplies',
-        type: 'DELIVERY',
-        reward: 3000,
-        difficulty: 'Easy',
-        description: 'Transport medical supplies to outpost.',
-        repGain: 30
-      },
-      {
-        title: 'Recon Mission',
-        type: 'RECON',
-        reward: 6000,
-        difficulty: 'Medium',
-        description: 'Scout enemy territory and report findings.',
-        repGain: 60
+    // Close button (X) in top-right corner
+    const closeButtonSize = 40;
+    const closeX = x + w - closeButtonSize - 20;
+    const closeY = y + 20;
+    this.drawTerminalButton(ctx, closeX, closeY, closeButtonSize, closeButtonSize, 'X', false, palette);
+    this.game.craftingButtonBounds.push({
+      x: closeX,
+      y: closeY,
+      w: closeButtonSize,
+      h: closeButtonSize,
+      action: () => {
+        this.game.uiState.showCrafting = false;
+        this.game.updatePauseState();
       }
-    ];
+    });
+
+    if (!crafting) return;
+
+    // Category tabs
+    const tabW = 140;
+    const tabH = 36;
+    const tabY = y + 75;
+    RECIPE_CATEGORIES.forEach((category, i) => {
+      const tabX = x + 20 + i * (tabW + 10);
+      this.drawTerminalButton(ctx, tabX, tabY, tabW, tabH, category.toUpperCase(), this.game.uiState.craftingCategory === category, palette);
+      this.game.craftingButtonBounds.push({
+        x: tabX,
+        y: tabY,
+        w: tabW,
+        h: tabH,
+        action: () => {
+          this.game.uiState.craftingCategory = category;
+        }
+      });
+    });
 
-    let missionY = y + 50;
-    const missionCardH = 110;
+    // Recipe list (left side)
+    const listX = x + 20;
+    const listY = tabY + tabH + 15;
+    const listW = 720;
+    const listH = h - 210;
+    this.drawDataPanel(ctx, listX, listY, listW, listH, palette);
 
-    for (let i = 0; i < Math.min(4, missions.length); i++) {
-      const mission = missions[i];
+    ctx.save();
+    ctx.textAlign = 'left';
+    let rowY = listY + 15;
+    for (const recipe of crafting.getRecipes(this.game.uiState.craftingCategory)) {
+      if (rowY + 64 > listY + listH) break;
 
-      // Mission card background
-      ctx.fillStyle = 'rgba(10, 10, 15, 0.7)';
-      ctx.fillRect(col2X, missionY, col2W, missionCardH);
+      const inputs = crafting.getInputs(recipe);
+      const hasInputs = inputs.every(input => input.have >= input.need);
+      const ready = hasInputs && crafting.hasFabricator(recipe);
+      const color = ready ? palette.statusGreen : hasInputs ? palette.cautionOrange : '#667788';
 
-      // Mission card border
-      ctx.strokeStyle = palette.statusBlue;
+      ctx.fillStyle = '#0a0a0f';
+      ctx.fillRect(listX + 15, rowY, listW - 30, 64);
+      ctx.strokeStyle = ready ? palette.statusGreen : '#334455';
       ctx.lineWidth = 2;
-      ctx.shadowBlur = 5;
-      ctx.shadowColor = palette.statusBlue;
-      ctx.strokeRect(col2X, missionY, col2W, missionCardH);
-      ctx.shadowBlur = 0;
+      ctx.strokeRect(listX + 15, rowY, listW - 30, 64);
 
-      // Mission type badge
-      const typeColors = {
-        'ESCORT': '#4488ff',
-        'COMBAT': '#ff4444',
-        'DELIVERY': '#44ff88',
-        'RECON': '#ffaa44'
-      };
-      ctx.fillStyle = typeColors[mission.type] || palette.statusBlue;
-      ctx.fillRect(col2X + 5, missionY + 5, 70, 18);
-      ctx.fillStyle = '#000000';
-      ctx.font = 'bold 9px DigitalDisco, monospace';
-      ctx.textAlign = 'center';
-      ctx.fillText(mission.type, col2X + 40, missionY + 16);
-      ctx.textAlign = 'left';
+      ctx.fillStyle = color;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText(recipe.name, listX + 25, rowY + 20);
 
-      // Mission title
-      ctx.fillStyle = palette.statusBlue;
+      // Tier and crafting time
+      ctx.textAlign = 'right';
+      const tier = crafting.getTier(recipe);
+      ctx.fillStyle = tier === 'station' ? palette.cautionOrange : palette.statusBlue;
       ctx.font = 'bold 11px DigitalDisco, monospace';
-      ctx.fillText(mission.title, col2X + 5, missionY + 40);
+      ctx.fillText(`${tier.toUpperCase()} • ${recipe.time}s`, listX + listW - 25, rowY + 20);
+      ctx.textAlign = 'left';
 
-      // Mission description
-      ctx.fillStyle = '#aabbcc';
-      ctx.font = '9px DigitalDisco, monospace';
-      const missionDescLines = this.wrapTextToArray(mission.description, col2W - 15, ctx);
-      for (let j = 0; j < Math.min(2, missionDescLines.length); j++) {
-        ctx.fillText(missionDescLines[j], col2X + 5, missionY + 55 + j * 12);
+      // Inputs, green where the hold has enough
+      ctx.font = '12px DigitalDisco, monospace';
+      let inputX = listX + 25;
+      for (const input of inputs) {
+        const text = `${input.name} ${input.have}/${input.need}  `;
+        ctx.fillStyle = input.have >= input.need ? palette.statusGreen : palette.alertRed;
+        ctx.fillText(text, inputX, rowY + 39);
+        inputX += ctx.measureText(text).width;
       }
 
-      // Reward and reputation
-      ctx.fillStyle = palette.cautionOrange;
-      ctx.font = 'bold 9px DigitalDisco, monospace';
-      ctx.fillText(`${mission.reward} CR`, col2X + 5, missionY + 85);
-      ctx.fillStyle = palette.plasmaGreen;
-      ctx.fillText(`+${mission.repGain} REP`, col2X + 80, missionY + 85);
       ctx.fillStyle = '#88aacc';
-      ctx.fillText(mission.difficulty, col2X + 160, missionY + 85);
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`→ ${crafting.describeOutput(recipe)}`, listX + 25, rowY + 56);
 
-      // Accept button
-      const btnW = col2W - 10;
-      const btnH = 18;
-      const btnX = col2X + 5;
-      const btnY = missionY + 90;
+      this.game.craftingButtonBounds.push({
+        x: listX + 15,
+        y: rowY,
+        w: listW - 30,
+        h: 64,
+        action: () => {
+          const result = crafting.craft(recipe.id);
+          this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+        }
+      });
 
-      ctx.fillStyle = 'rgba(68, 136, 255, 0.3)';
-      ctx.fillRect(btnX, btnY, btnW, btnH);
-      ctx.strokeStyle = palette.statusBlue;
-      ctx.lineWidth = 1;
-      ctx.strokeRect(btnX, btnY, btnW, btnH);
+      rowY += 72;
+    }
+    ctx.restore();
 
-      ctx.fillStyle = palette.statusBlue;
-      ctx.font = 'bold 9px DigitalDisco, monospace';
-      ctx.textAlign = 'center';
-      ctx.fillText('ACCEPT MISSION', btnX + btnW / 2, btnY + btnH / 2 + 3);
-      ctx.textAlign = 'left';
+    // Fabrication queue (right side)
+    const queueX = listX + listW + 20;
+    const queueW = w - listW - 60;
+    this.drawDataPanel(ctx, queueX, listY, queueW, listH, palette);
 
-      this.game.diplomacyButtonBounds.push({
-        x: btnX,
-        y: btnY,
-        w: btnW,
-        h: btnH,
+    ctx.save();
+    ctx.textAlign = 'left';
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('QUEUE', queueX + 15, listY + 30);
+    ctx.shadowBlur = 0;
+
+    const docked = !!this.game.player.docked;
+    ctx.fillStyle = docked ? palette.statusGreen : palette.cautionOrange;
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillText(docked ? 'STATION FABRICATOR ONLINE' : 'ONBOARD FABRICATOR ONLY', queueX + 15, listY + 52);
+
+    let jobY = listY + 70;
+    crafting.queue.forEach((job, index) => {
+      if (jobY + 70 > listY + listH) return;
+      const recipe = crafting.getRecipe(job.recipeId);
+      const waiting = !crafting.hasFabricator(recipe);
+
+      ctx.fillStyle = waiting ? '#667788' : '#ffffff';
+      ctx.font = 'bold 13px DigitalDisco, monospace';
+      ctx.fillText(recipe.name, queueX + 15, jobY + 14);
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(waiting ? 'WAITING FOR DOCK' : `${Math.ceil(job.remaining)}s LEFT`, queueX + 15, jobY + 30);
+
+      this.drawTerminalProgressBar(ctx, queueX + 15, jobY + 38, queueW - 30, 16,
+        recipe.time - job.remaining, recipe.time, waiting ? palette.cautionOrange : palette.statusGreen, palette);
+
+      this.game.craftingButtonBounds.push({
+        x: queueX + 10,
+        y: jobY,
+        w: queueW - 20,
+        h: 60,
         action: () => {
-          console.log('Accept mission:', mission.title);
-          // Future: Implement mission system
+          const result = crafting.cancel(index);
+          this.game.showNotification(result.message, 'info');
         }
       });
 
-      missionY += missionCardH + 10;
-    }
+      jobY += 70;
+    });
 
+    if (crafting.queue.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '14px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('IDLE', queueX + queueW / 2, listY + 120);
+    }
     ctx.restore();
-  }
 
-  // Helper function to wrap text into array of lines
-  wrapTextToArray(text, maxWidth, ctx) {
-    const words = text.split(' ');
-    const lines = [];
-    let currentLine = words[0];
+    // CRT effects
+    this.drawScanlines(ctx, x, y, w, h);
+    this.drawCRTNoise(ctx, x, y, w, h);
 
-    for (let i = 1; i < words.length; i++) {
-      const word = words[i];
-      const width = ctx.measureText(currentLine + ' ' + word).width;
-      if (width < maxWidth) {
-        currentLine += ' ' + word;
-      } else {
-        lines.push(currentLine);
-        currentLine = word;
-      }
-    }
-    lines.push(currentLine);
-    return lines;
+    // Help text
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.statusBlue;
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('[R] Close Fabrication | [ESC] Close All UI | Click recipe to craft, click queued job to cancel', x + w / 2, y + h - 25);
+    ctx.restore();
   }
 
   /**
@@ -2735,6 +3312,132 @@ export class UIRenderer {
     const currentSystem = this.game.currentSystemData ?
       this.game.galaxy.find(s => s.name === this.game.currentSystemData.name) : null;
 
+    // Frontlines - dashed in the attacker's colour, from its system to the one it's contesting
+    if (this.game.warSystem) {
+      const warSystem = this.game.warSystem;
+      ctx.setLineDash([6, 6]);
+      ctx.lineWidth = 2;
+      for (const front of warSystem.getFronts()) {
+        const from = this.game.galaxy[front.from];
+        const target = this.game.galaxy[front.target];
+        if (!from.discovered && !target.discovered) continue;
+
+        ctx.strokeStyle = this.game.factionSystem.getFactionColor(front.attacker);
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(mapX + mapW / 2 + from.position.x * state.zoom + state.offsetX, mapY + mapH / 2 + from.position.y * state.zoom + state.offsetY);
+        ctx.lineTo(mapX + mapW / 2 + target.position.x * state.zoom + state.offsetX, mapY + mapH / 2 + target.position.y * state.zoom + state.offsetY);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+
+      // Control left to the owner of contested systems
+      ctx.globalAlpha = 0.9;
+      ctx.lineWidth = 3;
+      for (const index of new Set(warSystem.getFronts().map(front => front.target))) {
+        const system = this.game.galaxy[index];
+        const control = warSystem.getControl(index);
+        if (control >= 100) continue;
+
+        ctx.strokeStyle = palette.alertRed;
+        ctx.beginPath();
+        ctx.arc(
+          mapX + mapW / 2 + system.position.x * state.zoom + state.offsetX,
+          mapY + mapH / 2 + system.position.y * state.zoom + state.offsetY,
+          14, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * control / 100
+        );
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Warp gate links between charted systems, and the gate route to the selected system
+    const planner = this.game.routePlanner;
+    const plan = planner ? planner.getPlan() : null;
+    const gateRoute = this.game.warpGateSystem && currentSystem && state.selectedSystem
+      ? this.game.warpGateSystem.findRoute(currentSystem.id, state.selectedSystem.id)
+      : null;
+    if (this.game.warpGateSystem) {
+      ctx.strokeStyle = palette.warpBlue;
+      ctx.globalAlpha = 0.25;
+      ctx.lineWidth = 1;
+      for (const [index, targets] of this.game.warpGateSystem.connections) {
+        const system = this.game.galaxy[index];
+        for (const target of targets) {
+          const other = this.game.galaxy[target];
+          if (target < index || (!system.discovered && !other.discovered)) continue;
+
+          ctx.beginPath();
+          ctx.moveTo(mapX + mapW / 2 + system.position.x * state.zoom + state.offsetX, mapY + mapH / 2 + system.position.y * state.zoom + state.offsetY);
+          ctx.lineTo(mapX + mapW / 2 + other.position.x * state.zoom + state.offsetX, mapY + mapH / 2 + other.position.y * state.zoom + state.offsetY);
+          ctx.stroke();
+        }
+      }
+
+      if (!plan && gateRoute && gateRoute.legs.length > 0) {
+        ctx.strokeStyle = palette.cautionOrange;
+        ctx.globalAlpha = 0.9;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        gateRoute.path.forEach((index, step) => {
+          const system = this.game.galaxy[index];
+          const routeX = mapX + mapW / 2 + system.position.x * state.zoom + state.offsetX;
+          const routeY = mapY + mapH / 2 + system.position.y * state.zoom + state.offsetY;
+          if (step === 0) ctx.moveTo(routeX, routeY);
+          else ctx.lineTo(routeX, routeY);
+        });
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Plotted route - gate legs solid, hyperspace jumps dashed, each with its fuel
+    if (plan) {
+      const toScreen = (index) => ({
+        x: mapX + mapW / 2 + this.game.galaxy[index].position.x * state.zoom + state.offsetX,
+        y: mapY + mapH / 2 + this.game.galaxy[index].position.y * state.zoom + state.offsetY
+      });
+
+      plan.legs.forEach((leg, legIndex) => {
+        const from = toScreen(leg.from);
+        const to = toScreen(leg.to);
+        const done = planner.executing && legIndex < planner.legIndex;
+
+        ctx.strokeStyle = leg.mode === 'gate' ? palette.warpBlue : palette.cautionOrange;
+        ctx.globalAlpha = done ? 0.3 : 0.9;
+        ctx.lineWidth = 3;
+        ctx.setLineDash(leg.mode === 'gate' ? [] : [8, 5]);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = palette.starWhite;
+        ctx.font = '9px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${leg.fuel.toFixed(1)}f`, (from.x + to.x) / 2, (from.y + to.y) / 2 - 4);
+
+        if (leg.refuel) {
+          ctx.fillStyle = palette.plasmaGreen;
+          ctx.fillText('FUEL', from.x, from.y + 22);
+        }
+      });
+
+      // Numbered waypoints
+      ctx.globalAlpha = 1;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      planner.waypoints.forEach((index, number) => {
+        const point = toScreen(index);
+        ctx.strokeStyle = palette.cautionOrange;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(point.x - 11, point.y - 11, 22, 22);
+        ctx.fillStyle = palette.cautionOrange;
+        ctx.fillText(`${number + 1}`, point.x + 16, point.y - 12);
+      });
+    }
+
     // Draw star systems
     this.game.galaxy.forEach(system => {
       const screenX = mapX + mapW / 2 + system.position.x * state.zoom + state.offsetX;
@@ -2759,6 +3462,18 @@ export class UIRenderer {
         ctx.fillRect(screenX - glowSize, screenY - glowSize, glowSize * 2, glowSize * 2);
       }
 
+      // Territory ring in the colour of the faction (or race) holding the system
+      if (isDiscovered && this.game.factionSystem) {
+        const owner = this.game.factionSystem.getSystemFaction(system.id, system);
+        ctx.strokeStyle = this.game.factionSystem.getFactionColor(owner);
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(screenX, screenY, 8 + system.starLuminosity * 1.5, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+
       // Star dot
       const starSize = isDiscovered ? 4 + system.starLuminosity * 1.5 : 2;
       ctx.fillStyle = isDiscovered ? system.starColor : '#444466';
@@ -2849,8 +3564,20 @@ export class UIRenderer {
         displaySystem.discovered ? `Planets: ${displaySystem.planetCount}` : '',
         displaySystem.discovered ? `Stations: ${displaySystem.stationCount}` : '',
         displaySystem.discovered ? `Asteroids: ${displaySystem.asteroidBelts}` : '',
+        displaySystem.discovered && this.game.factionSystem ? 'Held by:' : '',
+        displaySystem.discovered && this.game.factionSystem
+          ? ` ${this.game.factionSystem.factions[this.game.factionSystem.getSystemFaction(displaySystem.id, displaySystem)].name}`
+          : '',
+        this.game.warSystem && this.game.warSystem.getFrontsAt(displaySystem.id).length > 0
+          ? `CONTESTED: ${Math.round(this.game.warSystem.getControl(displaySystem.id))}% held`
+          : '',
         ``,
         displaySystem.visited ? `Status: VISITED` : displaySystem.discovered ? `Status: DISCOVERED` : `Status: UNKNOWN`,
+        ``,
+        gateRoute && gateRoute.legs.length > 0 ? `Gate route: ${gateRoute.legs.length} jump${gateRoute.legs.length === 1 ? '' : 's'}` : '',
+        gateRoute && gateRoute.legs.length > 0 ? ` Fuel: ${gateRoute.fuel.toFixed(1)}` : '',
+        gateRoute && gateRoute.legs.length > 0 ? ` Time: ${Math.floor(gateRoute.time / 60)}m ${Math.round(gateRoute.time % 60)}s` : '',
+        state.selectedSystem && displaySystem.id !== currentSystem?.id && !gateRoute ? 'No gate route' : '',
       ];
 
       info.forEach(line => {
@@ -2860,26 +3587,15 @@ export class UIRenderer {
         }
       });
 
-      // Navigate button (if not current system)
-      if (displaySystem.id !== currentSystem?.id && displaySystem.discovered) {
-        const navBtnY = sidebarY + sidebarH - 60;
-        this.drawTerminalButton(ctx, sidebarX + 10, navBtnY, sidebarW - 20, 40, 'NAVIGATE TO SYSTEM', false, palette);
-        this.game.galaxyMapButtonBounds.push({
-          x: sidebarX + 10,
-          y: navBtnY,
-          w: sidebarW - 20,
-          h: 40,
-          action: () => {
-            // TODO: Implement navigation to selected system
-            if (this.game.notificationSystem) {
-              this.game.notificationSystem.show(`Navigation to ${displaySystem.name} not yet implemented`, 'info');
-            }
-          }
-        });
-      }
-
       ctx.restore();
-    } else {
+    }
+
+    // Route plan: legs with their costs, and the route controls
+    if (planner) {
+      this.renderRoutePlan(ctx, sidebarX, sidebarY + 400, sidebarW, sidebarH - 400, plan, currentSystem, displaySystem, palette);
+    }
+
+    if (!displaySystem) {
       ctx.save();
       ctx.fillStyle = '#666677';
       ctx.font = '12px DigitalDisco, monospace';
@@ -2901,7 +3617,7 @@ export class UIRenderer {
     ctx.fillStyle = palette.statusBlue;
     ctx.font = '11px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText('Controls: [MOUSE WHEEL] Zoom | [DRAG] Pan | [CLICK] Select System', mapX + 10, controlY + 20);
+    ctx.fillText('Controls: [MOUSE WHEEL] Zoom | [DRAG] Pan | [CLICK] Select System | WAYPOINT + ENGAGE to fly a route', mapX + 10, controlY + 20);
     ctx.fillStyle = palette.mediumGray;
     ctx.font = '10px DigitalDisco, monospace';
     ctx.fillText(`Zoom: ${(state.zoom * 100).toFixed(1)}% | Systems: ${this.game.galaxy.filter(s => s.discovered).length}/${this.game.galaxy.length} discovered`, mapX + 10, controlY + 40);
@@ -2960,6 +3676,89 @@ export class UIRenderer {
     this.drawCRTNoise(ctx, x, y, w, h);
   }
 
+  /**
+   * Route plan in the galaxy map sidebar: per-leg costs, totals and route controls
+   */
+  renderRoutePlan(ctx, x, y, w, h, plan, currentSystem, displaySystem, palette) {
+    const planner = this.game.routePlanner;
+    const galaxy = this.game.galaxy;
+
+    ctx.save();
+    ctx.textAlign = 'left';
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText(planner.executing ? 'ROUTE ENGAGED:' : 'ROUTE PLAN:', x + 10, y);
+
+    ctx.font = '10px DigitalDisco, monospace';
+    let lineY = y + 20;
+    if (planner.waypoints.length === 0) {
+      ctx.fillStyle = '#666677';
+      ctx.fillText('No waypoints queued', x + 10, lineY);
+    } else if (!plan) {
+      ctx.fillStyle = palette.alertRed;
+      ctx.fillText('No route: waypoint out of reach', x + 10, lineY);
+    } else {
+      const maxLines = Math.floor((h - 190) / 14);
+      plan.legs.slice(0, maxLines).forEach((leg, index) => {
+        const done = planner.executing && index < planner.legIndex;
+        const hostile = leg.relation === 'hostile' || leg.relation === 'unfriendly';
+        ctx.fillStyle = done ? '#555566' : hostile ? palette.alertRed : palette.starWhite;
+        const name = galaxy[leg.to].discovered ? galaxy[leg.to].name.slice(0, 11) : '???';
+        ctx.fillText(
+          `${leg.refuel ? '+' : ' '}${index + 1}. ${name} ${leg.mode === 'gate' ? 'GATE' : 'JUMP'} ${leg.fuel.toFixed(1)}f D${leg.danger}`,
+          x + 10, lineY
+        );
+        lineY += 14;
+      });
+      if (plan.legs.length > maxLines) {
+        ctx.fillStyle = '#888899';
+        ctx.fillText(`   ...${plan.legs.length - maxLines} more`, x + 10, lineY);
+        lineY += 14;
+      }
+
+      lineY += 6;
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.fillText(`Fuel: ${plan.fuel.toFixed(1)} | Time: ${Math.floor(plan.time / 60)}m ${Math.round(plan.time % 60)}s`, x + 10, lineY);
+      lineY += 14;
+      if (plan.refuelStops.length > 0) {
+        ctx.fillStyle = palette.plasmaGreen;
+        ctx.fillText(`Refuel stops (+): ${plan.refuelStops.length}`, x + 10, lineY);
+      }
+    }
+    ctx.restore();
+
+    // Controls, stacked at the bottom of the sidebar
+    const buttonH = 34;
+    const buttons = [];
+    if (displaySystem && displaySystem.id !== currentSystem?.id && displaySystem.discovered && !planner.executing) {
+      buttons.push({ label: 'ADD WAYPOINT', action: () => {
+        const result = planner.addWaypoint(displaySystem.id);
+        this.game.showNotification(result.message, result.success ? 'info' : 'warning');
+      } });
+    }
+    if (planner.executing) {
+      buttons.push({ label: 'ABORT ROUTE', action: () => planner.abort() });
+    } else if (plan && plan.legs.length > 0) {
+      buttons.push({ label: 'ENGAGE ROUTE', action: () => {
+        const result = planner.engage();
+        this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+        if (result.success) {
+          this.game.uiState.showGalaxyMap = false;
+          this.game.updatePauseState();
+        }
+      } });
+    }
+    if (planner.waypoints.length > 0 && !planner.executing) {
+      buttons.push({ label: 'CLEAR ROUTE', action: () => planner.clearWaypoints() });
+    }
+
+    buttons.forEach((button, index) => {
+      const buttonY = y + h - 10 - (buttons.length - index) * (buttonH + 8);
+      this.drawTerminalButton(ctx, x + 10, buttonY, w - 20, buttonH, button.label, false, palette);
+      this.game.galaxyMapButtonBounds.push({ x: x + 10, y: buttonY, w: w - 20, h: buttonH, action: button.action });
+    });
+  }
+
   /**
    * SAVE SCREEN - Save game to slots with CRT terminal style
    */
@@ -3002,7 +3801,12 @@ export class UIRenderer {
     ctx.fillStyle = palette.statusBlue;
     ctx.font = '14px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText('Select a slot to save your current game progress.', x + 35, infoY + 25);
+    const ironman = this.game.saveSystem && this.game.saveSystem.isIronman();
+    ctx.fillText(
+      ironman ? 'IRONMAN RUN: progress is saved automatically when you quit.' : 'Select a slot to save your current game progress.',
+      x + 35,
+      infoY + 25
+    );
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.fillText(`Current System: ${this.game.currentSystemData ? this.game.currentSystemData.name : 'Unknown'}`, x + 35, infoY + 45);
@@ -3139,7 +3943,12 @@ export class UIRenderer {
     ctx.fillStyle = palette.statusBlue;
     ctx.font = '14px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText('Select a save to load. Warning: Unsaved progress will be lost!', x + 35, infoY + 25);
+    const ironman = this.game.saveSystem && this.game.saveSystem.isIronman();
+    ctx.fillText(
+      ironman ? 'IRONMAN RUN: loading is disabled until you quit.' : 'Select a save to load. Warning: Unsaved progress will be lost!',
+      x + 35,
+      infoY + 25
+    );
     ctx.fillStyle = palette.alertRed;
     ctx.font = 'bold 12px DigitalDisco, monospace';
     ctx.fillText('⚠ AUTOSAVE available in first slot', x + 35, infoY + 45);
@@ -3396,6 +4205,7 @@ export class UIRenderer {
     else if (type === 'asteroid') title = '[AST] ASTEROID FIELD';
     else if (type === 'artifact') title = '[ART] ARTIFACT DETECTED';
     else if (type === 'warpgate') title = '[WRP] WARP GATE';
+    else if (type === 'customs') title = '[CUS] CUSTOMS INSPECTION';
 
     // Main panel with terminal styling
     this.drawTerminalPanel(ctx, x, y, w, h, title, palette, true);
@@ -3425,9 +4235,9 @@ export class UIRenderer {
 
     // Action buttons at bottom (from InteractionSystem)
     const buttonY = y + h - 100;
-    const buttonW = 130;
-    const buttonH = 45;
     const buttonSpacing = 15;
+    const buttonW = Math.min(130, (w - 40 - (buttons.length - 1) * buttonSpacing) / buttons.length);
+    const buttonH = 45;
     const totalButtonWidth = buttons.length * buttonW + (buttons.length - 1) * buttonSpacing;
     let buttonX = x + (w - totalButtonWidth) / 2;
 
@@ -3879,9 +4689,11 @@ export class UIRenderer {
   renderSurfaceExplorationUI(ctx) {
     const p = this.game.player;
     const palette = this.game.PALETTE;
+    const surface = this.game.surfaceSystem;
 
-    if (!p.landed || !p.landedOn) return;
+    if (!p.landed || !p.landedOn || !surface.active) return;
 
+    const status = surface.getStatus();
     const x = 30;
     const y = this.game.height - 240;
     const w = 450;
@@ -3890,7 +4702,7 @@ export class UIRenderer {
     ctx.save();
 
     // Terminal panel with depth
-    this.drawTerminalPanel(ctx, x, y, w, h, palette);
+    this.drawTerminalPanel(ctx, x, y, w, h, '[ROV] SURFACE OPERATIONS', palette);
 
     // Header
     ctx.fillStyle = palette.statusBlue;
@@ -3904,30 +4716,34 @@ export class UIRenderer {
     // Location info
     ctx.fillStyle = '#88aacc';
     ctx.font = '13px DigitalDisco, monospace';
-    ctx.fillText(`Location: ${p.landedOn.name || p.landedOn.type || 'Unknown'}`, x + 20, y + 60);
+    ctx.fillText(`Location: ${status.name} (${status.terrain}, ${status.climate})`, x + 20, y + 60);
+
+    // Rover hull and power
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillText('HULL', x + 20, y + 84);
+    this.drawTerminalProgressBar(ctx, x + 70, y + 73, 140, 14, status.hull, status.maxHull, status.hull < status.maxHull * 0.3 ? palette.alertRed : palette.statusGreen, palette);
+    ctx.fillStyle = '#88aacc';
+    ctx.fillText('POWER', x + 230, y + 84);
+    this.drawTerminalProgressBar(ctx, x + 290, y + 73, 140, 14, status.power, status.maxPower, palette.warpBlue, palette);
 
-    // Surface resources section
-    let yPos = y + 90;
+    // Rover bay
+    let yPos = y + 112;
     ctx.fillStyle = palette.plasmaGreen;
     ctx.font = 'bold 14px DigitalDisco, monospace';
-    ctx.fillText('AVAILABLE RESOURCES:', x + 20, yPos);
-    yPos += 25;
+    ctx.fillText(`ROVER BAY: ${status.bayUsed}/${status.bayCapacity}`, x + 20, yPos);
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillText(`Sites: ${status.sitesLeft} open / ${status.sitesFound} found`, x + 260, yPos);
+    yPos += 22;
 
-    if (p.surfaceResources && p.surfaceResources.length > 0) {
-      ctx.fillStyle = '#aabbcc';
-      ctx.font = '12px DigitalDisco, monospace';
-      for (const resource of p.surfaceResources.slice(0, 3)) {
-        ctx.shadowBlur = 2;
-        ctx.shadowColor = palette.plasmaGreen;
-        ctx.fillStyle = palette.plasmaGreen;
-        ctx.fillText(`• ${resource.quantity}x ${resource.name}`, x + 30, yPos);
-        ctx.shadowBlur = 0;
-        yPos += 18;
-      }
+    const contents = status.bay.map(entry => `${entry.quantity}x ${entry.name}`);
+    if (status.artifacts > 0) contents.push(`${status.artifacts} artifact${status.artifacts > 1 ? 's' : ''}`);
+    if (contents.length > 0) {
+      ctx.fillStyle = palette.plasmaGreen;
+      ctx.fillText(`• ${contents.slice(0, 4).join('  • ')}`, x + 30, yPos);
     } else {
       ctx.fillStyle = '#666677';
-      ctx.font = '13px DigitalDisco, monospace';
-      ctx.fillText('No resources collected yet', x + 30, yPos);
+      ctx.fillText('Empty - drill deposits and excavate ruins', x + 30, yPos);
     }
 
     // Controls
@@ -3935,9 +4751,8 @@ export class UIRenderer {
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    const controlText = p.surfaceResources && p.surfaceResources.length > 0
-      ? '[C or E] Collect Resources | [SPACE or L] Launch'
-      : '[SPACE or L] Launch';
+    const actionText = status.action ? `[C or E] ${status.action}` : '[WASD] Drive';
+    const controlText = status.atLander ? `${actionText} | [SPACE or L] Launch` : `${actionText} | Return to the lander to launch`;
     ctx.fillText(controlText, x + w / 2, controlsY);
 
     // CRT effects
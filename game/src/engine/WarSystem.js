@@ -0,0 +1,364 @@
+/**
+ * WarSystem - Territorial wars between factions
+ *
+ * Factions at war (DiplomacySystem) fight over their border systems. Fleets
+ * are abstract: each faction has a fleet strength that grows with its
+ * territory and its aggression, regenerates over time and is worn down in
+ * battle. Once per WAR_TICK of playtime every war is fought out at its fronts:
+ * - a front is a system of one side within FRONT_RANGE of the other's space
+ * - each side strikes one front of the enemy's, cutting the target's control
+ *   by how much its committed strength outweighs the defence
+ * - a system whose control falls to 0 changes hands (FactionSystem.setSystemOwner)
+ *
+ * Capitals never fall. Battles are rolled from the galaxy seed and the tick,
+ * so the same history plays out in every session that makes the same moves.
+ *
+ * The player shifts the balance:
+ * - combat: destroying a faction's ships costs it strength, and in a contested
+ *   system sways its control (enemyDestroyed)
+ * - supply runs: selling war goods in a system at war feeds its owner's fleet
+ *   and holds the system (cargoChanged 'sell')
+ * - sabotage: from a station's popup, wrecks the owner's fleet and control,
+ *   at the risk of being caught
+ */
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const WAR_TICK = 2 * 60 * 1000; // ms of playtime between battles
+const FRONT_RANGE = 3000; // Systems this close to enemy space are on the front
+const FLEET_BASE = 20;
+const FLEET_PER_SYSTEM = 6;
+const FLEET_REGEN = 0.1; // Share of the missing strength regained per tick
+const COMMIT = 0.3; // Share of a fleet thrown into each tick's battles (split across its wars)
+const BATTLE_LOSSES = 0.15; // Strength lost per point of enemy strength faced
+const CONTROL_REGEN = 5; // Control regained per tick by systems left alone
+const CONQUERED_CONTROL = 40; // Hold of a new owner on a conquered system
+
+// Player influence
+const KILL_STRENGTH = { scout: 2, fighter: 3, bomber: 4, frigate: 8, hive_drone: 1 };
+const KILL_CONTROL = 4;
+const SUPPLY_VALUE = { weapons: 1.0, machinery: 0.6, medicine: 0.6, fuel_cells: 0.5, food: 0.3 }; // Strength per unit sold
+const SABOTAGE_STRENGTH = 15;
+const SABOTAGE_CONTROL = 25;
+const SABOTAGE_CAUGHT_CHANCE = 0.35;
+const SABOTAGE_COOLDOWN = 10 * 60 * 1000;
+
+export class WarSystem {
+  constructor(game) {
+    this.game = game;
+
+    this.tick = null; // Last battle tick simulated
+    this.fleets = {}; // factionId -> strength
+    this.control = {}; // system index -> owner's control (0..100, missing = 100)
+    this.lastSabotage = {}; // system index -> playtime
+    this.fronts = null; // Cached getFronts()
+
+    game.events.on('enemyDestroyed', (event) => this.handleEnemyDestroyed(event));
+    // New wars and peace treaties move the fronts
+    game.events.on('warDeclared', () => { this.fronts = null; });
+    game.events.on('peaceMade', () => { this.fronts = null; });
+    game.events.on('cargoChanged', (event) => {
+      if (event.reason === 'sell') this.handleSupplies(event);
+    });
+  }
+
+  get galaxy() {
+    return this.game.galaxy || [];
+  }
+
+  getOwner(index) {
+    return this.game.factionSystem.getSystemFaction(index, this.galaxy[index]);
+  }
+
+  getControl(index) {
+    return this.control[index] ?? 100;
+  }
+
+  /**
+   * Strength a faction's fleets can reach
+   */
+  getFleetCapacity(factionId) {
+    const faction = this.game.factionSystem.getFaction(factionId);
+    const systems = this.galaxy.filter((sys, index) => this.getOwner(index) === factionId).length;
+    if (!faction || systems === 0) return 0;
+
+    const aggression = faction.traits ? faction.traits.aggression : 0.5;
+    return Math.round((FLEET_BASE + systems * FLEET_PER_SYSTEM) * (0.5 + aggression));
+  }
+
+  getFleetStrength(factionId) {
+    return Math.round(this.fleets[factionId] ?? this.getFleetCapacity(factionId));
+  }
+
+  /**
+   * Fronts of the wars in progress
+   * @returns {Array} { attacker, defender, from, target } - target is the
+   *   defender's system, from the attacker's nearest system to it
+   */
+  getFronts() {
+    if (this.fronts) return this.fronts;
+
+    const diplomacy = this.game.diplomacySystem;
+    const galaxy = this.galaxy;
+    const owners = galaxy.map((sys, index) => this.getOwner(index));
+    const fronts = [];
+
+    for (const war of diplomacy ? diplomacy.getWars() : []) {
+      for (const [attacker, defender] of [[war.a, war.b], [war.b, war.a]]) {
+        galaxy.forEach((target, targetIndex) => {
+          if (owners[targetIndex] !== defender || !target.position) return;
+
+          let from = null;
+          let nearest = FRONT_RANGE;
+          galaxy.forEach((sys, index) => {
+            if (owners[index] !== attacker || !sys.position) return;
+            const distance = Math.hypot(sys.position.x - target.position.x, sys.position.y - target.position.y);
+            if (distance <= nearest) {
+              nearest = distance;
+              from = index;
+            }
+          });
+
+          if (from !== null) {
+            fronts.push({ attacker, defender, from, target: targetIndex });
+          }
+        });
+      }
+    }
+
+    this.fronts = fronts;
+    return fronts;
+  }
+
+  /**
+   * Fronts at a system (it's the target)
+   */
+  getFrontsAt(index) {
+    return this.getFronts().filter(front => front.target === index);
+  }
+
+  /**
+   * Fight the battles due by now
+   */
+  update() {
+    if (!this.game.diplomacySystem || this.galaxy.length === 0) return;
+
+    const currentTick = Math.floor((this.game.playtime || 0) / WAR_TICK);
+    if (this.tick === null) {
+      this.tick = currentTick;
+    }
+
+    // Ticks simulated in one go (after loading) don't notify the player
+    const live = currentTick - this.tick <= 1;
+
+    while (this.tick < currentTick) {
+      this.tick++;
+      this.step(this.tick, live);
+    }
+  }
+
+  /**
+   * One round of battles
+   */
+  step(tick, live) {
+    const seed = Math.abs(Math.floor(this.game.seed || 0));
+    const rng = new SeededRandom((seed + tick * 7919 + 3301) % 233280);
+
+    this.fronts = null;
+    const fronts = this.getFronts();
+
+    // Wars each faction is fighting (its fleet is split between them)
+    const warCounts = {};
+    for (const war of this.game.diplomacySystem.getWars()) {
+      warCounts[war.a] = (warCounts[war.a] || 0) + 1;
+      warCounts[war.b] = (warCounts[war.b] || 0) + 1;
+    }
+
+    // Fleets regenerate toward capacity
+    for (const factionId of Object.keys(this.game.factionSystem.factions)) {
+      const capacity = this.getFleetCapacity(factionId);
+      const strength = this.fleets[factionId] ?? capacity;
+      this.fleets[factionId] = strength + (capacity - strength) * FLEET_REGEN;
+    }
+
+    // Every side strikes one front of each of its wars
+    const struck = new Set();
+    const sides = [...new Set(fronts.map(front => `${front.attacker}|${front.defender}`))];
+    for (const side of sides) {
+      const options = fronts.filter(front => `${front.attacker}|${front.defender}` === side);
+      const front = options[Math.floor(rng.next() * options.length)];
+      const { attacker, defender, target } = front;
+      if (this.getOwner(target) !== defender) continue; // Fell earlier this tick
+
+      const attack = this.fleets[attacker] * COMMIT / warCounts[attacker];
+      const defence = this.fleets[defender] * COMMIT / warCounts[defender];
+      const swing = attack * (0.75 + rng.next() * 0.5) - defence * 0.8;
+
+      this.fleets[attacker] = Math.max(0, this.fleets[attacker] - defence * BATTLE_LOSSES);
+      this.fleets[defender] = Math.max(0, this.fleets[defender] - attack * BATTLE_LOSSES);
+      struck.add(target);
+
+      if (this.game.factionSystem.isCapital(target)) continue;
+      this.control[target] = Math.max(0, Math.min(100, this.getControl(target) - swing));
+      if (this.control[target] <= 0) {
+        this.conquer(target, attacker, defender, live);
+      }
+    }
+
+    // Quiet systems consolidate
+    for (const index of Object.keys(this.control)) {
+      if (struck.has(Number(index))) continue;
+      this.control[index] = Math.min(100, this.control[index] + CONTROL_REGEN);
+      if (this.control[index] >= 100) delete this.control[index];
+    }
+  }
+
+  /**
+   * A system falls to its attacker
+   */
+  conquer(index, attacker, defender, live) {
+    const game = this.game;
+    const sys = this.galaxy[index];
+
+    game.factionSystem.setSystemOwner(index, attacker, sys);
+    this.control[index] = CONQUERED_CONTROL;
+    this.fronts = null;
+    game.diplomacySystem.changeStanding(attacker, defender, -5);
+
+    if (live && (sys.discovered || index === game.currentSystemIndex)) {
+      const attackerName = game.factionSystem.factions[attacker].name;
+      const defenderName = game.factionSystem.factions[defender].name;
+      game.showNotification(`${sys.name} has fallen: ${attackerName} took it from ${defenderName}`, 'warning');
+    }
+    console.log(`[WarSystem] ${sys.name} (${index}): ${defender} -> ${attacker}`);
+  }
+
+  /**
+   * Shift control of a contested system (positive holds it for its owner)
+   */
+  shiftControl(index, amount) {
+    if (this.getFrontsAt(index).length === 0 || this.game.factionSystem.isCapital(index)) return;
+    this.control[index] = Math.max(1, Math.min(100, this.getControl(index) + amount));
+  }
+
+  /**
+   * A ship was destroyed (enemyDestroyed event): its faction loses strength,
+   * and a contested system swings away from it
+   */
+  handleEnemyDestroyed(event) {
+    const game = this.game;
+    const systemIndex = game.currentSystemIndex;
+    const factionId = event.customsPatrol
+      ? this.getOwner(systemIndex)
+      : game.factionSystem.getRaceFaction(event.race);
+    if (!factionId) return;
+
+    const strength = this.fleets[factionId] ?? this.getFleetCapacity(factionId);
+    this.fleets[factionId] = Math.max(0, strength - (KILL_STRENGTH[event.shipType] || 3));
+
+    const owner = this.getOwner(systemIndex);
+    if (factionId === owner) {
+      this.shiftControl(systemIndex, -KILL_CONTROL);
+    } else if (this.getFrontsAt(systemIndex).some(front => front.attacker === factionId)) {
+      this.shiftControl(systemIndex, KILL_CONTROL);
+    }
+  }
+
+  /**
+   * Cargo sold (cargoChanged event): war goods sold in a system at war
+   * supply its owner
+   */
+  handleSupplies(event) {
+    const game = this.game;
+    const value = SUPPLY_VALUE[event.id];
+    if (!value) return;
+
+    const systemIndex = game.currentSystemIndex;
+    const owner = this.getOwner(systemIndex);
+    if (!owner || game.factionSystem.getFaction(owner).noDiplomacy) return;
+    if (!game.diplomacySystem || !game.diplomacySystem.getWars().some(war => war.a === owner || war.b === owner)) return;
+
+    const supplied = Math.abs(event.quantity) * value;
+    const capacity = this.getFleetCapacity(owner);
+    const strength = this.fleets[owner] ?? capacity;
+    this.fleets[owner] = Math.min(capacity * 1.2, strength + supplied);
+    this.shiftControl(systemIndex, supplied / 2);
+    game.factionSystem.modifyReputation(owner, Math.min(5, Math.ceil(supplied / 10)));
+
+    game.showNotification(`Supplies bolster the ${game.factionSystem.factions[owner].name} war effort`, 'success');
+  }
+
+  /**
+   * Whether the current system's owner is at war and open to sabotage
+   */
+  canSabotage() {
+    const game = this.game;
+    const systemIndex = game.currentSystemIndex;
+    const owner = this.getOwner(systemIndex);
+    if (!owner || !game.diplomacySystem) return false;
+
+    const atWar = game.diplomacySystem.getWars().some(war => war.a === owner || war.b === owner);
+    const last = this.lastSabotage[systemIndex];
+    return atWar && (last === undefined || (game.playtime || 0) - last >= SABOTAGE_COOLDOWN);
+  }
+
+  /**
+   * Sabotage the current system's owner, for its enemies
+   * @returns {Object} { success, message }
+   */
+  sabotage() {
+    const game = this.game;
+    if (!this.canSabotage()) {
+      return { success: false, message: 'Nothing to sabotage here right now' };
+    }
+
+    const systemIndex = game.currentSystemIndex;
+    const owner = this.getOwner(systemIndex);
+    const ownerName = game.factionSystem.factions[owner].name;
+    this.lastSabotage[systemIndex] = game.playtime || 0;
+
+    const strength = this.fleets[owner] ?? this.getFleetCapacity(owner);
+    this.fleets[owner] = Math.max(0, strength - SABOTAGE_STRENGTH);
+    this.shiftControl(systemIndex, -SABOTAGE_CONTROL);
+
+    // The owner's enemies appreciate it
+    for (const war of game.diplomacySystem.getWars()) {
+      if (war.a === owner) game.factionSystem.modifyReputation(war.b, 3);
+      if (war.b === owner) game.factionSystem.modifyReputation(war.a, 3);
+    }
+
+    if (Math.random() < SABOTAGE_CAUGHT_CHANCE) {
+      game.factionSystem.modifyReputation(owner, -15);
+      return { success: true, message: `Sabotage done, but ${ownerName} traced it to you (-15 reputation)` };
+    }
+    return { success: true, message: `Sabotaged the ${ownerName} garrison` };
+  }
+
+  /**
+   * Serialize war state for saving (conquests included)
+   */
+  serialize() {
+    return {
+      tick: this.tick,
+      fleets: this.fleets,
+      control: this.control,
+      lastSabotage: this.lastSabotage,
+      owners: this.game.factionSystem.owners
+    };
+  }
+
+  /**
+   * Restore war state from save data
+   */
+  deserialize(data) {
+    if (!data) return;
+    this.tick = data.tick ?? null;
+    this.fleets = data.fleets || {};
+    this.control = data.control || {};
+    this.lastSabotage = data.lastSabotage || {};
+    this.fronts = null;
+
+    const factionSystem = this.game.factionSystem;
+    factionSystem.owners = data.owners || {};
+    factionSystem.assignTerritories(this.galaxy);
+  }
+}
@@ -1,31 +1,47 @@
 /**
  * Warp Gate System
  * Manages warp gates that provide instant travel between connected star systems
+ *
+ * The network is built from the galaxy seed, so the same galaxy always has the
+ * same gates and nothing about them needs saving. Every gated system is
+ * reachable from every other through the gates.
  */
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const GATE_CHANCE = 0.4; // Share of systems that get local gates
+const GATE_JUMP_FUEL = 2; // Fuel for a gate jump (economy fuel units)
+export const GATE_FUEL_PER_DISTANCE = 0.0005; // Extra fuel per galaxy unit a jump spans
+const GATE_CRUISE_TIME = 90; // Seconds to fly from the arrival point to the next gate
+const GATE_TRANSIT_TIME = 5; // Seconds in the gate itself
 
 export class WarpGateSystem {
   constructor() {
     this.gates = []; // All warp gates in galaxy
     this.connections = new Map(); // systemIndex -> [connected systemIndices]
+    this.galaxy = [];
   }
 
   /**
-   * Generate warp gate network for galaxy
-   * Creates gates connecting nearby and strategically important systems
+   * Generate warp gate network for galaxy (same seed, same network)
+   * Creates gates connecting nearby and strategically important systems, then
+   * links any isolated clusters into the rest of the network
+   * @param {Array} galaxy - Star systems
+   * @param {number} seed - Galaxy seed
+   * @param {number[]} capitals - Indices of faction capitals
    */
-  generateGateNetwork(galaxy) {
+  generateGateNetwork(galaxy, seed = 0, capitals = []) {
+    const rng = new SeededRandom((Math.abs(Math.floor(seed)) + 5209) % 233280);
     this.gates = [];
     this.connections.clear();
+    this.galaxy = galaxy;
 
     // Step 1: Connect nearby systems (local gates)
     for (let i = 0; i < galaxy.length; i++) {
-      const system = galaxy[i];
-
-      // Only some systems get gates (about 40%)
-      if (Math.random() > 0.4) continue;
+      // Only some systems get gates (about 40%); the starting system always does
+      if (rng.next() > GATE_CHANCE && i !== 0) continue;
 
       // Find 1-3 nearby systems to connect
-      const nearby = this.findNearestSystems(i, galaxy, 3);
+      const nearby = this.findNearestSystems(i, galaxy, rng.int(1, 3));
 
       for (const targetIndex of nearby) {
         // Create bidirectional gate connection
@@ -34,18 +50,11 @@ export class WarpGateSystem {
     }
 
     // Step 2: Connect faction capitals (strategic gates)
-    const capitals = galaxy
-      .map((sys, idx) => ({ system: sys, index: idx }))
-      .filter(item => item.system.isCapital);
-
     for (let i = 0; i < capitals.length; i++) {
       for (let j = i + 1; j < capitals.length; j++) {
-        const capA = capitals[i];
-        const capB = capitals[j];
-
         // 50% chance to connect capitals (not all connected)
-        if (Math.random() < 0.5) {
-          this.createGateConnection(capA.index, capB.index, 'strategic');
+        if (rng.next() < 0.5) {
+          this.createGateConnection(capitals[i], capitals[j], 'strategic');
         }
       }
     }
@@ -54,14 +63,17 @@ export class WarpGateSystem {
     // Connecting distant parts of galaxy
     const numHighways = Math.floor(galaxy.length / 30);
     for (let i = 0; i < numHighways; i++) {
-      const systemA = Math.floor(Math.random() * galaxy.length);
-      const systemB = Math.floor(Math.random() * galaxy.length);
+      const systemA = Math.floor(rng.next() * galaxy.length);
+      const systemB = Math.floor(rng.next() * galaxy.length);
 
       if (systemA !== systemB) {
         this.createGateConnection(systemA, systemB, 'highway');
       }
     }
 
+    // Step 4: Link isolated clusters to the network
+    this.connectClusters(galaxy);
+
     // ENHANCED: Set target system names for all gates
     for (const gate of this.gates) {
       const targetSystem = galaxy[gate.targetSystemIndex];
@@ -69,6 +81,127 @@ export class WarpGateSystem {
         gate.targetSystemName = targetSystem.name;
       }
     }
+
+    console.log(`[WarpGateSystem] ${this.gates.length / 2} gate links across ${this.connections.size} systems`);
+  }
+
+  /**
+   * Join every cluster of gated systems to the one holding the starting system
+   * through the shortest link between them
+   */
+  connectClusters(galaxy) {
+    let clusters = this.getClusters();
+
+    while (clusters.length > 1) {
+      const main = clusters[0];
+      let best = null;
+
+      for (const cluster of clusters.slice(1)) {
+        for (const a of main) {
+          for (const b of cluster) {
+            const distance = this.getDistance(galaxy[a], galaxy[b]);
+            if (!best || distance < best.distance) best = { a, b, distance };
+          }
+        }
+      }
+
+      this.createGateConnection(best.a, best.b, 'local');
+      clusters = this.getClusters();
+    }
+  }
+
+  /**
+   * Groups of gated systems connected to each other, the starting system's first
+   * @returns {number[][]}
+   */
+  getClusters() {
+    const seen = new Set();
+    const clusters = [];
+    const starts = [...this.connections.keys()].sort((a, b) => a - b);
+
+    for (const start of starts) {
+      if (seen.has(start)) continue;
+
+      const cluster = [];
+      const queue = [start];
+      seen.add(start);
+      while (queue.length > 0) {
+        const index = queue.shift();
+        cluster.push(index);
+        for (const next of this.getConnectedSystems(index)) {
+          if (!seen.has(next)) {
+            seen.add(next);
+            queue.push(next);
+          }
+        }
+      }
+      clusters.push(cluster);
+    }
+    return clusters;
+  }
+
+  getDistance(systemA, systemB) {
+    return Math.hypot(systemA.position.x - systemB.position.x, systemA.position.y - systemB.position.y);
+  }
+
+  /**
+   * Fuel and time for one gate jump
+   * @returns {{fuel: number, time: number}}
+   */
+  getJumpCost(fromIndex, toIndex) {
+    const distance = this.getDistance(this.galaxy[fromIndex], this.galaxy[toIndex]);
+    return {
+      fuel: GATE_JUMP_FUEL + distance * GATE_FUEL_PER_DISTANCE,
+      time: GATE_CRUISE_TIME + GATE_TRANSIT_TIME
+    };
+  }
+
+  /**
+   * Cheapest gate route between two systems (Dijkstra over the gate graph, by fuel)
+   * @returns {{path: number[], legs: Array, fuel: number, time: number}|null}
+   *   null when either system has no gate
+   */
+  findRoute(fromIndex, toIndex) {
+    if (!this.connections.has(fromIndex) || !this.connections.has(toIndex)) return null;
+    if (fromIndex === toIndex) return { path: [fromIndex], legs: [], fuel: 0, time: 0 };
+
+    const cost = new Map([[fromIndex, 0]]);
+    const previous = new Map();
+    const open = new Set([fromIndex]);
+
+    while (open.size > 0) {
+      let current = null;
+      for (const index of open) {
+        if (current === null || cost.get(index) < cost.get(current)) current = index;
+      }
+      open.delete(current);
+      if (current === toIndex) break;
+
+      for (const next of this.getConnectedSystems(current)) {
+        const total = cost.get(current) + this.getJumpCost(current, next).fuel;
+        if (!cost.has(next) || total < cost.get(next)) {
+          cost.set(next, total);
+          previous.set(next, current);
+          open.add(next);
+        }
+      }
+    }
+
+    if (!previous.has(toIndex)) return null;
+
+    const path = [toIndex];
+    while (path[0] !== fromIndex) path.unshift(previous.get(path[0]));
+
+    const legs = [];
+    for (let i = 1; i < path.length; i++) {
+      legs.push({ from: path[i - 1], to: path[i], ...this.getJumpCost(path[i - 1], path[i]) });
+    }
+    return {
+      path,
+      legs,
+      fuel: legs.reduce((sum, leg) => sum + leg.fuel, 0),
+      time: legs.reduce((sum, leg) => sum + leg.time, 0)
+    };
   }
 
   /**
@@ -15,6 +15,7 @@ export class WeaponSystem {
   constructor() {
     this.weapons = [];
     this.activeWeaponIndex = 0;
+    this.modifyStat = (stat, value) => value; // Item effects hook (ItemEffectSystem)
   }
 
   /**
@@ -301,15 +302,28 @@ export class WeaponSystem {
    * Fire active weapon
    */
   fire(ship, targetAngle, projectiles, enemies = null) {
-    const weapon = this.weapons[this.activeWeaponIndex];
-    if (!weapon || weapon.cooldown > 0) return false;
+    const active = this.weapons[this.activeWeaponIndex];
+    if (!active || active.cooldown > 0) return false;
 
-    // Check energy
-    if (ship.power < weapon.energyCost) return false;
+    // Loaded rounds fire without drawing power
+    if (active.ammo > 0) {
+      active.ammo--;
+    } else {
+      // Check energy
+      const energyCost = this.modifyStat('energyCost', active.energyCost);
+      if (ship.power < energyCost) return false;
+
+      // Consume energy
+      ship.power -= energyCost;
+    }
+    active.cooldown = active.maxCooldown / this.modifyStat('fireRate', 1);
 
-    // Consume energy
-    ship.power -= weapon.energyCost;
-    weapon.cooldown = weapon.maxCooldown;
+    // The shot, with item effects applied
+    const weapon = {
+      ...active,
+      damage: this.modifyStat('weaponDamage', active.damage),
+      spread: active.spread / this.modifyStat('accuracy', 1)
+    };
 
     // Special handling for different weapon types
     if (weapon.type === 'point_defense' && weapon.autoTarget) {
@@ -594,6 +608,17 @@ export class WeaponSystem {
     }
   }
 
+  /**
+   * Load rounds into every fitted weapon of a type (crafted ammunition)
+   */
+  loadAmmo(weaponType, rounds) {
+    const weapons = this.weapons.filter(weapon => weapon.type === weaponType);
+    if (weapons.length === 0) return { success: false, message: `No ${weaponType.replace(/_/g, ' ')} fitted` };
+
+    for (const weapon of weapons) weapon.ammo = (weapon.ammo || 0) + Math.ceil(rounds / weapons.length);
+    return { success: true, message: `${rounds} rounds loaded into ${weapons[0].name}` };
+  }
+
   /**
    * Update all weapon cooldowns
    */
@@ -634,6 +659,30 @@ export class WeaponSystem {
   getAllWeapons() {
     return this.weapons;
   }
+
+  /**
+   * Serialize weapon loadout for saving
+   */
+  serialize() {
+    return {
+      activeWeaponIndex: this.activeWeaponIndex,
+      weapons: this.weapons.map(weapon => ({ ...weapon }))
+    };
+  }
+
+  /**
+   * Load weapon loadout from saved data
+   * Weapons are rebuilt from type/tier so stats added later get defaults.
+   */
+  deserialize(data) {
+    if (!data || !Array.isArray(data.weapons)) return;
+
+    this.weapons = data.weapons.map(saved => ({
+      ...this.createWeapon(saved.type, saved.tier || 1),
+      ...saved
+    }));
+    this.activeWeaponIndex = Math.min(data.activeWeaponIndex || 0, Math.max(0, this.weapons.length - 1));
+  }
 }
 
 /**
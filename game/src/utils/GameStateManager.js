@@ -1,75 +1,55 @@
 /**
  * GameStateManager - Save and load game state
- * Handles localStorage operations and game state serialization
+ * Handles save storage (compressed IndexedDB via engine/SaveStorage.js),
+ * settings/statistics in localStorage, and game state serialization.
+ * Save functions are async.
  */
-
-const SAVE_KEY_PREFIX = 'pixelversum_save_';
+import { IRONMAN_SLOT_PREFIX, migrateSave, summarizeSave } from '../engine/SaveFormat.js';
+import { createSaveBackend, storeSave } from '../engine/SaveStorage.js';
+
+// Launcher save ids live in 'save_<id>' slots of the shared save storage
+const SAVE_SLOT_PREFIX = 'save_';
+const AUTOSAVE_COPIES = 4; // Older autosaves kept as autosave_1..autosave_4
+// In-game autosave ring written by engine/SaveSystem.js
+const AUTOSAVE_SLOT_PATTERN = /^autosave(_\d+)?$/;
 const SETTINGS_KEY = 'pixelversum_settings';
 const STATISTICS_KEY = 'pixelversum_statistics';
+const MAX_OBITUARIES = 20;
+
+const storage = createSaveBackend();
+
+/**
+ * Storage slot for a save id (accepts ids that already carry the prefix)
+ */
+const slotFor = (saveId) => (
+  saveId.startsWith(SAVE_SLOT_PREFIX) ? saveId : `${SAVE_SLOT_PREFIX}${saveId}`
+);
 
 /**
- * Save game state to localStorage
+ * Save game state to save storage
+ * Accepts Game.getGameState() output or older launcher state; both are
+ * stored in the unified save format (see engine/SaveFormat.js).
  */
-export const saveGame = (saveId, gameState, saveName) => {
+export const saveGame = async (saveId, gameState, saveName, options = {}) => {
   try {
+    const migration = migrateSave(gameState);
+    if (!migration.success) {
+      throw new Error(migration.error);
+    }
+
+    // Ironman runs only have the save the game writes when you quit
+    if (migration.saveData.config && migration.saveData.config.ironman) {
+      throw new Error('Ironman runs cannot be saved manually');
+    }
+
     const saveData = {
-      id: saveId,
-      name: saveName || `SAVE_${new Date().toISOString()}`,
+      ...migration.saveData,
+      saveName: saveName || `SAVE_${new Date().toISOString()}`,
       timestamp: Date.now(),
-
-      // Player data
-      callsign: gameState.player?.callsign || 'UNKNOWN',
-      shipName: gameState.player?.shipName || 'UNNAMED',
-      shipColor: gameState.player?.color || 'blue',
-
-      // Game progress
-      playtime: gameState.playtime || 0,
-      currentSystem: gameState.currentSystem || null,
-      systemsExplored: gameState.systemsExplored || 0,
-      galaxySize: gameState.galaxySize || 'medium',
-      difficulty: gameState.difficulty || 'adventurer',
-      seed: gameState.seed || null,
-
-      // Player state
-      player: {
-        x: gameState.player?.x || 0,
-        y: gameState.player?.y || 0,
-        vx: gameState.player?.vx || 0,
-        vy: gameState.player?.vy || 0,
-        rotation: gameState.player?.rotation || 0,
-        hp: gameState.player?.hp || 100,
-        maxHp: gameState.player?.maxHp || 100,
-        shield: gameState.player?.shield || 100,
-        maxShield: gameState.player?.maxShield || 100,
-        power: gameState.player?.power || 100,
-        maxPower: gameState.player?.maxPower || 100,
-        fuel: gameState.player?.fuel || 100,
-        maxFuel: gameState.player?.maxFuel || 100,
-      },
-
-      // Economy
-      credits: gameState.credits || 0,
-      cargo: gameState.cargo || [],
-
-      // Statistics
-      statistics: gameState.statistics || {
-        enemiesDestroyed: 0,
-        shotsFired: 0,
-        shotsHit: 0,
-        damageDealt: 0,
-        damageTaken: 0,
-        resourcesMined: 0,
-        artifactsFound: 0,
-        jumpsExecuted: 0,
-      },
-
-      // Status flags
-      crewAlive: gameState.player?.hp > 0,
-      gameOver: gameState.gameOver || false,
     };
 
-    localStorage.setItem(`${SAVE_KEY_PREFIX}${saveId}`, JSON.stringify(saveData));
-    return { success: true, saveData };
+    const sizes = await storeSave(storage, slotFor(saveId), JSON.stringify(saveData), summarizeSave(saveData), options);
+    return { success: true, saveData, ...sizes };
   } catch (error) {
     console.error('Failed to save game:', error);
     return { success: false, error: error.message };
@@ -77,21 +57,27 @@ export const saveGame = (saveId, gameState, saveName) => {
 };
 
 /**
- * Load game state from localStorage
+ * Load game state from save storage
+ * Older saves are migrated to the current format (the stored copy is left as is).
  */
-export const loadGame = (saveId) => {
-  try {
-    const saveKey = saveId.startsWith(SAVE_KEY_PREFIX)
-      ? saveId
-      : `${SAVE_KEY_PREFIX}${saveId}`;
+export const loadGame = (saveId) => loadSlot(slotFor(saveId));
 
-    const savedData = localStorage.getItem(saveKey);
+/**
+ * Load game state from a raw storage slot (e.g. an in-game autosave)
+ */
+export const loadSlot = async (slot) => {
+  try {
+    const savedData = await storage.read(slot);
     if (!savedData) {
       throw new Error('Save file not found');
     }
 
-    const gameState = JSON.parse(savedData);
-    return { success: true, gameState };
+    const migration = migrateSave(JSON.parse(savedData), { slot });
+    if (!migration.success) {
+      throw new Error(migration.error);
+    }
+
+    return { success: true, gameState: migration.saveData, migrated: migration.migrated };
   } catch (error) {
     console.error('Failed to load game:', error);
     return { success: false, error: error.message };
@@ -99,41 +85,65 @@ export const loadGame = (saveId) => {
 };
 
 /**
- * Get all saved games
+ * Get all saved games (list summaries with rawSize/storedSize in bytes)
+ * Ironman run saves are included with their storage `slot`.
+ * Saves that can't be migrated are included with an `error` message.
+ * `usage` is the browser's storage estimate ({ usage, quota }) or null.
  */
-export const getAllSaves = () => {
+export const getAllSaves = async () => {
   try {
-    const saves = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(SAVE_KEY_PREFIX)) {
-        const saveData = JSON.parse(localStorage.getItem(key));
-        saves.push({
-          id: key.replace(SAVE_KEY_PREFIX, ''),
-          ...saveData,
-        });
-      }
-    }
+    const entries = await storage.list();
+    const saves = entries
+      .filter(entry => entry.slot.startsWith(SAVE_SLOT_PREFIX) || entry.slot.startsWith(IRONMAN_SLOT_PREFIX))
+      .map(entry => ({
+        ...(entry.slot.startsWith(IRONMAN_SLOT_PREFIX)
+          ? { id: entry.slot, slot: entry.slot }
+          : { id: entry.slot.slice(SAVE_SLOT_PREFIX.length) }),
+        ...(entry.meta || { saveName: 'UNREADABLE SAVE', timestamp: 0, error: 'Save file is corrupted' }),
+        rawSize: entry.rawSize,
+        storedSize: entry.storedSize,
+      }));
 
     // Sort by timestamp (most recent first)
     saves.sort((a, b) => b.timestamp - a.timestamp);
-    return { success: true, saves };
+
+    const usage = await storage.estimate().catch(() => null);
+    return { success: true, saves, usage };
   } catch (error) {
     console.error('Failed to get saves:', error);
-    return { success: false, error: error.message, saves: [] };
+    return { success: false, error: error.message, saves: [], usage: null };
   }
 };
 
 /**
- * Delete a saved game
+ * Get the in-game autosave ring as a timeline (most recent first)
+ * Entries carry `slot` and `autosaveTrigger` ('timer', 'warp', 'dock', 'boss').
  */
-export const deleteSave = (saveId) => {
+export const getAutosaveTimeline = async () => {
   try {
-    const saveKey = saveId.startsWith(SAVE_KEY_PREFIX)
-      ? saveId
-      : `${SAVE_KEY_PREFIX}${saveId}`;
+    const autosaves = (await storage.list())
+      .filter(entry => AUTOSAVE_SLOT_PATTERN.test(entry.slot) && entry.meta && !entry.meta.error)
+      .map(entry => ({
+        slot: entry.slot,
+        ...entry.meta,
+        rawSize: entry.rawSize,
+        storedSize: entry.storedSize,
+      }));
+
+    autosaves.sort((a, b) => b.timestamp - a.timestamp);
+    return { success: true, autosaves };
+  } catch (error) {
+    console.error('Failed to get autosaves:', error);
+    return { success: false, error: error.message, autosaves: [] };
+  }
+};
 
-    localStorage.removeItem(saveKey);
+/**
+ * Delete a saved game
+ */
+export const deleteSave = async (saveId) => {
+  try {
+    await storage.remove(slotFor(saveId));
     return { success: true };
   } catch (error) {
     console.error('Failed to delete save:', error);
@@ -204,11 +214,20 @@ export const loadStatistics = () => {
 };
 
 /**
- * Auto-save functionality
+ * Add a permadeath obituary to the statistics (most recent first)
+ */
+export const recordObituary = (obituary) => {
+  const { statistics } = loadStatistics();
+  const obituaries = [obituary, ...((statistics && statistics.obituaries) || [])].slice(0, MAX_OBITUARIES);
+  return saveStatistics({ ...(statistics || {}), obituaries });
+};
+
+/**
+ * Auto-save functionality (previous autosaves rotate into autosave_1..4)
  */
 export const autoSave = (gameState) => {
   const autoSaveId = 'autosave';
-  return saveGame(autoSaveId, gameState, 'AUTOSAVE');
+  return saveGame(autoSaveId, gameState, 'AUTOSAVE', { keepCopies: AUTOSAVE_COPIES });
 };
 
 /**
@@ -222,25 +241,23 @@ export const quickSave = (gameState) => {
 /**
  * Check if auto-save exists
  */
-export const hasAutoSave = () => {
-  const autoSaveKey = `${SAVE_KEY_PREFIX}autosave`;
-  return localStorage.getItem(autoSaveKey) !== null;
+export const hasAutoSave = async () => {
+  return (await storage.read(slotFor('autosave'))) !== null;
 };
 
 /**
  * Check if quick save exists
  */
-export const hasQuickSave = () => {
-  const quickSaveKey = `${SAVE_KEY_PREFIX}quicksave`;
-  return localStorage.getItem(quickSaveKey) !== null;
+export const hasQuickSave = async () => {
+  return (await storage.read(slotFor('quicksave'))) !== null;
 };
 
 /**
  * Export save data (for backup)
  */
-export const exportSave = (saveId) => {
+export const exportSave = async (saveId) => {
   try {
-    const result = loadGame(saveId);
+    const result = await loadGame(saveId);
     if (!result.success) {
       throw new Error(result.error);
     }
@@ -269,11 +286,11 @@ export const importSave = (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
         const gameState = JSON.parse(e.target.result);
         const saveId = `import_${Date.now()}`;
-        const result = saveGame(saveId, gameState, `IMPORTED_${gameState.name || 'SAVE'}`);
+        const result = await saveGame(saveId, gameState, `IMPORTED_${gameState.saveName || gameState.name || 'SAVE'}`);
 
         if (result.success) {
           resolve({ success: true, saveId });
@@ -293,18 +310,16 @@ export const importSave = (file) => {
 /**
  * Clear all saves (dangerous!)
  */
-export const clearAllSaves = () => {
+export const clearAllSaves = async () => {
   try {
-    const keysToDelete = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(SAVE_KEY_PREFIX)) {
-        keysToDelete.push(key);
-      }
-    }
+    const slotsToDelete = (await storage.list())
+      .map(entry => entry.slot)
+      .filter(slot => slot.startsWith(SAVE_SLOT_PREFIX));
 
-    keysToDelete.forEach(key => localStorage.removeItem(key));
-    return { success: true, deletedCount: keysToDelete.length };
+    for (const slot of slotsToDelete) {
+      await storage.remove(slot);
+    }
+    return { success: true, deletedCount: slotsToDelete.length };
   } catch (error) {
     console.error('Failed to clear saves:', error);
     return { success: false, error: error.message };
@@ -314,12 +329,15 @@ export const clearAllSaves = () => {
 export default {
   saveGame,
   loadGame,
+  loadSlot,
   getAllSaves,
+  getAutosaveTimeline,
   deleteSave,
   saveSettings,
   loadSettings,
   saveStatistics,
   loadStatistics,
+  recordObituary,
   autoSave,
   quickSave,
   hasAutoSave,
@@ -0,0 +1,81 @@
+/**
+ * Mining laser jobs in the fabrication queue (src/engine/CraftingSystem.js)
+ *
+ * Lasers are only ever upgrades: a job can't be queued for a laser no better
+ * than the one fitted or one already queued, and whatever order the queue
+ * finishes in the ship ends up with the best laser.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CraftingSystem } from '../src/engine/CraftingSystem.js';
+import { MiningSystem } from '../src/engine/MiningSystem.js';
+import { ResourceSystem } from '../src/engine/ResourceSystem.js';
+import { CargoSystem } from '../src/engine/CargoSystem.js';
+
+// Docked at a station fabricator with the inputs for a few lasers of each tier
+function createGame() {
+  const items = { superconductor: 20, alloy_titanium: 10, nanomaterial: 10 };
+  const game = {
+    player: { docked: true },
+    resourceSystem: new ResourceSystem(),
+    cargoSystem: new CargoSystem(1000),
+    itemEffects: {
+      getCount: (id) => items[id] || 0,
+      removeItem: (id) => { items[id]--; },
+      addItem: (id, quantity = 1) => { items[id] = (items[id] || 0) + quantity; }
+    },
+    events: { emit() {} },
+    notifications: [],
+    showNotification(message, type) { this.notifications.push({ message, type }); }
+  };
+  for (const [id, quantity] of Object.entries({ copper: 20, crystalline_matrix: 5, platinum: 20, exotic_matter: 5 })) {
+    game.resourceSystem.addResource(id, quantity);
+    game.cargoSystem.addCargo(id, quantity);
+  }
+  game.miningSystem = new MiningSystem(game);
+  game.craftingSystem = new CraftingSystem(game);
+  return game;
+}
+
+test('a lesser laser cannot be queued behind a better one', () => {
+  const game = createGame();
+  const crafting = game.craftingSystem;
+
+  assert.equal(crafting.craft('mining_laser_mk3').success, true);
+  const refused = crafting.craft('mining_laser_mk2');
+  assert.equal(refused.success, false);
+  assert.match(refused.message, /already queued/);
+  assert.equal(crafting.craft('mining_laser_mk3').success, false, 'nor the same one twice');
+
+  crafting.update(1000);
+  assert.equal(game.miningSystem.laserTier, 3);
+  assert.equal(crafting.queue.length, 0);
+});
+
+test('queued upgrades finish on the best laser', () => {
+  const game = createGame();
+  const crafting = game.craftingSystem;
+
+  assert.equal(crafting.craft('mining_laser_mk2').success, true);
+  assert.equal(crafting.craft('mining_laser_mk3').success, true);
+
+  crafting.update(1000);
+  assert.equal(game.miningSystem.laserTier, 2);
+  crafting.update(1000);
+  assert.equal(game.miningSystem.laserTier, 3);
+  assert.match(crafting.canCraft('mining_laser_mk2').message, /already fitted/);
+});
+
+test('a laser that is no upgrade is not fitted', () => {
+  const game = createGame();
+  assert.equal(game.miningSystem.installLaser(3).success, true);
+  assert.equal(game.miningSystem.installLaser(2).success, false);
+  assert.equal(game.miningSystem.installLaser(3).success, false);
+  assert.equal(game.miningSystem.laserTier, 3);
+
+  // A job restored from an older save can't downgrade the ship either
+  game.craftingSystem.queue.push({ recipeId: 'mining_laser_mk2', remaining: 1 });
+  game.craftingSystem.update(1);
+  assert.equal(game.miningSystem.laserTier, 3);
+  assert.equal(game.notifications.at(-1).type, 'warning');
+});
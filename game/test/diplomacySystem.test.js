@@ -0,0 +1,134 @@
+/**
+ * Seeded diplomacy drift (src/engine/DiplomacySystem.js)
+ *
+ * Standings between factions drift toward their baseline each diplomatic
+ * turn, with noise drawn from the galaxy seed and the turn number: the same
+ * seed plays out the same wars and treaties however the turns are reached.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiplomacySystem } from '../src/engine/DiplomacySystem.js';
+import { FactionSystem } from '../src/engine/FactionSystem.js';
+import { EventBus } from '../src/engine/EventBus.js';
+
+const DIPLOMACY_TICK = 5 * 60 * 1000; // DiplomacySystem turn length
+
+function createGame(seed = 12345) {
+  const game = {
+    seed,
+    playtime: 0,
+    notifications: [],
+    showNotification(message, type) {
+      this.notifications.push({ message, type });
+    }
+  };
+  game.events = new EventBus(game);
+  game.factionSystem = new FactionSystem();
+  game.diplomacySystem = new DiplomacySystem(game);
+  game.diplomacySystem.update();
+  return game;
+}
+
+function playTurns(game, turns) {
+  for (let i = 0; i < turns; i++) {
+    game.playtime += DIPLOMACY_TICK;
+    game.diplomacySystem.update();
+  }
+}
+
+function snapshot(game) {
+  return JSON.parse(JSON.stringify(game.diplomacySystem.relations));
+}
+
+// The pair whose baseline sits furthest below the top of the scale
+function hostilePair(diplomacy) {
+  return Object.keys(diplomacy.relations)
+    .map(key => key.split('|'))
+    .reduce((lowest, pair) => (diplomacy.getBaseline(...pair) < diplomacy.getBaseline(...lowest) ? pair : lowest));
+}
+
+test('the same seed plays out the same relations', () => {
+  const first = createGame();
+  const second = createGame();
+  playTurns(first, 40);
+  playTurns(second, 40);
+  assert.deepEqual(snapshot(first), snapshot(second));
+
+  const other = createGame(999);
+  playTurns(other, 40);
+  assert.notDeepEqual(snapshot(other), snapshot(first));
+});
+
+test('catching up in one go matches playing turn by turn', () => {
+  const stepped = createGame();
+  playTurns(stepped, 30);
+
+  const caughtUp = createGame();
+  caughtUp.playtime = 30 * DIPLOMACY_TICK;
+  caughtUp.diplomacySystem.update();
+
+  assert.equal(caughtUp.diplomacySystem.tick, stepped.diplomacySystem.tick);
+  assert.deepEqual(snapshot(caughtUp), snapshot(stepped));
+  assert.deepEqual(caughtUp.notifications, [], 'turns simulated in one go are not announced');
+});
+
+test('standings drift back toward the baseline and stay in range', () => {
+  const game = createGame();
+  const diplomacy = game.diplomacySystem;
+  const [a, b] = hostilePair(diplomacy);
+  const baseline = diplomacy.getBaseline(a, b);
+  const relation = diplomacy.getRelationState(a, b);
+  Object.assign(relation, { standing: 100, treaties: [], war: false });
+
+  playTurns(game, 40);
+
+  const gap = Math.abs(relation.standing - baseline);
+  assert.ok(gap < (100 - baseline) / 2, `standing ${relation.standing} should have closed on baseline ${baseline}`);
+  for (const state of Object.values(diplomacy.relations)) {
+    assert.ok(state.standing >= -100 && state.standing <= 100);
+    assert.equal(state.standing, Math.round(state.standing));
+  }
+});
+
+test('a collapsed standing leads to war, and peace only after the shortest war', () => {
+  const game = createGame();
+  const diplomacy = game.diplomacySystem;
+  const [a, b] = hostilePair(diplomacy);
+  const relation = diplomacy.getRelationState(a, b);
+  Object.assign(relation, { standing: -100, treaties: ['non_aggression'], war: false });
+
+  const events = [];
+  const record = type => event => {
+    if (event.a === a && event.b === b) events.push({ type, live: event.live, tick: diplomacy.tick });
+  };
+  game.events.on('warDeclared', record('war'));
+  game.events.on('peaceMade', record('peace'));
+
+  playTurns(game, 10);
+  const war = events.find(event => event.type === 'war');
+  assert.ok(war, 'war should break out below the war standing');
+  assert.equal(war.live, true);
+  assert.equal(diplomacy.isAtWar(a, b), true);
+  assert.deepEqual(diplomacy.getTreaties(a, b), [], 'war tears up treaties');
+
+  // Patch things up straight away: peace still waits out the shortest war
+  relation.standing = 60;
+  playTurns(game, 20);
+  const peace = events.find(event => event.type === 'peace');
+  assert.ok(peace, 'peace should follow once standing recovers');
+  assert.ok(peace.tick - war.tick >= 6, 'wars last at least six turns');
+  assert.equal(diplomacy.isAtWar(a, b), events[events.length - 1].type === 'war');
+});
+
+test('a loaded save carries on where it left off', () => {
+  const original = createGame();
+  playTurns(original, 15);
+
+  const loaded = createGame();
+  loaded.playtime = original.playtime;
+  loaded.diplomacySystem.deserialize(JSON.parse(JSON.stringify(original.diplomacySystem.serialize())));
+
+  playTurns(original, 15);
+  playTurns(loaded, 15);
+  assert.deepEqual(snapshot(loaded), snapshot(original));
+});
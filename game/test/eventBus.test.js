@@ -0,0 +1,79 @@
+/**
+ * Event log and replay (src/engine/EventBus.js)
+ *
+ * The log keeps the events a session can be reproduced from: collisions once
+ * per contact, and no particle requests. Subscribers act on the game, so a
+ * log is only ever replayed into a callback or a sandbox bus - never back
+ * through game.events.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/engine/EventBus.js';
+import { CollisionSystem } from '../src/engine/CollisionSystem.js';
+
+function createGame() {
+  const game = { playtime: 0 };
+  game.events = new EventBus(game);
+  return game;
+}
+
+test('replaying into a sandbox bus never reaches the live subscribers', () => {
+  const game = createGame();
+  const live = [];
+  game.events.on('systemEntered', (event) => live.push(event));
+  game.events.emit('systemEntered', { systemIndex: 3, name: 'Sol' });
+  game.events.emit('systemEntered', { systemIndex: 4, name: 'Vega' });
+  const log = game.events.exportLog();
+
+  const sandbox = new EventBus(game);
+  const replayed = [];
+  sandbox.on('systemEntered', (event) => replayed.push(event.name));
+  game.events.replay(log, sandbox);
+
+  assert.deepEqual(replayed, ['Sol', 'Vega']);
+  assert.equal(live.length, 2, 'live subscribers only saw the original events');
+  assert.equal(game.events.getLog().length, 2, 'the live log is unchanged');
+  assert.equal(sandbox.getLog().length, 0, 'replayed events are not logged again');
+});
+
+test('replay needs a callback or a separate bus', () => {
+  const game = createGame();
+  const live = [];
+  game.events.on('warpEngaged', (event) => live.push(event));
+  game.events.emit('warpEngaged', { x: 1, y: 2 });
+
+  assert.throws(() => game.events.replay(), /callback or a sandbox bus/);
+  assert.throws(() => game.events.replay(undefined, game.events), /callback or a sandbox bus/);
+  assert.equal(live.length, 1);
+
+  const entries = [];
+  game.events.replay(undefined, (entry) => entries.push(entry.type));
+  assert.deepEqual(entries, ['warpEngaged']);
+  assert.equal(live.length, 1);
+});
+
+test('a contact is logged once and its particles not at all', () => {
+  const game = createGame();
+  Object.assign(game, {
+    star: { x: 0, y: 0, radius: 10 },
+    player: { x: 1000, y: 0, vx: 0, vy: 0, temperature: 20 },
+    asteroids: [{ angle: 0, distance: 1000, size: 20, hp: 1e6 }]
+  });
+  const collisions = [];
+  game.events.on('shipCollided', (event) => collisions.push(event));
+  const collisionSystem = new CollisionSystem(game);
+
+  for (let frame = 0; frame < 3; frame++) collisionSystem.update(1 / 60);
+  assert.equal(collisions.length, 3, 'every contact frame reaches the subscribers');
+  assert.equal(game.events.getLog('shipCollided').length, 1);
+
+  // Clear of the asteroid, the next contact is a new one
+  game.player.x = 5000;
+  collisionSystem.update(1 / 60);
+  game.player.x = 1000;
+  collisionSystem.update(1 / 60);
+  assert.equal(game.events.getLog('shipCollided').length, 2);
+
+  collisionSystem.handleWeaponDamageToAsteroid({ x: 1000, y: 0 }, game.asteroids[0], 1);
+  assert.equal(game.events.getLog('collisionEffect').length, 0);
+});
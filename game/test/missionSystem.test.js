@@ -0,0 +1,81 @@
+/**
+ * Seeded station contract boards (src/engine/MissionSystem.js)
+ *
+ * A station's board is generated from the galaxy seed, the station and the
+ * board cycle: the same inputs post the same contracts.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MissionSystem } from '../src/engine/MissionSystem.js';
+import { EconomySystem } from '../src/engine/EconomySystem.js';
+import { EventBus } from '../src/engine/EventBus.js';
+import { GalaxyGenerator } from '../src/engine/GalaxyGenerator.js';
+
+const BOARD_REFRESH = 20 * 60 * 1000; // MissionSystem board cycle
+
+function createGame(seed = 12345) {
+  const game = {
+    seed,
+    playtime: 0,
+    currentSystemIndex: 0,
+    galaxy: new GalaxyGenerator(seed).generateLazy(),
+    showNotification() {}
+  };
+  game.events = new EventBus(game);
+  game.economySystem = new EconomySystem(game);
+  game.missionSystem = new MissionSystem(game);
+  return game;
+}
+
+function dock(game, systemIndex = 0, stationIndex = 0) {
+  game.events.emit('docked', { systemIndex, stationIndex, station: 'Test Station' });
+  return game.missionSystem.getBoard();
+}
+
+test('a station posts the same board for the same seed and cycle', () => {
+  const board = dock(createGame());
+  assert.ok(board.length >= 4 && board.length <= 6, `${board.length} contracts`);
+  assert.deepEqual(dock(createGame()), board);
+});
+
+test('boards differ between stations, cycles and galaxies', () => {
+  const game = createGame();
+  const titles = (board) => board.map(contract => contract.title);
+  const board = titles(dock(game));
+
+  assert.notDeepEqual(titles(dock(game, 0, 1)), board);
+  assert.notDeepEqual(titles(dock(createGame(777))), board);
+
+  game.playtime = BOARD_REFRESH;
+  assert.notDeepEqual(titles(dock(game)), board);
+  game.playtime = BOARD_REFRESH - 1;
+  assert.deepEqual(titles(dock(game)), board, 'the board holds until the cycle ends');
+});
+
+test('contract destinations are real systems in range', () => {
+  const game = createGame();
+  const origin = game.galaxy[0].position;
+  for (let cycle = 0; cycle < 5; cycle++) {
+    game.playtime = cycle * BOARD_REFRESH;
+    for (const contract of dock(game)) {
+      assert.ok(contract.reward > 0 && contract.duration > 0);
+      if (contract.destination === null) continue;
+      const destination = game.galaxy[contract.destination];
+      assert.equal(contract.destinationName, destination.name);
+      assert.ok(Math.hypot(destination.position.x - origin.x, destination.position.y - origin.y) <= 5000);
+      if (contract.type === 'courier' || contract.type === 'haul') assert.notEqual(contract.destination, 0);
+    }
+  }
+});
+
+test('an accepted contract leaves the board and runs against a deadline', () => {
+  const game = createGame();
+  const [contract, ...rest] = dock(game);
+  game.playtime = 1000;
+
+  const result = game.missionSystem.accept(contract.id);
+  assert.equal(result.success, true);
+  assert.deepEqual(game.missionSystem.getBoard(), rest);
+  assert.equal(game.missionSystem.active[0].deadline, 1000 + contract.duration);
+  assert.equal(game.missionSystem.accept(contract.id).success, false, 'not twice');
+});
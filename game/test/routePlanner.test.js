@@ -0,0 +1,146 @@
+/**
+ * Multi-jump route planning (src/engine/RoutePlanner.js)
+ *
+ * Routes through the waypoints mix hyperspace jumps and gate links, are the
+ * cheapest by fuel, danger and hostile space, and stop to refuel before the
+ * tank runs dry.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoutePlanner } from '../src/engine/RoutePlanner.js';
+import { WarpGateSystem } from '../src/engine/WarpGateSystem.js';
+import { EventBus } from '../src/engine/EventBus.js';
+import { GalaxyGenerator } from '../src/engine/GalaxyGenerator.js';
+
+const JUMP_RANGE = 4000;
+
+// Systems 1 and 5 are the furthest apart in the seed 12345 galaxy; 3 and 20
+// have no gates and no other system in jump range but each other
+const START = 1;
+const DESTINATION = 5;
+const ISOLATED = 20;
+
+function createGame({ fuel = 100, seed = 12345 } = {}) {
+  const galaxy = new GalaxyGenerator(seed).generateLazy();
+  const game = {
+    seed,
+    galaxy,
+    playtime: 0,
+    currentSystemIndex: START,
+    economySystem: { fuel, maxFuel: fuel },
+    showNotification() {}
+  };
+  game.events = new EventBus(game);
+  game.warpGateSystem = new WarpGateSystem();
+  game.warpGateSystem.generateGateNetwork(galaxy, seed, [2, 14, 21]);
+  // Every third system is in hostile space
+  game.factionSystem = {
+    getSystemFaction: index => (index % 3 === 0 ? 'pirates' : 'traders'),
+    getRelation: factionId => (factionId === 'pirates' ? 'hostile' : 'neutral')
+  };
+  game.routePlanner = new RoutePlanner(game);
+  return game;
+}
+
+// Route cost of the cheapest path with a tank that never runs out (Dijkstra)
+function cheapestCost(planner, from, to) {
+  const cost = new Map([[from, 0]]);
+  const open = new Set([from]);
+  while (open.size > 0) {
+    const current = [...open].reduce((best, index) => (cost.get(index) < cost.get(best) ? index : best));
+    open.delete(current);
+    if (current === to) return cost.get(to);
+    for (const leg of planner.getLegs(current)) {
+      const total = cost.get(current) + leg.fuel + planner.getArrivalCost(leg.to).cost;
+      if (!cost.has(leg.to) || total < cost.get(leg.to)) {
+        cost.set(leg.to, total);
+        open.add(leg.to);
+      }
+    }
+  }
+  return Infinity;
+}
+
+function assertLegsValid(game, legs) {
+  for (const leg of legs) {
+    if (leg.mode === 'gate') {
+      assert.ok(game.warpGateSystem.getConnectedSystems(leg.from).includes(leg.to));
+    } else {
+      const from = game.galaxy[leg.from].position;
+      const to = game.galaxy[leg.to].position;
+      assert.ok(Math.hypot(from.x - to.x, from.y - to.y) <= JUMP_RANGE);
+    }
+  }
+}
+
+test('the route runs through the waypoints in order', () => {
+  const game = createGame();
+  const planner = game.routePlanner;
+  planner.addWaypoint(10);
+  planner.addWaypoint(DESTINATION);
+  assert.equal(planner.addWaypoint(DESTINATION).success, false);
+
+  const plan = planner.getPlan();
+  assert.ok(plan);
+  assert.equal(plan.legs[0].from, START);
+  plan.legs.slice(1).forEach((leg, i) => assert.equal(leg.from, plan.legs[i].to));
+  assert.equal(plan.legs[plan.legs.length - 1].to, DESTINATION);
+  assert.ok(plan.legs.some(leg => leg.to === 10));
+  assertLegsValid(game, plan.legs);
+  assert.equal(plan.fuel, plan.legs.reduce((sum, leg) => sum + leg.fuel, 0));
+});
+
+test('a full tank takes the cheapest route', () => {
+  const game = createGame({ fuel: 1000 });
+  const planner = game.routePlanner;
+  planner.addWaypoint(DESTINATION);
+
+  const plan = planner.plot();
+  assert.deepEqual(plan.refuelStops, []);
+  const cost = plan.legs.reduce((sum, leg) => sum + leg.fuel + planner.getArrivalCost(leg.to).cost, 0);
+  assert.ok(Math.abs(cost - cheapestCost(planner, START, DESTINATION)) < 1e-9);
+});
+
+test('a small tank stops to refuel and never runs dry', () => {
+  const game = createGame({ fuel: 20 });
+  const planner = game.routePlanner;
+  planner.addWaypoint(DESTINATION);
+
+  const plan = planner.plot();
+  assert.ok(plan);
+  assert.ok(plan.refuelStops.length > 0);
+  assertLegsValid(game, plan.legs);
+
+  let fuel = game.economySystem.fuel;
+  for (const leg of plan.legs) {
+    if (leg.refuel) fuel = game.economySystem.maxFuel;
+    fuel -= leg.fuel;
+    assert.ok(fuel >= 0, `tank ran dry on the leg ${leg.from} -> ${leg.to}`);
+  }
+});
+
+test('waypoints out of reach have no route', () => {
+  const game = createGame({ fuel: 2 });
+  const planner = game.routePlanner;
+  planner.addWaypoint(DESTINATION);
+  assert.equal(planner.plot(), null, 'the tank is too small for any leg');
+  assert.equal(planner.engage().success, false);
+
+  const isolated = createGame({ fuel: 1000 });
+  isolated.routePlanner.addWaypoint(ISOLATED);
+  assert.equal(isolated.routePlanner.plot(), null, 'no jump or gate reaches the system');
+});
+
+test('saved waypoints are replotted on load', () => {
+  const game = createGame();
+  game.routePlanner.addWaypoint(DESTINATION);
+  const plan = game.routePlanner.getPlan();
+
+  const loaded = createGame();
+  loaded.routePlanner.deserialize(JSON.parse(JSON.stringify(game.routePlanner.serialize())));
+  assert.deepEqual(loaded.routePlanner.waypoints, [DESTINATION]);
+  assert.deepEqual(loaded.routePlanner.getPlan(), plan);
+
+  loaded.routePlanner.deserialize(null);
+  assert.deepEqual(loaded.routePlanner.waypoints, []);
+});
@@ -0,0 +1,106 @@
+/**
+ * Golden-file tests for the save migration chain (src/engine/SaveFormat.js)
+ *
+ * fixtures/saves/ holds one save per old format version and, for each
+ * migration step, the expected output (<from>-to-<to>.golden.json).
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden files after an intended
+ * format change, and review the diff.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+  MIGRATIONS,
+  SAVE_FORMAT_VERSION,
+  computeSaveChecksum,
+  detectSaveVersion,
+  migrateSave
+} from '../src/engine/SaveFormat.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'saves');
+
+// Input save per format version
+const SAVES = {
+  0: 'v0-launcher.json',
+  1: 'v1-savesystem.json'
+};
+
+const readFixture = (name) => JSON.parse(readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+function assertGolden(name, actual) {
+  const file = path.join(FIXTURES, name);
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+  }
+  assert.deepEqual(actual, JSON.parse(readFileSync(file, 'utf8')));
+}
+
+test('every old version has a fixture and exactly one step up', () => {
+  for (let version = 0; version < SAVE_FORMAT_VERSION; version++) {
+    assert.ok(SAVES[version], `no fixture for format ${version}`);
+    assert.equal(detectSaveVersion(readFixture(SAVES[version])), version);
+    assert.equal(MIGRATIONS.filter(step => step.from === version && step.to === version + 1).length, 1);
+  }
+});
+
+for (const step of MIGRATIONS) {
+  test(`migration ${step.from} -> ${step.to} matches its golden file`, () => {
+    const input = readFixture(SAVES[step.from]);
+    const output = step.migrate(structuredClone(input));
+    output.saveFormatVersion = step.to;
+
+    assert.equal(detectSaveVersion(output), step.to);
+    assertGolden(`${step.from}-to-${step.to}.golden.json`, output);
+  });
+}
+
+for (const [version, name] of Object.entries(SAVES)) {
+  test(`format ${version} save migrates to the current format`, () => {
+    const input = readFixture(name);
+    const result = migrateSave(input);
+
+    assert.equal(result.success, true);
+    assert.equal(result.fromVersion, Number(version));
+    assert.equal(result.migrated, true);
+    assert.equal(result.saveData.saveFormatVersion, SAVE_FORMAT_VERSION);
+    assert.deepEqual(input, readFixture(name), 'the stored save is left untouched');
+    assertGolden(`${version}-to-${SAVE_FORMAT_VERSION}.golden.json`, result.saveData);
+  });
+}
+
+test('current saves are handed back as they are', () => {
+  const current = migrateSave(readFixture(SAVES[0])).saveData;
+  const result = migrateSave(current);
+
+  assert.equal(result.success, true);
+  assert.equal(result.migrated, false);
+  assert.equal(result.saveData, current);
+});
+
+test('saves that cannot be migrated are refused with a reason', () => {
+  const newer = migrateSave({ ...readFixture(SAVES[1]), saveFormatVersion: SAVE_FORMAT_VERSION + 1 });
+  assert.equal(newer.success, false);
+  assert.match(newer.error, /newer game version/);
+
+  const corrupt = migrateSave({ ...readFixture(SAVES[0]), seed: 'not a seed' });
+  assert.equal(corrupt.success, false);
+  assert.match(corrupt.error, /Upgrade from format 0 failed: Galaxy seed is not a number/);
+
+  assert.equal(migrateSave([]).success, false);
+});
+
+test('ironman saves need a valid checksum', () => {
+  const save = migrateSave(readFixture(SAVES[1])).saveData;
+  save.config = { ...save.config, ironman: true, runId: 'fixture-run' };
+  save.checksum = computeSaveChecksum(save);
+  assert.equal(migrateSave(save).success, true);
+
+  assert.equal(migrateSave({ ...save, playtime: save.playtime + 1 }).success, false);
+
+  // Dropping the flag and checksum doesn't help while it sits in an ironman slot
+  const { checksum, ...stripped } = save;
+  stripped.config = { ...save.config, ironman: false };
+  assert.equal(migrateSave(stripped, { slot: 'ironman_fixture-run' }).success, false);
+});
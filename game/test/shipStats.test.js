@@ -0,0 +1,92 @@
+/**
+ * Ship stat modifier stacks (src/engine/ShipStats.js)
+ *
+ * A stat is (base + adds) * muls over every source; capacities get their
+ * bonus written into the stored values, and taken back out when it changes.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShipStats } from '../src/engine/ShipStats.js';
+import { CargoSystem } from '../src/engine/CargoSystem.js';
+
+// Modifiers come from hull damage and items; both lists can be changed
+function createGame() {
+  const game = {
+    player: { maxHull: 100, hull: 100, maxShields: 50, shields: 50, maxPower: 100, power: 100 },
+    economySystem: { cargoCapacity: 50 },
+    cargoSystem: new CargoSystem(100),
+    damage: [],
+    items: [],
+    gameConfig: {}
+  };
+  game.shipDamageSystem = { getPerformanceModifiers: () => game.damage };
+  game.itemEffects = { getActiveModifiers: () => game.items };
+  game.shipStats = new ShipStats(game);
+  return game;
+}
+
+test('adds are summed before the multipliers apply', () => {
+  const { shipStats, damage, items } = createGame();
+  damage.push({ stat: 'speed', op: 'mul', value: 0.5 });
+  items.push({ stat: 'speed', op: 'add', value: 100 }, { stat: 'speed', op: 'mul', value: 1.2 });
+  shipStats.invalidate();
+
+  assert.equal(shipStats.get('speed', 300), (300 + 100) * 0.5 * 1.2);
+  assert.equal(shipStats.get('turnRate', 3), 3, 'stats without modifiers keep their base');
+});
+
+test('cached totals only change on invalidate', () => {
+  const { shipStats, items } = createGame();
+  assert.equal(shipStats.get('speed', 300), 300);
+
+  items.push({ stat: 'speed', op: 'mul', value: 2 });
+  assert.equal(shipStats.get('speed', 300), 300);
+  shipStats.invalidate();
+  assert.equal(shipStats.get('speed', 300), 600);
+});
+
+test('cargo capacity is written into both holds and taken back out', () => {
+  const game = createGame();
+  game.items.push({ stat: 'cargoCapacity', op: 'mul', value: 1.5 });
+  game.shipStats.invalidate();
+
+  assert.equal(game.economySystem.cargoCapacity, 75);
+  assert.equal(game.cargoSystem.maxCapacity, 150);
+  assert.equal(game.shipStats.getCapacityBase('cargoCapacity'), 50);
+
+  // A damage penalty stacks on top; the bonus isn't applied twice
+  game.damage.push({ stat: 'cargoCapacity', op: 'add', value: -10 });
+  game.shipStats.invalidate();
+  assert.equal(game.economySystem.cargoCapacity, 60);
+  assert.equal(game.cargoSystem.maxCapacity, 135);
+
+  game.items.length = 0;
+  game.damage.length = 0;
+  game.shipStats.invalidate();
+  assert.equal(game.economySystem.cargoCapacity, 50);
+  assert.equal(game.cargoSystem.maxCapacity, 100);
+});
+
+test('a lowered capacity caps the value it holds', () => {
+  const game = createGame();
+  game.damage.push({ stat: 'maxHull', op: 'mul', value: 0.8 });
+  game.shipStats.invalidate();
+
+  assert.equal(game.player.maxHull, 80);
+  assert.equal(game.player.hull, 80);
+});
+
+test('a rebuilt ship gets its capacity bonuses written in again', () => {
+  const game = createGame();
+  game.items.push({ stat: 'maxHull', op: 'add', value: 20 }, { stat: 'cargoCapacity', op: 'add', value: 10 });
+  game.shipStats.invalidate();
+
+  // Game.resetGame: initPlayer rebuilds the player and the resource hold
+  game.player = { maxHull: 100, hull: 100, maxShields: 50, shields: 50, maxPower: 100, power: 100 };
+  game.cargoSystem = new CargoSystem(100);
+  game.shipStats.handleRespawn();
+
+  assert.equal(game.player.maxHull, 120);
+  assert.equal(game.cargoSystem.maxCapacity, 110);
+  assert.equal(game.economySystem.cargoCapacity, 60, 'the traded goods hold is not rebuilt');
+});
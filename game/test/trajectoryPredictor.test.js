@@ -0,0 +1,66 @@
+/**
+ * Trajectory prediction against orbiting bodies (src/engine/TrajectoryPredictor.js)
+ *
+ * The predicted path has to meet planets where their orbits will have taken
+ * them, the way PhysicsEngine.getGravityBodies places them ahead of time.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine } from '../src/engine/PhysicsEngine.js';
+import { OrbitalMechanics } from '../src/engine/OrbitalMechanics.js';
+import { TrajectoryPredictor } from '../src/engine/TrajectoryPredictor.js';
+
+const QUALITY = { horizon: 20, step: 0.1, interval: 0.25 };
+
+// A star with one planet on OrbitalMechanics elements; no gravity
+// (no AdvancedPhysics), so the ship only coasts
+function createGame() {
+  const star = { x: 0, y: 0, radius: 100, mass: 1000, name: 'Star' };
+  const planet = { x: 2000, y: 0, radius: 60, mass: 0, distance: 2000, angle: 0, orbitSpeed: 0, name: 'Orbiter' };
+  const orbitalMechanics = new OrbitalMechanics();
+  orbitalMechanics.initializeOrbit(planet, star, 2000, 42);
+  orbitalMechanics.getOrbitalElements(planet).meanMotion = 0.05; // About a radian every 20 s
+
+  const game = {
+    star,
+    planets: [planet],
+    orbitalMechanics,
+    player: { x: 0, y: 0, vx: 0, vy: 0, mass: 100 },
+    galaxy: [{ name: 'Test system' }],
+    currentSystemIndex: 0
+  };
+  game.physicsEngine = new PhysicsEngine(game);
+  return game;
+}
+
+test('gravity bodies ahead follow the orbital elements', () => {
+  const game = createGame();
+  const [, now] = game.physicsEngine.getGravityBodies(0);
+  const [, later] = game.physicsEngine.getGravityBodies(10);
+  const expected = game.orbitalMechanics.predictPosition(game.planets[0], 10);
+
+  assert.deepEqual({ x: later.x, y: later.y }, { x: expected.x, y: expected.y });
+  assert.ok(Math.hypot(later.x - now.x, later.y - now.y) > 100, 'the planet moves along its orbit');
+});
+
+test('the predicted path meets a planet where its orbit takes it', () => {
+  const game = createGame();
+  const planet = game.planets[0];
+  const [, now] = game.physicsEngine.getGravityBodies(0);
+  const ahead = game.orbitalMechanics.predictPosition(planet, 10);
+
+  // The ship drifts at the point the planet will reach, well clear of it now
+  Object.assign(game.player, { x: ahead.x, y: ahead.y, vx: 1, vy: 0 });
+  assert.ok(Math.hypot(ahead.x - now.x, ahead.y - now.y) > planet.radius * 2);
+
+  const { markers } = new TrajectoryPredictor(game).predict(QUALITY);
+  const impact = markers.find(marker => marker.type === 'collision');
+  assert.ok(impact, 'the prediction ends in an impact');
+  assert.equal(impact.label, 'IMPACT Orbiter');
+  assert.ok(impact.t > 5 && impact.t <= 10, `impact at ${impact.t}s`);
+
+  // Without the orbit the planet stays put and the path never meets it
+  game.orbitalMechanics = null;
+  const stale = new TrajectoryPredictor(game).predict(QUALITY);
+  assert.equal(stale.markers.some(marker => marker.type === 'collision'), false);
+});
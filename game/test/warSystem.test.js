@@ -0,0 +1,148 @@
+/**
+ * Territorial war ticks (src/engine/WarSystem.js)
+ *
+ * Every war tick each side strikes a front of the enemy's, with rolls drawn
+ * from the galaxy seed and the tick: the same wars in the same galaxy are
+ * fought out the same way, whether ticked live or caught up after loading.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WarSystem } from '../src/engine/WarSystem.js';
+import { DiplomacySystem } from '../src/engine/DiplomacySystem.js';
+import { FactionSystem } from '../src/engine/FactionSystem.js';
+import { EventBus } from '../src/engine/EventBus.js';
+import { GalaxyGenerator } from '../src/engine/GalaxyGenerator.js';
+
+const WAR_TICK = 2 * 60 * 1000; // WarSystem battle interval
+const FRONT_RANGE = 3000;
+
+// Kryllian space borders the synthetics' in the seed 12345 galaxy
+const ATTACKER = 'kryllian';
+const DEFENDER = 'synthetics';
+
+function createGame(seed = 12345) {
+  const game = {
+    seed,
+    playtime: 0,
+    currentSystemIndex: 0,
+    galaxy: new GalaxyGenerator(seed).generateLazy(),
+    showNotification() {}
+  };
+  game.events = new EventBus(game);
+  game.factionSystem = new FactionSystem();
+  game.factionSystem.assignFactionsToGalaxy(game.galaxy, seed);
+  game.diplomacySystem = new DiplomacySystem(game);
+  game.warSystem = new WarSystem(game);
+  game.diplomacySystem.update();
+  game.warSystem.update();
+  return game;
+}
+
+// Settle the seeded wars and start the one under test
+function startWar(game, a = ATTACKER, b = DEFENDER) {
+  const diplomacy = game.diplomacySystem;
+  for (const war of diplomacy.getWars()) diplomacy.makePeace(war.a, war.b);
+  diplomacy.declareWar(a, b);
+}
+
+// War ticks only: the diplomatic turns would make their own peace
+function fight(game, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    game.playtime += WAR_TICK;
+    game.warSystem.update();
+  }
+}
+
+function snapshot(game) {
+  return JSON.parse(JSON.stringify(game.warSystem.serialize()));
+}
+
+test('fronts pair the defender\'s systems with the attacker\'s nearest in range', () => {
+  const game = createGame();
+  startWar(game);
+  const war = game.warSystem;
+
+  const fronts = war.getFronts();
+  assert.ok(fronts.length > 0);
+  for (const front of fronts) {
+    assert.deepEqual([front.attacker, front.defender].sort(), [ATTACKER, DEFENDER].sort());
+    assert.equal(war.getOwner(front.target), front.defender);
+    assert.equal(war.getOwner(front.from), front.attacker);
+    const from = game.galaxy[front.from].position;
+    const target = game.galaxy[front.target].position;
+    assert.ok(Math.hypot(from.x - target.x, from.y - target.y) <= FRONT_RANGE);
+  }
+
+  game.diplomacySystem.makePeace(ATTACKER, DEFENDER);
+  assert.deepEqual(war.getFronts(), [], 'peace clears the cached fronts');
+});
+
+test('the same seed fights the same battles', () => {
+  const first = createGame();
+  const second = createGame();
+  startWar(first);
+  startWar(second);
+  fight(first, 30);
+  fight(second, 30);
+  assert.deepEqual(snapshot(first), snapshot(second));
+
+  const caughtUp = createGame();
+  startWar(caughtUp);
+  caughtUp.playtime = first.playtime;
+  caughtUp.warSystem.update();
+  assert.deepEqual(snapshot(caughtUp), snapshot(first), 'catching up plays the same ticks');
+});
+
+test('systems whose control runs out change hands, capitals never do', () => {
+  const game = createGame();
+  startWar(game);
+  const war = game.warSystem;
+  const before = game.diplomacySystem.getStanding(ATTACKER, DEFENDER);
+  const capital = game.factionSystem.raceCapitals[DEFENDER];
+  const owners = game.galaxy.map((sys, index) => war.getOwner(index));
+
+  fight(game, 30);
+
+  const conquered = Object.entries(game.factionSystem.owners)
+    .filter(([, owner]) => owner === ATTACKER)
+    .map(([index]) => Number(index));
+  assert.ok(conquered.length > 0, 'the stronger side should take a system');
+  for (const index of conquered) {
+    assert.equal(owners[index], DEFENDER, 'only the enemy\'s systems are taken');
+  }
+  assert.equal(war.getOwner(capital), DEFENDER);
+  assert.ok(game.diplomacySystem.getStanding(ATTACKER, DEFENDER) < before, 'conquests sour relations');
+  for (const strength of Object.values(war.fleets)) assert.ok(strength >= 0);
+});
+
+test('after peace, contested systems consolidate and fleets rebuild', () => {
+  const game = createGame();
+  startWar(game);
+  const war = game.warSystem;
+  fight(game, 30);
+  assert.ok(war.getFleetStrength(DEFENDER) < war.getFleetCapacity(DEFENDER), 'war wears fleets down');
+
+  game.diplomacySystem.makePeace(ATTACKER, DEFENDER);
+  fight(game, 40);
+
+  assert.deepEqual(war.control, {}, 'every system is back under full control');
+  for (const factionId of [ATTACKER, DEFENDER]) {
+    assert.ok(war.getFleetCapacity(factionId) - war.getFleetStrength(factionId) <= 1);
+  }
+});
+
+test('a loaded save carries on where it left off, conquests included', () => {
+  const original = createGame();
+  startWar(original);
+  fight(original, 15);
+
+  const loaded = createGame();
+  loaded.playtime = original.playtime;
+  loaded.diplomacySystem.deserialize(JSON.parse(JSON.stringify(original.diplomacySystem.serialize())));
+  loaded.warSystem.deserialize(snapshot(original));
+  assert.deepEqual(loaded.factionSystem.owners, original.factionSystem.owners);
+
+  fight(original, 15);
+  fight(loaded, 15);
+  assert.deepEqual(snapshot(loaded), snapshot(original));
+});
@@ -0,0 +1,89 @@
+/**
+ * Seeded warp gate network and gate routes (src/engine/WarpGateSystem.js)
+ *
+ * The network is rebuilt from the galaxy seed on every load, so the same seed
+ * must lay the same gates, and every gated system must reach every other.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WarpGateSystem } from '../src/engine/WarpGateSystem.js';
+import { GalaxyGenerator } from '../src/engine/GalaxyGenerator.js';
+
+const CAPITALS = [2, 14, 21];
+
+function createNetwork(seed = 12345) {
+  const galaxy = new GalaxyGenerator(seed).generateLazy();
+  const gates = new WarpGateSystem();
+  gates.generateGateNetwork(galaxy, seed, CAPITALS);
+  return gates;
+}
+
+// Fuel of the cheapest gate route between every pair of gated systems (Floyd-Warshall)
+function cheapestFuel(gates) {
+  const systems = [...gates.connections.keys()];
+  const fuel = new Map(systems.map(a => [a, new Map(systems.map(b => [b, a === b ? 0 : Infinity]))]));
+  for (const a of systems) {
+    for (const b of gates.getConnectedSystems(a)) fuel.get(a).set(b, gates.getJumpCost(a, b).fuel);
+  }
+  for (const k of systems) {
+    for (const a of systems) {
+      for (const b of systems) {
+        const through = fuel.get(a).get(k) + fuel.get(k).get(b);
+        if (through < fuel.get(a).get(b)) fuel.get(a).set(b, through);
+      }
+    }
+  }
+  return fuel;
+}
+
+test('the same seed lays the same gates', () => {
+  const first = createNetwork();
+  const second = createNetwork();
+  assert.deepEqual(second.gates, first.gates);
+  assert.deepEqual([...second.connections], [...first.connections]);
+
+  const other = createNetwork(999);
+  assert.notDeepEqual(other.gates, first.gates);
+});
+
+test('every gated system is linked into one network with the starting system', () => {
+  const gates = createNetwork();
+  const clusters = gates.getClusters();
+  assert.equal(clusters.length, 1);
+  assert.ok(clusters[0].includes(0));
+
+  for (const [index, linked] of gates.connections) {
+    assert.equal(new Set(linked).size, linked.length, `system ${index} has a duplicate link`);
+    for (const other of linked) assert.ok(gates.getConnectedSystems(other).includes(index));
+  }
+});
+
+test('gate routes follow the links and take the least fuel', () => {
+  const gates = createNetwork();
+  const cheapest = cheapestFuel(gates);
+  const systems = [...gates.connections.keys()];
+
+  for (const from of systems) {
+    for (const to of systems) {
+      const route = gates.findRoute(from, to);
+      assert.ok(route, `no route from ${from} to ${to}`);
+      assert.equal(route.path[0], from);
+      assert.equal(route.path[route.path.length - 1], to);
+      route.legs.forEach((leg, i) => {
+        assert.deepEqual([leg.from, leg.to], [route.path[i], route.path[i + 1]]);
+        assert.ok(gates.getConnectedSystems(leg.from).includes(leg.to));
+      });
+      assert.ok(Math.abs(route.fuel - cheapest.get(from).get(to)) < 1e-9);
+      assert.equal(route.time, route.legs.reduce((sum, leg) => sum + leg.time, 0));
+    }
+  }
+});
+
+test('systems without a gate have no gate route', () => {
+  const gates = createNetwork();
+  const ungated = gates.galaxy.findIndex((sys, index) => !gates.connections.has(index));
+  assert.ok(ungated > 0);
+  assert.equal(gates.findRoute(0, ungated), null);
+  assert.equal(gates.findRoute(ungated, 0), null);
+  assert.deepEqual(gates.findRoute(0, 0), { path: [0], legs: [], fuel: 0, time: 0 });
+});